@@ -0,0 +1,1821 @@
+// Gameplay rules and simulation shared by GameScene and the headless runner.
+// Nothing in this module may touch Phaser, the DOM or localStorage so a full run can be
+// reproduced under Node from a seed, a loadout and an input log.
+const distanceBetween = (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1);
+const angleBetween = (x1, y1, x2, y2) => Math.atan2(y2 - y1, x2 - x1);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+  static normalizeSeed(seed) {
+    if (typeof seed === `number` && Number.isFinite(seed)) return seed >>> 0;
+    const text = String(seed ?? ``);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+  }
+  next() {
+    this.state = this.state + 0x6d2b79f5 >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+  between(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+  floatBetween(min, max) {
+    return min + this.next() * (max - min);
+  }
+  chance(probability) {
+    return this.next() < probability;
+  }
+  pick(array) {
+    return array[this.between(0, array.length - 1)];
+  }
+  getState() {
+    return this.state;
+  }
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+class SimTimer {
+  constructor(clock, config) {
+    this.clock = clock;
+    this.delay = config.delay || 0;
+    this.loop = !!config.loop;
+    this.callback = config.callback;
+    this.callbackScope = config.callbackScope;
+    this.args = config.args || [];
+    this.elapsed = 0;
+    this.paused = false;
+    this.hasDispatched = false;
+  }
+  remove() {
+    this.hasDispatched = true;
+    this.clock.events = this.clock.events.filter(event => event !== this);
+  }
+  destroy() {
+    this.remove();
+  }
+}
+class SimClock {
+  constructor() {
+    this.now = 0;
+    this.events = [];
+  }
+  addEvent(config) {
+    const timer = new SimTimer(this, config);
+    this.events.push(timer);
+    return timer;
+  }
+  delayedCall(delay, callback, args, callbackScope) {
+    return this.addEvent({
+      delay,
+      callback,
+      args,
+      callbackScope
+    });
+  }
+  update(delta) {
+    this.now += delta;
+    this.events.slice().forEach(timer => {
+      if (timer.paused || timer.hasDispatched) return;
+      timer.elapsed += delta;
+      while (timer.elapsed >= timer.delay && !timer.hasDispatched) {
+        timer.elapsed -= timer.delay;
+        if (!timer.loop) timer.remove();
+        timer.callback.apply(timer.callbackScope, timer.args);
+        if (!timer.loop || timer.delay <= 0) break;
+      }
+    });
+  }
+  removeAllEvents() {
+    this.events.forEach(timer => {
+      timer.hasDispatched = true;
+    });
+    this.events = [];
+  }
+}
+const INPUT_BITS = {
+  LEFT: 1,
+  RIGHT: 2,
+  FIRE: 4,
+  GUN: 8,
+  NET: 16,
+  OVERCHARGE: 32,
+  DASH: 64
+};
+const GEAR_CONFIGS = [{
+  id: `wide_net`,
+  name: `Wide Net`,
+  type: `net`,
+  cost: 300,
+  rarity: `rare`,
+  desc: `50% larger catch radius for net weapon`,
+  icon: `🌐`,
+  effect: `net_range`,
+  stats: {
+    netRange: `+50%`
+  },
+  hooks: {
+    netLaunch(scene, net) {
+      net.scale *= 1.5;
+    }
+  }
+}, {
+  id: `piercing_gun`,
+  name: `Piercing Gun`,
+  type: `gun`,
+  cost: 350,
+  rarity: `epic`,
+  desc: `Bullets pierce through multiple targets`,
+  icon: `🔫`,
+  effect: `gun_pierce`,
+  stats: {
+    piercing: `Enabled`
+  },
+  hooks: {
+    fire(scene, bullet) {
+      bullet.piercing = true;
+    }
+  }
+}, {
+  id: `speed_boots`,
+  name: `Speed Boots`,
+  type: `utility`,
+  cost: 250,
+  rarity: `common`,
+  desc: `+30% movement speed`,
+  icon: `👟`,
+  effect: `move_speed`,
+  stats: {
+    speed: `+30%`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.speedBonus += 0.3;
+    }
+  }
+}, {
+  id: `double_dash`,
+  name: `Double Dash`,
+  type: `utility`,
+  cost: 400,
+  rarity: `rare`,
+  desc: `Dash twice before cooldown`,
+  icon: `⚡`,
+  effect: `dash_double`,
+  stats: {
+    dashes: `2`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.dashCharges = Math.max(stats.dashCharges, 2);
+    }
+  }
+}, {
+  id: `magnet_gloves`,
+  name: `Magnet Gloves`,
+  type: `utility`,
+  cost: 320,
+  rarity: `rare`,
+  desc: `Passive item attraction (weak)`,
+  icon: `🧲`,
+  effect: `passive_magnet`,
+  stats: {
+    magnetRange: `120px`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.passiveMagnet = {
+        range: 120,
+        strength: 150
+      };
+    }
+  }
+}, {
+  id: `rapid_fire`,
+  name: `Rapid Fire`,
+  type: `gun`,
+  cost: 280,
+  rarity: `common`,
+  desc: `25% faster fire rate`,
+  icon: `💨`,
+  effect: `fire_rate`,
+  stats: {
+    fireRate: `+25%`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.fireRateBonus += 75;
+    }
+  }
+}, {
+  id: `explosive_rounds`,
+  name: `Explosive Rounds`,
+  type: `gun`,
+  cost: 450,
+  rarity: `epic`,
+  desc: `Bullets explode on impact, damaging nearby items`,
+  icon: `💥`,
+  effect: `gun_explosive`,
+  stats: {
+    aoe: `80px`
+  },
+  hooks: {
+    fire(scene, bullet) {
+      bullet.explosive = true;
+    }
+  }
+}, {
+  id: `mega_net`,
+  name: `Mega Net`,
+  type: `net`,
+  cost: 500,
+  rarity: `legendary`,
+  desc: `Massive net with 2x size and duration`,
+  icon: `🕸️`,
+  effect: `net_mega`,
+  stats: {
+    netRange: `+100%`,
+    duration: `+50%`
+  },
+  hooks: {
+    netLaunch(scene, net) {
+      net.scale *= 2;
+      net.speed /= 1.5;
+    }
+  }
+}, {
+  id: `turbo_dash`,
+  name: `Turbo Dash`,
+  type: `utility`,
+  cost: 380,
+  rarity: `epic`,
+  desc: `50% faster dash speed and -30% cooldown`,
+  icon: `🚀`,
+  effect: `dash_turbo`,
+  stats: {
+    dashSpeed: `+50%`,
+    cooldown: `-30%`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.dashSpeedMultiplier *= 1.5;
+      stats.dashCooldownBonus += 300;
+    }
+  }
+}, {
+  id: `shield_generator`,
+  name: `Shield Generator`,
+  type: `utility`,
+  cost: 600,
+  rarity: `legendary`,
+  desc: `Start each game with a 5-hit shield`,
+  icon: `🛡️`,
+  effect: `shield_start`,
+  stats: {
+    shield: `5 hits`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.startShield = Math.max(stats.startShield, 5);
+    }
+  }
+}, {
+  id: `chain_lightning`,
+  name: `Chain Lightning`,
+  type: `gun`,
+  cost: 420,
+  rarity: `epic`,
+  desc: `Bullets chain to 2 nearby targets`,
+  icon: `⚡`,
+  effect: `gun_chain`,
+  stats: {
+    chains: `2`,
+    range: `100px`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.fireRateBonus += 30;
+    },
+    fire(scene, bullet) {
+      bullet.chain = true;
+    }
+  }
+}, {
+  id: `fortune_aura`,
+  name: `Fortune Aura`,
+  type: `utility`,
+  cost: 550,
+  rarity: `legendary`,
+  desc: `+50% score multiplier and double currency`,
+  icon: `💰`,
+  effect: `fortune_boost`,
+  stats: {
+    scoreBonus: `+50%`,
+    currency: `2x`
+  },
+  hooks: {
+    catch(scene, item, reward) {
+      reward.scoreMultiplier *= 1.5;
+      reward.currencyMultiplier *= 2;
+    }
+  }
+}, {
+  id: `time_dilation`,
+  name: `Time Dilation`,
+  type: `utility`,
+  cost: 480,
+  rarity: `epic`,
+  desc: `Slow items by 20% permanently`,
+  icon: `⏰`,
+  effect: `slow_items`,
+  stats: {
+    itemSpeed: `-20%`
+  },
+  hooks: {
+    spawn(scene, stats) {
+      stats.itemSpeedMultiplier *= 0.8;
+    }
+  }
+}, {
+  id: `homing_net`,
+  name: `Homing Net`,
+  type: `net`,
+  cost: 380,
+  rarity: `rare`,
+  desc: `Net auto-aims toward nearest item cluster`,
+  icon: `🎯`,
+  effect: `net_homing`,
+  stats: {
+    autoAim: `Enabled`
+  },
+  hooks: {
+    netLaunch(scene, net) {
+      const target = GearEffects.findItemCluster(scene.items, net.x, net.y);
+      if (!target) return;
+      const travelTime = Math.max(0.25, (net.y - target.y) / net.speed);
+      net.vx = clamp((target.x - net.x) / travelTime, -600, 600);
+    }
+  }
+}];
+class LevelingSystem {
+  static getXPForLevel(level) {
+    return Math.floor(100 * Math.pow(1.5, level - 1));
+  }
+  static calculateXP(gameData) {
+    const baseXP = Math.floor(gameData.score / 8);
+    const comboBonus = Math.floor(gameData.maxCombo * 8);
+    const levelBonus = gameData.level * 15;
+    const goldBonus = gameData.goldCaught * 5;
+    const timeBonus = Math.floor((gameData.gameTime || 0) / 8);
+    const perfectBonus = gameData.itemsCaught > 0 && gameData.missedItems === 0 ? 100 : 0;
+    const bombBonus = (gameData.bombsDestroyed || 0) * 7;
+    return baseXP + comboBonus + levelBonus + goldBonus + timeBonus + perfectBonus + bombBonus;
+  }
+  static getLevelPerks(level) {
+    const perks = [];
+    if (level >= 3) perks.push({
+      id: `speed_1`,
+      name: `Speed Boost I`,
+      desc: `+5% movement speed`,
+      type: `speed`,
+      value: 0.05
+    });
+    if (level >= 5) perks.push({
+      id: `xp_1`,
+      name: `XP Boost I`,
+      desc: `+10% XP gained`,
+      type: `xp`,
+      value: 0.10
+    });
+    if (level >= 7) perks.push({
+      id: `lucky_1`,
+      name: `Lucky Strike I`,
+      desc: `+5% currency drop`,
+      type: `currency`,
+      value: 0.05
+    });
+    if (level >= 10) perks.push({
+      id: `speed_2`,
+      name: `Speed Boost II`,
+      desc: `+10% movement speed`,
+      type: `speed`,
+      value: 0.05
+    });
+    if (level >= 12) perks.push({
+      id: `shield_mastery`,
+      name: `Shield Mastery`,
+      desc: `Shields last +1 hit`,
+      type: `shield`,
+      value: 1
+    });
+    if (level >= 15) perks.push({
+      id: `xp_2`,
+      name: `XP Boost II`,
+      desc: `+20% XP gained`,
+      type: `xp`,
+      value: 0.10
+    });
+    if (level >= 17) perks.push({
+      id: `lucky_2`,
+      name: `Lucky Strike II`,
+      desc: `+10% currency drop`,
+      type: `currency`,
+      value: 0.05
+    });
+    if (level >= 20) perks.push({
+      id: `speed_3`,
+      name: `Speed Boost III`,
+      desc: `+15% movement speed`,
+      type: `speed`,
+      value: 0.05
+    });
+    if (level >= 22) perks.push({
+      id: `combo_expert`,
+      name: `Combo Expert`,
+      desc: `+25% combo score`,
+      type: `combo`,
+      value: 0.25
+    });
+    if (level >= 25) perks.push({
+      id: `master_collector`,
+      name: `Master Collector`,
+      desc: `+15% to speed, currency & combo bonuses`,
+      type: `master`,
+      value: 0.15
+    });
+    if (level >= 30) perks.push({
+      id: `legendary_status`,
+      name: `Legendary Status`,
+      desc: `+25% to all stats (speed, XP, currency, combo)`,
+      type: `legendary`,
+      value: 0.25
+    });
+    return perks;
+  }
+  static getLevelReward(level) {
+    const rewards = {
+      5: {
+        type: 'currency',
+        amount: 150,
+        name: '150 Data Chips'
+      },
+      10: {
+        type: 'currency',
+        amount: 300,
+        name: '300 Data Chips'
+      },
+      15: {
+        type: 'currency',
+        amount: 500,
+        name: '500 Data Chips'
+      },
+      20: {
+        type: 'currency',
+        amount: 750,
+        name: '750 Data Chips'
+      },
+      25: {
+        type: 'currency',
+        amount: 1000,
+        name: '1000 Data Chips'
+      },
+      30: {
+        type: 'currency',
+        amount: 1500,
+        name: '1500 Data Chips'
+      },
+      35: {
+        type: 'currency',
+        amount: 2000,
+        name: '2000 Data Chips'
+      },
+      40: {
+        type: 'currency',
+        amount: 3000,
+        name: '3000 Data Chips'
+      },
+      50: {
+        type: 'currency',
+        amount: 5000,
+        name: '5000 Data Chips'
+      }
+    };
+    return rewards[level] || null;
+  }
+  static getStatBonuses(level) {
+    const perks = this.getLevelPerks(level);
+    const bonuses = {
+      speedMultiplier: 1,
+      xpMultiplier: 1,
+      currencyMultiplier: 1,
+      shieldBonus: 0,
+      comboMultiplier: 1
+    };
+    perks.forEach(perk => {
+      if (perk.type === 'speed') bonuses.speedMultiplier += perk.value;
+      if (perk.type === 'xp') bonuses.xpMultiplier += perk.value;
+      if (perk.type === 'currency') bonuses.currencyMultiplier += perk.value;
+      if (perk.type === 'shield') bonuses.shieldBonus += perk.value;
+      if (perk.type === 'combo') bonuses.comboMultiplier += perk.value;
+      if (perk.type === 'master') {
+        bonuses.speedMultiplier += perk.value;
+        bonuses.currencyMultiplier += perk.value;
+        bonuses.comboMultiplier += perk.value;
+      }
+      if (perk.type === 'legendary') {
+        bonuses.speedMultiplier += perk.value;
+        bonuses.xpMultiplier += perk.value;
+        bonuses.currencyMultiplier += perk.value;
+        bonuses.comboMultiplier += perk.value;
+      }
+    });
+    return bonuses;
+  }
+  static getRankTitle(level) {
+    if (level >= 50) return {
+      title: 'LEGEND',
+      color: '#ff00ff'
+    };
+    if (level >= 40) return {
+      title: 'MASTER',
+      color: '#ffdd00'
+    };
+    if (level >= 30) return {
+      title: 'EXPERT',
+      color: '#ff6600'
+    };
+    if (level >= 20) return {
+      title: 'VETERAN',
+      color: '#00ffff'
+    };
+    if (level >= 10) return {
+      title: 'SKILLED',
+      color: '#00ff00'
+    };
+    return {
+      title: 'ROOKIE',
+      color: '#888888'
+    };
+  }
+}
+class GearEffects {
+  static getGear(id) {
+    return GEAR_CONFIGS.find(g => g.id === id) || null;
+  }
+  static getEquipped(equippedGear) {
+    return Object.values(equippedGear || {}).map(id => GearEffects.getGear(id)).filter(g => g);
+  }
+  static getBaseStats() {
+    return {
+      speedBonus: 0,
+      fireRateBonus: 0,
+      dashCooldownBonus: 0,
+      dashCharges: 1,
+      dashSpeedMultiplier: 1,
+      itemSpeedMultiplier: 1,
+      passiveMagnet: null,
+      startShield: 0
+    };
+  }
+  static runHook(gearList, hook, ...args) {
+    gearList.forEach(gear => {
+      const handler = gear.hooks?.[hook];
+      if (!handler) return;
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Failed to run ${hook} hook for gear ${gear.id}:`, error);
+      }
+    });
+  }
+  static getSetBonus(equippedGear) {
+    const equippedItems = GearEffects.getEquipped(equippedGear);
+    const rarities = equippedItems.map(g => g.rarity);
+    const allStats = (id, name, bonus) => ({
+      id,
+      name,
+      bonus,
+      label: `+${Math.round(bonus * 100)}% All Stats`,
+      modifiers: {
+        speed: bonus,
+        fireRate: bonus,
+        score: bonus,
+        currency: bonus
+      }
+    });
+    const legendaryCount = rarities.filter(r => r === `legendary`).length;
+    if (legendaryCount >= 2) return allStats(`legendary`, `LEGENDARY SET`, 0.25);
+    const epicCount = rarities.filter(r => r === `epic`).length;
+    if (epicCount >= 2) return allStats(`epic`, `EPIC SET`, 0.15);
+    const rareCount = rarities.filter(r => r === `rare`).length;
+    if (rareCount >= 3) return allStats(`rare`, `RARE SET`, 0.1);
+    const types = equippedItems.map(g => g.type);
+    if (types.includes(`gun`) && types.includes(`net`) && types.includes(`utility`)) {
+      return allStats(`balanced`, `BALANCED SET`, 0.05);
+    }
+    return null;
+  }
+  static getPlayerStats(level, equippedGear) {
+    const bonuses = LevelingSystem.getStatBonuses(level);
+    const setBonus = GearEffects.getSetBonus(equippedGear);
+    const modifiers = setBonus ? setBonus.modifiers : {};
+    return {
+      ...bonuses,
+      speedMultiplier: bonuses.speedMultiplier + (modifiers.speed || 0),
+      fireRateMultiplier: 1 + (modifiers.fireRate || 0),
+      scoreMultiplier: 1 + (modifiers.score || 0),
+      currencyMultiplier: bonuses.currencyMultiplier + (modifiers.currency || 0),
+      setBonus
+    };
+  }
+  static findItemCluster(items, x, y, clusterRadius = 120) {
+    const candidates = (items || []).filter(item => item.active && item.itemType !== `bomb` && item.y < y);
+    let best = null;
+    candidates.forEach(item => {
+      const neighbours = candidates.filter(other => distanceBetween(item.x, item.y, other.x, other.y) < clusterRadius);
+      const distance = distanceBetween(x, y, item.x, item.y);
+      if (!best || neighbours.length > best.neighbours.length || neighbours.length === best.neighbours.length && distance < best.distance) {
+        best = {
+          neighbours,
+          distance
+        };
+      }
+    });
+    if (!best) return null;
+    return {
+      x: best.neighbours.reduce((sum, item) => sum + item.x, 0) / best.neighbours.length,
+      y: best.neighbours.reduce((sum, item) => sum + item.y, 0) / best.neighbours.length
+    };
+  }
+}
+class ReplayRecorder {
+  constructor(header) {
+    this.header = header;
+    this.frames = [];
+    this.frameCount = 0;
+  }
+  record(delta, mask) {
+    const last = this.frames[this.frames.length - 1];
+    if (last && last[0] === delta && last[1] === mask) {
+      last[2]++;
+    } else {
+      this.frames.push([delta, mask, 1]);
+    }
+    this.frameCount++;
+  }
+  finish(result) {
+    return {
+      version: 1,
+      createdAt: Date.now(),
+      ...this.header,
+      frameCount: this.frameCount,
+      frames: this.frames,
+      result
+    };
+  }
+  static expandFrames(replay) {
+    const frames = [];
+    (replay.frames || []).forEach(([delta, mask, count]) => {
+      for (let i = 0; i < count; i++) frames.push([delta, mask]);
+    });
+    return frames;
+  }
+  toProof() {
+    return {
+      seed: this.header.seed,
+      loadout: this.header.loadout,
+      input: ReplayRecorder.encodeInput(this.frames)
+    };
+  }
+  // Live runs only record fixed steps, so a proof packs each run of frames as `<mask>.<count>` in base 36
+  static encodeInput(frames) {
+    return frames.map(([, mask, count]) => `${mask.toString(36)}.${count.toString(36)}`).join(`,`);
+  }
+  static decodeInput(input) {
+    return String(input || ``).split(`,`).filter(Boolean).map(run => {
+      const [mask, count] = run.split(`.`).map(part => parseInt(part, 36));
+      return [FIXED_STEP, mask, count];
+    });
+  }
+}
+const FIXED_STEP = 1000 / 60;
+const GAME_WIDTH = 1024;
+const GAME_HEIGHT = 1024;
+const DASH_MODES = [`doubletap`, `key`, `toggle`];
+const DOUBLE_TAP_WINDOW = {
+  min: 150,
+  max: 600,
+  default: 300
+};
+const POWERUP_TYPES = [`shield`, `magnet`, `slowmo`, `timewarp`, `converter`, `hyperdash`, `blackhole`];
+const DIFFICULTY_PARAMS = {
+  easy: {
+    speed: 150,
+    spawn: 2000
+  },
+  normal: {
+    speed: 200,
+    spawn: 1500
+  },
+  hard: {
+    speed: 250,
+    spawn: 1000
+  }
+};
+class GameCore {
+  static defaultLoadout() {
+    return {
+      upgrades: {},
+      equippedGear: {},
+      playerLevel: 1,
+      difficulty: `normal`,
+      skin: `default`,
+      aura: `none`,
+      maxItems: 15,
+      dashMode: `doubletap`,
+      doubleTapWindow: DOUBLE_TAP_WINDOW.default
+    };
+  }
+  constructor({
+    seed,
+    loadout,
+    width = GAME_WIDTH,
+    height = GAME_HEIGHT
+  } = {}) {
+    this.seed = seed ?? SeededRandom.generateSeed();
+    this.rng = new SeededRandom(this.seed);
+    this.clock = new SimClock();
+    this.loadout = {
+      ...GameCore.defaultLoadout(),
+      ...loadout
+    };
+    this.width = width;
+    this.height = height;
+    this.listeners = {};
+    Object.assign(this, {
+      score: 0,
+      level: 1,
+      lives: 3,
+      combo: 0,
+      maxCombo: 0,
+      goldCaught: 0,
+      bombsDestroyed: 0,
+      perfectStreak: 0,
+      itemsCaught: 0,
+      earnedCurrency: 0,
+      scoreMultiplier: 1,
+      overcharge: 0,
+      missedItems: 0,
+      performanceScore: 0,
+      missStreak: 0,
+      shieldUses: 0,
+      isChaosMode: false,
+      lastLeftTap: -Infinity,
+      lastRightTap: -Infinity,
+      dashCooldown: -Infinity,
+      currentWeapon: `gun`,
+      projectileCooldown: -Infinity,
+      netCharge: 0,
+      netMaxCharge: 2000,
+      netCharging: false,
+      launchedNet: null,
+      blackHoleX: 0,
+      blackHoleY: 0,
+      blackHoleActive: false,
+      isDashing: false,
+      dashDirection: null,
+      glitchActive: false,
+      virusActive: false,
+      overchargeActive: false,
+      controlsReversed: false,
+      comboFading: false,
+      lastCatchTime: 0,
+      inputMask: 0,
+      tick: 0,
+      isGameOver: false,
+      activePowerups: new Set(),
+      powerupsCollected: {},
+      recentCatches: [],
+      items: [],
+      projectiles: [],
+      powerups: [],
+      hazards: []
+    });
+    const {
+      upgrades,
+      equippedGear
+    } = this.loadout;
+    this.activeGear = GearEffects.getEquipped(equippedGear);
+    this.gearStats = GearEffects.getBaseStats();
+    this.runGearHook(`spawn`, this.gearStats);
+    this.playerStats = GearEffects.getPlayerStats(this.loadout.playerLevel, equippedGear);
+    this.lives = upgrades.extraLife ? 4 : 3;
+    if (upgrades.startShield) {
+      this.activePowerups.add(`shield`);
+      this.shieldUses = 3 + this.playerStats.shieldBonus;
+    }
+    if (this.gearStats.startShield > 0) {
+      this.activePowerups.add(`shield`);
+      this.shieldUses = Math.max(this.shieldUses, this.gearStats.startShield + this.playerStats.shieldBonus);
+    }
+    const {
+      speed,
+      spawn
+    } = DIFFICULTY_PARAMS[this.loadout.difficulty] || DIFFICULTY_PARAMS.normal;
+    this.itemSpeed = speed;
+    this.spawnRate = spawn;
+    const baseSpeed = 400;
+    this.player = this.createEntity({
+      x: width / 2,
+      y: height - 50,
+      speed: baseSpeed + (upgrades.moveSpeed || 0) * 50 + baseSpeed * this.gearStats.speedBonus + baseSpeed * (this.playerStats.speedMultiplier - 1)
+    });
+    this.netPosition = this.createEntity({
+      x: this.player.x,
+      y: this.player.y - 40
+    });
+    this.baseFireRate = Math.max(100, (300 - (upgrades.fireRate || 0) * 50 - this.gearStats.fireRateBonus) / this.playerStats.fireRateMultiplier);
+    this.dashCooldownTime = Math.max(200, 1000 - (upgrades.dashCooldown || 0) * 150 - this.gearStats.dashCooldownBonus);
+    this.dashCharges = this.gearStats.dashCharges;
+    this.dashChargesRemaining = this.dashCharges;
+    this.dashSpeedMultiplier = this.gearStats.dashSpeedMultiplier;
+    this.dashMode = DASH_MODES.includes(this.loadout.dashMode) ? this.loadout.dashMode : `doubletap`;
+    this.doubleTapWindow = clamp(Number(this.loadout.doubleTapWindow) || DOUBLE_TAP_WINDOW.default, DOUBLE_TAP_WINDOW.min, DOUBLE_TAP_WINDOW.max);
+    this.spawnTimer = this.clock.addEvent({
+      delay: this.spawnRate,
+      callback: this.spawnItem,
+      callbackScope: this,
+      loop: true
+    });
+    this.powerupTimer = this.clock.addEvent({
+      delay: 8000,
+      callback: this.spawnPowerup,
+      callbackScope: this,
+      loop: true
+    });
+    this.hazardTimer = this.clock.addEvent({
+      delay: 12000,
+      callback: this.spawnEnvironmentalHazard,
+      callbackScope: this,
+      loop: true
+    });
+  }
+  on(event, callback, scope) {
+    (this.listeners[event] = this.listeners[event] || []).push({
+      callback,
+      scope
+    });
+    return this;
+  }
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(({
+      callback,
+      scope
+    }) => callback.apply(scope, args));
+  }
+  createEntity(props) {
+    return {
+      active: true,
+      ...props,
+      prevX: props.x,
+      prevY: props.y
+    };
+  }
+  runGearHook(hook, ...args) {
+    GearEffects.runHook(this.activeGear, hook, this, ...args);
+  }
+  applyGearDamage(source) {
+    const damage = {
+      source,
+      amount: 1
+    };
+    this.runGearHook(`damage`, damage);
+    return Math.max(0, damage.amount);
+  }
+  step(delta, mask = 0) {
+    if (this.isGameOver) return;
+    this.tick++;
+    [this.player, this.netPosition, this.launchedNet, ...this.items, ...this.projectiles, ...this.powerups].forEach(entity => {
+      if (!entity) return;
+      entity.prevX = entity.x;
+      entity.prevY = entity.y;
+    });
+    this.clock.update(delta);
+    if (this.isGameOver) return;
+    this.applyInput(mask);
+    if (this.combo >= 5 && !this.comboFading && this.clock.now - (this.lastCatchTime || this.clock.now) > 3000) {
+      this.comboFading = true;
+      this.emit(`combo-fading`);
+    }
+    if (this.netCharging) {
+      this.netCharge = Math.min(this.netCharge + delta, this.netMaxCharge);
+    }
+    this.updateNet(delta);
+    this.updatePlayer(delta);
+    this.updateProjectiles(delta);
+    this.updateDashCharges();
+    this.updateItems(delta);
+    if (this.isGameOver) return;
+    this.updateHazardCollisions();
+    if (this.isGameOver) return;
+    this.updatePowerups(delta);
+  }
+  applyInput(mask) {
+    const pressed = mask & ~this.inputMask;
+    const released = this.inputMask & ~mask;
+    this.inputMask = mask;
+    this.applyDashInput(mask, pressed, released);
+    if (pressed & INPUT_BITS.GUN) this.switchWeapon(`gun`);
+    if (pressed & INPUT_BITS.NET) this.switchWeapon(`net`);
+    if (pressed & INPUT_BITS.OVERCHARGE) this.activateOvercharge();
+    if (pressed & INPUT_BITS.FIRE) this.onFireDown();
+    if (released & INPUT_BITS.FIRE) this.onFireUp();
+  }
+  onFireDown() {
+    if (this.currentWeapon === `gun`) {
+      this.fireGun();
+    } else if (this.currentWeapon === `net`) {
+      if (this.clock.now - this.projectileCooldown < 5000) return;
+      this.netCharging = true;
+      this.netCharge = 0;
+      this.emit(`net-charge-start`);
+    }
+  }
+  onFireUp() {
+    if (this.currentWeapon === `net` && this.netCharging) {
+      this.launchNet();
+    }
+  }
+  fireGun() {
+    if (this.clock.now - this.projectileCooldown < this.baseFireRate) return;
+    this.projectileCooldown = this.clock.now;
+    const bullet = this.createProjectile(this.player.x, this.player.y - 20, 600);
+    this.runGearHook(`fire`, bullet);
+    this.emit(`gun-fired`, bullet);
+  }
+  createProjectile(x, y, speed) {
+    const projectile = this.createEntity({
+      x,
+      y,
+      speed,
+      piercing: false,
+      explosive: false,
+      chain: false,
+      chainCount: 0,
+      isChaining: false,
+      vx: 0,
+      vy: 0
+    });
+    this.projectiles.push(projectile);
+    this.emit(`projectile-spawned`, projectile);
+    return projectile;
+  }
+  launchNet() {
+    this.netCharging = false;
+    this.projectileCooldown = this.clock.now;
+    const net = this.createEntity({
+      x: this.netPosition.x,
+      y: this.netPosition.y,
+      speed: 400,
+      vx: 0,
+      scale: this.getNetScale()
+    });
+    this.runGearHook(`netLaunch`, net);
+    net.radius = net.scale * 40;
+    this.launchedNet = net;
+    this.emit(`net-launched`, net);
+  }
+  getNetScale() {
+    return 0.5 + this.netCharge / this.netMaxCharge * 2.5;
+  }
+  switchWeapon(weaponType) {
+    this.currentWeapon = weaponType;
+    this.emit(`weapon-switched`, weaponType);
+  }
+  applyDashInput(mask, pressed, released) {
+    const toggle = this.dashMode === `toggle`;
+    if (this.dashMode === `doubletap`) {
+      if (pressed & INPUT_BITS.LEFT) this.handleDoubleTap(`left`);
+      if (pressed & INPUT_BITS.RIGHT) this.handleDoubleTap(`right`);
+    }
+    if (toggle && this.isDashing) {
+      if (pressed & INPUT_BITS.LEFT && this.dashDirection === `right`) this.endDash(`right`);
+      if (pressed & INPUT_BITS.RIGHT && this.dashDirection === `left`) this.endDash(`left`);
+    } else {
+      if (released & INPUT_BITS.LEFT) this.endDash(`left`);
+      if (released & INPUT_BITS.RIGHT) this.endDash(`right`);
+    }
+    if (pressed & INPUT_BITS.DASH) {
+      if (toggle && this.isDashing) {
+        this.endDash(this.dashDirection);
+      } else {
+        this.handleDashButton(mask);
+      }
+    }
+    if (!toggle && released & INPUT_BITS.DASH && this.isDashing) this.endDash(this.dashDirection);
+  }
+  canDash() {
+    if (this.isDashing || this.dashChargesRemaining <= 0) return false;
+    return this.dashChargesRemaining < this.dashCharges || this.clock.now - this.dashCooldown >= this.dashCooldownTime;
+  }
+  handleDoubleTap(direction) {
+    const currentTime = this.clock.now;
+    if (!this.canDash()) return;
+    const tapKey = direction === `left` ? `lastLeftTap` : `lastRightTap`;
+    if (currentTime - this[tapKey] < this.doubleTapWindow) {
+      this.startDash(direction);
+      this[tapKey] = 0;
+    } else {
+      this[tapKey] = currentTime;
+    }
+  }
+  handleDashButton(mask) {
+    const direction = mask & INPUT_BITS.RIGHT ? `right` : mask & INPUT_BITS.LEFT ? `left` : null;
+    if (!direction || !this.canDash()) return;
+    this.startDash(direction);
+  }
+  startDash(direction) {
+    if (!this.canDash()) return;
+    this.isDashing = true;
+    this.dashDirection = direction;
+    this.dashChargesRemaining--;
+    this.emit(`dash-start`, direction);
+  }
+  endDash(direction) {
+    if (!this.isDashing || this.dashDirection !== direction) return;
+    this.isDashing = false;
+    this.dashDirection = null;
+    this.dashCooldown = this.clock.now;
+    this.emit(`dash-end`, direction);
+  }
+  updateDashCharges() {
+    if (this.isDashing) return;
+    if (this.dashChargesRemaining < this.dashCharges && this.clock.now - this.dashCooldown > this.dashCooldownTime) {
+      this.dashChargesRemaining = this.dashCharges;
+    }
+  }
+  updateNet(delta) {
+    if (this.netCharging) {
+      this.netPosition.x = this.player.x;
+      this.netPosition.y = this.player.y - 40;
+    }
+    const net = this.launchedNet;
+    if (!net) return;
+    net.y -= net.speed * delta / 1000;
+    net.x += net.vx * delta / 1000;
+    this.items.slice().forEach(item => {
+      if (!item.active || item.itemType === `bomb`) return;
+      if (distanceBetween(net.x, net.y, item.x, item.y) < net.radius) {
+        this.catchItem(item);
+      }
+    });
+    if (net.y < -100) {
+      this.launchedNet = null;
+      this.emit(`net-finished`, net);
+    }
+  }
+  updatePlayer(delta) {
+    const moveSpeed = this.activePowerups.has(`hyperdash`) ? this.player.speed * 2 : this.player.speed;
+    if (this.isDashing) {
+      const dashSpeed = moveSpeed * 2.5 * this.dashSpeedMultiplier;
+      const direction = this.dashDirection === `left` ? -1 : 1;
+      this.player.x = clamp(this.player.x + direction * dashSpeed * delta / 1000, 30, this.width - 30);
+      if (this.tick % 6 < 3) this.emit(`dash-trail`, this.player.x, this.player.y);
+      return;
+    }
+    const leftPressed = this.inputMask & (this.controlsReversed ? INPUT_BITS.RIGHT : INPUT_BITS.LEFT);
+    const rightPressed = this.inputMask & (this.controlsReversed ? INPUT_BITS.LEFT : INPUT_BITS.RIGHT);
+    if (leftPressed) {
+      this.player.x -= moveSpeed * delta / 1000;
+    } else if (rightPressed) {
+      this.player.x += moveSpeed * delta / 1000;
+    }
+    this.hazards.forEach(hazard => {
+      if (hazard.hazardType !== `gravity` || !hazard.active) return;
+      // Wells float well above the player, so the player's pull falls off with horizontal distance only
+      const dx = hazard.x - this.player.x;
+      if (Math.abs(dx) >= hazard.radius || Math.abs(dx) < 1) return;
+      const pull = (1 - Math.abs(dx) / hazard.radius) * hazard.strength * 0.6;
+      this.player.x += Math.sign(dx) * pull * delta / 1000;
+    });
+    this.player.x = clamp(this.player.x, 30, this.width - 30);
+  }
+  updateProjectiles(delta) {
+    this.projectiles.slice().forEach(projectile => {
+      if (!projectile.active) return;
+      projectile.y -= projectile.speed * delta / 1000;
+      let hitSomething = false;
+      this.items.slice().forEach(item => {
+        if (!item.active || item.itemType !== `bomb`) return;
+        if (Math.abs(projectile.x - item.x) >= 20 || Math.abs(projectile.y - item.y) >= 20) return;
+        this.destroyBomb(item, projectile);
+        if (projectile.explosive) {
+          this.items.slice().forEach(nearbyItem => {
+            if (nearbyItem.active && nearbyItem.itemType === `bomb` && distanceBetween(item.x, item.y, nearbyItem.x, nearbyItem.y) < 80) {
+              this.destroyBomb(nearbyItem, projectile);
+            }
+          });
+        }
+        if (projectile.chain && projectile.chainCount < 2) {
+          this.chainToNearestBomb(item, projectile);
+        }
+        if (!projectile.piercing) hitSomething = true;
+      });
+      if (projectile.isChaining) {
+        projectile.x += projectile.vx * delta / 1000;
+        projectile.y += projectile.vy * delta / 1000;
+      }
+      if (projectile.y < -20 || hitSomething && !projectile.piercing) {
+        this.removeProjectile(projectile);
+      }
+    });
+  }
+  chainToNearestBomb(item, projectile) {
+    let nearestBomb = null;
+    let nearestDist = 100;
+    this.items.forEach(nearbyItem => {
+      if (!nearbyItem.active || nearbyItem.itemType !== `bomb` || nearbyItem === item) return;
+      const distance = distanceBetween(item.x, item.y, nearbyItem.x, nearbyItem.y);
+      if (distance < nearestDist) {
+        nearestDist = distance;
+        nearestBomb = nearbyItem;
+      }
+    });
+    if (!nearestBomb) return;
+    const chainBullet = this.createProjectile(item.x, item.y, 800);
+    const angle = angleBetween(item.x, item.y, nearestBomb.x, nearestBomb.y);
+    Object.assign(chainBullet, {
+      chain: true,
+      chainCount: projectile.chainCount + 1,
+      targetX: nearestBomb.x,
+      targetY: nearestBomb.y,
+      vx: Math.cos(angle) * chainBullet.speed,
+      vy: Math.sin(angle) * chainBullet.speed,
+      isChaining: true
+    });
+  }
+  getItemSpeedMultiplier() {
+    let multiplier = 1;
+    if (this.activePowerups.has(`slowmo`)) multiplier *= 0.3;
+    if (this.activePowerups.has(`timewarp`)) multiplier *= 0.15;
+    multiplier *= this.gearStats.itemSpeedMultiplier;
+    return multiplier * (this.isChaosMode ? 1.3 : 1);
+  }
+  updateItems(delta) {
+    const speedMultiplier = this.getItemSpeedMultiplier();
+    const passiveMagnet = this.gearStats.passiveMagnet;
+    const height = this.height;
+    this.items.slice().forEach(item => {
+      if (!item.active || this.isGameOver) return;
+      if (this.blackHoleActive) {
+        const distance = distanceBetween(item.x, item.y, this.blackHoleX, this.blackHoleY);
+        if (distance < 300) {
+          const angle = angleBetween(item.x, item.y, this.blackHoleX, this.blackHoleY);
+          const pull = (1 - distance / 300) * 400;
+          item.x += Math.cos(angle) * pull * delta / 1000;
+          item.y += Math.sin(angle) * pull * delta / 1000;
+          if (distance < 30) {
+            this.catchItem(item);
+            return;
+          }
+        }
+      }
+      item.y += item.speed * speedMultiplier * delta / 1000;
+      this.applyGravityWells(item, delta);
+      const hasMagnetPowerup = this.activePowerups.has(`magnet`);
+      if ((hasMagnetPowerup || passiveMagnet) && item.itemType !== `bomb`) {
+        const magnetRange = hasMagnetPowerup ? 200 : passiveMagnet.range;
+        const magnetStrength = hasMagnetPowerup ? 300 : passiveMagnet.strength;
+        if (distanceBetween(item.x, item.y, this.player.x, this.player.y) < magnetRange) {
+          const angle = angleBetween(item.x, item.y, this.player.x, this.player.y);
+          item.x += Math.cos(angle) * magnetStrength * delta / 1000;
+          item.y += Math.sin(angle) * magnetStrength * delta / 1000;
+        }
+      }
+      const catchRadius = item.itemType === `giant` ? 60 : 40;
+      const catchHeight = item.itemType === `giant` ? 50 : 30;
+      if (Math.abs(item.x - this.player.x) < catchRadius && Math.abs(item.y - this.player.y) < catchHeight) {
+        this.catchItem(item);
+        return;
+      }
+      if (item.y > height - 40 && item.y < height && Math.abs(item.x - this.player.x) > 60 && !item.nearMissTriggered) {
+        item.nearMissTriggered = true;
+        this.emit(`near-miss`, item);
+      }
+      if (item.y > height) {
+        this.missItem(item);
+        return;
+      }
+      const spike = this.hazards.find(hazard => hazard.hazardType === `spike` && hazard.active && Math.abs(item.x - hazard.x) < 20);
+      if (spike && item.y > height - 80 && item.y < height - 40) {
+        this.emit(`item-destroyed`, item, spike);
+        this.removeItem(item);
+      }
+    });
+  }
+  applyGravityWells(target, delta) {
+    this.hazards.forEach(hazard => {
+      if (hazard.hazardType !== `gravity` || !hazard.active) return;
+      const distance = distanceBetween(target.x, target.y, hazard.x, hazard.y);
+      if (distance >= hazard.radius || distance < 1) return;
+      const angle = angleBetween(target.x, target.y, hazard.x, hazard.y);
+      const pull = (1 - distance / hazard.radius) * hazard.strength;
+      target.x += Math.cos(angle) * pull * delta / 1000;
+      target.y += Math.sin(angle) * pull * delta / 1000;
+    });
+  }
+  updateHazardCollisions() {
+    this.hazards.forEach(hazard => {
+      if (hazard.hazardType !== `spike` || !hazard.active || this.isGameOver) return;
+      if (Math.abs(this.player.x - hazard.x) >= 30 || this.isDashing) return;
+      hazard.active = false;
+      if (this.activePowerups.has(`shield`)) {
+        this.useShield();
+        return;
+      }
+      const damage = this.applyGearDamage(`spike`);
+      this.lives -= damage;
+      this.emit(`spike-hit`, hazard, damage);
+      if (this.lives <= 0) this.gameOver();
+    });
+  }
+  updatePowerups(delta) {
+    this.powerups.slice().forEach(powerup => {
+      if (!powerup.active) return;
+      powerup.y += powerup.speed * delta / 1000;
+      powerup.rotation += delta / 1000;
+      if (Math.abs(powerup.x - this.player.x) < 50 && Math.abs(powerup.y - this.player.y) < 35) {
+        this.collectPowerup(powerup);
+      } else if (powerup.y > this.height) {
+        this.removePowerup(powerup);
+      }
+    });
+  }
+  useShield() {
+    this.shieldUses--;
+    if (this.shieldUses <= 0) {
+      this.activePowerups.delete(`shield`);
+      this.emit(`shield-broken`);
+      this.emit(`powerups-changed`);
+    }
+  }
+  removeItem(item) {
+    if (!item.active) return;
+    item.active = false;
+    const index = this.items.indexOf(item);
+    if (index > -1) this.items.splice(index, 1);
+    this.emit(`item-removed`, item);
+  }
+  removeProjectile(projectile) {
+    if (!projectile.active) return;
+    projectile.active = false;
+    const index = this.projectiles.indexOf(projectile);
+    if (index > -1) this.projectiles.splice(index, 1);
+    this.emit(`projectile-removed`, projectile);
+  }
+  removePowerup(powerup) {
+    if (!powerup.active) return;
+    powerup.active = false;
+    const index = this.powerups.indexOf(powerup);
+    if (index > -1) this.powerups.splice(index, 1);
+    this.emit(`powerup-removed`, powerup);
+  }
+  spawnItem() {
+    const spawnCount = this.isChaosMode ? this.rng.between(1, 2) : 1;
+    if (this.items.length >= this.loadout.maxItems) return;
+    for (let i = 0; i < spawnCount; i++) {
+      const x = this.rng.between(50, this.width - 50);
+      let itemType = `regular`;
+      let itemValue = 10;
+      let speed = this.itemSpeed;
+      const rand = this.rng.next();
+      if (rand < 0.13) {
+        itemType = `bomb`;
+        itemValue = -50;
+      } else if (rand < 0.22) {
+        itemType = `gold`;
+        itemValue = 50;
+      } else if (rand < 0.35) {
+        itemType = `silver`;
+        itemValue = 20;
+      } else if (rand < 0.40) {
+        itemType = `giant`;
+        itemValue = 100;
+        speed = this.itemSpeed * 0.6;
+      } else if (rand < 0.43) {
+        itemType = `glitch`;
+        itemValue = 30;
+      } else if (rand < 0.46) {
+        itemType = `multiplier`;
+        itemValue = 20;
+      } else if (rand < 0.48) {
+        itemType = `virus`;
+        itemValue = -30;
+      } else if (rand < 0.50) {
+        itemType = `freeze`;
+        itemValue = 25;
+      } else if (rand < 0.52) {
+        itemType = `health`;
+        itemValue = 0;
+      } else if (rand < 0.54) {
+        itemType = `mystery`;
+        itemValue = 0;
+      }
+      const item = this.createEntity({
+        x,
+        y: -30,
+        speed,
+        itemType,
+        value: itemValue,
+        nearMissTriggered: false
+      });
+      this.items.push(item);
+      this.emit(`item-spawned`, item);
+    }
+  }
+  spawnPowerup() {
+    const x = this.rng.between(50, this.width - 50);
+    this.powerupTimer.delay = Math.max(5000, 8000 - this.performanceScore * 100);
+    const powerup = this.createEntity({
+      x,
+      y: -40,
+      speed: 150,
+      rotation: 0,
+      type: this.rng.between(0, POWERUP_TYPES.length - 1)
+    });
+    this.powerups.push(powerup);
+    this.emit(`powerup-spawned`, powerup);
+  }
+  spawnEnvironmentalHazard() {
+    if (this.rng.chance(0.5)) {
+      this.spawnSpike();
+    } else {
+      this.spawnGravityWell();
+    }
+  }
+  spawnSpike() {
+    const spike = {
+      hazardType: `spike`,
+      x: this.rng.between(100, this.width - 100),
+      y: this.height - 50,
+      active: false,
+      pending: true
+    };
+    this.hazards.push(spike);
+    this.emit(`hazard-spawned`, spike);
+    this.clock.delayedCall(500, () => {
+      spike.active = true;
+      spike.pending = false;
+      this.emit(`hazard-activated`, spike);
+      this.clock.delayedCall(2000, () => {
+        this.emit(`hazard-expiring`, spike);
+        this.clock.delayedCall(300, () => this.removeHazard(spike));
+      });
+    });
+  }
+  spawnGravityWell() {
+    const well = {
+      hazardType: `gravity`,
+      x: this.rng.between(150, this.width - 150),
+      y: this.rng.between(Math.floor(this.height * 0.35), Math.floor(this.height * 0.6)),
+      radius: 180,
+      strength: 260,
+      active: false,
+      pending: true
+    };
+    this.hazards.push(well);
+    this.emit(`hazard-spawned`, well);
+    this.clock.delayedCall(1500, () => {
+      this.emit(`hazard-arming`, well);
+      this.clock.delayedCall(400, () => {
+        well.active = true;
+        well.pending = false;
+        this.emit(`hazard-activated`, well);
+        this.clock.delayedCall(4000, () => {
+          this.emit(`hazard-expiring`, well);
+          this.removeHazard(well);
+        });
+      });
+    });
+  }
+  removeHazard(hazard) {
+    hazard.active = false;
+    hazard.pending = false;
+    const index = this.hazards.indexOf(hazard);
+    if (index > -1) this.hazards.splice(index, 1);
+  }
+  destroyBomb(bomb, projectile) {
+    if (!bomb.active) return;
+    this.score += 25;
+    this.bombsDestroyed++;
+    this.earnedCurrency += 2;
+    this.emit(`bomb-destroyed`, bomb, projectile);
+    this.removeItem(bomb);
+    this.removeProjectile(projectile);
+  }
+  catchItem(item) {
+    if (!item.active) return;
+    if (this.comboFading) {
+      this.comboFading = false;
+      this.emit(`combo-fading-end`);
+    }
+    if (item.itemType === `freeze`) {
+      this.activateFreeze();
+      this.removeItem(item);
+      return;
+    } else if (item.itemType === `health`) {
+      this.lives = Math.min(this.lives + 1, 5);
+      this.emit(`health-caught`, item);
+      this.removeItem(item);
+      return;
+    } else if (item.itemType === `mystery`) {
+      this.activateMystery(item);
+      return;
+    }
+    if (item.itemType === `bomb`) {
+      if (this.activePowerups.has(`converter`)) {
+        item.itemType = `gold`;
+        item.value = 50;
+      } else {
+        const damage = this.applyGearDamage(`bomb`);
+        if (damage <= 0) {
+          this.emit(`bomb-blocked`, item);
+          this.removeItem(item);
+          return;
+        }
+        this.lives -= damage;
+        this.combo = 0;
+        this.missStreak = 0;
+        this.perfectStreak = 0;
+        this.emit(`bomb-caught`, item, damage);
+        this.removeItem(item);
+        if (this.lives <= 0) this.gameOver();
+        return;
+      }
+    }
+    if (item.itemType === `glitch`) {
+      this.activateGlitchEffect();
+    } else if (item.itemType === `multiplier`) {
+      this.activateMultiplier();
+    } else if (item.itemType === `virus`) {
+      this.activateVirusEffect();
+      this.removeItem(item);
+      return;
+    }
+    this.itemsCaught++;
+    this.combo++;
+    this.recentCatches.push({
+      time: this.clock.now,
+      value: item.value
+    });
+    this.recentCatches = this.recentCatches.filter(c => this.clock.now - c.time < 10000);
+    this.updatePerformanceScore();
+    this.perfectStreak++;
+    this.maxCombo = Math.max(this.maxCombo, this.combo);
+    this.missStreak = 0;
+    if (item.itemType === `gold`) this.goldCaught++;
+    const overchargeGain = item.itemType === `gold` ? 15 : item.itemType === `giant` ? 25 : 5;
+    this.overcharge = Math.min(100, this.overcharge + overchargeGain);
+    const bonuses = this.playerStats;
+    const comboMultiplier = Math.min(Math.floor(this.combo / 5) + 1, 5);
+    const overchargeBonus = this.overchargeActive ? 2 : 1;
+    const reward = {
+      scoreMultiplier: 1,
+      currencyMultiplier: 1
+    };
+    this.runGearHook(`catch`, item, reward);
+    const points = Math.floor(item.value * this.level * comboMultiplier * this.scoreMultiplier * overchargeBonus * reward.scoreMultiplier * bonuses.scoreMultiplier * bonuses.comboMultiplier);
+    this.score += points;
+    this.earnedCurrency += Math.floor(points / 20 * reward.currencyMultiplier * bonuses.currencyMultiplier);
+    this.lastCatchTime = this.clock.now;
+    this.emit(`item-caught`, item, {
+      points,
+      comboMultiplier
+    });
+    this.removeItem(item);
+    if (this.score % 100 === 0 && this.score > 0) {
+      this.levelUp();
+    }
+  }
+  missItem(item) {
+    if (item.itemType === `bomb`) {
+      this.removeItem(item);
+      return;
+    }
+    if (this.activePowerups.has(`shield`)) {
+      this.useShield();
+      this.emit(`item-missed`, item, 0);
+      this.removeItem(item);
+      return;
+    }
+    const damage = this.applyGearDamage(`miss`);
+    if (damage <= 0) {
+      this.emit(`item-missed`, item, 0);
+      this.removeItem(item);
+      return;
+    }
+    this.combo = 0;
+    this.perfectStreak = 0;
+    this.missStreak++;
+    this.lives -= damage;
+    this.missedItems++;
+    this.updatePerformanceScore();
+    this.emit(`item-missed`, item, damage);
+    this.removeItem(item);
+    if (this.lives <= 0) this.gameOver();
+  }
+  collectPowerup(powerup) {
+    const type = POWERUP_TYPES[powerup.type];
+    this.activePowerups.add(type);
+    this.powerupsCollected[type] = (this.powerupsCollected[type] || 0) + 1;
+    const durations = {
+      magnet: 5000,
+      slowmo: 4000,
+      timewarp: 6000,
+      converter: 8000,
+      hyperdash: 10000,
+      blackhole: 5000
+    };
+    if (type === `shield`) {
+      this.shieldUses = 3 + this.playerStats.shieldBonus;
+    } else if (type === `hyperdash`) {
+      this.dashCooldown = 0;
+    } else if (type === `blackhole`) {
+      this.blackHoleActive = true;
+      this.blackHoleX = this.player.x;
+      this.blackHoleY = this.player.y - 200;
+    }
+    if (durations[type]) {
+      this.clock.delayedCall(durations[type], () => {
+        if (type === `blackhole`) this.blackHoleActive = false;
+        this.activePowerups.delete(type);
+        this.emit(`powerup-expired`, type);
+        this.emit(`powerups-changed`);
+      });
+    }
+    this.emit(`powerup-collected`, type, powerup);
+    this.emit(`powerups-changed`);
+    this.removePowerup(powerup);
+  }
+  activateFreeze() {
+    const originalSpeed = this.itemSpeed;
+    this.itemSpeed = this.itemSpeed * 0.2;
+    this.emit(`freeze-start`);
+    this.clock.delayedCall(4000, () => {
+      this.itemSpeed = originalSpeed;
+    });
+  }
+  activateMystery(item) {
+    const outcomes = [() => {
+      this.score += 100;
+      return `score`;
+    }, () => {
+      this.lives = Math.min(this.lives + 1, 5);
+      return `life`;
+    }, () => {
+      this.scoreMultiplier = 3;
+      this.clock.delayedCall(3000, () => {
+        this.scoreMultiplier = 1;
+      });
+      return `multiplier`;
+    }, () => {
+      this.earnedCurrency += 50;
+      return `currency`;
+    }];
+    const outcome = this.rng.pick(outcomes)();
+    this.emit(`mystery-opened`, item, outcome);
+    this.removeItem(item);
+  }
+  activateMultiplier() {
+    this.scoreMultiplier = 2;
+    this.emit(`multiplier-start`);
+    this.clock.delayedCall(5000, () => {
+      this.scoreMultiplier = 1;
+    });
+  }
+  activateGlitchEffect() {
+    if (this.glitchActive) return;
+    this.glitchActive = true;
+    this.controlsReversed = true;
+    this.emit(`glitch-start`);
+    this.clock.delayedCall(4000, () => {
+      this.glitchActive = false;
+      this.controlsReversed = false;
+      this.emit(`glitch-end`);
+    });
+  }
+  activateVirusEffect() {
+    if (this.virusActive) return;
+    this.virusActive = true;
+    this.emit(`virus-start`);
+    this.clock.delayedCall(5000, () => {
+      this.virusActive = false;
+      this.emit(`virus-end`);
+    });
+  }
+  activateOvercharge() {
+    if (this.overcharge < 100 || this.overchargeActive) return;
+    this.overcharge = 0;
+    this.overchargeActive = true;
+    this.emit(`overcharge-start`);
+    this.clock.delayedCall(8000, () => {
+      this.overchargeActive = false;
+      this.emit(`overcharge-end`);
+    });
+  }
+  updatePerformanceScore() {
+    const recentValue = this.recentCatches.reduce((sum, c) => sum + c.value, 0);
+    const catchRate = this.recentCatches.length / 10;
+    this.performanceScore = Math.min(10, (catchRate + this.combo * 0.1 + recentValue * 0.01) / 3);
+    const params = DIFFICULTY_PARAMS[this.loadout.difficulty] || DIFFICULTY_PARAMS.normal;
+    this.itemSpeed = params.speed * (1 + this.performanceScore * 0.05);
+    const spawnAdjustment = Math.max(0.7, 1 - this.performanceScore * 0.03);
+    this.spawnRate = Math.max(500, params.spawn * spawnAdjustment);
+    this.spawnTimer.delay = this.spawnRate;
+  }
+  levelUp() {
+    this.level++;
+    this.itemSpeed += 20;
+    this.spawnRate = Math.max(500, this.spawnRate - 100);
+    this.spawnTimer.delay = this.spawnRate;
+    this.emit(`level-up`, this.level);
+    if (this.level % 5 === 0) {
+      this.activateChaosMode();
+    }
+  }
+  activateChaosMode() {
+    this.isChaosMode = true;
+    this.emit(`chaos-start`);
+    this.clock.delayedCall(10000, () => {
+      this.isChaosMode = false;
+      this.emit(`chaos-end`);
+    });
+  }
+  getGameTime() {
+    return Math.floor(this.clock.now / 1000);
+  }
+  getResult() {
+    const gameTime = this.getGameTime();
+    return {
+      score: this.score,
+      level: this.level,
+      maxCombo: this.maxCombo,
+      goldCaught: this.goldCaught,
+      earnedCurrency: this.earnedCurrency,
+      itemsCaught: this.itemsCaught,
+      gameTime,
+      earnedXP: LevelingSystem.calculateXP({
+        score: this.score,
+        maxCombo: this.maxCombo,
+        level: this.level,
+        goldCaught: this.goldCaught,
+        gameTime,
+        itemsCaught: this.itemsCaught,
+        missedItems: this.missedItems,
+        bombsDestroyed: this.bombsDestroyed
+      }),
+      missedItems: this.missedItems,
+      bombsDestroyed: this.bombsDestroyed,
+      seed: this.seed
+    };
+  }
+  gameOver() {
+    if (this.isGameOver) return;
+    this.isGameOver = true;
+    this.clock.removeAllEvents();
+    this.emit(`game-over`, this.getResult());
+  }
+}
+const parseInputScript = script => {
+  if (Array.isArray(script?.frames)) return ReplayRecorder.expandFrames(script);
+  const events = (Array.isArray(script) ? script : script?.events || []).slice().sort((a, b) => a.time - b.time);
+  const duration = Math.max(script?.duration || 0, ...events.map(event => event.time || 0));
+  const frames = [];
+  let mask = 0;
+  let eventIndex = 0;
+  for (let time = 0; time <= duration; time += FIXED_STEP) {
+    while (eventIndex < events.length && events[eventIndex].time <= time) {
+      mask = (events[eventIndex].keys || []).reduce((bits, key) => bits | (INPUT_BITS[key] || 0), 0);
+      eventIndex++;
+    }
+    frames.push([FIXED_STEP, mask]);
+  }
+  return frames;
+};
+const MAX_VERIFY_FRAMES = 60 * 60 * 60;
+const UPGRADE_LIMITS = {
+  moveSpeed: 5,
+  dashCooldown: 5,
+  fireRate: 5,
+  extraLife: 1,
+  startShield: 1
+};
+const MAX_PLAYER_LEVEL = 50;
+const LOADOUT_MAX_ITEMS = [8, 15];
+const isPlainObject = value => Boolean(value) && typeof value === `object` && !Array.isArray(value);
+// Proofs come from untrusted clients, so reject any loadout a live GameScene could not have captured
+const isValidLoadout = loadout => {
+  if (!isPlainObject(loadout) || !isPlainObject(loadout.upgrades) || !isPlainObject(loadout.equippedGear)) return false;
+  const upgradesValid = Object.entries(loadout.upgrades).every(([key, value]) => Object.prototype.hasOwnProperty.call(UPGRADE_LIMITS, key) && (typeof value === `boolean` || Number.isInteger(value) && value >= 0 && value <= UPGRADE_LIMITS[key]));
+  const gearValid = Object.entries(loadout.equippedGear).every(([slot, id]) => GEAR_CONFIGS.some(gear => gear.id === id && gear.type === slot));
+  const {
+    doubleTapWindow
+  } = loadout;
+  return upgradesValid && gearValid && Number.isInteger(loadout.playerLevel) && loadout.playerLevel >= 1 && loadout.playerLevel <= MAX_PLAYER_LEVEL && LOADOUT_MAX_ITEMS.includes(loadout.maxItems) && Object.prototype.hasOwnProperty.call(DIFFICULTY_PARAMS, loadout.difficulty) && DASH_MODES.includes(loadout.dashMode) && Number.isFinite(doubleTapWindow) && doubleTapWindow >= DOUBLE_TAP_WINDOW.min && doubleTapWindow <= DOUBLE_TAP_WINDOW.max;
+};
+class RunVerifier {
+  constructor(proof, claimed) {
+    this.claimed = claimed;
+    this.result = null;
+    this.runs = ReplayRecorder.decodeInput(proof?.input);
+    this.runIndex = 0;
+    this.frameInRun = 0;
+    const frameCount = this.runs.reduce((total, [, , count]) => total + count, 0);
+    const malformed = this.runs.some(([, mask, count]) => !Number.isInteger(mask) || !Number.isInteger(count) || count < 1);
+    if (!proof || !isValidLoadout(proof.loadout) || malformed || frameCount > MAX_VERIFY_FRAMES) {
+      this.result = {
+        verified: false,
+        result: null
+      };
+      return;
+    }
+    this.core = new GameCore({
+      seed: proof.seed,
+      loadout: proof.loadout
+    });
+  }
+  // Simulates at most `maxFrames` more frames so callers can spread a long proof over several ticks
+  advance(maxFrames = Infinity) {
+    let budget = maxFrames;
+    while (!this.result && budget > 0) {
+      const run = this.runs[this.runIndex];
+      if (!run || this.core.isGameOver) {
+        this.finish();
+        break;
+      }
+      const [delta, mask, count] = run;
+      const steps = Math.min(count - this.frameInRun, budget);
+      for (let i = 0; i < steps && !this.core.isGameOver; i++) this.core.step(delta, mask);
+      budget -= steps;
+      this.frameInRun += steps;
+      if (this.frameInRun >= count) {
+        this.runIndex++;
+        this.frameInRun = 0;
+      }
+    }
+    return this.result !== null;
+  }
+  finish() {
+    const result = this.core.getResult();
+    const {
+      score,
+      level,
+      maxCombo
+    } = this.claimed;
+    this.result = {
+      verified: this.core.isGameOver && result.score === score && result.level === level && result.maxCombo === maxCombo,
+      result
+    };
+  }
+}
+const verifyRun = (proof, claimed) => {
+  const verifier = new RunVerifier(proof, claimed);
+  verifier.advance();
+  return verifier.result;
+};
+const runHeadless = ({
+  seed,
+  loadout,
+  input,
+  maxTime = 30 * 60 * 1000
+} = {}) => {
+  const core = new GameCore({
+    seed: seed ?? input?.seed,
+    loadout: loadout || input?.loadout
+  });
+  const frames = parseInputScript(input);
+  let frameIndex = 0;
+  while (!core.isGameOver && core.clock.now < maxTime) {
+    const [delta, mask] = frames[frameIndex] || [FIXED_STEP, 0];
+    frameIndex++;
+    core.step(delta, mask);
+  }
+  return {
+    completed: core.isGameOver,
+    payload: core.getResult()
+  };
+};
+export { SeededRandom, SimClock, SimTimer, INPUT_BITS, GEAR_CONFIGS, LevelingSystem, GearEffects, ReplayRecorder, GameCore, FIXED_STEP, POWERUP_TYPES, DASH_MODES, DOUBLE_TAP_WINDOW, runHeadless, parseInputScript, verifyRun, RunVerifier, isValidLoadout, UPGRADE_LIMITS, MAX_PLAYER_LEVEL };
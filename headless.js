@@ -0,0 +1,40 @@
+// Runs a full Dropkeeper game without Phaser and prints the GameOverScene payload as JSON.
+// Usage: node headless.js [--seed <seed>] [--input <script.json>] [--loadout <loadout.json>] [--max-time <ms>]
+//        node headless.js --verify <entry.json>
+// The input file can be an exported replay ({ seed, loadout, frames }) or a key script:
+// [{ "time": 0, "keys": ["LEFT"] }, { "time": 500, "keys": ["FIRE"] }, ...]
+// With --verify <entry.json> it instead re-simulates a leaderboard entry's proof and prints
+// whether the claimed score, level and combo match.
+import { readFileSync } from "node:fs";
+import { runHeadless, verifyRun } from "./gameCore.js";
+const args = process.argv.slice(2);
+const options = {};
+for (let i = 0; i < args.length; i += 2) {
+  options[args[i].replace(/^--/, ``)] = args[i + 1];
+}
+const readJSON = path => {
+  try {
+    return JSON.parse(readFileSync(path, `utf8`));
+  } catch (error) {
+    console.error(`Failed to read ${path}:`, error.message);
+    process.exit(1);
+  }
+};
+// In-game seeds are numbers, and SeededRandom hashes strings, so "--seed 1234" must become 1234 to replay seed 1234
+const parseSeed = seed => seed !== undefined && seed.trim() !== `` && Number.isFinite(Number(seed)) ? Number(seed) : seed;
+if (options.verify) {
+  const entry = readJSON(options.verify);
+  console.log(JSON.stringify(verifyRun(entry.proof, {
+    score: entry.score,
+    level: entry.level,
+    maxCombo: entry.maxCombo ?? entry.combo
+  }), null, 2));
+  process.exit(0);
+}
+const result = runHeadless({
+  seed: parseSeed(options.seed),
+  input: options.input ? readJSON(options.input) : null,
+  loadout: options.loadout ? readJSON(options.loadout) : undefined,
+  maxTime: options[`max-time`] ? Number(options[`max-time`]) : undefined
+});
+console.log(JSON.stringify(result, null, 2));
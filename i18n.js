@@ -0,0 +1,82 @@
+// String tables for every user-facing label. Keys are dotted paths into a locale file,
+// values may contain {name} placeholders and plural entries ({ one, other, ... }) chosen
+// with Intl.PluralRules from the `count` parameter. Missing keys fall back to English.
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+const LOCALES = {
+  en,
+  es
+};
+const FALLBACK_LOCALE = `en`;
+class I18n {
+  static locale = FALLBACK_LOCALE;
+  static missing = new Set();
+  static pluralRules = new Map();
+  static getLocales() {
+    return Object.entries(LOCALES).map(([id, table]) => ({
+      id,
+      name: table.meta.name
+    }));
+  }
+  static isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+  }
+  static detectLocale(languages = []) {
+    return languages.map(language => String(language).toLowerCase().split(`-`)[0]).find(locale => this.isSupported(locale)) || FALLBACK_LOCALE;
+  }
+  static setLocale(locale) {
+    this.locale = this.isSupported(locale) ? locale : FALLBACK_LOCALE;
+    return this.locale;
+  }
+  static lookup(locale, key) {
+    return key.split(`.`).reduce((node, part) => node && typeof node === `object` ? node[part] : undefined, LOCALES[locale]);
+  }
+  static has(key) {
+    return this.lookup(this.locale, key) !== undefined || this.lookup(FALLBACK_LOCALE, key) !== undefined;
+  }
+  static resolve(key) {
+    const entry = this.lookup(this.locale, key);
+    if (entry !== undefined) return {
+      entry,
+      locale: this.locale
+    };
+    const fallback = this.lookup(FALLBACK_LOCALE, key);
+    if (!this.missing.has(key)) {
+      this.missing.add(key);
+      console.warn(`Missing ${this.locale} string for "${key}"`);
+    }
+    return {
+      entry: fallback,
+      locale: FALLBACK_LOCALE
+    };
+  }
+  static plural(entry, count, locale) {
+    if (count === 0 && entry.zero !== undefined) return entry.zero;
+    if (!this.pluralRules.has(locale)) this.pluralRules.set(locale, new Intl.PluralRules(locale));
+    return entry[this.pluralRules.get(locale).select(count)] ?? entry.other;
+  }
+  static format(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+  }
+  static t(key, params = {}) {
+    const {
+      entry,
+      locale
+    } = this.resolve(key);
+    if (entry === undefined) return key;
+    if (typeof entry === `string`) return this.format(entry, params);
+    if (typeof entry === `object` && typeof params.count === `number`) return this.format(this.plural(entry, params.count, locale), params);
+    return key;
+  }
+  static optional(key, fallback, params = {}) {
+    return this.has(key) ? this.t(key, params) : fallback;
+  }
+  static list(key) {
+    const {
+      entry
+    } = this.resolve(key);
+    return Array.isArray(entry) ? entry : [];
+  }
+}
+const t = (key, params) => I18n.t(key, params);
+export { I18n, LOCALES, FALLBACK_LOCALE, t };
@@ -0,0 +1,143 @@
+// Storage backends for the global leaderboard. Every backend exposes the same three methods:
+//   submit(entry)  -> resolves true once stored, false when the backend is unreachable
+//   query(query)   -> resolves one page of raw entries for { mode, difficulty, since, metric, limit, offset };
+//                     a page may hold entries outside the query, so callers re-check it with matchesQuery
+//   reconnect()    -> drops any connection backoff so the next call tries again immediately
+// `state` talks to the hosted StateClient service; `local` keeps entries in this browser's
+// localStorage and `memory` forgets them on reload, so both work with no network at all.
+const getRetryDelay = attempts => Math.min(10 * 60 * 1000, 5000 * 2 ** attempts);
+const DAY = 24 * 60 * 60 * 1000;
+// Daily and weekly windows are fixed UTC periods so every player's board resets at the same moment.
+// 1970-01-05 was a Monday, so multi-day periods (weekly leaderboards) start on Mondays
+const PERIOD_EPOCH = 4 * DAY;
+const getPeriodStart = (now = Date.now(), periods = 1) => {
+  const length = DAY * periods;
+  return Math.floor((now - PERIOD_EPOCH) / length) * length + PERIOD_EPOCH;
+};
+// Entries submitted before modes were tracked are all main-mode runs on normal
+const matchesQuery = (entry, query) => (entry.mode || `classic`) === query.mode && (entry.difficulty || `normal`) === query.difficulty && (entry.timestamp || 0) >= query.since;
+const compareEntries = metric => (a, b) => (b[metric] || 0) - (a[metric] || 0) || b.score - a.score;
+const queryEntries = (entries, query) => entries.filter(entry => matchesQuery(entry, query)).sort(compareEntries(query.metric)).slice(query.offset, query.offset + query.limit);
+class StateClientBackend {
+  constructor({
+    baseURL,
+    appId
+  }) {
+    this.baseURL = baseURL;
+    this.appId = appId;
+    this.client = null;
+    this.initPromise = null;
+    this.failures = 0;
+    this.retryAt = 0;
+  }
+  async getClient() {
+    if (this.client) return this.client;
+    if (Date.now() < this.retryAt) return null;
+    if (this.initPromise) return this.initPromise;
+    this.initPromise = (async () => {
+      try {
+        const StateClient = (await import('@devfunlabs/state-client')).StateClient;
+        this.client = new StateClient({
+          baseURL: this.baseURL,
+          appId: this.appId
+        });
+        this.failures = 0;
+        return this.client;
+      } catch (error) {
+        console.error('Failed to initialize StateClient:', error);
+        this.retryAt = Date.now() + getRetryDelay(this.failures++);
+        return null;
+      } finally {
+        this.initPromise = null;
+      }
+    })();
+    return this.initPromise;
+  }
+  reconnect() {
+    this.retryAt = 0;
+  }
+  async submit(entry) {
+    const client = await this.getClient();
+    if (!client) return false;
+    await client.createEntity('leaderboard', entry);
+    return true;
+  }
+  async query(query) {
+    const client = await this.getClient();
+    if (!client) return [];
+    // Legacy entries have no mode, difficulty or timestamp field for the server to match, so any
+    // clause that matchesQuery would satisfy from its defaults is left to the caller instead
+    const where = {};
+    if (query.mode !== `classic`) where.mode = query.mode;
+    if (query.difficulty !== `normal`) where.difficulty = query.difficulty;
+    if (query.since > 0) {
+      where.timestamp = {
+        gte: query.since
+      };
+    }
+    return client.getEntities('leaderboard', {
+      where,
+      orderBy: {
+        [query.metric]: `desc`
+      },
+      limit: query.limit,
+      offset: query.offset
+    });
+  }
+}
+class MemoryBackend {
+  constructor({
+    entries = []
+  } = {}) {
+    this.entries = entries.slice();
+  }
+  reconnect() {}
+  async submit(entry) {
+    this.entries.push({
+      ...entry
+    });
+    return true;
+  }
+  async query(query) {
+    return queryEntries(this.entries, query);
+  }
+}
+class LocalStorageBackend {
+  constructor({
+    storageKey = `dropkeeper_local_leaderboard`
+  } = {}) {
+    this.storageKey = storageKey;
+  }
+  read() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.storageKey) || `[]`);
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      console.error(`Storage error (${this.storageKey}):`, e);
+      return [];
+    }
+  }
+  reconnect() {}
+  async submit(entry) {
+    localStorage.setItem(this.storageKey, JSON.stringify([...this.read(), entry]));
+    return true;
+  }
+  async query(query) {
+    return queryEntries(this.read(), query);
+  }
+}
+const LEADERBOARD_BACKENDS = {
+  state: StateClientBackend,
+  local: LocalStorageBackend,
+  memory: MemoryBackend
+};
+const createLeaderboardBackend = (id, options = {}) => {
+  if (!LEADERBOARD_BACKENDS[id]) {
+    console.warn(`Unknown leaderboard backend "${id}", using "${options.fallback || `memory`}"`);
+    id = options.fallback || `memory`;
+  }
+  return Object.assign(new LEADERBOARD_BACKENDS[id](options), {
+    id
+  });
+};
+export { LEADERBOARD_BACKENDS, StateClientBackend, LocalStorageBackend, MemoryBackend, createLeaderboardBackend, matchesQuery, compareEntries, getRetryDelay, getPeriodStart };
@@ -0,0 +1,884 @@
+export default {
+  meta: {
+    name: `English`
+  },
+  common: {
+    back: `← BACK`,
+    close: `CLOSE`,
+    backToMenu: `BACK TO MENU`,
+    cancel: `CANCEL`
+  },
+  ranks: {
+    legend: `LEGEND`,
+    master: `MASTER`,
+    expert: `EXPERT`,
+    veteran: `VETERAN`,
+    skilled: `SKILLED`,
+    rookie: `ROOKIE`
+  },
+  menu: {
+    subtitle: `Catch the falling chaos`,
+    highScore: `HIGH SCORE: {score}`,
+    dataChips: `💎 DATA CHIPS: {amount}`,
+    playsToday: `PLAYS TODAY: {remaining}/{max}`,
+    resetIn: `Reset: {hours}h {minutes}m`,
+    freeSubmissions: `Free score submissions`,
+    level: `LEVEL {level}`,
+    start: `Start`,
+    items: {
+      play: `PLAY`,
+      playerHub: `PLAYER HUB`,
+      market: `MARKET`,
+      tutorial: `TUTORIAL`,
+      settings: `SETTINGS`,
+      profiles: `PROFILES`
+    },
+    modes: {
+      title: `SELECT GAME MODE`,
+      normal: `NORMAL MODE`,
+      normalDesc: `Classic gameplay with lives and progression
+Catch items, avoid bombs, level up!`,
+      timeAttack: `TIME ATTACK`,
+      timeAttackDesc: `Score as much as possible in {seconds} seconds
+No lives - pure speed and skill!`,
+      survival: `SURVIVAL`,
+      survivalDesc: `Infinite lives but difficulty increases rapidly
+How long can you last?`,
+      precision: `PRECISION MODE`,
+      precisionDesc: `Smaller catch area, 2x score multiplier
+Perfect timing required!`,
+      comingSoon: `COMING SOON - {date}`,
+      locked: `LOCKED`,
+      play: `▶ PLAY`,
+      passwordLabel: `Early Access Password:`,
+      passwordPlaceholder: `Enter password...`,
+      accessGranted: `✓ ACCESS GRANTED!`,
+      wrongPassword: `❌ INCORRECT PASSWORD`
+    },
+    aura: `[{name} AURA]`
+  },
+  purchase: {
+    title: `PLAY LIMIT REACHED`,
+    usedFreePlays: {
+      one: `You've used your {count} free play for today.`,
+      other: `You've used your {count} free plays for today.`
+    },
+    resetIn: `Reset in: {hours}h {minutes}m`,
+    offer: `Purchase additional play with $CHMPSTR tokens:`,
+    price: `{amount} $CHMPSTR
+(Ethereum Network)`,
+    button: `PURCHASE PLAY`,
+    processing: `Processing transaction...
+Please confirm in MetaMask`,
+    success: `✓ Purchase successful!
+You can now play!`,
+    failed: `❌ Purchase failed: {message}`,
+    needMetaMask: `Please install MetaMask to purchase plays`
+  },
+  achievements: {
+    combo_master: {
+      name: `Combo Master`,
+      desc: `Reach {count}x combo`
+    },
+    speed_demon: {
+      name: `Speed Demon`,
+      desc: `Reach level {count}`
+    },
+    survivor: {
+      name: `Survivor`,
+      desc: `Score {count} points`
+    },
+    gold_collector: {
+      name: `Gold Collector`,
+      desc: {
+        one: `Catch {count} gold item`,
+        other: `Catch {count} gold items`
+      }
+    },
+    untouchable: {
+      name: `Untouchable`,
+      desc: {
+        one: `Catch {count} item without missing`,
+        other: `Catch {count} items without missing`
+      }
+    }
+  },
+  skins: {
+    default: `DEFAULT`,
+    fire: `FIRE`,
+    ice: `ICE`,
+    gold: `GOLD`,
+    purple: `PURPLE`
+  },
+  auras: {
+    none: `NONE`,
+    flame: `FLAME`,
+    frost: `FROST`,
+    electric: `ELECTRIC`
+  },
+  gear: {
+    title: `[GEAR LOADOUT]`,
+    inventory: `GEAR INVENTORY`,
+    tabs: {
+      all: `ALL`,
+      gun: `GUN`,
+      net: `NET`,
+      utility: `UTIL`
+    },
+    slots: {
+      gun: `GUN`,
+      net: `NET`,
+      utility: `UTILITY`
+    },
+    rarity: {
+      common: `COMMON`,
+      rare: `RARE`,
+      epic: `EPIC`,
+      legendary: `LEGENDARY`
+    },
+    equipped: `✓ EQUIPPED`,
+    equip: `EQUIP`,
+    remove: `REMOVE`,
+    buy: `BUY {cost} 💎`,
+    clickToPurchase: `Click to purchase`,
+    needMore: {
+      one: `Need {count} more chip`,
+      other: `Need {count} more chips`
+    },
+    acquired: `{icon} {name} ACQUIRED!`,
+    compareHint: `💡 Hover over EQUIP to compare stats`,
+    backToHub: `BACK TO HUB`,
+    loadout: `LOADOUT MANAGEMENT`,
+    empty: `[ EMPTY ]`,
+    setBonus: `{name}: {label}`,
+    allStats: `+{percent}% All Stats`,
+    sets: {
+      legendary: `LEGENDARY SET`,
+      epic: `EPIC SET`,
+      rare: `RARE SET`,
+      balanced: `BALANCED SET`
+    },
+    summary: `SPD {speed}  FIRE {fire}
+SCORE {score}  💎 {currency}`,
+    presets: `PRESETS`,
+    slot: `SLOT {number}`,
+    saved: `SAVED!`,
+    switchHint: `← → switch`,
+    comparison: `COMPARISON`,
+    current: `CURRENT: {name}`,
+    new: `NEW: {name}`,
+    stat: `{name}: {value}`,
+    stats: {
+      netRange: `netRange`,
+      piercing: `piercing`,
+      speed: `speed`,
+      dashes: `dashes`,
+      magnetRange: `magnetRange`,
+      fireRate: `fireRate`,
+      aoe: `aoe`,
+      duration: `duration`,
+      dashSpeed: `dashSpeed`,
+      cooldown: `cooldown`,
+      shield: `shield`,
+      chains: `chains`,
+      range: `range`,
+      scoreBonus: `scoreBonus`,
+      currency: `currency`,
+      itemSpeed: `itemSpeed`,
+      autoAim: `autoAim`
+    },
+    statValues: {
+      Enabled: `Enabled`,
+      "5 hits": `5 hits`
+    },
+    items: {
+      wide_net: {
+        name: `Wide Net`,
+        desc: `50% larger catch radius for net weapon`
+      },
+      piercing_gun: {
+        name: `Piercing Gun`,
+        desc: `Bullets pierce through multiple targets`
+      },
+      speed_boots: {
+        name: `Speed Boots`,
+        desc: `+30% movement speed`
+      },
+      double_dash: {
+        name: `Double Dash`,
+        desc: `Dash twice before cooldown`
+      },
+      magnet_gloves: {
+        name: `Magnet Gloves`,
+        desc: `Passive item attraction (weak)`
+      },
+      rapid_fire: {
+        name: `Rapid Fire`,
+        desc: `25% faster fire rate`
+      },
+      explosive_rounds: {
+        name: `Explosive Rounds`,
+        desc: `Bullets explode on impact, damaging nearby items`
+      },
+      mega_net: {
+        name: `Mega Net`,
+        desc: `Massive net with 2x size and duration`
+      },
+      turbo_dash: {
+        name: `Turbo Dash`,
+        desc: `50% faster dash speed and -30% cooldown`
+      },
+      shield_generator: {
+        name: `Shield Generator`,
+        desc: `Start each game with a 5-hit shield`
+      },
+      chain_lightning: {
+        name: `Chain Lightning`,
+        desc: `Bullets chain to 2 nearby targets`
+      },
+      fortune_aura: {
+        name: `Fortune Aura`,
+        desc: `+50% score multiplier and double currency`
+      },
+      time_dilation: {
+        name: `Time Dilation`,
+        desc: `Slow items by 20% permanently`
+      },
+      homing_net: {
+        name: `Homing Net`,
+        desc: `Net auto-aims toward nearest item cluster`
+      }
+    }
+  },
+  perks: {
+    speed_1: {
+      name: `Speed Boost I`,
+      desc: `+5% movement speed`
+    },
+    xp_1: {
+      name: `XP Boost I`,
+      desc: `+10% XP gained`
+    },
+    lucky_1: {
+      name: `Lucky Strike I`,
+      desc: `+5% currency drop`
+    },
+    speed_2: {
+      name: `Speed Boost II`,
+      desc: `+10% movement speed`
+    },
+    shield_mastery: {
+      name: `Shield Mastery`,
+      desc: `Shields last +1 hit`
+    },
+    xp_2: {
+      name: `XP Boost II`,
+      desc: `+20% XP gained`
+    },
+    lucky_2: {
+      name: `Lucky Strike II`,
+      desc: `+10% currency drop`
+    },
+    speed_3: {
+      name: `Speed Boost III`,
+      desc: `+15% movement speed`
+    },
+    combo_expert: {
+      name: `Combo Expert`,
+      desc: `+25% combo score`
+    },
+    master_collector: {
+      name: `Master Collector`,
+      desc: `+15% to speed, currency & combo bonuses`
+    },
+    legendary_status: {
+      name: `Legendary Status`,
+      desc: `+25% to all stats (speed, XP, currency, combo)`
+    },
+    more: {
+      one: `+{count} more perk...`,
+      other: `+{count} more perks...`
+    },
+    reward: {
+      one: `{count} Data Chip`,
+      other: `{count} Data Chips`
+    }
+  },
+  gameOver: {
+    title: `[GAME_OVER]`,
+    score: `SCORE: {score}`,
+    stats: {
+      level: `LEVEL`,
+      maxCombo: `MAX COMBO`,
+      gold: `GOLD`,
+      earned: `EARNED`
+    },
+    items: `ITEMS: {count}`,
+    time: `TIME: {time}`,
+    xp: `XP: +{xp}`,
+    levelUp: `★ LEVEL UP! ★`,
+    activePerks: {
+      one: `{count} Active Perk`,
+      other: `{count} Active Perks`
+    },
+    newRecord: `★ NEW PERSONAL RECORD ★`,
+    playAgain: `PLAY AGAIN`,
+    watchReplay: `WATCH REPLAY`,
+    mainMenu: `MAIN MENU`,
+    enterName: `ENTER NAME FOR GLOBAL LEADERBOARD`,
+    pressEnter: `Press ENTER to submit`,
+    submitted: `✓ Submitted to global leaderboard!`,
+    submitting: `⏳ Submitting score...`,
+    submitPending: `⏳ Offline - score saved and will sync later`,
+    submitFailed: `✗ Could not submit score - retry from the leaderboard`
+  },
+  tutorial: {
+    title: `[INTERACTIVE TUTORIAL]`,
+    howToPlay: `[HOW TO PLAY]`,
+    skip: `SKIP TUTORIAL`,
+    controls: `>> CONTROLS <<`,
+    objective: `>> OBJECTIVE <<`,
+    powerUps: `>> POWER-UPS <<`,
+    move: `{left} {right} - Move left/right`,
+    dashModes: {
+      doubletap: `DOUBLE-TAP + HOLD or {dash}`,
+      key: `HOLD {dash}`,
+      toggle: `TAP {dash} (toggle)`
+    },
+    dash: `{mode} - Dash`,
+    fire: `{fire} - Fire weapon`,
+    switch: `{gun} / {net} - Switch weapons`,
+    overcharge: `{overcharge} - Activate Overcharge`,
+    gamepad: `🎮 GAMEPAD - Stick move • LB/RB dash • A fire • X/Y weapons • B overcharge`,
+    catchItems: `Catch falling items before they hit the ground!`,
+    avoidBombs: `Avoid bombs or shoot them with your weapon!`,
+    shield: `🛡️ Shield - Forgive 3 missed items`,
+    magnet: `🧲 Magnet - Auto-attract positive items`,
+    slowMo: `⏱️ Slow-Mo - Slow down time`,
+    missLimit: `Miss 3 items = GAME OVER!`,
+    ready: `Ready to try it yourself?`,
+    pressToStart: `Press {fire} (or A / FIRE) to start interactive tutorial`,
+    dashHints: {
+      key: `HOLD {dash} while moving to DASH`,
+      toggle: `Press {dash} while moving to start a DASH, press again to stop`,
+      doubletap: `DOUBLE-TAP and HOLD a move key (or hold {dash} while moving) to DASH`
+    },
+    steps: {
+      move: `Use {left} {right} to move left and right
+Try moving in both directions!`,
+      moveProgress: `Step 1/5: Learn Movement`,
+      dash: `{hint}
+Try dashing left or right!`,
+      dashProgress: `Step 2/5: Learn Dashing`,
+      catch: `Catch the falling items by moving under them!
+Catch {count} items to continue`,
+      catchProgress: `Step 3/5: Catch Items {progress}`,
+      switch: `Press {gun} for GUN, {net} for NET
+Try switching to NET weapon!`,
+      switchProgress: `Step 4/5: Switch Weapons`,
+      fire: `Press {fire} to fire your weapon!
+Destroy the bomb to complete the tutorial`,
+      fireProgress: `Step 5/5: Use Weapons`
+    },
+    complete: `✓ TUTORIAL COMPLETE!`,
+    readyToPlay: `You're ready to play!`
+  },
+  challenges: {
+    title: `[CHALLENGES]`,
+    daily: `DAILY CHALLENGE`,
+    weekly: `WEEKLY CHALLENGE`,
+    claim: `CLAIM REWARD`,
+    types: {
+      gold_collector: {
+        one: `Catch {target} gold item`,
+        other: `Catch {target} gold items`
+      },
+      bomb_destroyer: {
+        one: `Destroy {target} bomb`,
+        other: `Destroy {target} bombs`
+      },
+      level_master: `Reach level {target}`,
+      perfect_run: {
+        one: `Catch {target} item without missing`,
+        other: `Catch {target} items without missing`
+      }
+    }
+  },
+  settings: {
+    title: `[SETTINGS]`,
+    tabs: {
+      basic: `BASIC`,
+      visuals: `VISUALS`,
+      controls: `CONTROLS`,
+      accessibility: `ACCESSIBILITY`,
+      audio: `AUDIO`,
+      graphics: `GRAPHICS`
+    },
+    language: `LANGUAGE`,
+    languageHint: `Follows your browser language until you pick one`,
+    audio: {
+      buses: {
+        master: `MASTER`,
+        music: `MUSIC`,
+        sfx: `EFFECTS`,
+        ui: `INTERFACE`
+      },
+      hint: `Drag a slider or click the speaker to mute a channel`,
+      reset: `RESET DEFAULTS`
+    },
+    graphics: {
+      preset: `QUALITY PRESET`,
+      presets: {
+        low: `LOW`,
+        medium: `MEDIUM`,
+        high: `HIGH`,
+        ultra: `ULTRA`,
+        auto: `AUTO`
+      },
+      presetHint: `Auto lowers or raises quality to hold 60 FPS`,
+      toggles: {
+        particles: `PARTICLES`,
+        shadows: `SHADOWS`,
+        grid: `BACKGROUND GRID`,
+        screenShake: `SCREEN SHAKE`,
+        debris: `DEBRIS & VEHICLES`
+      },
+      lowHint: `Shadows and grid are always off on LOW`,
+      on: `ON`,
+      off: `OFF`,
+      reset: `RESET DEFAULTS`
+    },
+    basic: {
+      skin: `PLAYER SKIN`,
+      changeSkin: `CHANGE SKIN`,
+      aura: `PLAYER AURA`,
+      changeAura: `CHANGE AURA`,
+      difficulty: `DIFFICULTY`,
+      changeDifficulty: `CHANGE DIFFICULTY`,
+      resetAll: `RESET ALL DATA`
+    },
+    controls: {
+      actions: {
+        LEFT: `MOVE LEFT`,
+        RIGHT: `MOVE RIGHT`,
+        DASH: `DASH`,
+        FIRE: `FIRE`,
+        GUN: `GUN`,
+        NET: `NET`,
+        OVERCHARGE: `OVERCHARGE`,
+        PAUSE: `PAUSE`
+      },
+      dashMode: `DASH MODE`,
+      dashModes: {
+        doubletap: `DOUBLE-TAP`,
+        key: `HOLD KEY`,
+        toggle: `TOGGLE`
+      },
+      doubleTapWindow: `DOUBLE-TAP WINDOW`,
+      milliseconds: `{value}ms`,
+      hint: `Click a key to rebind it`,
+      pressKey: `PRESS A KEY...`,
+      pressKeyFor: `Press a key for {action}`,
+      unbindable: `That key cannot be bound`,
+      conflict: `{key} is already bound to {action}`,
+      bound: `{action} bound to {key}`,
+      gamepad: `GAMEPAD: Stick/D-pad move • LB/RB dash • A fire • X gun • Y net • B overcharge • START pause`,
+      reset: `RESET DEFAULTS`
+    },
+    accessibility: {
+      palette: `ITEM PALETTE`,
+      paletteHint: `Colorblind-safe colors for falling items`,
+      palettes: {
+        default: `DEFAULT`,
+        redgreen: `RED-GREEN SAFE`,
+        blueyellow: `BLUE-YELLOW SAFE`
+      },
+      itemIcons: `ITEM ICONS`,
+      itemIconsHint: `Draw a shape on every item so it never relies on color`,
+      motion: `MOTION`,
+      motionHint: `Reduced scales down shakes and tweens, off disables them; both remove glitch effects`,
+      motionModes: {
+        full: `FULL`,
+        reduced: `REDUCED`,
+        off: `OFF`
+      },
+      photosensitive: `PHOTOSENSITIVE MODE`,
+      photosensitiveHint: `Limits screen flashes to one per second at reduced brightness`,
+      preview: `ITEM PREVIEW`,
+      itemTypes: {
+        regular: `REGULAR`,
+        silver: `SILVER`,
+        gold: `GOLD`,
+        giant: `GIANT`,
+        bomb: `BOMB`,
+        freeze: `FREEZE`,
+        health: `HEALTH`,
+        mystery: `MYSTERY`,
+        glitch: `GLITCH`,
+        multiplier: `MULTIPLIER`
+      },
+      reset: `RESET DEFAULTS`
+    },
+    visuals: {
+      preview: `LIVE PREVIEW`,
+      character: `Your Character`,
+      categories: {
+        catchEffects: `Catch Effects`,
+        playerTrails: `Player Trails`,
+        weaponVisuals: `Weapon Visuals`,
+        uiThemes: `UI Themes`
+      },
+      short: {
+        catchEffects: `Catch`,
+        playerTrails: `Trail`,
+        weaponVisuals: `Weapon`,
+        uiThemes: `Theme`
+      },
+      current: `{category}: {value}`
+    }
+  },
+  leaderboard: {
+    title: `[GLOBAL LEADERBOARD]`,
+    loading: `LOADING GLOBAL SCORES...`,
+    failed: `FAILED TO LOAD SCORES`,
+    empty: `No global scores yet!
+Be the first to set a record!`,
+    you: `YOU`,
+    back: `BACK TO MENU`,
+    modes: {
+      classic: `CLASSIC`,
+      timeattack: `TIME ATTACK`,
+      survival: `SURVIVAL`,
+      precision: `PRECISION`
+    },
+    difficulties: {
+      easy: `EASY`,
+      normal: `NORMAL`,
+      hard: `HARD`
+    },
+    rankedBy: {
+      score: `>> RANKED BY SCORE <<`,
+      gameTime: `>> RANKED BY SURVIVAL TIME <<`,
+      perfectCatches: `>> RANKED BY PERFECT CATCHES <<`
+    },
+    windows: {
+      daily: `TODAY`,
+      weekly: `THIS WEEK`,
+      alltime: `ALL TIME`
+    },
+    yourRank: `YOUR RANK`,
+    notRanked: `No run in the top {count} yet`,
+    perfectCatches: {
+      one: `{count} PERFECT`,
+      other: `{count} PERFECT`
+    },
+    points: `{score} PTS`,
+    verified: `✓ VERIFIED`,
+    unverified: `UNVERIFIED`,
+    verifiedOnly: `✓ VERIFIED ONLY`,
+    verifyUnavailable: `Replay verification covers main-mode runs only`,
+    outbox: {
+      pending: {
+        one: `⏳ {count} score waiting to sync`,
+        other: `⏳ {count} scores waiting to sync`
+      },
+      failed: {
+        one: `✗ {count} score failed to sync`,
+        other: `✗ {count} scores failed to sync`
+      },
+      retry: `RETRY`
+    }
+  },
+  pause: {
+    title: `[PAUSED]`,
+    hint: `Press {key} or START to resume`,
+    resume: `RESUME`,
+    mainMenu: `MAIN MENU`
+  },
+  achievementsScreen: {
+    title: `[ACHIEVEMENTS]`,
+    unlocked: `{unlocked}/{total} UNLOCKED`,
+    currentSkin: `CURRENT SKIN: {skin}`
+  },
+  profiles: {
+    title: `[PROFILES]`,
+    level: `LEVEL {level}`,
+    active: `[ACTIVE]`,
+    switch: `[SWITCH]`,
+    rename: `[RENAME]`,
+    delete: `[DELETE]`,
+    renamePrompt: `RENAME {name}`,
+    new: `NEW PROFILE`,
+    newPrompt: `NEW PROFILE NAME`,
+    entryHint: `ENTER to confirm • ESC to cancel`,
+    deleteConfirm: `DELETE {name}?
+All progress in this profile will be lost.`,
+    deleteButton: `DELETE`
+  },
+  cosmetics: {
+    catchEffects: {
+      default: `Default`,
+      fire: `Fire Burst`,
+      ice: `Ice Crystal`,
+      electric: `Lightning`,
+      rainbow: `Rainbow`,
+      toxic: `Toxic`
+    },
+    playerTrails: {
+      default: `Default`,
+      solid: `Solid Line`,
+      glitch: `Glitchy`,
+      echo: `Echo`,
+      neon: `Neon`,
+      stars: `Starfield`
+    },
+    weaponVisuals: {
+      default: `Default`,
+      fire: `Flame`,
+      ice: `Frost`,
+      plasma: `Plasma`,
+      laser: `Laser`,
+      void: `Void`
+    },
+    uiThemes: {
+      cyber: `Cyber`,
+      fire: `Inferno`,
+      ice: `Frozen`,
+      toxic: `Toxic`,
+      dark: `Dark Mode`,
+      gold: `Golden`
+    }
+  },
+  saveTransfer: {
+    export: `EXPORT SAVE`,
+    import: `IMPORT SAVE`,
+    exported: `Save exported`,
+    exportFailed: `Export failed`,
+    confirmTitle: `IMPORT SAVE?`,
+    exportedAt: `Exported {date}`,
+    noChanges: `No differences from current save`,
+    moreChanges: {
+      one: `+{count} more change`,
+      other: `+{count} more changes`
+    },
+    rejected: {
+      one: `{count} invalid field skipped`,
+      other: `{count} invalid fields skipped`
+    },
+    overwrite: `OVERWRITE`,
+    entries: {
+      one: `{count} entry`,
+      other: `{count} entries`
+    },
+    fields: {
+      level: `LEVEL`,
+      xp: `XP`,
+      currency: `CREDITS`,
+      highScore: `HIGH SCORE`,
+      gear: `GEAR`,
+      equippedGear: `EQUIPPED GEAR`,
+      achievements: `ACHIEVEMENTS`
+    },
+    errors: {
+      unreadable: `Could not read file`,
+      invalidJson: `File is not valid JSON`,
+      notASave: `Not a Dropkeeper save file`,
+      newerVersion: `Save was made by a newer version`,
+      checksum: `Checksum mismatch - file is corrupt or edited`
+    }
+  },
+  playerHub: {
+    title: `[PLAYER HUB]`,
+    progress: `>> PROGRESS <<`,
+    statistics: `>> STATISTICS <<`,
+    cards: {
+      achievements: {
+        title: `ACHIEVEMENTS`,
+        desc: `Unlock rewards and track milestones`
+      },
+      challenges: {
+        title: `CHALLENGES`,
+        desc: `Complete daily and weekly tasks`
+      },
+      gear: {
+        title: `GEAR LOADOUT`,
+        desc: `Customize your equipment setup`
+      },
+      leaderboard: {
+        title: `LEADERBOARD`,
+        desc: `Compete with top players`
+      },
+      statistics: {
+        title: `STATISTICS`,
+        desc: `View detailed performance data`
+      },
+      progression: {
+        title: `PROGRESSION`,
+        desc: `View level perks and bonuses`
+      }
+    }
+  },
+  progression: {
+    xp: `{xp} / {next} XP`,
+    bonuses: `ACTIVE BONUSES`,
+    bonus: {
+      speed: `Speed: +{percent}%`,
+      xp: `XP Gain: +{percent}%`,
+      currency: `Currency: +{percent}%`,
+      combo: `Combo: +{percent}%`,
+      shield: {
+        one: `Shield: +{count} hit`,
+        other: `Shield: +{count} hits`
+      }
+    },
+    perks: `UNLOCKED PERKS`,
+    milestones: `UPCOMING MILESTONES`,
+    milestoneLevel: `Level {level}`,
+    perkCount: {
+      one: `{count} perk`,
+      other: `{count} perks`
+    }
+  },
+  gameModes: {
+    title: `[GAME MODES]`,
+    testing: `>> TESTING PHASE <<`
+  },
+  hud: {
+    score: `SCORE: {score}`,
+    time: `TIME: {seconds}s`,
+    items: `ITEMS: {count}`,
+    level: `LVL: {level}`,
+    lives: `LIVES: {hearts}`,
+    difficulty: `DIFFICULTY {level}`,
+    combo: `{combo}x COMBO!`,
+    comboScore: `{multiplier}x SCORE`,
+    comboFading: `COMBO FADING!`,
+    perfect: `PERFECT!`,
+    perfectCombo: `{combo}x PERFECT!`,
+    perfectCount: `PERFECT: {count}`,
+    catchRadius: `CATCH RADIUS: {radius}px`,
+    overcharge: `OVERCHARGE: {percent}%`,
+    overchargeReady: `[PRESS {key} TO OVERCHARGE]`,
+    overchargeActive: `<<< OVERCHARGE >>>`,
+    gravityWell: `GRAVITY WELL`,
+    levelUp: `>>LEVEL_{level}<<`,
+    chaos: `<<<CHAOS_MODE>>>`,
+    difficultyIncreased: `⚠️ DIFFICULTY INCREASED`,
+    skinUnlocked: `🎨 NEW SKIN UNLOCKED: {skin}!`,
+    weapons: {
+      gun: `GUN`,
+      net: `NET`
+    },
+    goals: {
+      timeAttack: `⏱️ SCORE AS MUCH AS POSSIBLE!`,
+      survival: `💀 DODGE BOMBS - SURVIVE AS LONG AS POSSIBLE!`,
+      precision: `🎯 PRECISION REQUIRED - UP TO 10X MULTIPLIER!`
+    },
+    powerups: {
+      activated: {
+        shield: `🛡️ SHIELD ACTIVE`,
+        magnet: `🧲 MAGNET PULL`,
+        slowmo: `⏱️ SLOW MOTION`,
+        timewarp: `⏰ TIME WARP`,
+        converter: `🔄 CONVERTER`,
+        hyperdash: `⚡ HYPER DASH`,
+        blackhole: `⚫ BLACK HOLE`
+      },
+      active: {
+        shield: `🛡️ SHIELD`,
+        magnet: `🧲 MAGNET`,
+        slowmo: `⏱️ SLOW-MO`,
+        timewarp: `⏰ TIME-WARP`,
+        converter: `🔄 CONVERTER`,
+        hyperdash: `⚡ HYPER-DASH`,
+        blackhole: `⚫ BLACK-HOLE`
+      }
+    }
+  },
+  replay: {
+    banner: `▶ REPLAY  •  {date}`,
+    hint: `SPACE pause • ↑↓ speed • ←→ seek 5s • {key} exit`,
+    paused: `❚❚ PAUSED`,
+    playing: `▶ PLAYING`,
+    complete: `REPLAY COMPLETE`,
+    scoreMismatch: `SCORE: {score}  (recorded {recorded})`,
+    watchAgain: `WATCH AGAIN`,
+    back: `BACK`
+  },
+  market: {
+    cosmetics: {
+      title: `COSMETIC SHOP`,
+      desc: `Purchase unique player skins, auras, and visual effects`
+    },
+    upgrades: {
+      title: `UPGRADES`,
+      desc: `Enhance abilities, boost stats, and unlock new powers`
+    },
+    visit: `VISIT →`
+  },
+  shop: {
+    title: `[COSMETIC SHOP]`,
+    skins: `PLAYER SKINS`,
+    skinName: `{skin} SKIN`,
+    owned: `OWNED`,
+    buy: `BUY (💎 {cost})`
+  },
+  upgrades: {
+    title: `[UPGRADE SHOP]`,
+    items: {
+      moveSpeed: {
+        name: `Movement Speed`,
+        desc: `+50 speed per level`
+      },
+      dashCooldown: {
+        name: `Dash Cooldown`,
+        desc: `-150ms per level`
+      },
+      fireRate: {
+        name: `Fire Rate`,
+        desc: `-50ms per level`
+      },
+      extraLife: {
+        name: `Extra Life`,
+        desc: `Start with 4 lives`
+      },
+      startShield: {
+        name: `Shield Start`,
+        desc: `Begin with shield`
+      }
+    },
+    owned: `OWNED`,
+    notOwned: `NOT OWNED`,
+    level: `LVL {level}/{max}`,
+    buy: `BUY (💎 {cost})`
+  },
+  statsScreen: {
+    title: `[STATISTICS]`,
+    sections: {
+      gameplay: `>> GAMEPLAY <<`,
+      collection: `>> COLLECTION <<`,
+      timePlayed: `>> TIME PLAYED <<`,
+      powerups: `>> POWERUPS <<`,
+      replays: `>> REPLAYS <<`
+    },
+    gamesPlayed: `Games Played`,
+    totalScore: `Total Score`,
+    averageScore: `Average Score`,
+    highScore: `High Score`,
+    itemsCaught: `Items Caught`,
+    goldItems: `Gold Items`,
+    bombsDestroyed: `Bombs Destroyed`,
+    bestCombo: `Best Combo`,
+    totalTime: `Total Time`,
+    longestSession: `Longest Session`,
+    favorite: `Favorite`,
+    totalCollected: `Total Collected`,
+    none: `None`,
+    noReplays: `No replays recorded yet`,
+    replayResult: `{score} pts • Lv {level}`,
+    watch: `[WATCH]`
+  },
+  touch: {
+    fire: `FIRE`
+  }
+};
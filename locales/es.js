@@ -0,0 +1,884 @@
+export default {
+  meta: {
+    name: `Español`
+  },
+  common: {
+    back: `← VOLVER`,
+    close: `CERRAR`,
+    backToMenu: `VOLVER AL MENÚ`,
+    cancel: `CANCELAR`
+  },
+  ranks: {
+    legend: `LEYENDA`,
+    master: `MAESTRO`,
+    expert: `EXPERTO`,
+    veteran: `VETERANO`,
+    skilled: `HÁBIL`,
+    rookie: `NOVATO`
+  },
+  menu: {
+    subtitle: `Atrapa el caos que cae`,
+    highScore: `PUNTUACIÓN MÁXIMA: {score}`,
+    dataChips: `💎 CHIPS DE DATOS: {amount}`,
+    playsToday: `PARTIDAS HOY: {remaining}/{max}`,
+    resetIn: `Reinicio: {hours}h {minutes}m`,
+    freeSubmissions: `Envío de puntuaciones gratis`,
+    level: `NIVEL {level}`,
+    start: `Inicio`,
+    items: {
+      play: `JUGAR`,
+      playerHub: `CENTRO DEL JUGADOR`,
+      market: `MERCADO`,
+      tutorial: `TUTORIAL`,
+      settings: `AJUSTES`,
+      profiles: `PERFILES`
+    },
+    modes: {
+      title: `ELIGE UN MODO DE JUEGO`,
+      normal: `MODO NORMAL`,
+      normalDesc: `Juego clásico con vidas y progresión
+¡Atrapa objetos, esquiva bombas y sube de nivel!`,
+      timeAttack: `CONTRARRELOJ`,
+      timeAttackDesc: `Consigue todos los puntos que puedas en {seconds} segundos
+Sin vidas: ¡pura velocidad y habilidad!`,
+      survival: `SUPERVIVENCIA`,
+      survivalDesc: `Vidas infinitas, pero la dificultad sube rápido
+¿Cuánto aguantarás?`,
+      precision: `MODO PRECISIÓN`,
+      precisionDesc: `Zona de captura más pequeña, puntuación x2
+¡Se necesita una sincronización perfecta!`,
+      comingSoon: `PRÓXIMAMENTE - {date}`,
+      locked: `BLOQUEADO`,
+      play: `▶ JUGAR`,
+      passwordLabel: `Contraseña de acceso anticipado:`,
+      passwordPlaceholder: `Introduce la contraseña...`,
+      accessGranted: `✓ ¡ACCESO CONCEDIDO!`,
+      wrongPassword: `❌ CONTRASEÑA INCORRECTA`
+    },
+    aura: `[AURA {name}]`
+  },
+  purchase: {
+    title: `LÍMITE DE PARTIDAS ALCANZADO`,
+    usedFreePlays: {
+      one: `Has usado tu {count} partida gratis de hoy.`,
+      other: `Has usado tus {count} partidas gratis de hoy.`
+    },
+    resetIn: `Se reinicia en: {hours}h {minutes}m`,
+    offer: `Compra una partida extra con tokens $CHMPSTR:`,
+    price: `{amount} $CHMPSTR
+(Red Ethereum)`,
+    button: `COMPRAR PARTIDA`,
+    processing: `Procesando la transacción...
+Confírmala en MetaMask`,
+    success: `✓ ¡Compra completada!
+¡Ya puedes jugar!`,
+    failed: `❌ La compra ha fallado: {message}`,
+    needMetaMask: `Instala MetaMask para comprar partidas`
+  },
+  achievements: {
+    combo_master: {
+      name: `Maestro del combo`,
+      desc: `Alcanza un combo de x{count}`
+    },
+    speed_demon: {
+      name: `Demonio de la velocidad`,
+      desc: `Alcanza el nivel {count}`
+    },
+    survivor: {
+      name: `Superviviente`,
+      desc: `Consigue {count} puntos`
+    },
+    gold_collector: {
+      name: `Coleccionista de oro`,
+      desc: {
+        one: `Atrapa {count} objeto dorado`,
+        other: `Atrapa {count} objetos dorados`
+      }
+    },
+    untouchable: {
+      name: `Intocable`,
+      desc: {
+        one: `Atrapa {count} objeto sin fallar`,
+        other: `Atrapa {count} objetos sin fallar`
+      }
+    }
+  },
+  skins: {
+    default: `PREDETERMINADO`,
+    fire: `FUEGO`,
+    ice: `HIELO`,
+    gold: `ORO`,
+    purple: `PÚRPURA`
+  },
+  auras: {
+    none: `NINGUNA`,
+    flame: `LLAMA`,
+    frost: `ESCARCHA`,
+    electric: `ELÉCTRICA`
+  },
+  gear: {
+    title: `[EQUIPAMIENTO]`,
+    inventory: `INVENTARIO`,
+    tabs: {
+      all: `TODO`,
+      gun: `ARMA`,
+      net: `RED`,
+      utility: `ÚTIL`
+    },
+    slots: {
+      gun: `ARMA`,
+      net: `RED`,
+      utility: `UTILIDAD`
+    },
+    rarity: {
+      common: `COMÚN`,
+      rare: `RARO`,
+      epic: `ÉPICO`,
+      legendary: `LEGENDARIO`
+    },
+    equipped: `✓ EQUIPADO`,
+    equip: `EQUIPAR`,
+    remove: `QUITAR`,
+    buy: `COMPRAR {cost} 💎`,
+    clickToPurchase: `Haz clic para comprar`,
+    needMore: {
+      one: `Te falta {count} chip`,
+      other: `Te faltan {count} chips`
+    },
+    acquired: `¡{icon} {name} CONSEGUIDO!`,
+    compareHint: `💡 Pasa el cursor por EQUIPAR para comparar`,
+    backToHub: `VOLVER AL CENTRO`,
+    loadout: `GESTIÓN DEL EQUIPO`,
+    empty: `[ VACÍO ]`,
+    setBonus: `{name}: {label}`,
+    allStats: `+{percent}% a todo`,
+    sets: {
+      legendary: `CONJUNTO LEGENDARIO`,
+      epic: `CONJUNTO ÉPICO`,
+      rare: `CONJUNTO RARO`,
+      balanced: `CONJUNTO EQUILIBRADO`
+    },
+    summary: `VEL {speed}  DISP {fire}
+PUNT {score}  💎 {currency}`,
+    presets: `CONFIGURACIONES`,
+    slot: `RANURA {number}`,
+    saved: `¡GUARDADO!`,
+    switchHint: `← → cambiar`,
+    comparison: `COMPARACIÓN`,
+    current: `ACTUAL: {name}`,
+    new: `NUEVO: {name}`,
+    stat: `{name}: {value}`,
+    stats: {
+      netRange: `alcance de red`,
+      piercing: `perforación`,
+      speed: `velocidad`,
+      dashes: `impulsos`,
+      magnetRange: `alcance del imán`,
+      fireRate: `cadencia`,
+      aoe: `área`,
+      duration: `duración`,
+      dashSpeed: `vel. de impulso`,
+      cooldown: `recarga`,
+      shield: `escudo`,
+      chains: `cadenas`,
+      range: `alcance`,
+      scoreBonus: `bonus de puntos`,
+      currency: `moneda`,
+      itemSpeed: `vel. de objetos`,
+      autoAim: `autoapuntado`
+    },
+    statValues: {
+      Enabled: `Activado`,
+      "5 hits": `5 golpes`
+    },
+    items: {
+      wide_net: {
+        name: `Red amplia`,
+        desc: `Radio de captura de la red un 50% mayor`
+      },
+      piercing_gun: {
+        name: `Arma perforante`,
+        desc: `Las balas atraviesan varios objetivos`
+      },
+      speed_boots: {
+        name: `Botas veloces`,
+        desc: `+30% de velocidad de movimiento`
+      },
+      double_dash: {
+        name: `Doble impulso`,
+        desc: `Dos impulsos antes de la recarga`
+      },
+      magnet_gloves: {
+        name: `Guantes magnéticos`,
+        desc: `Atracción pasiva de objetos (débil)`
+      },
+      rapid_fire: {
+        name: `Fuego rápido`,
+        desc: `Cadencia de disparo un 25% más rápida`
+      },
+      explosive_rounds: {
+        name: `Balas explosivas`,
+        desc: `Las balas explotan al impactar y dañan los objetos cercanos`
+      },
+      mega_net: {
+        name: `Megarred`,
+        desc: `Red enorme con el doble de tamaño y duración`
+      },
+      turbo_dash: {
+        name: `Turboimpulso`,
+        desc: `Impulso un 50% más rápido y -30% de recarga`
+      },
+      shield_generator: {
+        name: `Generador de escudo`,
+        desc: `Empieza cada partida con un escudo de 5 golpes`
+      },
+      chain_lightning: {
+        name: `Rayo en cadena`,
+        desc: `Las balas saltan a 2 objetivos cercanos`
+      },
+      fortune_aura: {
+        name: `Aura de fortuna`,
+        desc: `+50% de multiplicador de puntos y moneda doble`
+      },
+      time_dilation: {
+        name: `Dilatación temporal`,
+        desc: `Ralentiza los objetos un 20% de forma permanente`
+      },
+      homing_net: {
+        name: `Red teledirigida`,
+        desc: `La red apunta sola al grupo de objetos más cercano`
+      }
+    }
+  },
+  perks: {
+    speed_1: {
+      name: `Velocidad I`,
+      desc: `+5% de velocidad de movimiento`
+    },
+    xp_1: {
+      name: `Impulso de XP I`,
+      desc: `+10% de XP obtenida`
+    },
+    lucky_1: {
+      name: `Golpe de suerte I`,
+      desc: `+5% de moneda obtenida`
+    },
+    speed_2: {
+      name: `Velocidad II`,
+      desc: `+10% de velocidad de movimiento`
+    },
+    shield_mastery: {
+      name: `Maestría de escudo`,
+      desc: `Los escudos aguantan +1 golpe`
+    },
+    xp_2: {
+      name: `Impulso de XP II`,
+      desc: `+20% de XP obtenida`
+    },
+    lucky_2: {
+      name: `Golpe de suerte II`,
+      desc: `+10% de moneda obtenida`
+    },
+    speed_3: {
+      name: `Velocidad III`,
+      desc: `+15% de velocidad de movimiento`
+    },
+    combo_expert: {
+      name: `Experto en combos`,
+      desc: `+25% de puntos por combo`
+    },
+    master_collector: {
+      name: `Coleccionista maestro`,
+      desc: `+15% a los bonus de velocidad, moneda y combo`
+    },
+    legendary_status: {
+      name: `Estatus legendario`,
+      desc: `+25% a todo (velocidad, XP, moneda, combo)`
+    },
+    more: {
+      one: `+{count} ventaja más...`,
+      other: `+{count} ventajas más...`
+    },
+    reward: {
+      one: `{count} chip de datos`,
+      other: `{count} chips de datos`
+    }
+  },
+  gameOver: {
+    title: `[FIN_DEL_JUEGO]`,
+    score: `PUNTOS: {score}`,
+    stats: {
+      level: `NIVEL`,
+      maxCombo: `COMBO MÁX.`,
+      gold: `ORO`,
+      earned: `GANADO`
+    },
+    items: `OBJETOS: {count}`,
+    time: `TIEMPO: {time}`,
+    xp: `XP: +{xp}`,
+    levelUp: `★ ¡SUBES DE NIVEL! ★`,
+    activePerks: {
+      one: `{count} ventaja activa`,
+      other: `{count} ventajas activas`
+    },
+    newRecord: `★ NUEVO RÉCORD PERSONAL ★`,
+    playAgain: `JUGAR DE NUEVO`,
+    watchReplay: `VER REPETICIÓN`,
+    mainMenu: `MENÚ PRINCIPAL`,
+    enterName: `INTRODUCE TU NOMBRE PARA LA CLASIFICACIÓN GLOBAL`,
+    pressEnter: `Pulsa ENTER para enviar`,
+    submitted: `✓ ¡Enviado a la clasificación global!`,
+    submitting: `⏳ Enviando puntuación...`,
+    submitPending: `⏳ Sin conexión: la puntuación se enviará más tarde`,
+    submitFailed: `✗ No se pudo enviar la puntuación: reinténtalo desde la clasificación`
+  },
+  tutorial: {
+    title: `[TUTORIAL INTERACTIVO]`,
+    howToPlay: `[CÓMO JUGAR]`,
+    skip: `SALTAR TUTORIAL`,
+    controls: `>> CONTROLES <<`,
+    objective: `>> OBJETIVO <<`,
+    powerUps: `>> POTENCIADORES <<`,
+    move: `{left} {right} - Moverse a izquierda/derecha`,
+    dashModes: {
+      doubletap: `DOBLE TOQUE + MANTENER o {dash}`,
+      key: `MANTÉN {dash}`,
+      toggle: `PULSA {dash} (alternar)`
+    },
+    dash: `{mode} - Esprintar`,
+    fire: `{fire} - Disparar arma`,
+    switch: `{gun} / {net} - Cambiar de arma`,
+    overcharge: `{overcharge} - Activar sobrecarga`,
+    gamepad: `🎮 MANDO - Stick mover • LB/RB esprintar • A disparar • X/Y armas • B sobrecarga`,
+    catchItems: `¡Atrapa los objetos antes de que toquen el suelo!`,
+    avoidBombs: `¡Esquiva las bombas o dispárales con tu arma!`,
+    shield: `🛡️ Escudo - Perdona 3 objetos perdidos`,
+    magnet: `🧲 Imán - Atrae los objetos positivos`,
+    slowMo: `⏱️ Cámara lenta - Ralentiza el tiempo`,
+    missLimit: `¡Pierde 3 objetos = FIN DEL JUEGO!`,
+    ready: `¿Listo para probarlo tú mismo?`,
+    pressToStart: `Pulsa {fire} (o A / DISPARAR) para empezar el tutorial interactivo`,
+    dashHints: {
+      key: `MANTÉN {dash} mientras te mueves para ESPRINTAR`,
+      toggle: `Pulsa {dash} mientras te mueves para ESPRINTAR y otra vez para parar`,
+      doubletap: `Pulsa DOS VECES y MANTÉN una tecla de movimiento (o mantén {dash} al moverte) para ESPRINTAR`
+    },
+    steps: {
+      move: `Usa {left} {right} para moverte a izquierda y derecha
+¡Prueba a moverte en ambas direcciones!`,
+      moveProgress: `Paso 1/5: Movimiento`,
+      dash: `{hint}
+¡Prueba a esprintar a izquierda o derecha!`,
+      dashProgress: `Paso 2/5: Esprintar`,
+      catch: `¡Atrapa los objetos colocándote debajo!
+Atrapa {count} objetos para continuar`,
+      catchProgress: `Paso 3/5: Atrapar objetos {progress}`,
+      switch: `Pulsa {gun} para ARMA, {net} para RED
+¡Prueba a cambiar a la RED!`,
+      switchProgress: `Paso 4/5: Cambiar de arma`,
+      fire: `¡Pulsa {fire} para disparar!
+Destruye la bomba para completar el tutorial`,
+      fireProgress: `Paso 5/5: Usar armas`
+    },
+    complete: `✓ ¡TUTORIAL COMPLETADO!`,
+    readyToPlay: `¡Ya estás listo para jugar!`
+  },
+  challenges: {
+    title: `[DESAFÍOS]`,
+    daily: `DESAFÍO DIARIO`,
+    weekly: `DESAFÍO SEMANAL`,
+    claim: `RECLAMAR PREMIO`,
+    types: {
+      gold_collector: {
+        one: `Atrapa {target} objeto dorado`,
+        other: `Atrapa {target} objetos dorados`
+      },
+      bomb_destroyer: {
+        one: `Destruye {target} bomba`,
+        other: `Destruye {target} bombas`
+      },
+      level_master: `Alcanza el nivel {target}`,
+      perfect_run: {
+        one: `Atrapa {target} objeto sin fallar`,
+        other: `Atrapa {target} objetos sin fallar`
+      }
+    }
+  },
+  settings: {
+    title: `[AJUSTES]`,
+    tabs: {
+      basic: `BÁSICO`,
+      visuals: `VISUALES`,
+      controls: `CONTROLES`,
+      accessibility: `ACCESIBILIDAD`,
+      audio: `AUDIO`,
+      graphics: `GRÁFICOS`
+    },
+    language: `IDIOMA`,
+    languageHint: `Sigue el idioma del navegador hasta que elijas uno`,
+    audio: {
+      buses: {
+        master: `GENERAL`,
+        music: `MÚSICA`,
+        sfx: `EFECTOS`,
+        ui: `INTERFAZ`
+      },
+      hint: `Arrastra un control o pulsa el altavoz para silenciar un canal`,
+      reset: `RESTABLECER`
+    },
+    graphics: {
+      preset: `CALIDAD`,
+      presets: {
+        low: `BAJA`,
+        medium: `MEDIA`,
+        high: `ALTA`,
+        ultra: `ULTRA`,
+        auto: `AUTO`
+      },
+      presetHint: `Auto sube o baja la calidad para mantener 60 FPS`,
+      toggles: {
+        particles: `PARTÍCULAS`,
+        shadows: `SOMBRAS`,
+        grid: `CUADRÍCULA DE FONDO`,
+        screenShake: `TEMBLOR DE PANTALLA`,
+        debris: `ESCOMBROS Y VEHÍCULOS`
+      },
+      lowHint: `Las sombras y la cuadrícula siempre están desactivadas en BAJA`,
+      on: `SÍ`,
+      off: `NO`,
+      reset: `RESTABLECER`
+    },
+    basic: {
+      skin: `ASPECTO DEL JUGADOR`,
+      changeSkin: `CAMBIAR ASPECTO`,
+      aura: `AURA DEL JUGADOR`,
+      changeAura: `CAMBIAR AURA`,
+      difficulty: `DIFICULTAD`,
+      changeDifficulty: `CAMBIAR DIFICULTAD`,
+      resetAll: `BORRAR TODOS LOS DATOS`
+    },
+    controls: {
+      actions: {
+        LEFT: `IZQUIERDA`,
+        RIGHT: `DERECHA`,
+        DASH: `ESPRINT`,
+        FIRE: `DISPARAR`,
+        GUN: `PISTOLA`,
+        NET: `RED`,
+        OVERCHARGE: `SOBRECARGA`,
+        PAUSE: `PAUSA`
+      },
+      dashMode: `MODO DE ESPRINT`,
+      dashModes: {
+        doubletap: `DOBLE TOQUE`,
+        key: `MANTENER TECLA`,
+        toggle: `ALTERNAR`
+      },
+      doubleTapWindow: `MARGEN DE DOBLE TOQUE`,
+      milliseconds: `{value} ms`,
+      hint: `Haz clic en una tecla para reasignarla`,
+      pressKey: `PULSA UNA TECLA...`,
+      pressKeyFor: `Pulsa una tecla para {action}`,
+      unbindable: `Esa tecla no se puede asignar`,
+      conflict: `{key} ya está asignada a {action}`,
+      bound: `{action} asignada a {key}`,
+      gamepad: `MANDO: stick/cruceta mover • LB/RB esprint • A disparar • X pistola • Y red • B sobrecarga • START pausa`,
+      reset: `RESTABLECER`
+    },
+    accessibility: {
+      palette: `PALETA DE OBJETOS`,
+      paletteHint: `Colores aptos para daltonismo en los objetos que caen`,
+      palettes: {
+        default: `PREDETERMINADA`,
+        redgreen: `APTA ROJO-VERDE`,
+        blueyellow: `APTA AZUL-AMARILLO`
+      },
+      itemIcons: `ICONOS EN OBJETOS`,
+      itemIconsHint: `Dibuja una forma en cada objeto para no depender del color`,
+      motion: `MOVIMIENTO`,
+      motionHint: `Reducido suaviza sacudidas y animaciones, desactivado las quita; ambos eliminan los efectos de interferencia`,
+      motionModes: {
+        full: `COMPLETO`,
+        reduced: `REDUCIDO`,
+        off: `DESACTIVADO`
+      },
+      photosensitive: `MODO FOTOSENSIBLE`,
+      photosensitiveHint: `Limita los destellos a uno por segundo con menos brillo`,
+      preview: `VISTA PREVIA DE OBJETOS`,
+      itemTypes: {
+        regular: `NORMAL`,
+        silver: `PLATA`,
+        gold: `ORO`,
+        giant: `GIGANTE`,
+        bomb: `BOMBA`,
+        freeze: `HIELO`,
+        health: `VIDA`,
+        mystery: `MISTERIO`,
+        glitch: `GLITCH`,
+        multiplier: `MULTIPLICADOR`
+      },
+      reset: `RESTABLECER`
+    },
+    visuals: {
+      preview: `VISTA PREVIA`,
+      character: `Tu personaje`,
+      categories: {
+        catchEffects: `Efectos de captura`,
+        playerTrails: `Estelas del jugador`,
+        weaponVisuals: `Aspecto de las armas`,
+        uiThemes: `Temas de interfaz`
+      },
+      short: {
+        catchEffects: `Captura`,
+        playerTrails: `Estela`,
+        weaponVisuals: `Arma`,
+        uiThemes: `Tema`
+      },
+      current: `{category}: {value}`
+    }
+  },
+  leaderboard: {
+    title: `[CLASIFICACIÓN MUNDIAL]`,
+    loading: `CARGANDO PUNTUACIONES...`,
+    failed: `NO SE PUDIERON CARGAR LAS PUNTUACIONES`,
+    empty: `¡Aún no hay puntuaciones!
+¡Sé el primero en marcar un récord!`,
+    you: `TÚ`,
+    back: `VOLVER AL MENÚ`,
+    modes: {
+      classic: `CLÁSICO`,
+      timeattack: `CONTRARRELOJ`,
+      survival: `SUPERVIVENCIA`,
+      precision: `PRECISIÓN`
+    },
+    difficulties: {
+      easy: `FÁCIL`,
+      normal: `NORMAL`,
+      hard: `DIFÍCIL`
+    },
+    rankedBy: {
+      score: `>> POR PUNTUACIÓN <<`,
+      gameTime: `>> POR TIEMPO SOBREVIVIDO <<`,
+      perfectCatches: `>> POR CAPTURAS PERFECTAS <<`
+    },
+    windows: {
+      daily: `HOY`,
+      weekly: `SEMANA`,
+      alltime: `HISTÓRICO`
+    },
+    yourRank: `TU PUESTO`,
+    notRanked: `Aún no tienes partidas entre los {count} mejores`,
+    perfectCatches: {
+      one: `{count} PERFECTA`,
+      other: `{count} PERFECTAS`
+    },
+    points: `{score} PTS`,
+    verified: `✓ VERIFICADA`,
+    unverified: `SIN VERIFICAR`,
+    verifiedOnly: `✓ SOLO VERIFICADAS`,
+    verifyUnavailable: `La verificación por repetición solo cubre el modo principal`,
+    outbox: {
+      pending: {
+        one: `⏳ {count} puntuación pendiente de enviar`,
+        other: `⏳ {count} puntuaciones pendientes de enviar`
+      },
+      failed: {
+        one: `✗ {count} puntuación no se pudo enviar`,
+        other: `✗ {count} puntuaciones no se pudieron enviar`
+      },
+      retry: `REINTENTAR`
+    }
+  },
+  pause: {
+    title: `[PAUSA]`,
+    hint: `Pulsa {key} o START para continuar`,
+    resume: `CONTINUAR`,
+    mainMenu: `MENÚ PRINCIPAL`
+  },
+  achievementsScreen: {
+    title: `[LOGROS]`,
+    unlocked: `{unlocked}/{total} DESBLOQUEADOS`,
+    currentSkin: `ASPECTO ACTUAL: {skin}`
+  },
+  profiles: {
+    title: `[PERFILES]`,
+    level: `NIVEL {level}`,
+    active: `[ACTIVO]`,
+    switch: `[CAMBIAR]`,
+    rename: `[RENOMBRAR]`,
+    delete: `[BORRAR]`,
+    renamePrompt: `RENOMBRAR {name}`,
+    new: `NUEVO PERFIL`,
+    newPrompt: `NOMBRE DEL NUEVO PERFIL`,
+    entryHint: `ENTER para confirmar • ESC para cancelar`,
+    deleteConfirm: `¿BORRAR {name}?
+Se perderá todo el progreso de este perfil.`,
+    deleteButton: `BORRAR`
+  },
+  cosmetics: {
+    catchEffects: {
+      default: `Predeterminado`,
+      fire: `Estallido de fuego`,
+      ice: `Cristal de hielo`,
+      electric: `Relámpago`,
+      rainbow: `Arcoíris`,
+      toxic: `Tóxico`
+    },
+    playerTrails: {
+      default: `Predeterminada`,
+      solid: `Línea sólida`,
+      glitch: `Interferencia`,
+      echo: `Eco`,
+      neon: `Neón`,
+      stars: `Campo estelar`
+    },
+    weaponVisuals: {
+      default: `Predeterminado`,
+      fire: `Llama`,
+      ice: `Escarcha`,
+      plasma: `Plasma`,
+      laser: `Láser`,
+      void: `Vacío`
+    },
+    uiThemes: {
+      cyber: `Cíber`,
+      fire: `Infierno`,
+      ice: `Congelado`,
+      toxic: `Tóxico`,
+      dark: `Modo oscuro`,
+      gold: `Dorado`
+    }
+  },
+  saveTransfer: {
+    export: `EXPORTAR PARTIDA`,
+    import: `IMPORTAR PARTIDA`,
+    exported: `Partida exportada`,
+    exportFailed: `No se pudo exportar`,
+    confirmTitle: `¿IMPORTAR PARTIDA?`,
+    exportedAt: `Exportada el {date}`,
+    noChanges: `No hay diferencias con la partida actual`,
+    moreChanges: {
+      one: `+{count} cambio más`,
+      other: `+{count} cambios más`
+    },
+    rejected: {
+      one: `{count} campo no válido omitido`,
+      other: `{count} campos no válidos omitidos`
+    },
+    overwrite: `SOBRESCRIBIR`,
+    entries: {
+      one: `{count} elemento`,
+      other: `{count} elementos`
+    },
+    fields: {
+      level: `NIVEL`,
+      xp: `XP`,
+      currency: `CRÉDITOS`,
+      highScore: `RÉCORD`,
+      gear: `EQUIPO`,
+      equippedGear: `EQUIPO EQUIPADO`,
+      achievements: `LOGROS`
+    },
+    errors: {
+      unreadable: `No se pudo leer el archivo`,
+      invalidJson: `El archivo no es JSON válido`,
+      notASave: `No es una partida de Dropkeeper`,
+      newerVersion: `La partida es de una versión más reciente`,
+      checksum: `La suma de control no coincide: el archivo está dañado o editado`
+    }
+  },
+  playerHub: {
+    title: `[CENTRO DEL JUGADOR]`,
+    progress: `>> PROGRESO <<`,
+    statistics: `>> ESTADÍSTICAS <<`,
+    cards: {
+      achievements: {
+        title: `LOGROS`,
+        desc: `Desbloquea recompensas y sigue tus hitos`
+      },
+      challenges: {
+        title: `DESAFÍOS`,
+        desc: `Completa tareas diarias y semanales`
+      },
+      gear: {
+        title: `EQUIPAMIENTO`,
+        desc: `Personaliza tu equipo`
+      },
+      leaderboard: {
+        title: `CLASIFICACIÓN`,
+        desc: `Compite con los mejores`
+      },
+      statistics: {
+        title: `ESTADÍSTICAS`,
+        desc: `Consulta tu rendimiento en detalle`
+      },
+      progression: {
+        title: `PROGRESIÓN`,
+        desc: `Consulta ventajas y bonificaciones de nivel`
+      }
+    }
+  },
+  progression: {
+    xp: `{xp} / {next} XP`,
+    bonuses: `BONIFICACIONES ACTIVAS`,
+    bonus: {
+      speed: `Velocidad: +{percent}%`,
+      xp: `XP ganada: +{percent}%`,
+      currency: `Moneda: +{percent}%`,
+      combo: `Combo: +{percent}%`,
+      shield: {
+        one: `Escudo: +{count} golpe`,
+        other: `Escudo: +{count} golpes`
+      }
+    },
+    perks: `VENTAJAS DESBLOQUEADAS`,
+    milestones: `PRÓXIMOS HITOS`,
+    milestoneLevel: `Nivel {level}`,
+    perkCount: {
+      one: `{count} ventaja`,
+      other: `{count} ventajas`
+    }
+  },
+  gameModes: {
+    title: `[MODOS DE JUEGO]`,
+    testing: `>> FASE DE PRUEBAS <<`
+  },
+  hud: {
+    score: `PUNTOS: {score}`,
+    time: `TIEMPO: {seconds}s`,
+    items: `OBJETOS: {count}`,
+    level: `NVL: {level}`,
+    lives: `VIDAS: {hearts}`,
+    difficulty: `DIFICULTAD {level}`,
+    combo: `¡COMBO x{combo}!`,
+    comboScore: `PUNTOS x{multiplier}`,
+    comboFading: `¡EL COMBO SE APAGA!`,
+    perfect: `¡PERFECTO!`,
+    perfectCombo: `¡PERFECTO x{combo}!`,
+    perfectCount: `PERFECTOS: {count}`,
+    catchRadius: `RADIO DE CAPTURA: {radius}px`,
+    overcharge: `SOBRECARGA: {percent}%`,
+    overchargeReady: `[PULSA {key} PARA SOBRECARGAR]`,
+    overchargeActive: `<<< SOBRECARGA >>>`,
+    gravityWell: `POZO GRAVITATORIO`,
+    levelUp: `>>NIVEL_{level}<<`,
+    chaos: `<<<MODO_CAOS>>>`,
+    difficultyIncreased: `⚠️ DIFICULTAD AUMENTADA`,
+    skinUnlocked: `🎨 ¡NUEVO ASPECTO DESBLOQUEADO: {skin}!`,
+    weapons: {
+      gun: `PISTOLA`,
+      net: `RED`
+    },
+    goals: {
+      timeAttack: `⏱️ ¡CONSIGUE TODOS LOS PUNTOS QUE PUEDAS!`,
+      survival: `💀 ESQUIVA LAS BOMBAS: ¡AGUANTA TODO LO QUE PUEDAS!`,
+      precision: `🎯 SE REQUIERE PRECISIÓN: ¡MULTIPLICADOR DE HASTA x10!`
+    },
+    powerups: {
+      activated: {
+        shield: `🛡️ ESCUDO ACTIVO`,
+        magnet: `🧲 ATRACCIÓN MAGNÉTICA`,
+        slowmo: `⏱️ CÁMARA LENTA`,
+        timewarp: `⏰ SALTO TEMPORAL`,
+        converter: `🔄 CONVERSOR`,
+        hyperdash: `⚡ HIPERESPRINT`,
+        blackhole: `⚫ AGUJERO NEGRO`
+      },
+      active: {
+        shield: `🛡️ ESCUDO`,
+        magnet: `🧲 IMÁN`,
+        slowmo: `⏱️ LENTO`,
+        timewarp: `⏰ SALTO`,
+        converter: `🔄 CONVERSOR`,
+        hyperdash: `⚡ HIPERESPRINT`,
+        blackhole: `⚫ AGUJERO`
+      }
+    }
+  },
+  replay: {
+    banner: `▶ REPETICIÓN  •  {date}`,
+    hint: `ESPACIO pausa • ↑↓ velocidad • ←→ saltar 5s • {key} salir`,
+    paused: `❚❚ EN PAUSA`,
+    playing: `▶ REPRODUCIENDO`,
+    complete: `REPETICIÓN TERMINADA`,
+    scoreMismatch: `PUNTOS: {score}  (grabado {recorded})`,
+    watchAgain: `VER DE NUEVO`,
+    back: `VOLVER`
+  },
+  market: {
+    cosmetics: {
+      title: `TIENDA DE ESTILO`,
+      desc: `Compra aspectos, auras y efectos visuales únicos`
+    },
+    upgrades: {
+      title: `MEJORAS`,
+      desc: `Mejora habilidades, sube estadísticas y desbloquea poderes`
+    },
+    visit: `ENTRAR →`
+  },
+  shop: {
+    title: `[TIENDA DE ESTILO]`,
+    skins: `ASPECTOS DEL JUGADOR`,
+    skinName: `ASPECTO {skin}`,
+    owned: `EN PROPIEDAD`,
+    buy: `COMPRAR (💎 {cost})`
+  },
+  upgrades: {
+    title: `[TIENDA DE MEJORAS]`,
+    items: {
+      moveSpeed: {
+        name: `Velocidad de movimiento`,
+        desc: `+50 de velocidad por nivel`
+      },
+      dashCooldown: {
+        name: `Recarga del esprint`,
+        desc: `-150ms por nivel`
+      },
+      fireRate: {
+        name: `Cadencia de disparo`,
+        desc: `-50ms por nivel`
+      },
+      extraLife: {
+        name: `Vida extra`,
+        desc: `Empieza con 4 vidas`
+      },
+      startShield: {
+        name: `Escudo inicial`,
+        desc: `Empieza con escudo`
+      }
+    },
+    owned: `EN PROPIEDAD`,
+    notOwned: `SIN COMPRAR`,
+    level: `NVL {level}/{max}`,
+    buy: `COMPRAR (💎 {cost})`
+  },
+  statsScreen: {
+    title: `[ESTADÍSTICAS]`,
+    sections: {
+      gameplay: `>> PARTIDAS <<`,
+      collection: `>> RECOLECCIÓN <<`,
+      timePlayed: `>> TIEMPO DE JUEGO <<`,
+      powerups: `>> POTENCIADORES <<`,
+      replays: `>> REPETICIONES <<`
+    },
+    gamesPlayed: `Partidas jugadas`,
+    totalScore: `Puntuación total`,
+    averageScore: `Puntuación media`,
+    highScore: `Récord`,
+    itemsCaught: `Objetos atrapados`,
+    goldItems: `Objetos de oro`,
+    bombsDestroyed: `Bombas destruidas`,
+    bestCombo: `Mejor combo`,
+    totalTime: `Tiempo total`,
+    longestSession: `Sesión más larga`,
+    favorite: `Favorito`,
+    totalCollected: `Total recogidos`,
+    none: `Ninguno`,
+    noReplays: `Aún no hay repeticiones grabadas`,
+    replayResult: `{score} pts • Nv {level}`,
+    watch: `[VER]`
+  },
+  touch: {
+    fire: `FUEGO`
+  }
+};
@@ -2,6 +2,10 @@
 // The ESM build on the CDN exposes named exports instead of a default export, so we import
 // the full namespace to mirror the usual `Phaser` global bundle behavior.
 import * as Phaser from "https://cdn.jsdelivr.net/npm/phaser@3.70.0/dist/phaser.esm.js";
+import { SeededRandom, INPUT_BITS, GEAR_CONFIGS, LevelingSystem, GearEffects, ReplayRecorder, GameCore, FIXED_STEP, POWERUP_TYPES, DASH_MODES, DOUBLE_TAP_WINDOW, RunVerifier, UPGRADE_LIMITS } from "./gameCore.js";
+import { I18n, t } from "./i18n.js";
+import { createLeaderboardBackend, matchesQuery, compareEntries, getRetryDelay, getPeriodStart } from "./leaderboardBackends.js";
+import { STORAGE_KEYS, StorageManager, ProfileManager, SaveTransfer, LanguageSettings } from "./saveData.js";
 class PerformanceManager {
   constructor(scene) {
     this.scene = scene;
@@ -9,10 +13,12 @@ class PerformanceManager {
     this.lastTime = 0;
     this.fps = 60;
     this.targetFPS = 60;
-    this.qualityLevel = 1;
+    const preset = GraphicsSettings.getPreset();
+    this.qualityLevel = preset.level ?? 1;
+    this.toggles = GraphicsSettings.getAll();
     this.fpsHistory = [];
     this.maxHistoryLength = 60;
-    this.autoOptimize = true;
+    this.autoOptimize = preset.level === null;
   }
   update(time) {
     this.frameCount++;
@@ -61,8 +67,21 @@ class PerformanceManager {
       effects: 1.0,
       shadows: true,
       grid: true
+    }, {
+      particles: 1.5,
+      effects: 1.25,
+      shadows: true,
+      grid: true
     }];
-    return settings[this.qualityLevel];
+    const base = settings[this.qualityLevel];
+    return {
+      ...base,
+      particles: this.toggles.particles ? base.particles : 0,
+      shadows: base.shadows && this.toggles.shadows,
+      grid: base.grid && this.toggles.grid,
+      screenShake: this.toggles.screenShake,
+      debris: this.toggles.debris
+    };
   }
 }
 class ObjectPool {
@@ -164,30 +183,6 @@ class ObjectPool {
     };
   }
 }
-const STORAGE_KEYS = {
-  HIGH_SCORE: `dropkeeper_highscore`,
-  ACHIEVEMENTS: `dropkeeper_achievements`,
-  STATS: `dropkeeper_stats`,
-  LEADERBOARD: `dropkeeper_leaderboard`,
-  SKIN: `dropkeeper_skin`,
-  AURA: `dropkeeper_aura`,
-  CURRENCY: `dropkeeper_currency`,
-  UPGRADES: `dropkeeper_upgrades`,
-  CHALLENGES: `dropkeeper_challenges`,
-  DIFFICULTY: `dropkeeper_difficulty`,
-  OWNED_SKINS: `dropkeeper_owned_skins`,
-  GEAR: `dropkeeper_gear`,
-  EQUIPPED_GEAR: `dropkeeper_equipped_gear`,
-  PLAYER_LEVEL: `dropkeeper_player_level`,
-  PLAYER_XP: `dropkeeper_player_xp`,
-  CATCH_EFFECT: `dropkeeper_catch_effect`,
-  PLAYER_TRAIL: `dropkeeper_player_trail`,
-  WEAPON_VISUAL: `dropkeeper_weapon_visual`,
-  UI_THEME: `dropkeeper_ui_theme`,
-  PLAY_COUNT: `dropkeeper_play_count`,
-  PLAY_RESET_TIME: `dropkeeper_play_reset_time`,
-  SCORE_SUBMISSIONS: `dropkeeper_score_submissions`
-};
 const COLORS = {
   PRIMARY: 0x0054e3,
   SECONDARY: 0x3c8dd9,
@@ -202,6 +197,13 @@ const COLORS = {
   BUTTON_LIGHT: 0xffffff,
   BUTTON_SHADOW: 0x808080
 };
+const ACHIEVEMENT_GOALS = {
+  combo_master: 10,
+  speed_demon: 10,
+  survivor: 1000,
+  gold_collector: 50,
+  untouchable: 20
+};
 const CUSTOMIZATION_OPTIONS = {
   catchEffects: {
     default: {
@@ -356,271 +358,312 @@ const CUSTOMIZATION_OPTIONS = {
     }
   }
 };
-let cachedStateClient = null;
-let stateClientInitPromise = null;
-let stateClientInitFailed = false;
-async function getStateClient() {
-  if (cachedStateClient) return cachedStateClient;
-  if (stateClientInitFailed) return null;
-  if (stateClientInitPromise) return stateClientInitPromise;
-  stateClientInitPromise = (async () => {
+const LEADERBOARD_CONFIG = {
+  backend: `state`,
+  baseURL: 'https://state.dev.fun',
+  appId: 'faa6ba68b43144a937f0'
+};
+// ?leaderboard=local or ?leaderboard=memory plays without the hosted service
+const leaderboardBackend = createLeaderboardBackend(new URLSearchParams(window.location.search).get(`leaderboard`) || LEADERBOARD_CONFIG.backend, {
+  ...LEADERBOARD_CONFIG,
+  fallback: LEADERBOARD_CONFIG.backend
+});
+class GlobalLeaderboard {
+  static MODES = [{
+    id: `classic`,
+    metric: `score`,
+    difficulties: true,
+    // Only the main mode runs on GameCore, so only its entries carry a replay proof
+    verifiable: true
+  }, {
+    id: `timeattack`,
+    metric: `score`
+  }, {
+    id: `survival`,
+    metric: `gameTime`
+  }, {
+    id: `precision`,
+    metric: `perfectCatches`
+  }];
+  static DIFFICULTIES = [`easy`, `normal`, `hard`];
+  static WINDOWS = [{
+    id: `daily`,
+    periods: 1
+  }, {
+    id: `weekly`,
+    periods: 7
+  }, {
+    id: `alltime`,
+    periods: null
+  }];
+  static PAGE_SIZE = 50;
+  // Pages are fetched one after another, so the player's own rank is only searched for in the top 200
+  static MAX_PAGES = 4;
+  static getMode(id) {
+    return this.MODES.find(mode => mode.id === id) || this.MODES[0];
+  }
+  static getWindow(id) {
+    return this.WINDOWS.find(window => window.id === id) || this.WINDOWS[0];
+  }
+  static getWindowStart(window, now = Date.now()) {
+    return window.periods ? getPeriodStart(now, window.periods) : 0;
+  }
+  static getPlayerId() {
+    let playerId = StorageManager.get(STORAGE_KEYS.PLAYER_ID, ``);
+    if (!playerId) {
+      playerId = `pl_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+      StorageManager.set(STORAGE_KEYS.PLAYER_ID, playerId);
+    }
+    return playerId;
+  }
+  static getDifficulty(mode, difficulty) {
+    return mode.difficulties && this.DIFFICULTIES.includes(difficulty) ? difficulty : `normal`;
+  }
+  static createEntry(name, data) {
+    const mode = this.getMode(data.gameMode);
+    return {
+      id: `score_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: name || 'PLAYER',
+      score: data.score,
+      level: data.level,
+      combo: data.maxCombo,
+      mode: mode.id,
+      difficulty: this.getDifficulty(mode, data.difficulty),
+      gameTime: data.gameTime || 0,
+      perfectCatches: data.perfectCatches || 0,
+      playerId: this.getPlayerId(),
+      proof: data.proof || null,
+      timestamp: Date.now()
+    };
+  }
+  static verifications = new Map();
+  static VERIFY_SLICE_FRAMES = 2000;
+  static MAX_VERIFICATIONS = 20;
+  static isVerifiable(entry) {
+    const mode = this.MODES.find(candidate => candidate.id === entry.mode);
+    return Boolean(mode?.verifiable && entry.proof);
+  }
+  // Entry ids are chosen by the submitter, so the cache also keys on everything the verdict depends on
+  static getVerificationKey(entry) {
+    return `${leaderboardBackend.id}:${entry.id}:${SaveTransfer.checksum({
+      proof: entry.proof,
+      score: entry.score,
+      level: entry.level,
+      combo: entry.combo,
+      difficulty: entry.difficulty
+    })}`;
+  }
+  static async verifyEntry(entry, budget) {
+    if (!this.isVerifiable(entry)) return false;
+    const key = this.getVerificationKey(entry);
+    if (this.verifications.has(key)) return this.verifications.get(key);
+    if (budget.remaining <= 0) return false;
+    budget.remaining--;
+    let verified = false;
     try {
-      const StateClient = (await import('@devfunlabs/state-client')).StateClient;
-      cachedStateClient = new StateClient({
-        baseURL: 'https://state.dev.fun',
-        appId: 'faa6ba68b43144a937f0'
-      });
-      return cachedStateClient;
+      if ((entry.proof.loadout?.difficulty || `normal`) === entry.difficulty) {
+        const verifier = new RunVerifier(entry.proof, {
+          score: entry.score,
+          level: entry.level,
+          maxCombo: entry.combo
+        });
+        // Re-simulate in short slices so a long (or deliberately huge) proof never stalls rendering
+        do {
+          await new Promise(resolve => setTimeout(resolve));
+        } while (!verifier.advance(this.VERIFY_SLICE_FRAMES));
+        verified = verifier.result.verified;
+      }
     } catch (error) {
-      console.error('Failed to initialize StateClient:', error);
-      stateClientInitFailed = true;
-      return null;
-    } finally {
-      stateClientInitPromise = null;
+      console.error(`Failed to verify leaderboard entry:`, error);
     }
-  })();
-  return stateClientInitPromise;
-}
-class GlobalLeaderboard {
-  static async submitScore(name, score, level, combo) {
+    this.verifications.set(key, verified);
+    return verified;
+  }
+  static async submitEntry(entry) {
     try {
-      const client = await getStateClient();
-      if (!client) return false;
-      const id = `score_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      await client.createEntity('leaderboard', {
-        id,
-        name: name || 'PLAYER',
-        score,
-        level,
-        combo,
-        timestamp: Date.now()
-      });
-      return true;
+      return await leaderboardBackend.submit(entry);
     } catch (error) {
       console.error('Failed to submit score:', error);
       return false;
     }
   }
-  static async getTopScores(limit = 50) {
+  static toEntry(entry, mode, rank, playerId, verified) {
+    return {
+      rank,
+      name: entry.name,
+      score: entry.score,
+      level: entry.level,
+      combo: entry.combo,
+      mode: mode.id,
+      difficulty: entry.difficulty || `normal`,
+      gameTime: entry.gameTime || 0,
+      perfectCatches: entry.perfectCatches || 0,
+      value: entry[mode.metric] || 0,
+      isPlayer: Boolean(playerId) && entry.playerId === playerId,
+      verified,
+      timestamp: entry.timestamp
+    };
+  }
+  static async getTopScores({
+    mode: modeId,
+    difficulty,
+    window: windowId,
+    verifiedOnly = false,
+    limit = this.PAGE_SIZE
+  } = {}) {
     try {
-      const client = await getStateClient();
-      if (!client) return [];
-      const scores = await client.getEntities('leaderboard');
-      return scores.sort((a, b) => b.score - a.score).slice(0, limit).map(entry => ({
-        name: entry.name,
-        score: entry.score,
-        level: entry.level,
-        combo: entry.combo,
-        timestamp: entry.timestamp
-      }));
+      const mode = this.getMode(modeId);
+      const query = {
+        mode: mode.id,
+        difficulty: this.getDifficulty(mode, difficulty),
+        since: this.getWindowStart(this.getWindow(windowId)),
+        metric: mode.metric,
+        limit: this.PAGE_SIZE
+      };
+      const playerId = this.getPlayerId();
+      const budget = {
+        remaining: this.MAX_VERIFICATIONS
+      };
+      const scores = [];
+      let player = null;
+      let rank = 0;
+      // Keep paging past the top entries only while the player's own best is still unranked
+      for (let page = 0; page < this.MAX_PAGES && (scores.length < limit || !player) && !(verifiedOnly && budget.remaining <= 0); page++) {
+        const batch = await leaderboardBackend.query({
+          ...query,
+          offset: page * this.PAGE_SIZE
+        });
+        // Re-check each page in case a backend ignores part of the query
+        for (const entry of batch.filter(candidate => matchesQuery(candidate, query)).sort(compareEntries(mode.metric))) {
+          const isPlayer = Boolean(playerId) && entry.playerId === playerId;
+          // Past the visible rows only the player's own entry is worth re-simulating
+          const verified = (verifiedOnly || scores.length < limit || isPlayer && !player) && (await this.verifyEntry(entry, budget));
+          if (verifiedOnly && !verified) continue;
+          const ranked = this.toEntry(entry, mode, ++rank, playerId, verified);
+          if (scores.length < limit) scores.push(ranked);
+          if (!player && ranked.isPlayer) player = ranked;
+        }
+        if (batch.length !== this.PAGE_SIZE) break;
+      }
+      return {
+        scores,
+        player
+      };
     } catch (error) {
       console.error('Failed to fetch leaderboard:', error);
-      return [];
+      return {
+        scores: [],
+        player: null
+      };
     }
   }
 }
-class LevelingSystem {
-  static getXPForLevel(level) {
-    return Math.floor(100 * Math.pow(1.5, level - 1));
-  }
-  static calculateXP(gameData) {
-    const baseXP = Math.floor(gameData.score / 8);
-    const comboBonus = Math.floor(gameData.maxCombo * 8);
-    const levelBonus = gameData.level * 15;
-    const goldBonus = gameData.goldCaught * 5;
-    const timeBonus = Math.floor((gameData.gameTime || 0) / 8);
-    const perfectBonus = gameData.itemsCaught > 0 && gameData.missedItems === 0 ? 100 : 0;
-    const bombBonus = (gameData.bombsDestroyed || 0) * 7;
-    return baseXP + comboBonus + levelBonus + goldBonus + timeBonus + perfectBonus + bombBonus;
-  }
-  static getLevelPerks(level) {
-    const perks = [];
-    if (level >= 3) perks.push({
-      name: `Speed Boost I`,
-      desc: `+5% movement speed`,
-      type: `speed`,
-      value: 0.05
-    });
-    if (level >= 5) perks.push({
-      name: `XP Boost I`,
-      desc: `+10% XP gained`,
-      type: `xp`,
-      value: 0.10
-    });
-    if (level >= 7) perks.push({
-      name: `Lucky Strike I`,
-      desc: `+5% currency drop`,
-      type: `currency`,
-      value: 0.05
-    });
-    if (level >= 10) perks.push({
-      name: `Speed Boost II`,
-      desc: `+10% movement speed`,
-      type: `speed`,
-      value: 0.05
-    });
-    if (level >= 12) perks.push({
-      name: `Shield Mastery`,
-      desc: `Shields last +1 hit`,
-      type: `shield`,
-      value: 1
-    });
-    if (level >= 15) perks.push({
-      name: `XP Boost II`,
-      desc: `+20% XP gained`,
-      type: `xp`,
-      value: 0.10
-    });
-    if (level >= 17) perks.push({
-      name: `Lucky Strike II`,
-      desc: `+10% currency drop`,
-      type: `currency`,
-      value: 0.05
-    });
-    if (level >= 20) perks.push({
-      name: `Speed Boost III`,
-      desc: `+15% movement speed`,
-      type: `speed`,
-      value: 0.05
-    });
-    if (level >= 22) perks.push({
-      name: `Combo Expert`,
-      desc: `+25% combo score`,
-      type: `combo`,
-      value: 0.25
-    });
-    if (level >= 25) perks.push({
-      name: `Master Collector`,
-      desc: `+15% to speed, currency & combo bonuses`,
-      type: `master`,
-      value: 0.15
-    });
-    if (level >= 30) perks.push({
-      name: `Legendary Status`,
-      desc: `+25% to all stats (speed, XP, currency, combo)`,
-      type: `legendary`,
-      value: 0.25
-    });
-    return perks;
-  }
-  static getLevelReward(level) {
-    const rewards = {
-      5: {
-        type: 'currency',
-        amount: 150,
-        name: '150 Data Chips'
-      },
-      10: {
-        type: 'currency',
-        amount: 300,
-        name: '300 Data Chips'
-      },
-      15: {
-        type: 'currency',
-        amount: 500,
-        name: '500 Data Chips'
-      },
-      20: {
-        type: 'currency',
-        amount: 750,
-        name: '750 Data Chips'
-      },
-      25: {
-        type: 'currency',
-        amount: 1000,
-        name: '1000 Data Chips'
-      },
-      30: {
-        type: 'currency',
-        amount: 1500,
-        name: '1500 Data Chips'
-      },
-      35: {
-        type: 'currency',
-        amount: 2000,
-        name: '2000 Data Chips'
-      },
-      40: {
-        type: 'currency',
-        amount: 3000,
-        name: '3000 Data Chips'
-      },
-      50: {
-        type: 'currency',
-        amount: 5000,
-        name: '5000 Data Chips'
-      }
-    };
-    return rewards[level] || null;
-  }
-  static getStatBonuses(level) {
-    const perks = this.getLevelPerks(level);
-    const bonuses = {
-      speedMultiplier: 1,
-      xpMultiplier: 1,
-      currencyMultiplier: 1,
-      shieldBonus: 0,
-      comboMultiplier: 1
-    };
-    perks.forEach(perk => {
-      if (perk.type === 'speed') bonuses.speedMultiplier += perk.value;
-      if (perk.type === 'xp') bonuses.xpMultiplier += perk.value;
-      if (perk.type === 'currency') bonuses.currencyMultiplier += perk.value;
-      if (perk.type === 'shield') bonuses.shieldBonus += perk.value;
-      if (perk.type === 'combo') bonuses.comboMultiplier += perk.value;
-      if (perk.type === 'master') {
-        bonuses.speedMultiplier += perk.value;
-        bonuses.currencyMultiplier += perk.value;
-        bonuses.comboMultiplier += perk.value;
-      }
-      if (perk.type === 'legendary') {
-        bonuses.speedMultiplier += perk.value;
-        bonuses.xpMultiplier += perk.value;
-        bonuses.currencyMultiplier += perk.value;
-        bonuses.comboMultiplier += perk.value;
-      }
-    });
-    return bonuses;
-  }
-  static getRankTitle(level) {
-    if (level >= 50) return {
-      title: 'LEGEND',
-      color: '#ff00ff'
-    };
-    if (level >= 40) return {
-      title: 'MASTER',
-      color: '#ffdd00'
-    };
-    if (level >= 30) return {
-      title: 'EXPERT',
-      color: '#ff6600'
-    };
-    if (level >= 20) return {
-      title: 'VETERAN',
-      color: '#00ffff'
-    };
-    if (level >= 10) return {
-      title: 'SKILLED',
-      color: '#00ff00'
-    };
+class ScoreOutbox extends Phaser.Events.EventEmitter {
+  static MAX_ATTEMPTS = 8;
+  constructor() {
+    super();
+    this.timer = null;
+    this.flushing = null;
+    window.addEventListener(`online`, () => this.retry());
+    this.flush();
+  }
+  getEntries() {
+    return StorageManager.get(STORAGE_KEYS.SCORE_OUTBOX, []);
+  }
+  getCounts() {
+    const entries = this.getEntries();
     return {
-      title: 'ROOKIE',
-      color: '#888888'
+      pending: entries.filter(entry => entry.status === `pending`).length,
+      failed: entries.filter(entry => entry.status === `failed`).length
     };
   }
+  enqueue(name, data) {
+    const entry = GlobalLeaderboard.createEntry(name, data);
+    StorageManager.set(STORAGE_KEYS.SCORE_OUTBOX, [...this.getEntries(), {
+      entry,
+      status: `pending`,
+      attempts: 0,
+      nextAttemptAt: 0
+    }]);
+    this.emit(`change`, entry.id, `pending`);
+    this.flush();
+    return entry.id;
+  }
+  update(id, changes) {
+    const entries = this.getEntries();
+    const item = entries.find(candidate => candidate.entry.id === id);
+    // A profile switch mid-flush swaps the outbox underneath us
+    if (!item) return;
+    Object.assign(item, changes);
+    StorageManager.set(STORAGE_KEYS.SCORE_OUTBOX, entries.filter(candidate => candidate.status !== `sent`));
+    this.emit(`change`, id, item.status);
+  }
+  flush() {
+    if (this.flushing) return this.flushing;
+    clearTimeout(this.timer);
+    this.flushing = (async () => {
+      const due = this.getEntries().filter(item => item.status === `pending` && item.nextAttemptAt <= Date.now());
+      for (const item of due) {
+        if (await GlobalLeaderboard.submitEntry(item.entry)) {
+          this.update(item.entry.id, {
+            status: `sent`
+          });
+          continue;
+        }
+        const attempts = item.attempts + 1;
+        this.update(item.entry.id, attempts >= ScoreOutbox.MAX_ATTEMPTS ? {
+          status: `failed`,
+          attempts
+        } : {
+          attempts,
+          nextAttemptAt: Date.now() + getRetryDelay(attempts - 1)
+        });
+      }
+    })().catch(e => console.error(`Failed to flush score outbox:`, e)).finally(() => {
+      this.flushing = null;
+      this.schedule();
+    });
+    return this.flushing;
+  }
+  schedule() {
+    clearTimeout(this.timer);
+    const waiting = this.getEntries().filter(item => item.status === `pending`);
+    if (waiting.length === 0) return;
+    const next = Math.min(...waiting.map(item => item.nextAttemptAt));
+    this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+  }
+  retry() {
+    leaderboardBackend.reconnect();
+    StorageManager.set(STORAGE_KEYS.SCORE_OUTBOX, this.getEntries().map(item => ({
+      ...item,
+      status: `pending`,
+      attempts: item.status === `failed` ? 0 : item.attempts,
+      nextAttemptAt: 0
+    })));
+    this.emit(`change`, null, `pending`);
+    return this.flush();
+  }
 }
 class PlayLimitManager {
   static CHMPSTR_CONTRACT = '0x3ca20831ebea5c99aa6e574d83f0a7c733f7e4d0';
   static COST_PER_PLAY = '100';
   static MAX_FREE_PLAYS = 2;
   static RESET_PERIOD = 24 * 60 * 60 * 1000;
+  // Free plays come back when the daily leaderboard rolls over, at UTC midnight
+  static getNextReset(now = Date.now()) {
+    return GlobalLeaderboard.getWindowStart(GlobalLeaderboard.getWindow(`daily`), now) + this.RESET_PERIOD;
+  }
   static checkAndResetPlays() {
     const resetTime = StorageManager.getInt(STORAGE_KEYS.PLAY_RESET_TIME, 0);
     const now = Date.now();
+    const nextReset = this.getNextReset(now);
     if (now >= resetTime) {
       StorageManager.set(STORAGE_KEYS.PLAY_COUNT, 0);
       StorageManager.set(STORAGE_KEYS.SCORE_SUBMISSIONS, []);
-      StorageManager.set(STORAGE_KEYS.PLAY_RESET_TIME, now + this.RESET_PERIOD);
+      StorageManager.set(STORAGE_KEYS.PLAY_RESET_TIME, nextReset);
+    } else if (resetTime > nextReset) {
+      // Saves from the old rolling 24-hour window can point past the next rollover
+      StorageManager.set(STORAGE_KEYS.PLAY_RESET_TIME, nextReset);
     }
   }
   static getPlaysRemaining() {
@@ -645,7 +688,7 @@ class PlayLimitManager {
     StorageManager.set(STORAGE_KEYS.SCORE_SUBMISSIONS, submissions);
   }
   static getTimeUntilReset() {
-    const resetTime = StorageManager.getInt(STORAGE_KEYS.PLAY_RESET_TIME, Date.now() + this.RESET_PERIOD);
+    const resetTime = StorageManager.getInt(STORAGE_KEYS.PLAY_RESET_TIME, this.getNextReset());
     const now = Date.now();
     const diff = Math.max(0, resetTime - now);
     const hours = Math.floor(diff / (60 * 60 * 1000));
@@ -658,7 +701,7 @@ class PlayLimitManager {
   }
   static async purchasePlay() {
     if (typeof window.ethereum === 'undefined') {
-      throw new Error('Please install MetaMask to purchase plays');
+      throw new Error(t(`purchase.needMetaMask`));
     }
     try {
       const {
@@ -683,63 +726,26 @@ class PlayLimitManager {
     }
   }
 }
-class StorageManager {
-  static get(key, defaultValue = null) {
-    try {
-      const value = localStorage.getItem(key);
-      const jsonKeys = [`achievements`, `stats`, `upgrades`, `challenges`, `leaderboard`, `owned_skins`, `loadout_presets`, `score_submissions`];
-      const shouldParseJSON = jsonKeys.some(jsonKey => key.includes(jsonKey));
-      if (!value) {
-        return defaultValue;
-      }
-      if (shouldParseJSON) {
-        try {
-          return JSON.parse(value);
-        } catch (parseError) {
-          console.error(`JSON parse error for key (${key}):`, parseError);
-          return defaultValue;
-        }
-      }
-      return value;
-    } catch (e) {
-      console.error(`Storage error (${key}):`, e);
-      return defaultValue;
-    }
-  }
-  static getJson(key, defaultValue = {}) {
-    try {
-      const value = localStorage.getItem(key);
-      if (!value) {
-        return defaultValue;
-      }
-      try {
-        return JSON.parse(value);
-      } catch (parseError) {
-        console.error(`JSON parse error for key (${key}):`, parseError);
-        return defaultValue;
-      }
-    } catch (e) {
-      console.error(`Storage error (${key}):`, e);
-      return defaultValue;
-    }
-  }
-  static set(key, value) {
-    try {
-      const stringValue = typeof value === `object` ? JSON.stringify(value) : String(value);
-      localStorage.setItem(key, stringValue);
-    } catch (e) {
-      console.error(`Storage error (${key}):`, e);
-    }
-  }
-  static getInt(key, defaultValue = 0) {
-    return parseInt(this.get(key, defaultValue));
-  }
-  static remove(key) {
-    try {
-      localStorage.removeItem(key);
-    } catch (e) {
-      console.error(`Storage error (${key}):`, e);
-    }
+class ReplayStorage {
+  static MAX_REPLAYS = 10;
+  static list() {
+    const replays = StorageManager.get(STORAGE_KEYS.REPLAYS, []);
+    return Array.isArray(replays) ? replays : [];
+  }
+  static get(id) {
+    return this.list().find(replay => replay.id === id) || null;
+  }
+  static save(replay) {
+    const id = `replay_${replay.createdAt}_${Math.random().toString(36).substr(2, 6)}`;
+    const replays = [{
+      id,
+      ...replay
+    }, ...this.list()].slice(0, this.MAX_REPLAYS);
+    StorageManager.set(STORAGE_KEYS.REPLAYS, replays);
+    return id;
+  }
+  static remove(id) {
+    StorageManager.set(STORAGE_KEYS.REPLAYS, this.list().filter(replay => replay.id !== id));
   }
 }
 class TextureManager {
@@ -772,6 +778,727 @@ class TextureManager {
     this.textureCache.clear();
   }
 }
+class GamepadInput {
+  static DEADZONE = 0.4;
+  static BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    BACK: 8,
+    START: 9,
+    UP: 12,
+    DOWN: 13,
+    LEFT: 14,
+    RIGHT: 15
+  };
+  static getPad(scene) {
+    return scene.input?.gamepad?.gamepads?.find(pad => pad?.connected) || null;
+  }
+  static isHeld(scene, button) {
+    return !!this.getPad(scene)?.buttons[button]?.pressed;
+  }
+  static getAxis(scene, stickAxis, negativeButton, positiveButton) {
+    const pad = this.getPad(scene);
+    if (!pad) return 0;
+    if (pad.buttons[negativeButton]?.pressed) return -1;
+    if (pad.buttons[positiveButton]?.pressed) return 1;
+    const value = pad.leftStick?.[stickAxis] || 0;
+    return Math.abs(value) > this.DEADZONE ? Math.sign(value) : 0;
+  }
+  static getAxisX(scene) {
+    return this.getAxis(scene, `x`, this.BUTTONS.LEFT, this.BUTTONS.RIGHT);
+  }
+  static getAxisY(scene) {
+    return this.getAxis(scene, `y`, this.BUTTONS.UP, this.BUTTONS.DOWN);
+  }
+}
+class InputBindings {
+  static ACTIONS = [{
+    id: `LEFT`,
+    label: `MOVE LEFT`
+  }, {
+    id: `RIGHT`,
+    label: `MOVE RIGHT`
+  }, {
+    id: `DASH`,
+    label: `DASH`
+  }, {
+    id: `FIRE`,
+    label: `FIRE`
+  }, {
+    id: `GUN`,
+    label: `GUN`
+  }, {
+    id: `NET`,
+    label: `NET`
+  }, {
+    id: `OVERCHARGE`,
+    label: `OVERCHARGE`
+  }, {
+    id: `PAUSE`,
+    label: `PAUSE`
+  }];
+  static DEFAULTS = {
+    LEFT: `LEFT`,
+    RIGHT: `RIGHT`,
+    DASH: `SHIFT`,
+    FIRE: `SPACE`,
+    GUN: `ONE`,
+    NET: `TWO`,
+    OVERCHARGE: `O`,
+    PAUSE: `ESC`
+  };
+  static KEY_LABELS = {
+    LEFT: `←`,
+    RIGHT: `→`,
+    UP: `↑`,
+    DOWN: `↓`,
+    ZERO: `0`,
+    ONE: `1`,
+    TWO: `2`,
+    THREE: `3`,
+    FOUR: `4`,
+    FIVE: `5`,
+    SIX: `6`,
+    SEVEN: `7`,
+    EIGHT: `8`,
+    NINE: `9`
+  };
+  static isValidKey(keyName) {
+    return typeof keyName === `string` && Phaser.Input.Keyboard.KeyCodes[keyName] !== undefined;
+  }
+  static getAll() {
+    const stored = StorageManager.get(STORAGE_KEYS.KEY_BINDINGS, {});
+    return Object.fromEntries(Object.entries(this.DEFAULTS).map(([action, keyName]) => [action, this.isValidKey(stored[action]) ? stored[action] : keyName]));
+  }
+  static get(action) {
+    return this.getAll()[action];
+  }
+  static findConflict(action, keyName) {
+    return Object.entries(this.getAll()).find(([other, bound]) => other !== action && bound === keyName)?.[0] || null;
+  }
+  static set(action, keyName) {
+    if (!this.isValidKey(keyName) || this.findConflict(action, keyName)) return false;
+    StorageManager.set(STORAGE_KEYS.KEY_BINDINGS, {
+      ...this.getAll(),
+      [action]: keyName
+    });
+    return true;
+  }
+  static reset() {
+    StorageManager.remove(STORAGE_KEYS.KEY_BINDINGS);
+    StorageManager.remove(STORAGE_KEYS.DASH_MODE);
+    StorageManager.remove(STORAGE_KEYS.DOUBLE_TAP_WINDOW);
+  }
+  static getKeyName(event) {
+    return Object.keys(Phaser.Input.Keyboard.KeyCodes).find(keyName => Phaser.Input.Keyboard.KeyCodes[keyName] === event.keyCode) || null;
+  }
+  static keyLabel(keyName) {
+    return this.KEY_LABELS[keyName] || keyName.replace(/_/g, ` `);
+  }
+  static label(action) {
+    return this.keyLabel(this.get(action));
+  }
+  static actionLabel(action) {
+    return I18n.optional(`settings.controls.actions.${action}`, this.ACTIONS.find(entry => entry.id === action)?.label || action);
+  }
+  static addKeys(scene) {
+    const bindings = this.getAll();
+    return Object.fromEntries(Object.entries(bindings).map(([action, keyName]) => [action, scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[keyName])]));
+  }
+  static getDashMode() {
+    return StorageManager.get(STORAGE_KEYS.DASH_MODE, `doubletap`);
+  }
+  static getDoubleTapWindow() {
+    return Phaser.Math.Clamp(StorageManager.getInt(STORAGE_KEYS.DOUBLE_TAP_WINDOW, DOUBLE_TAP_WINDOW.default), DOUBLE_TAP_WINDOW.min, DOUBLE_TAP_WINDOW.max);
+  }
+  static getDashHint() {
+    return t(`tutorial.dashHints.${this.getDashMode()}`, {
+      dash: this.label(`DASH`)
+    });
+  }
+  static getHint() {
+    return [`GUN`, `NET`, `FIRE`, `OVERCHARGE`, `DASH`].map(action => `${this.label(action)}: ${this.actionLabel(action)}`).join(` | `);
+  }
+}
+class AccessibilitySettings {
+  static DEFAULTS = {
+    palette: `default`,
+    itemIcons: false,
+    motion: `full`,
+    photosensitive: false
+  };
+  static MOTION_MODES = [{
+    id: `full`,
+    label: `FULL`,
+    scale: 1
+  }, {
+    id: `reduced`,
+    label: `REDUCED`,
+    scale: 0.35
+  }, {
+    id: `off`,
+    label: `OFF`,
+    scale: 0
+  }];
+  static MOTION_PROPS = [`x`, `y`, `scale`, `scaleX`, `scaleY`, `angle`, `rotation`];
+  static FLASH_INTERVAL = 1000;
+  static FLASH_INTENSITY = 0.35;
+  static MIN_BLINK_DURATION = 250;
+  static lastFlashAt = 0;
+  static getAll() {
+    const stored = StorageManager.get(STORAGE_KEYS.ACCESSIBILITY, {});
+    return {
+      palette: ItemTextures.PALETTES[stored.palette] ? stored.palette : this.DEFAULTS.palette,
+      itemIcons: typeof stored.itemIcons === `boolean` ? stored.itemIcons : this.DEFAULTS.itemIcons,
+      motion: this.MOTION_MODES.some(mode => mode.id === stored.motion) ? stored.motion : this.DEFAULTS.motion,
+      photosensitive: typeof stored.photosensitive === `boolean` ? stored.photosensitive : this.DEFAULTS.photosensitive
+    };
+  }
+  static get(setting) {
+    return this.getAll()[setting];
+  }
+  static set(setting, value) {
+    StorageManager.set(STORAGE_KEYS.ACCESSIBILITY, {
+      ...this.getAll(),
+      [setting]: value
+    });
+  }
+  static reset() {
+    StorageManager.remove(STORAGE_KEYS.ACCESSIBILITY);
+  }
+  static getMotionScale() {
+    return this.MOTION_MODES.find(mode => mode.id === this.get(`motion`))?.scale ?? 1;
+  }
+  static allowsGlitchEffects() {
+    const settings = this.getAll();
+    return settings.motion === `full` && !settings.photosensitive;
+  }
+  static flash(camera, duration = 250, red = 255, green = 255, blue = 255, force) {
+    if (!this.get(`photosensitive`)) return camera.flash(duration, red, green, blue, force);
+    const now = Date.now();
+    if (now - this.lastFlashAt < this.FLASH_INTERVAL) return camera;
+    this.lastFlashAt = now;
+    return camera.flash(duration, red * this.FLASH_INTENSITY, green * this.FLASH_INTENSITY, blue * this.FLASH_INTENSITY, force);
+  }
+  static shake(camera, duration = 100, intensity = 0.05, force) {
+    const scale = this.getMotionScale();
+    if (scale === 0) return camera;
+    return camera.shake(duration, intensity * scale, force);
+  }
+  static scaleTweenValue(value, scale) {
+    if (typeof value === `number`) return (target, key, current) => current + (value - current) * scale;
+    if (typeof value === `string` && /^[+-]=/.test(value)) return `${value.slice(0, 2)}${parseFloat(value.slice(2)) * scale}`;
+    if (value && typeof value.from === `number` && typeof value.to === `number`) {
+      return {
+        ...value,
+        to: value.from + (value.to - value.from) * scale
+      };
+    }
+    return value;
+  }
+  static adjustTween(config) {
+    const settings = this.getAll();
+    const scale = this.getMotionScale();
+    const adjusted = {
+      ...config
+    };
+    if (scale < 1) {
+      this.MOTION_PROPS.forEach(prop => {
+        if (prop in config) adjusted[prop] = this.scaleTweenValue(config[prop], scale);
+      });
+    }
+    if (settings.photosensitive && `alpha` in config && config.yoyo && typeof config.duration === `number`) {
+      adjusted.duration = Math.max(config.duration, this.MIN_BLINK_DURATION);
+    }
+    return adjusted;
+  }
+}
+class GraphicsSettings {
+  static PRESETS = [{
+    id: `low`,
+    level: 0
+  }, {
+    id: `medium`,
+    level: 1
+  }, {
+    id: `high`,
+    level: 2
+  }, {
+    id: `ultra`,
+    level: 3
+  }, {
+    id: `auto`,
+    level: null
+  }];
+  static TOGGLES = [`particles`, `shadows`, `grid`, `screenShake`, `debris`];
+  static DEFAULTS = {
+    preset: `auto`,
+    particles: true,
+    shadows: true,
+    grid: true,
+    screenShake: true,
+    debris: true
+  };
+  static getAll() {
+    const stored = StorageManager.get(STORAGE_KEYS.GRAPHICS, {});
+    const settings = {
+      preset: this.PRESETS.some(preset => preset.id === stored.preset) ? stored.preset : this.DEFAULTS.preset
+    };
+    this.TOGGLES.forEach(toggle => {
+      settings[toggle] = typeof stored[toggle] === `boolean` ? stored[toggle] : this.DEFAULTS[toggle];
+    });
+    return settings;
+  }
+  static get(setting) {
+    return this.getAll()[setting];
+  }
+  static set(setting, value) {
+    StorageManager.set(STORAGE_KEYS.GRAPHICS, {
+      ...this.getAll(),
+      [setting]: value
+    });
+  }
+  static reset() {
+    StorageManager.remove(STORAGE_KEYS.GRAPHICS);
+  }
+  static getPreset() {
+    return this.PRESETS.find(preset => preset.id === this.get(`preset`));
+  }
+}
+class ItemTextures {
+  static TYPES = {
+    regular: {
+      shape: `square`,
+      size: 30
+    },
+    silver: {
+      shape: `square`,
+      size: 30
+    },
+    gold: {
+      shape: `square`,
+      size: 30
+    },
+    giant: {
+      shape: `square`,
+      size: 60
+    },
+    bomb: {
+      shape: `circle`,
+      size: 30,
+      outline: 0xff0000
+    },
+    freeze: {
+      shape: `circle`,
+      size: 30
+    },
+    health: {
+      shape: `circle`,
+      size: 30
+    },
+    mystery: {
+      shape: `circle`,
+      size: 30
+    },
+    glitch: {
+      shape: `circle`,
+      size: 30
+    },
+    multiplier: {
+      shape: `circle`,
+      size: 30
+    },
+    virus: {
+      shape: `circle`,
+      size: 30
+    }
+  };
+  static PALETTES = {
+    default: {
+      label: `DEFAULT`,
+      colors: {
+        regular: 0x00ffff,
+        silver: 0xcccccc,
+        gold: 0xffdd00,
+        giant: 0xff00ff,
+        bomb: 0xff0066,
+        freeze: 0x00ddff,
+        health: 0xff0066,
+        mystery: 0xff00ff,
+        glitch: 0xff00ff,
+        multiplier: 0x00ff00,
+        virus: 0x660066
+      }
+    },
+    redgreen: {
+      label: `RED-GREEN SAFE`,
+      colors: {
+        regular: 0x56b4e9,
+        silver: 0xdddddd,
+        gold: 0xf0e442,
+        giant: 0xcc79a7,
+        bomb: 0xd55e00,
+        freeze: 0x0072b2,
+        health: 0xe69f00,
+        mystery: 0xffffff,
+        glitch: 0xcc79a7,
+        multiplier: 0x009e73,
+        virus: 0x555555
+      }
+    },
+    blueyellow: {
+      label: `BLUE-YELLOW SAFE`,
+      colors: {
+        regular: 0x00b2b2,
+        silver: 0xdddddd,
+        gold: 0xff8fa3,
+        giant: 0xd81b60,
+        bomb: 0xff2a00,
+        freeze: 0x7fe5f0,
+        health: 0xff6f61,
+        mystery: 0xffffff,
+        glitch: 0xb2387e,
+        multiplier: 0x00786b,
+        virus: 0x555555
+      }
+    }
+  };
+  static generate(scene) {
+    const {
+      palette,
+      itemIcons
+    } = AccessibilitySettings.getAll();
+    const colors = this.PALETTES[palette].colors;
+    Object.entries(this.TYPES).forEach(([type, body]) => {
+      const key = `item_${type}`;
+      if (scene.textures.exists(key)) scene.textures.remove(key);
+      const graphics = scene.make.graphics({
+        x: 0,
+        y: 0
+      });
+      const size = body.size;
+      graphics.fillStyle(colors[type], 0.8);
+      if (body.shape === `square`) {
+        graphics.fillRect(0, 0, size, size);
+        graphics.lineStyle(1, 0xffffff, 0.6);
+        graphics.strokeRect(0, 0, size, size);
+      } else {
+        graphics.fillCircle(size / 2, size / 2, size * 0.4);
+        graphics.lineStyle(2, body.outline ?? 0xffffff, 1);
+        graphics.strokeCircle(size / 2, size / 2, size * 0.4);
+      }
+      if (itemIcons) this.drawIcon(graphics, type, size);
+      graphics.generateTexture(key, size, size);
+      graphics.destroy();
+    });
+  }
+  static drawIcon(graphics, type, size) {
+    const c = size / 2;
+    const r = size * 0.22;
+    graphics.fillStyle(0x000000, 0.85);
+    graphics.lineStyle(Math.max(2, size / 12), 0x000000, 0.85);
+    if (type === `regular`) {
+      graphics.fillCircle(c, c, r * 0.5);
+    } else if (type === `silver`) {
+      graphics.strokeRect(c - r * 0.7, c - r * 0.7, r * 1.4, r * 1.4);
+    } else if (type === `gold`) {
+      graphics.fillPoints(Array.from({
+        length: 10
+      }, (_, i) => {
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        const radius = i % 2 === 0 ? r * 1.2 : r * 0.5;
+        return new Phaser.Geom.Point(c + Math.cos(angle) * radius, c + Math.sin(angle) * radius);
+      }), true);
+    } else if (type === `giant`) {
+      graphics.strokeRect(c - r * 1.4, c - r * 1.4, r * 2.8, r * 2.8);
+      graphics.fillRect(c - r * 0.6, c - r * 0.6, r * 1.2, r * 1.2);
+    } else if (type === `bomb`) {
+      graphics.lineBetween(c - r, c - r, c + r, c + r);
+      graphics.lineBetween(c + r, c - r, c - r, c + r);
+    } else if (type === `freeze`) {
+      for (let i = 0; i < 3; i++) {
+        const angle = i * Math.PI / 3;
+        graphics.lineBetween(c - Math.cos(angle) * r, c - Math.sin(angle) * r, c + Math.cos(angle) * r, c + Math.sin(angle) * r);
+      }
+    } else if (type === `health`) {
+      graphics.fillRect(c - r, c - r * 0.3, r * 2, r * 0.6);
+      graphics.fillRect(c - r * 0.3, c - r, r * 0.6, r * 2);
+    } else if (type === `mystery`) {
+      graphics.strokeCircle(c, c, r * 0.8);
+      graphics.fillCircle(c, c, r * 0.3);
+    } else if (type === `glitch`) {
+      graphics.strokePoints([new Phaser.Geom.Point(c - r, c - r * 0.5), new Phaser.Geom.Point(c - r * 0.3, c + r * 0.5), new Phaser.Geom.Point(c + r * 0.3, c - r * 0.5), new Phaser.Geom.Point(c + r, c + r * 0.5)]);
+    } else if (type === `multiplier`) {
+      graphics.fillTriangle(c, c - r, c - r, c + r * 0.7, c + r, c + r * 0.7);
+    } else if (type === `virus`) {
+      for (let i = 0; i < 3; i++) {
+        const angle = -Math.PI / 2 + i * Math.PI * 2 / 3;
+        graphics.fillCircle(c + Math.cos(angle) * r * 0.7, c + Math.sin(angle) * r * 0.7, r * 0.35);
+      }
+    }
+  }
+}
+class MenuFocus {
+  static REPEAT_DELAY = 250;
+  constructor(scene) {
+    this.scene = scene;
+    this.enabled = true;
+    this.focused = null;
+    this.heldDirection = 0;
+    this.nextRepeat = 0;
+    scene.input.gamepad?.on(`down`, this.onPadDown, this);
+    scene.events.on(`update`, this.update, this);
+    scene.events.once(`shutdown`, this.destroy, this);
+  }
+  getDepth(target) {
+    let depth = target.depth || 0;
+    let parent = target.parentContainer;
+    while (parent) {
+      depth = parent.depth || 0;
+      parent = parent.parentContainer;
+    }
+    return depth;
+  }
+  isBlocker(target) {
+    const {
+      width,
+      height
+    } = this.scene.cameras.main;
+    const bounds = target.getBounds();
+    return bounds.width >= width && bounds.height >= height;
+  }
+  getTargets() {
+    const interactive = [];
+    const collect = list => list.forEach(child => {
+      if (!child.active || child.visible === false) return;
+      if (child.list) collect(child.list);
+      if (child.input?.enabled && typeof child.getBounds === `function`) interactive.push(child);
+    });
+    collect(this.scene.children.list);
+    const blockers = interactive.filter(target => this.isBlocker(target));
+    const minDepth = blockers.length > 0 ? Math.max(...blockers.map(target => this.getDepth(target))) : -Infinity;
+    return interactive.filter(target => !this.isBlocker(target) && this.getDepth(target) >= minDepth && (target.listenerCount(`pointerdown`) > 0 || target.listenerCount(`pointerup`) > 0)).sort((a, b) => {
+      const boundsA = a.getBounds();
+      const boundsB = b.getBounds();
+      return Math.round(boundsA.centerY / 10) - Math.round(boundsB.centerY / 10) || boundsA.centerX - boundsB.centerX;
+    });
+  }
+  createPointer(target) {
+    const bounds = target.getBounds();
+    return {
+      x: bounds.centerX,
+      y: bounds.centerY,
+      worldX: bounds.centerX,
+      worldY: bounds.centerY,
+      leftButtonDown: () => true,
+      rightButtonDown: () => false
+    };
+  }
+  setFocus(target) {
+    if (this.focused?.active) this.focused.emit(`pointerout`, this.createPointer(this.focused));
+    this.focused = target;
+    target?.emit(`pointerover`, this.createPointer(target));
+  }
+  move(step) {
+    const targets = this.getTargets();
+    if (targets.length === 0) return;
+    const index = targets.indexOf(this.focused);
+    const next = index < 0 ? step > 0 ? 0 : targets.length - 1 : (index + step + targets.length) % targets.length;
+    this.setFocus(targets[next]);
+  }
+  activate() {
+    const target = this.focused;
+    if (!target?.active || !target.input?.enabled) return;
+    const pointer = this.createPointer(target);
+    const event = {
+      stopPropagation: () => {}
+    };
+    if (target.listenerCount(`pointerdown`) > 0) {
+      target.emit(`pointerdown`, pointer, 0, 0, event);
+    } else {
+      target.emit(`pointerup`, pointer, 0, 0, event);
+    }
+  }
+  onPadDown(pad, button) {
+    if (!this.enabled) return;
+    const {
+      UP,
+      DOWN,
+      LEFT,
+      RIGHT,
+      A
+    } = GamepadInput.BUTTONS;
+    if (button.index === UP || button.index === LEFT) {
+      this.move(-1);
+    } else if (button.index === DOWN || button.index === RIGHT) {
+      this.move(1);
+    } else if (button.index === A) {
+      this.activate();
+    }
+  }
+  update(time) {
+    if (!this.enabled) return;
+    const pad = GamepadInput.getPad(this.scene);
+    const value = pad?.leftStick?.y || 0;
+    const direction = Math.abs(value) > GamepadInput.DEADZONE ? Math.sign(value) : 0;
+    if (direction === 0) {
+      this.heldDirection = 0;
+      return;
+    }
+    if (direction !== this.heldDirection) {
+      this.move(direction);
+      this.nextRepeat = time + MenuFocus.REPEAT_DELAY * 2;
+    } else if (time >= this.nextRepeat) {
+      this.move(direction);
+      this.nextRepeat = time + MenuFocus.REPEAT_DELAY;
+    }
+    this.heldDirection = direction;
+  }
+  destroy() {
+    this.scene.input?.gamepad?.off(`down`, this.onPadDown, this);
+    this.scene.events.off(`update`, this.update, this);
+    this.focused = null;
+  }
+}
+class TouchControls extends Phaser.Events.EventEmitter {
+  static STICK_RADIUS = 60;
+  static SWIPE_DISTANCE = 90;
+  static SWIPE_TIME = 250;
+  static isSupported(scene) {
+    return !!scene.sys.game.device.input.touch;
+  }
+  constructor(scene, options = {}) {
+    super();
+    this.scene = scene;
+    this.options = {
+      fire: true,
+      weapon: true,
+      pause: true,
+      ...options
+    };
+    this.axisX = 0;
+    this.fireHeld = false;
+    this.dashHeld = false;
+    this.dashDirection = null;
+    this.stickPointer = null;
+    this.stickOrigin = null;
+    const pointersTotal = scene.input.manager.pointersTotal;
+    if (pointersTotal < 3) scene.input.addPointer(3 - pointersTotal);
+    this.stickBase = scene.add.circle(0, 0, TouchControls.STICK_RADIUS, 0xffffff, 0.1).setStrokeStyle(2, 0x00ffff, 0.6).setDepth(900).setVisible(false);
+    this.stickKnob = scene.add.circle(0, 0, 28, 0x00ffff, 0.4).setDepth(901).setVisible(false);
+    this.buttons = {};
+    if (this.options.fire) {
+      this.buttons.fire = this.createButton(t(`touch.fire`), 70, () => {
+        this.fireHeld = true;
+        this.emit(`fire-down`);
+      }, () => {
+        if (!this.fireHeld) return;
+        this.fireHeld = false;
+        this.emit(`fire-up`);
+      });
+    }
+    if (this.options.weapon) {
+      this.buttons.weapon = this.createButton(`⇄`, 42, () => this.emit(`weapon-toggle`));
+    }
+    if (this.options.pause) {
+      this.buttons.pause = this.createButton(`II`, 30, () => this.emit(`pause`));
+    }
+    this.layout();
+    scene.input.on(`pointerdown`, this.onPointerDown, this);
+    scene.input.on(`pointermove`, this.onPointerMove, this);
+    scene.input.on(`pointerup`, this.onPointerUp, this);
+    scene.scale.on(`resize`, this.layout, this);
+    scene.events.once(`shutdown`, this.destroy, this);
+  }
+  createButton(label, radius, onDown, onUp) {
+    const circle = this.scene.add.circle(0, 0, radius, 0x000000, 0.4).setStrokeStyle(3, 0x00ffff, 0.8).setDepth(900).setInteractive();
+    const text = this.scene.add.text(0, 0, label, {
+      fontSize: `${Math.round(radius * 0.5)}px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    }).setOrigin(0.5).setDepth(901);
+    const release = () => {
+      circle.setFillStyle(0x000000, 0.4);
+      onUp?.();
+    };
+    circle.on(`pointerdown`, () => {
+      circle.setFillStyle(0x00ffff, 0.3);
+      onDown();
+    });
+    circle.on(`pointerup`, release);
+    circle.on(`pointerout`, release);
+    return {
+      circle,
+      text
+    };
+  }
+  layout() {
+    const {
+      width,
+      height
+    } = this.scene.cameras.main;
+    const positions = {
+      fire: [width - 110, height - 130],
+      weapon: [width - 250, height - 90],
+      pause: [width - 50, height - 270]
+    };
+    Object.entries(this.buttons).forEach(([name, button]) => {
+      button.circle.setPosition(...positions[name]);
+      button.text.setPosition(...positions[name]);
+    });
+  }
+  onPointerDown(pointer, currentlyOver) {
+    if (this.stickPointer || currentlyOver.length > 0 || pointer.x > this.scene.cameras.main.width / 2) return;
+    this.stickPointer = pointer;
+    this.stickOrigin = {
+      x: pointer.x,
+      y: pointer.y
+    };
+    this.stickBase.setPosition(pointer.x, pointer.y).setVisible(true);
+    this.stickKnob.setPosition(pointer.x, pointer.y).setVisible(true);
+  }
+  onPointerMove(pointer) {
+    if (pointer !== this.stickPointer) return;
+    const radius = TouchControls.STICK_RADIUS;
+    const dx = pointer.x - this.stickOrigin.x;
+    this.stickKnob.setPosition(this.stickOrigin.x + Phaser.Math.Clamp(dx, -radius, radius), this.stickOrigin.y);
+    this.axisX = Math.abs(dx) > radius * 0.3 ? Math.sign(dx) : 0;
+    if (!this.dashHeld && Math.abs(dx) > TouchControls.SWIPE_DISTANCE && pointer.moveTime - pointer.downTime < TouchControls.SWIPE_TIME) {
+      this.dashHeld = true;
+      this.dashDirection = dx < 0 ? `left` : `right`;
+      this.emit(`dash`, this.dashDirection);
+    } else if (this.dashHeld && this.axisX !== (this.dashDirection === `left` ? -1 : 1)) {
+      this.endDash();
+    }
+  }
+  onPointerUp(pointer) {
+    if (pointer !== this.stickPointer) return;
+    this.stickPointer = null;
+    this.axisX = 0;
+    this.stickBase.setVisible(false);
+    this.stickKnob.setVisible(false);
+    this.endDash();
+  }
+  endDash() {
+    if (!this.dashHeld) return;
+    const direction = this.dashDirection;
+    this.dashHeld = false;
+    this.dashDirection = null;
+    this.emit(`dash-end`, direction);
+  }
+  destroy() {
+    this.scene.input?.off(`pointerdown`, this.onPointerDown, this);
+    this.scene.input?.off(`pointermove`, this.onPointerMove, this);
+    this.scene.input?.off(`pointerup`, this.onPointerUp, this);
+    this.scene.scale?.off(`resize`, this.layout, this);
+    [this.stickBase, this.stickKnob, ...Object.values(this.buttons).flatMap(button => [button.circle, button.text])].forEach(object => object.destroy());
+    this.removeAllListeners();
+  }
+}
 class BaseScene extends Phaser.Scene {
   constructor(config) {
     super(config);
@@ -782,6 +1509,7 @@ class BaseScene extends Phaser.Scene {
   create() {
     this.performanceManager = new PerformanceManager(this);
     this.textureManager = new TextureManager(this);
+    this.menuFocus = new MenuFocus(this);
     this.game.events.on('quality-changed', this.onQualityChanged, this);
   }
   onQualityChanged(settings) {
@@ -796,6 +1524,11 @@ class BaseScene extends Phaser.Scene {
       this.textureManager.setQualitySettings(settings);
     }
   }
+  initRunRandom(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed ?? SeededRandom.generateSeed());
+    this.rng = new SeededRandom(this.seed);
+    return this.rng;
+  }
   createOptimizedPool(key, createFunc, resetFunc, initialSize = 10, maxCapacity) {
     const pool = new ObjectPool(this, createFunc, resetFunc, initialSize, maxCapacity, key);
     this.objectPools.set(key, pool);
@@ -811,6 +1544,33 @@ class BaseScene extends Phaser.Scene {
     }
     return pool;
   }
+  flashCamera(duration, red, green, blue, force) {
+    return AccessibilitySettings.flash(this.cameras.main, duration, red, green, blue, force);
+  }
+  shakeCamera(duration, intensity, force) {
+    if (this.performanceManager?.getQualitySettings().screenShake === false) return null;
+    return AccessibilitySettings.shake(this.cameras.main, duration, intensity, force);
+  }
+  addParticles(x, y, texture, config) {
+    const emitter = this.add.particles(x, y, texture, config);
+    if (this.performanceManager?.getQualitySettings().particles === 0) {
+      // explode() still runs with particles off, so cap the pool instead of letting hidden particles pile up
+      emitter.setVisible(false);
+      emitter.maxParticles = 1;
+    }
+    return emitter;
+  }
+  addEffectTween(config) {
+    return this.tweens.add(AccessibilitySettings.adjustTween(config));
+  }
+  fitText(text, maxWidth, minFontSize = 10) {
+    let fontSize = parseInt(text.style.fontSize, 10);
+    while (text.width > maxWidth && fontSize > minFontSize) {
+      fontSize--;
+      text.setFontSize(fontSize);
+    }
+    return text;
+  }
   createCyberpunkBackground() {
     const camera = this.cameras?.main;
     if (!camera) return;
@@ -896,80 +1656,1497 @@ class BaseScene extends Phaser.Scene {
     super.destroy();
   }
 }
-class BootScene extends Phaser.Scene {
-  constructor() {
-    super({
-      key: "BootScene"
+class AudioMixer {
+  static BUSES = [`master`, `music`, `sfx`, `ui`];
+  static DEFAULTS = {
+    master: {
+      volume: 0.8,
+      muted: false
+    },
+    music: {
+      volume: 0.6,
+      muted: false
+    },
+    sfx: {
+      volume: 1,
+      muted: false
+    },
+    ui: {
+      volume: 0.8,
+      muted: false
+    }
+  };
+  static DUCK_LEVEL = 0.3;
+  static RAMP_TIME = 0.05;
+  static UNLOCK_EVENTS = [`pointerdown`, `keydown`, `touchend`];
+  static getSettings() {
+    const stored = StorageManager.get(STORAGE_KEYS.AUDIO, {});
+    return Object.fromEntries(this.BUSES.map(bus => {
+      const entry = stored[bus] || {};
+      return [bus, {
+        volume: typeof entry.volume === `number` ? Phaser.Math.Clamp(entry.volume, 0, 1) : this.DEFAULTS[bus].volume,
+        muted: typeof entry.muted === `boolean` ? entry.muted : this.DEFAULTS[bus].muted
+      }];
+    }));
+  }
+  static setBus(bus, changes) {
+    const settings = this.getSettings();
+    settings[bus] = {
+      ...settings[bus],
+      ...changes
+    };
+    StorageManager.set(STORAGE_KEYS.AUDIO, settings);
+  }
+  static reset() {
+    StorageManager.remove(STORAGE_KEYS.AUDIO);
+  }
+  constructor(audioContext) {
+    this.context = audioContext;
+    this.ducked = false;
+    this.buses = {};
+    AudioMixer.BUSES.forEach(bus => {
+      const gain = audioContext.createGain();
+      gain.connect(bus === `master` ? audioContext.destination : this.buses.master);
+      this.buses[bus] = gain;
     });
-    this.sounds = {};
+    this.apply();
+    this.listenForUnlock();
   }
-  preload() {
-    const logoImageUrl = `https://cdn.dev.fun/asset/faa6ba68b43144a937f0/ChatGPT Image Nov 13, 2025, 07_21_41 AM_d087118f.png`;
-    this.load.image('loading_logo', `https://proxy.dev.fun?url=${encodeURIComponent(logoImageUrl)}`);
-    const menuBgUrl = `https://cdn.dev.fun/asset/faa6ba68b43144a937f0/Screenshot 2025-11-13 at 2.54.40 PM_66f6db68.png`;
-    this.load.image('menu_background', `https://proxy.dev.fun?url=${encodeURIComponent(menuBgUrl)}`);
-    this.createSounds();
-    const playerImageUrl = `https://cdn.dev.fun/asset/faa6ba68b43144a937f0/Untitled_Artwork 5_3f43f229.png`;
-    this.load.image('player_default', `https://proxy.dev.fun?url=${encodeURIComponent(playerImageUrl)}`);
-    this.load.on('complete', () => {
-      this.createSpecialItemTextures();
-      this.createTextures();
+  bus(name) {
+    return this.buses[name] || this.buses.sfx;
+  }
+  apply() {
+    const settings = AudioMixer.getSettings();
+    AudioMixer.BUSES.forEach(bus => {
+      const {
+        volume,
+        muted
+      } = settings[bus];
+      const level = muted ? 0 : volume * (bus === `master` && this.ducked ? AudioMixer.DUCK_LEVEL : 1);
+      this.buses[bus].gain.setTargetAtTime(level, this.context.currentTime, AudioMixer.RAMP_TIME);
     });
   }
-  createTextures() {
-    const playerSkins = [{
-      name: 'default',
-      colors: [COLORS.PRIMARY, 0x0099ff]
+  duck(enabled) {
+    this.ducked = enabled;
+    this.apply();
+  }
+  resume() {
+    if (this.context.state !== `suspended`) return Promise.resolve();
+    return this.context.resume().catch(e => console.error(`Failed to resume audio:`, e));
+  }
+  listenForUnlock() {
+    const unlock = () => {
+      this.resume().then(() => {
+        if (this.context.state !== `running`) return;
+        AudioMixer.UNLOCK_EVENTS.forEach(event => window.removeEventListener(event, unlock));
+      });
+    };
+    AudioMixer.UNLOCK_EVENTS.forEach(event => window.addEventListener(event, unlock));
+  }
+}
+const SFX_DEFINITIONS = {
+  click: {
+    bus: `ui`,
+    gain: 0.1,
+    envelope: {
+      release: 0.08
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 600
+    }]
+  },
+  equip: {
+    bus: `ui`,
+    gain: 0.1,
+    envelope: {
+      release: 0.12
+    },
+    voices: [{
+      wave: `square`,
+      freq: 440
     }, {
-      name: 'fire',
-      colors: [COLORS.ACCENT, 0xff3399]
+      wave: `square`,
+      freq: 660,
+      delay: 0.06
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 2500
+    }
+  },
+  purchase: {
+    bus: `ui`,
+    gain: 0.1,
+    envelope: {
+      release: 0.15
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 988
     }, {
-      name: 'ice',
-      colors: [0x00ddff, 0x66ffff]
+      wave: `triangle`,
+      freq: 1319,
+      delay: 0.08,
+      length: 0.3
+    }]
+  },
+  catch: {
+    gain: 0.1,
+    envelope: {
+      release: 0.1
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 800,
+      to: 1000,
+      sweep: 0.05
+    }]
+  },
+  gold: {
+    gain: 0.09,
+    envelope: {
+      release: 0.25
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 1046
     }, {
-      name: 'gold',
-      colors: [COLORS.GOLD, 0xffff66]
+      wave: `triangle`,
+      freq: 1568,
+      delay: 0.05
     }, {
-      name: 'purple',
-      colors: [COLORS.SECONDARY, 0xcc66ff]
-    }];
-    playerSkins.forEach(skin => {
-      if (skin.name === 'default') return;
-      const g = this.make.graphics({
-        x: 0,
-        y: 0
-      });
-      g.fillStyle(skin.colors[0], 0.8).fillRect(0, 0, 60, 20);
-      g.lineStyle(2, skin.colors[1], 1).strokeRect(0, 0, 60, 20);
-      g.generateTexture(`player_${skin.name}`, 60, 20);
-      g.destroy();
+      wave: `sine`,
+      freq: 2093,
+      delay: 0.1,
+      gain: 0.5
+    }]
+  },
+  giant: {
+    gain: 0.12,
+    envelope: {
+      release: 0.3
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 330,
+      to: 660
+    }, {
+      wave: `sine`,
+      freq: 165,
+      to: 330
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 800,
+      to: 3000
+    }
+  },
+  miss: {
+    gain: 0.1,
+    envelope: {
+      release: 0.2
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 200,
+      to: 120
+    }]
+  },
+  shieldHit: {
+    gain: 0.08,
+    envelope: {
+      release: 0.2
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 1200,
+      detune: 12
+    }, {
+      wave: `sine`,
+      freq: 1200,
+      detune: -12
+    }],
+    filter: {
+      type: `bandpass`,
+      freq: 1200,
+      q: 4
+    }
+  },
+  shieldBreak: {
+    gain: 0.12,
+    envelope: {
+      release: 0.45
+    },
+    voices: [{
+      wave: `square`,
+      freq: 900,
+      to: 150
+    }],
+    noise: {
+      gain: 0.6,
+      filter: {
+        type: `highpass`,
+        freq: 3000
+      }
+    },
+    filter: {
+      type: `lowpass`,
+      freq: 4000,
+      to: 500
+    }
+  },
+  explosion: {
+    gain: 0.2,
+    envelope: {
+      release: 0.6
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 120,
+      to: 30
+    }],
+    noise: {
+      gain: 0.8,
+      filter: {
+        type: `lowpass`,
+        freq: 2000,
+        to: 200
+      }
+    }
+  },
+  bombDestroy: {
+    gain: 0.15,
+    envelope: {
+      release: 0.35
+    },
+    voices: [{
+      wave: `square`,
+      freq: 400,
+      to: 80
+    }],
+    noise: {
+      gain: 0.5,
+      filter: {
+        type: `bandpass`,
+        freq: 1500,
+        to: 400
+      }
+    }
+  },
+  block: {
+    gain: 0.12,
+    envelope: {
+      release: 0.15
+    },
+    voices: [{
+      wave: `square`,
+      freq: 220
+    }, {
+      wave: `square`,
+      freq: 233
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 1200
+    }
+  },
+  shatter: {
+    gain: 0.08,
+    envelope: {
+      release: 0.18
+    },
+    noise: {
+      gain: 1,
+      filter: {
+        type: `highpass`,
+        freq: 4000,
+        to: 8000
+      }
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 1800,
+      to: 900
+    }]
+  },
+  heal: {
+    gain: 0.1,
+    envelope: {
+      attack: 0.02,
+      release: 0.3
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 523
+    }, {
+      wave: `sine`,
+      freq: 659,
+      delay: 0.08
+    }, {
+      wave: `sine`,
+      freq: 784,
+      delay: 0.16
+    }]
+  },
+  mystery: {
+    gain: 0.09,
+    envelope: {
+      release: 0.4
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 400,
+      to: 1600,
+      detune: 30
+    }, {
+      wave: `triangle`,
+      freq: 600,
+      to: 1200,
+      detune: -30
+    }]
+  },
+  spike: {
+    gain: 0.14,
+    envelope: {
+      release: 0.25
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 300,
+      to: 60
+    }],
+    noise: {
+      gain: 0.4,
+      filter: {
+        type: `bandpass`,
+        freq: 900
+      }
+    }
+  },
+  nearMiss: {
+    gain: 0.06,
+    envelope: {
+      attack: 0.04,
+      release: 0.18
+    },
+    noise: {
+      gain: 1,
+      filter: {
+        type: `bandpass`,
+        freq: 800,
+        to: 3000,
+        q: 2
+      }
+    }
+  },
+  dash: {
+    gain: 0.08,
+    envelope: {
+      attack: 0.01,
+      release: 0.2
+    },
+    noise: {
+      gain: 1,
+      filter: {
+        type: `bandpass`,
+        freq: 3000,
+        to: 600,
+        q: 1.5
+      }
+    }
+  },
+  weaponSwitch: {
+    gain: 0.08,
+    envelope: {
+      release: 0.08
+    },
+    voices: [{
+      wave: `square`,
+      freq: 700
+    }, {
+      wave: `square`,
+      freq: 1050,
+      delay: 0.04
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 3000
+    }
+  },
+  shoot: {
+    gain: 0.08,
+    envelope: {
+      release: 0.06
+    },
+    voices: [{
+      wave: `square`,
+      freq: 1000,
+      to: 600
+    }],
+    variants: {
+      fire: {
+        voices: [{
+          wave: `sawtooth`,
+          freq: 500,
+          to: 250
+        }],
+        noise: {
+          gain: 0.5,
+          filter: {
+            type: `lowpass`,
+            freq: 2500
+          }
+        }
+      },
+      ice: {
+        voices: [{
+          wave: `sine`,
+          freq: 2200,
+          to: 1600
+        }, {
+          wave: `sine`,
+          freq: 3300,
+          gain: 0.4
+        }]
+      },
+      plasma: {
+        voices: [{
+          wave: `square`,
+          freq: 1400,
+          to: 300,
+          detune: 20
+        }, {
+          wave: `square`,
+          freq: 1400,
+          to: 300,
+          detune: -20
+        }]
+      },
+      laser: {
+        envelope: {
+          release: 0.12
+        },
+        voices: [{
+          wave: `sine`,
+          freq: 2600,
+          to: 400
+        }]
+      },
+      void: {
+        voices: [{
+          wave: `sawtooth`,
+          freq: 180,
+          to: 60
+        }],
+        filter: {
+          type: `lowpass`,
+          freq: 900
+        }
+      }
+    }
+  },
+  netCharge: {
+    gain: 0.05,
+    envelope: {
+      attack: 0.1,
+      release: 0.4
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 200,
+      to: 500
+    }],
+    variants: {
+      fire: {
+        voices: [{
+          wave: `sawtooth`,
+          freq: 150,
+          to: 400
+        }],
+        filter: {
+          type: `lowpass`,
+          freq: 1200
+        }
+      },
+      ice: {
+        voices: [{
+          wave: `sine`,
+          freq: 600,
+          to: 1400
+        }]
+      },
+      plasma: {
+        voices: [{
+          wave: `square`,
+          freq: 220,
+          to: 660,
+          detune: 15
+        }],
+        filter: {
+          type: `lowpass`,
+          freq: 2000
+        }
+      },
+      laser: {
+        voices: [{
+          wave: `sine`,
+          freq: 400,
+          to: 1800
+        }]
+      },
+      void: {
+        voices: [{
+          wave: `sawtooth`,
+          freq: 80,
+          to: 160
+        }],
+        filter: {
+          type: `lowpass`,
+          freq: 600
+        }
+      }
+    }
+  },
+  netLaunch: {
+    gain: 0.1,
+    envelope: {
+      release: 0.25
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 500,
+      to: 200
+    }],
+    noise: {
+      gain: 0.4,
+      filter: {
+        type: `bandpass`,
+        freq: 1200,
+        to: 300
+      }
+    },
+    variants: {
+      fire: {
+        voices: [{
+          wave: `sawtooth`,
+          freq: 350,
+          to: 120
+        }],
+        noise: {
+          gain: 0.7,
+          filter: {
+            type: `lowpass`,
+            freq: 1800
+          }
+        }
+      },
+      ice: {
+        voices: [{
+          wave: `sine`,
+          freq: 1400,
+          to: 700
+        }, {
+          wave: `sine`,
+          freq: 2100,
+          to: 1050,
+          gain: 0.4
+        }]
+      },
+      plasma: {
+        voices: [{
+          wave: `square`,
+          freq: 800,
+          to: 150,
+          detune: 25
+        }, {
+          wave: `square`,
+          freq: 800,
+          to: 150,
+          detune: -25
+        }],
+        filter: {
+          type: `lowpass`,
+          freq: 2500
+        }
+      },
+      laser: {
+        voices: [{
+          wave: `sine`,
+          freq: 3000,
+          to: 300
+        }]
+      },
+      void: {
+        voices: [{
+          wave: `sawtooth`,
+          freq: 120,
+          to: 40
+        }],
+        filter: {
+          type: `lowpass`,
+          freq: 700
+        }
+      }
+    }
+  },
+  powerup: {
+    gain: 0.08,
+    envelope: {
+      release: 0.15
+    },
+    voices: [{
+      wave: `square`,
+      freq: 1200
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 4000
+    }
+  },
+  shieldUp: {
+    gain: 0.1,
+    envelope: {
+      attack: 0.03,
+      release: 0.35
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 300,
+      to: 900
+    }, {
+      wave: `triangle`,
+      freq: 600,
+      to: 1800,
+      gain: 0.4
+    }]
+  },
+  magnet: {
+    gain: 0.08,
+    envelope: {
+      release: 0.35
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 110
+    }, {
+      wave: `sawtooth`,
+      freq: 112
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 300,
+      to: 2400
+    }
+  },
+  slowmo: {
+    gain: 0.1,
+    envelope: {
+      release: 0.6
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 900,
+      to: 200
+    }]
+  },
+  timewarp: {
+    gain: 0.09,
+    envelope: {
+      release: 0.5
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 300,
+      to: 1200,
+      sweep: 0.25
+    }, {
+      wave: `sine`,
+      freq: 1200,
+      to: 300,
+      sweep: 0.25
+    }]
+  },
+  converter: {
+    gain: 0.09,
+    envelope: {
+      release: 0.3
+    },
+    voices: [{
+      wave: `square`,
+      freq: 220,
+      to: 880
+    }, {
+      wave: `triangle`,
+      freq: 1320,
+      delay: 0.15,
+      length: 0.2
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 2500
+    }
+  },
+  hyperdash: {
+    gain: 0.1,
+    envelope: {
+      release: 0.3
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 200,
+      to: 1600
+    }],
+    noise: {
+      gain: 0.3,
+      filter: {
+        type: `highpass`,
+        freq: 2000
+      }
+    },
+    filter: {
+      type: `lowpass`,
+      freq: 3000
+    }
+  },
+  blackhole: {
+    gain: 0.16,
+    envelope: {
+      attack: 0.05,
+      hold: 0.3,
+      release: 0.8
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 80,
+      to: 30
+    }, {
+      wave: `sawtooth`,
+      freq: 60,
+      to: 25,
+      gain: 0.3
+    }],
+    noise: {
+      gain: 0.3,
+      filter: {
+        type: `lowpass`,
+        freq: 600,
+        to: 100
+      }
+    }
+  },
+  powerupExpire: {
+    gain: 0.06,
+    envelope: {
+      release: 0.2
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 800,
+      to: 400
+    }]
+  },
+  freeze: {
+    gain: 0.08,
+    envelope: {
+      release: 0.5
+    },
+    voices: [{
+      wave: `sine`,
+      freq: 2400
+    }, {
+      wave: `sine`,
+      freq: 3200,
+      delay: 0.05
+    }],
+    noise: {
+      gain: 0.3,
+      filter: {
+        type: `highpass`,
+        freq: 6000
+      }
+    }
+  },
+  multiplier: {
+    gain: 0.09,
+    envelope: {
+      release: 0.2
+    },
+    voices: [{
+      wave: `square`,
+      freq: 660
+    }, {
+      wave: `square`,
+      freq: 880,
+      delay: 0.07
+    }, {
+      wave: `square`,
+      freq: 1320,
+      delay: 0.14
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 3500
+    }
+  },
+  glitch: {
+    gain: 0.1,
+    envelope: {
+      hold: 0.2,
+      release: 0.1
+    },
+    voices: [{
+      wave: `square`,
+      freq: 150,
+      to: 1800,
+      sweep: 0.05
+    }, {
+      wave: `square`,
+      freq: 1700,
+      to: 90,
+      delay: 0.1
+    }],
+    noise: {
+      gain: 0.3,
+      filter: {
+        type: `bandpass`,
+        freq: 2500
+      }
+    }
+  },
+  virus: {
+    gain: 0.1,
+    envelope: {
+      hold: 0.3,
+      release: 0.3
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 140,
+      detune: 40
+    }, {
+      wave: `sawtooth`,
+      freq: 147,
+      detune: -40
+    }],
+    filter: {
+      type: `bandpass`,
+      freq: 400,
+      to: 1400,
+      q: 6
+    }
+  },
+  overcharge: {
+    gain: 0.12,
+    envelope: {
+      attack: 0.05,
+      release: 0.6
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 110,
+      to: 880
+    }, {
+      wave: `sawtooth`,
+      freq: 111,
+      to: 887
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 500,
+      to: 5000
+    }
+  },
+  overchargeEnd: {
+    gain: 0.08,
+    envelope: {
+      release: 0.4
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 660,
+      to: 110
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 3000,
+      to: 300
+    }
+  },
+  hazard: {
+    gain: 0.1,
+    envelope: {
+      release: 0.3
+    },
+    voices: [{
+      wave: `square`,
+      freq: 440
+    }, {
+      wave: `square`,
+      freq: 330,
+      delay: 0.15,
+      length: 0.15
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 2000
+    }
+  },
+  comboFade: {
+    gain: 0.06,
+    envelope: {
+      release: 0.25
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 600,
+      to: 300
+    }]
+  },
+  comboMilestone: {
+    gain: 0.09,
+    envelope: {
+      release: 0.3
+    },
+    voices: [{
+      wave: `square`,
+      freq: 523
+    }, {
+      wave: `square`,
+      freq: 784,
+      delay: 0.06
+    }, {
+      wave: `square`,
+      freq: 1046,
+      delay: 0.12
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 3000
+    }
+  },
+  levelUp: {
+    gain: 0.1,
+    envelope: {
+      release: 0.3
+    },
+    voices: [{
+      wave: `triangle`,
+      freq: 523
+    }, {
+      wave: `triangle`,
+      freq: 659,
+      delay: 0.1
+    }, {
+      wave: `triangle`,
+      freq: 784,
+      delay: 0.2
+    }, {
+      wave: `triangle`,
+      freq: 1046,
+      delay: 0.3,
+      length: 0.5
+    }]
+  },
+  chaos: {
+    gain: 0.14,
+    envelope: {
+      hold: 0.4,
+      release: 0.5
+    },
+    voices: [{
+      wave: `sawtooth`,
+      freq: 220,
+      to: 440,
+      sweep: 0.2
+    }, {
+      wave: `square`,
+      freq: 233,
+      to: 110
+    }],
+    noise: {
+      gain: 0.4,
+      filter: {
+        type: `bandpass`,
+        freq: 1000,
+        to: 4000
+      }
+    },
+    filter: {
+      type: `lowpass`,
+      freq: 3000
+    }
+  },
+  gameOver: {
+    gain: 0.12,
+    envelope: {
+      release: 0.4
+    },
+    voices: [{
+      wave: `square`,
+      freq: 392
+    }, {
+      wave: `square`,
+      freq: 330,
+      delay: 0.25
+    }, {
+      wave: `square`,
+      freq: 262,
+      delay: 0.5,
+      length: 0.8
+    }],
+    filter: {
+      type: `lowpass`,
+      freq: 1500
+    }
+  }
+};
+// One second of white noise; effects and music share a single buffer per audio context
+const createNoiseBuffer = audioContext => {
+  const buffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+};
+class SoundEffects {
+  static MAX_NODES = 48;
+  constructor(audioContext, mixer, noiseBuffer = createNoiseBuffer(audioContext)) {
+    this.context = audioContext;
+    this.mixer = mixer;
+    this.activeNodes = 0;
+    this.noiseBuffer = noiseBuffer;
+  }
+  resolve(name, variant) {
+    const definition = SFX_DEFINITIONS[name];
+    if (!definition) return null;
+    return variant && definition.variants?.[variant] ? {
+      ...definition,
+      ...definition.variants[variant]
+    } : definition;
+  }
+  play(name, {
+    pitch = 1,
+    variant = null
+  } = {}) {
+    const definition = this.resolve(name, variant);
+    if (!definition || this.activeNodes >= SoundEffects.MAX_NODES) return;
+    try {
+      this.render(definition, pitch, this.context.currentTime);
+    } catch (e) {
+      console.error(`Failed to play sound (${name}):`, e);
+    }
+  }
+  render(definition, pitch, time) {
+    const {
+      attack = 0.005,
+      hold = 0,
+      release = 0.1
+    } = definition.envelope || {};
+    const duration = attack + hold + release;
+    const output = this.context.createGain();
+    output.gain.value = definition.gain ?? 0.1;
+    output.connect(this.mixer.bus(definition.bus || `sfx`));
+    let input = output;
+    if (definition.filter) {
+      input = this.createFilter(definition.filter, time, duration);
+      input.connect(output);
+    }
+    (definition.voices || []).forEach(voice => {
+      const start = time + (voice.delay || 0);
+      const length = voice.length ?? duration;
+      const osc = this.context.createOscillator();
+      osc.type = voice.wave || `sine`;
+      osc.frequency.setValueAtTime(voice.freq * pitch, start);
+      if (voice.to) osc.frequency.exponentialRampToValueAtTime(voice.to * pitch, start + (voice.sweep ?? length));
+      if (voice.detune) osc.detune.value = voice.detune;
+      this.connectVoice(osc, input, voice.gain ?? 1, start, length, attack, hold);
+    });
+    if (definition.noise) {
+      const source = this.context.createBufferSource();
+      source.buffer = this.noiseBuffer;
+      source.loop = true;
+      let node = source;
+      if (definition.noise.filter) {
+        node = this.createFilter(definition.noise.filter, time, duration);
+        source.connect(node);
+      }
+      this.connectVoice(source, input, definition.noise.gain ?? 1, time, duration, attack, hold, node);
+    }
+  }
+  connectVoice(source, destination, peak, start, length, attack, hold, tail = source) {
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(peak, start + attack);
+    if (hold > 0) envelope.gain.setValueAtTime(peak, start + attack + hold);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + Math.max(length, attack + hold + 0.01));
+    tail.connect(envelope);
+    envelope.connect(destination);
+    this.activeNodes++;
+    source.onended = () => this.activeNodes--;
+    source.start(start);
+    source.stop(start + length + 0.05);
+  }
+  createFilter({
+    type,
+    freq,
+    to,
+    q
+  }, time, duration) {
+    const filter = this.context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.setValueAtTime(freq, time);
+    if (to) filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+    if (q) filter.Q.value = q;
+    return filter;
+  }
+}
+class MusicEngine {
+  static LOOKAHEAD = 0.12;
+  static TICK_INTERVAL = 25;
+  static STEPS_PER_BAR = 16;
+  static STEPS_PER_BEAT = 4;
+  static OUTPUT_GAIN = 0.35;
+  static PROGRESSION = [{
+    root: 0,
+    chord: [0, 3, 7]
+  }, {
+    root: -4,
+    chord: [0, 4, 7]
+  }, {
+    root: 3,
+    chord: [0, 4, 7]
+  }, {
+    root: -2,
+    chord: [0, 4, 7]
+  }];
+  static TRACKS = {
+    menu: {
+      tempo: 90,
+      tempoPerLevel: 0,
+      maxTempo: 90,
+      root: 45,
+      stems: {
+        pad: 0,
+        bass: 0,
+        arp: 0
+      },
+      patterns: {
+        bass: [0, null, null, null, null, null, null, null, 7, null, null, null, null, null, null, null],
+        arp: [0, null, 1, null, 2, null, 1, null, 3, null, 2, null, 1, null, 2, null]
+      }
+    },
+    game: {
+      tempo: 112,
+      tempoPerLevel: 3,
+      maxTempo: 160,
+      root: 45,
+      stems: {
+        pad: 0,
+        bass: 0,
+        drums: 0.25,
+        arp: 0.45,
+        lead: 0.7,
+        alarm: `lowLives`
+      },
+      patterns: {
+        kick: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0],
+        snare: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
+        hat: [1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1],
+        bass: [0, null, 0, null, 12, null, 0, null, 0, null, 0, 12, null, 0, null, 7],
+        arp: [0, 1, 2, 3, 2, 1, 0, 1, 2, 3, 2, 1, 0, 1, 2, 1],
+        lead: [7, null, 10, null, 12, null, null, 10, 7, null, 5, null, 3, null, null, null],
+        alarm: [null, null, 0, null, null, null, null, null, null, null, 0, null, null, null, null, null]
+      }
+    }
+  };
+  constructor(audioContext, destination = audioContext.destination, noiseBuffer = createNoiseBuffer(audioContext)) {
+    this.context = audioContext;
+    this.output = audioContext.createGain();
+    this.output.gain.value = MusicEngine.OUTPUT_GAIN;
+    this.output.connect(destination);
+    this.stems = {};
+    [`pad`, `bass`, `drums`, `arp`, `lead`, `alarm`].forEach(stem => {
+      const gain = audioContext.createGain();
+      gain.gain.value = 0;
+      gain.connect(this.output);
+      this.stems[stem] = gain;
+    });
+    this.noiseBuffer = noiseBuffer;
+    this.track = null;
+    this.pendingTrack = null;
+    this.state = {
+      level: 1,
+      combo: 0,
+      chaos: false,
+      overcharge: false,
+      lowLives: false
+    };
+    this.tempo = 0;
+    this.step = 0;
+    this.nextStepTime = 0;
+    this.timer = null;
+  }
+  play(trackId) {
+    if (!MusicEngine.TRACKS[trackId]) return;
+    if (trackId === (this.pendingTrack || this.track)) return;
+    this.state = {
+      level: 1,
+      combo: 0,
+      chaos: false,
+      overcharge: false,
+      lowLives: false
+    };
+    if (this.timer) {
+      this.pendingTrack = trackId;
+      return;
+    }
+    this.track = trackId;
+    this.tempo = this.getTargetTempo();
+    this.step = 0;
+    this.nextStepTime = this.context.currentTime + 0.05;
+    this.applyMix(this.nextStepTime);
+    this.timer = setInterval(() => {
+      try {
+        this.schedule();
+      } catch (e) {
+        console.error(`Failed to schedule music:`, e);
+        this.stop();
+      }
+    }, MusicEngine.TICK_INTERVAL);
+  }
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.track = null;
+    this.pendingTrack = null;
+    Object.values(this.stems).forEach(stem => stem.gain.setTargetAtTime(0, this.context.currentTime, 0.1));
+  }
+  setState(state) {
+    Object.assign(this.state, state);
+  }
+  getComboTier() {
+    const combo = this.state.combo;
+    return combo >= 20 ? 3 : combo >= 10 ? 2 : combo >= 5 ? 1 : 0;
+  }
+  getIntensity() {
+    const {
+      chaos,
+      overcharge,
+      lowLives
+    } = this.state;
+    return Math.min(1, 0.3 + this.getComboTier() * 0.15 + (overcharge ? 0.3 : 0) + (chaos ? 0.45 : 0) + (lowLives ? 0.1 : 0));
+  }
+  getTargetTempo() {
+    const track = MusicEngine.TRACKS[this.track];
+    return Math.min(track.maxTempo, track.tempo + (this.state.level - 1) * track.tempoPerLevel);
+  }
+  applyMix(time) {
+    const {
+      stems
+    } = MusicEngine.TRACKS[this.track];
+    const intensity = this.getIntensity();
+    const beat = 60 / this.tempo;
+    Object.entries(this.stems).forEach(([stem, gain]) => {
+      const rule = stems[stem];
+      const audible = typeof rule === `string` ? !!this.state[rule] : rule !== undefined && intensity >= rule;
+      gain.gain.setTargetAtTime(audible ? 1 : 0, time, beat / 4);
+    });
+  }
+  schedule() {
+    const now = this.context.currentTime;
+    if (this.nextStepTime < now - 0.2) this.nextStepTime = now + 0.05;
+    while (this.nextStepTime < now + MusicEngine.LOOKAHEAD) {
+      const time = this.nextStepTime;
+      if (this.step % MusicEngine.STEPS_PER_BEAT === 0) this.onBeat(time);
+      this.playStep(time);
+      this.nextStepTime += 60 / this.tempo / MusicEngine.STEPS_PER_BEAT;
+      this.step = (this.step + 1) % (MusicEngine.STEPS_PER_BAR * MusicEngine.PROGRESSION.length);
+    }
+  }
+  onBeat(time) {
+    if (this.pendingTrack) {
+      this.track = this.pendingTrack;
+      this.pendingTrack = null;
+      this.step = 0;
+    }
+    if (this.step % MusicEngine.STEPS_PER_BAR === 0) this.tempo = this.getTargetTempo();
+    this.applyMix(time);
+  }
+  playStep(time) {
+    const track = MusicEngine.TRACKS[this.track];
+    const stepInBar = this.step % MusicEngine.STEPS_PER_BAR;
+    const {
+      root,
+      chord
+    } = MusicEngine.PROGRESSION[Math.floor(this.step / MusicEngine.STEPS_PER_BAR)];
+    const base = track.root + root;
+    const stepLength = 60 / this.tempo / MusicEngine.STEPS_PER_BEAT;
+    const {
+      patterns
+    } = track;
+    const chaos = this.state.chaos;
+    if (stepInBar === 0 && track.stems.pad !== undefined) {
+      chord.forEach(interval => this.tone(`pad`, time, base + 12 + interval, stepLength * MusicEngine.STEPS_PER_BAR, {
+        type: `triangle`,
+        gain: 0.08,
+        attack: 0.4,
+        filter: 1200
+      }));
+    }
+    const bassNote = patterns.bass?.[stepInBar];
+    if (bassNote !== null && bassNote !== undefined) {
+      this.tone(`bass`, time, base - 12 + bassNote, stepLength * (this.track === `menu` ? 6 : 0.9), {
+        type: `sawtooth`,
+        gain: 0.18,
+        filter: this.state.overcharge ? 1400 : 600
+      });
+    }
+    const arpIndex = patterns.arp?.[stepInBar];
+    if (arpIndex !== null && arpIndex !== undefined) {
+      const interval = arpIndex < chord.length ? chord[arpIndex] : chord[0] + 12;
+      this.tone(`arp`, time, base + 24 + interval, stepLength * 0.8, {
+        type: this.track === `menu` ? `triangle` : `square`,
+        gain: this.track === `menu` ? 0.06 : 0.04,
+        filter: 2400 + this.getComboTier() * 800
+      });
+    }
+    const leadNote = patterns.lead?.[stepInBar];
+    if (leadNote !== null && leadNote !== undefined) {
+      this.tone(`lead`, time, base + 24 + leadNote + (chaos ? 12 : 0), stepLength * 1.8, {
+        type: `square`,
+        gain: 0.05,
+        filter: 3000
+      });
+    }
+    if (patterns.kick?.[stepInBar]) this.kick(time);
+    if (patterns.snare?.[stepInBar]) this.noise(`drums`, time, 0.12, {
+      gain: 0.12,
+      filterType: `bandpass`,
+      filter: 1800
+    });
+    if (patterns.hat && (patterns.hat[stepInBar] || chaos)) this.noise(`drums`, time, 0.03, {
+      gain: 0.05,
+      filterType: `highpass`,
+      filter: 7000
+    });
+    const alarmNote = patterns.alarm?.[stepInBar];
+    if (alarmNote !== null && alarmNote !== undefined) {
+      this.tone(`alarm`, time, 93 + alarmNote, stepLength * 0.6, {
+        type: `square`,
+        gain: 0.03
+      });
+    }
+  }
+  tone(stem, time, note, duration, {
+    type = `sine`,
+    gain = 0.1,
+    attack = 0.005,
+    filter = null
+  } = {}) {
+    const osc = this.context.createOscillator();
+    const envelope = this.context.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(440 * Math.pow(2, (note - 69) / 12), time);
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.linearRampToValueAtTime(gain, time + attack);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + Math.max(duration, attack + 0.01));
+    let node = osc;
+    if (filter) {
+      const lowpass = this.context.createBiquadFilter();
+      lowpass.type = `lowpass`;
+      lowpass.frequency.value = filter;
+      osc.connect(lowpass);
+      node = lowpass;
+    }
+    node.connect(envelope);
+    envelope.connect(this.stems[stem]);
+    osc.start(time);
+    osc.stop(time + duration + 0.05);
+  }
+  kick(time) {
+    const osc = this.context.createOscillator();
+    const envelope = this.context.createGain();
+    osc.frequency.setValueAtTime(150, time);
+    osc.frequency.exponentialRampToValueAtTime(40, time + 0.15);
+    envelope.gain.setValueAtTime(0.4, time);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + 0.2);
+    osc.connect(envelope);
+    envelope.connect(this.stems.drums);
+    osc.start(time);
+    osc.stop(time + 0.25);
+  }
+  noise(stem, time, duration, {
+    gain = 0.1,
+    filterType = `highpass`,
+    filter = 5000
+  } = {}) {
+    const source = this.context.createBufferSource();
+    const bandFilter = this.context.createBiquadFilter();
+    const envelope = this.context.createGain();
+    source.buffer = this.noiseBuffer;
+    bandFilter.type = filterType;
+    bandFilter.frequency.value = filter;
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    source.connect(bandFilter);
+    bandFilter.connect(envelope);
+    envelope.connect(this.stems[stem]);
+    source.start(time);
+    source.stop(time + duration + 0.02);
+  }
+}
+class BootScene extends Phaser.Scene {
+  constructor() {
+    super({
+      key: "BootScene"
     });
-    const createSimpleItem = (size, color, textureName) => {
-      const graphics = this.make.graphics({
+    this.sounds = {};
+  }
+  preload() {
+    LanguageSettings.apply();
+    const logoImageUrl = `https://cdn.dev.fun/asset/faa6ba68b43144a937f0/ChatGPT Image Nov 13, 2025, 07_21_41 AM_d087118f.png`;
+    this.load.image('loading_logo', `https://proxy.dev.fun?url=${encodeURIComponent(logoImageUrl)}`);
+    const menuBgUrl = `https://cdn.dev.fun/asset/faa6ba68b43144a937f0/Screenshot 2025-11-13 at 2.54.40 PM_66f6db68.png`;
+    this.load.image('menu_background', `https://proxy.dev.fun?url=${encodeURIComponent(menuBgUrl)}`);
+    this.createSounds();
+    this.game.scoreOutbox = new ScoreOutbox();
+    const playerImageUrl = `https://cdn.dev.fun/asset/faa6ba68b43144a937f0/Untitled_Artwork 5_3f43f229.png`;
+    this.load.image('player_default', `https://proxy.dev.fun?url=${encodeURIComponent(playerImageUrl)}`);
+    this.load.on('complete', () => {
+      this.createSpecialItemTextures();
+      this.createTextures();
+    });
+  }
+  createTextures() {
+    const playerSkins = [{
+      name: 'default',
+      colors: [COLORS.PRIMARY, 0x0099ff]
+    }, {
+      name: 'fire',
+      colors: [COLORS.ACCENT, 0xff3399]
+    }, {
+      name: 'ice',
+      colors: [0x00ddff, 0x66ffff]
+    }, {
+      name: 'gold',
+      colors: [COLORS.GOLD, 0xffff66]
+    }, {
+      name: 'purple',
+      colors: [COLORS.SECONDARY, 0xcc66ff]
+    }];
+    playerSkins.forEach(skin => {
+      if (skin.name === 'default') return;
+      const g = this.make.graphics({
         x: 0,
         y: 0
       });
-      graphics.fillStyle(color, 0.8);
-      graphics.fillRect(0, 0, size, size);
-      graphics.lineStyle(1, 0xffffff, 0.6);
-      graphics.strokeRect(0, 0, size, size);
-      graphics.generateTexture(textureName, size, size);
-      graphics.destroy();
-    };
-    createSimpleItem(30, 0x00ffff, `item_regular`);
-    createSimpleItem(30, 0xcccccc, `item_silver`);
-    createSimpleItem(30, 0xffdd00, `item_gold`);
-    createSimpleItem(60, 0xff00ff, `item_giant`);
-    const bombGraphics = this.make.graphics({
-      x: 0,
-      y: 0
+      g.fillStyle(skin.colors[0], 0.8).fillRect(0, 0, 60, 20);
+      g.lineStyle(2, skin.colors[1], 1).strokeRect(0, 0, 60, 20);
+      g.generateTexture(`player_${skin.name}`, 60, 20);
+      g.destroy();
     });
-    bombGraphics.fillStyle(0xff0066, 0.8);
-    bombGraphics.fillCircle(15, 15, 12);
-    bombGraphics.lineStyle(2, 0xff0000, 1);
-    bombGraphics.strokeCircle(15, 15, 12);
-    bombGraphics.generateTexture(`item_bomb`, 30, 30);
-    bombGraphics.destroy();
+    ItemTextures.generate(this);
     const particleGraphics = this.make.graphics({
       x: 0,
       y: 0
@@ -1025,24 +3202,6 @@ class BootScene extends Phaser.Scene {
     netGraphics.destroy();
   }
   createSpecialItemTextures() {
-    const createSpecialItem = (color, name) => {
-      const graphics = this.make.graphics({
-        x: 0,
-        y: 0
-      });
-      graphics.fillStyle(color, 0.8);
-      graphics.fillCircle(15, 15, 12);
-      graphics.lineStyle(2, 0xffffff, 1);
-      graphics.strokeCircle(15, 15, 12);
-      graphics.generateTexture(name, 30, 30);
-      graphics.destroy();
-    };
-    createSpecialItem(0x00ddff, `item_freeze`);
-    createSpecialItem(0xff0066, `item_health`);
-    createSpecialItem(0xff00ff, `item_mystery`);
-    createSpecialItem(0xff00ff, `item_glitch`);
-    createSpecialItem(0x00ff00, `item_multiplier`);
-    createSpecialItem(0x660066, `item_virus`);
     const spikeGraphics = this.make.graphics({
       x: 0,
       y: 0
@@ -1060,29 +3219,14 @@ class BootScene extends Phaser.Scene {
       console.warn('Audio context not available');
       audioContext = null;
     }
-    const createSound = (freq, type = 'sine', duration = 0.1) => {
-      return () => {
-        if (!audioContext) return;
-        try {
-          const osc = audioContext.createOscillator();
-          const gain = audioContext.createGain();
-          osc.connect(gain);
-          gain.connect(audioContext.destination);
-          osc.frequency.value = freq;
-          osc.type = type;
-          gain.gain.setValueAtTime(0.1, audioContext.currentTime);
-          gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + duration);
-          osc.start(audioContext.currentTime);
-          osc.stop(audioContext.currentTime + duration);
-        } catch (e) {}
-      };
-    };
-    this.sounds.catch = createSound(800);
-    this.sounds.miss = createSound(200, 'sawtooth', 0.2);
-    this.sounds.powerup = createSound(1200, 'square', 0.15);
-    this.sounds.shoot = createSound(1000, 'square', 0.05);
-    this.sounds.click = createSound(600);
+    this.game.mixer = audioContext ? new AudioMixer(audioContext) : null;
+    const noiseBuffer = audioContext ? createNoiseBuffer(audioContext) : null;
+    const effects = audioContext ? new SoundEffects(audioContext, this.game.mixer, noiseBuffer) : null;
+    Object.keys(SFX_DEFINITIONS).forEach(name => {
+      this.sounds[name] = options => effects?.play(name, options);
+    });
     this.game.sounds = this.sounds;
+    this.game.music = audioContext ? new MusicEngine(audioContext, this.game.mixer.bus(`music`), noiseBuffer) : null;
   }
   create() {
     const {
@@ -1094,7 +3238,7 @@ class BootScene extends Phaser.Scene {
     const logo = this.add.image(width / 2, height / 2, 'loading_logo');
     logo.setOrigin(0.5);
     logo.setScale(0.8);
-    this.tweens.add({
+    this.tweens.add(AccessibilitySettings.adjustTween({
       targets: logo,
       scale: {
         from: 0.475,
@@ -1108,7 +3252,7 @@ class BootScene extends Phaser.Scene {
       yoyo: true,
       repeat: -1,
       ease: 'Sine.easeInOut'
-    });
+    }));
     this.time.delayedCall(1500, () => {
       this.scene.start(`MenuScene`);
     });
@@ -1129,6 +3273,7 @@ class MenuScene extends BaseScene {
   }
   create() {
     super.create();
+    this.game.music?.play(`menu`);
     this.initializeData();
     PlayLimitManager.checkAndResetPlays();
     const {
@@ -1143,7 +3288,7 @@ class MenuScene extends BaseScene {
     const quality = this.performanceManager?.getQualitySettings() || {
       particles: 1.0
     };
-    this.particles = this.add.particles(0, 0, `particle`, {
+    this.particles = this.addParticles(0, 0, `particle`, {
       x: {
         min: 0,
         max: this.cameras.main.width
@@ -1190,7 +3335,7 @@ class MenuScene extends BaseScene {
       yoyo: true,
       repeat: -1
     });
-    this.titlePulseTween = this.tweens.add({
+    this.titlePulseTween = this.addEffectTween({
       targets: this.title,
       scale: {
         from: 1,
@@ -1201,7 +3346,7 @@ class MenuScene extends BaseScene {
       repeat: -1,
       ease: 'Sine.easeInOut'
     });
-    this.subtitle = this.add.text(0, 0, `Catch the falling chaos`, {
+    this.subtitle = this.add.text(0, 0, t(`menu.subtitle`), {
       fontSize: `20px`,
       color: `#000000`,
       fontFamily: 'Arial'
@@ -1215,12 +3360,16 @@ class MenuScene extends BaseScene {
     const playerLevel = StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1);
     const rankInfo = LevelingSystem.getRankTitle(playerLevel);
     this.statsBox = this.add.graphics();
-    this.highScoreText = this.add.text(0, 0, `HIGH SCORE: ${highScore}`, {
+    this.highScoreText = this.add.text(0, 0, t(`menu.highScore`, {
+      score: highScore
+    }), {
       fontSize: `16px`,
       color: `#000000`,
       fontFamily: 'Arial'
     }).setOrigin(0.5);
-    this.currencyText = this.add.text(width / 2, 80, `💎 DATA CHIPS: ${currency}`, {
+    this.currencyText = this.add.text(width / 2, 80, t(`menu.dataChips`, {
+      amount: currency
+    }), {
       fontSize: `16px`,
       color: `#000000`,
       fontFamily: 'Arial'
@@ -1235,15 +3384,19 @@ class MenuScene extends BaseScene {
     playLimitBox.lineStyle(2, COLORS.BUTTON_SHADOW, 1);
     playLimitBox.lineBetween(220, 20, 220, 80);
     playLimitBox.lineBetween(20, 80, 220, 80);
-    this.playLimitText = this.add.text(30, 30, `PLAYS TODAY: ${playsRemaining}/2`, {
+    this.playLimitText = this.add.text(30, 30, t(`menu.playsToday`, {
+      remaining: playsRemaining,
+      max: PlayLimitManager.MAX_FREE_PLAYS
+    }), {
       fontSize: `16px`,
       color: playsRemaining > 0 ? `#008000` : `#800000`,
       fontStyle: `bold`,
       fontFamily: 'Arial'
     });
+    this.fitText(this.playLimitText, 180);
     if (playsRemaining === 0) {
       const resetInfo = PlayLimitManager.getTimeUntilReset();
-      this.resetTimerText = this.add.text(30, 52, `Reset: ${resetInfo.hours}h ${resetInfo.minutes}m`, {
+      this.resetTimerText = this.add.text(30, 52, t(`menu.resetIn`, resetInfo), {
         fontSize: `12px`,
         color: `#ffdd00`
       });
@@ -1252,7 +3405,7 @@ class MenuScene extends BaseScene {
         callback: () => {
           const info = PlayLimitManager.getTimeUntilReset();
           if (this.resetTimerText) {
-            this.resetTimerText.setText(`Reset: ${info.hours}h ${info.minutes}m`);
+            this.resetTimerText.setText(t(`menu.resetIn`, info));
           }
           if (PlayLimitManager.getPlaysRemaining() > 0) {
             this.scene.restart();
@@ -1261,18 +3414,20 @@ class MenuScene extends BaseScene {
         loop: true
       });
     } else {
-      this.add.text(30, 52, `Free score submissions`, {
+      this.fitText(this.add.text(30, 52, t(`menu.freeSubmissions`), {
         fontSize: `12px`,
         color: `#888888`
-      });
+      }), 180);
     }
-    this.playerLevelText = this.add.text(0, 0, `LEVEL ${playerLevel}`, {
+    this.playerLevelText = this.add.text(0, 0, t(`menu.level`, {
+      level: playerLevel
+    }), {
       fontSize: `18px`,
       color: `#000080`,
       fontStyle: `bold`,
       fontFamily: 'Arial'
     }).setOrigin(0.5);
-    this.rankText = this.add.text(0, 0, `${rankInfo.title}`, {
+    this.rankText = this.add.text(0, 0, t(`ranks.${rankInfo.title.toLowerCase()}`), {
       fontSize: `14px`,
       color: `#000000`,
       fontStyle: `bold`,
@@ -1323,7 +3478,7 @@ class MenuScene extends BaseScene {
     this.playerAvatar = this.add.sprite(0, 0, `player_${currentSkin}`);
     this.playerAvatar.setScale(0.6);
     avatarContainer.add(this.playerAvatar);
-    this.avatarIdleTween = this.tweens.add({
+    this.avatarIdleTween = this.addEffectTween({
       targets: this.playerAvatar,
       y: {
         from: -5,
@@ -1354,7 +3509,7 @@ class MenuScene extends BaseScene {
       };
       if (auraConfigs[currentAura]) {
         const config = auraConfigs[currentAura];
-        this.avatarAura = this.add.particles(width / 2, height / 2 - 20, `particle`, {
+        this.avatarAura = this.addParticles(width / 2, height / 2 - 20, `particle`, {
           scale: {
             start: 0.4 * quality.particles,
             end: 0
@@ -1382,13 +3537,14 @@ class MenuScene extends BaseScene {
     skinNameBg.lineStyle(2, 0x00ffff, 0.6);
     skinNameBg.strokeRoundedRect(-60, 68, 120, 28, 6);
     avatarContainer.add(skinNameBg);
-    const avatarLabel = this.add.text(0, 82, `${currentSkin.toUpperCase()}`, {
+    const avatarLabel = this.add.text(0, 82, I18n.optional(`skins.${currentSkin}`, currentSkin.toUpperCase()), {
       fontSize: `16px`,
       color: `#00ffff`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     }).setOrigin(0.5);
+    this.fitText(avatarLabel, 112);
     avatarContainer.add(avatarLabel);
     this.tweens.add({
       targets: skinNameBg,
@@ -1401,7 +3557,9 @@ class MenuScene extends BaseScene {
       repeat: -1
     });
     if (currentAura !== `none`) {
-      const auraLabel = this.add.text(0, 104, `[${currentAura.toUpperCase()} AURA]`, {
+      const auraLabel = this.add.text(0, 104, t(`menu.aura`, {
+        name: I18n.optional(`auras.${currentAura}`, currentAura.toUpperCase())
+      }), {
         fontSize: `12px`,
         color: `#ff00ff`,
         fontStyle: `italic`
@@ -1411,6 +3569,7 @@ class MenuScene extends BaseScene {
     this.avatarContainer = avatarContainer;
   }
   createStaticSweep() {
+    if (!AccessibilitySettings.allowsGlitchEffects()) return;
     this.time.addEvent({
       delay: Phaser.Math.Between(5000, 8000),
       callback: () => {
@@ -1462,7 +3621,7 @@ class MenuScene extends BaseScene {
       stream.lineBetween(0, 0, 0, Phaser.Math.Between(40, 100));
       stream.setPosition(x, startY);
       stream.setDepth(-1);
-      this.tweens.add({
+      this.addEffectTween({
         targets: stream,
         y: height + 100,
         duration: Phaser.Math.Between(8000, 15000),
@@ -1480,7 +3639,7 @@ class MenuScene extends BaseScene {
       debris.fillRect(0, 0, Phaser.Math.Between(3, 8), Phaser.Math.Between(3, 8));
       debris.setPosition(Phaser.Math.Between(0, width), Phaser.Math.Between(0, height));
       debris.setDepth(-1);
-      this.tweens.add({
+      this.addEffectTween({
         targets: debris,
         x: `+=${Phaser.Math.Between(-100, 100)}`,
         y: `+=${Phaser.Math.Between(50, 150)}`,
@@ -1501,12 +3660,13 @@ class MenuScene extends BaseScene {
     this.startButtonBg = this.add.graphics();
     this.startButtonBg.setDepth(1000);
     this.drawStartButton(10, height - buttonHeight - 10, buttonWidth, buttonHeight, false);
-    this.startButtonText = this.add.text(10 + buttonWidth / 2, height - buttonHeight / 2 - 10, `Start`, {
+    this.startButtonText = this.add.text(10 + buttonWidth / 2, height - buttonHeight / 2 - 10, t(`menu.start`), {
       fontSize: `22px`,
       color: `#ffffff`,
       fontStyle: `bold`,
       fontFamily: 'Arial'
     }).setOrigin(0.5).setDepth(1001);
+    this.fitText(this.startButtonText, buttonWidth - 45);
     const windowsLogo = this.add.graphics();
     windowsLogo.setDepth(1001);
     const logoX = 25;
@@ -1584,7 +3744,7 @@ class MenuScene extends BaseScene {
     headerBg.fillGradientStyle(0x0054e3, 0x3c8dd9, 0x0054e3, 0x3c8dd9, 1);
     headerBg.fillRect(menuX, menuY, 55, menuHeight);
     this.startMenuContainer.add(headerBg);
-    const userText = this.add.text(menuX + 8, menuY + menuHeight - 25, `Player`, {
+    const userText = this.add.text(menuX + 8, menuY + menuHeight - 25, ProfileManager.getActive().name, {
       fontSize: `15px`,
       color: `#ffffff`,
       fontStyle: `bold`,
@@ -1592,7 +3752,7 @@ class MenuScene extends BaseScene {
     }).setOrigin(0, 0.5).setAngle(-90);
     this.startMenuContainer.add(userText);
     const menuItems = [{
-      text: `PLAY`,
+      text: t(`menu.items.play`),
       icon: `▶`,
       callback: () => {
         this.closeStartMenu();
@@ -1603,33 +3763,40 @@ class MenuScene extends BaseScene {
         }
       }
     }, {
-      text: `PLAYER HUB`,
+      text: t(`menu.items.playerHub`),
       icon: `👤`,
       callback: () => {
         this.closeStartMenu();
         this.scene.start(`PlayerHubScene`);
       }
     }, {
-      text: `MARKET`,
+      text: t(`menu.items.market`),
       icon: `🛒`,
       callback: () => {
         this.closeStartMenu();
         this.scene.start(`MarketScene`);
       }
     }, {
-      text: `TUTORIAL`,
+      text: t(`menu.items.tutorial`),
       icon: `📖`,
       callback: () => {
         this.closeStartMenu();
         this.scene.start(`TutorialScene`);
       }
     }, {
-      text: `SETTINGS`,
+      text: t(`menu.items.settings`),
       icon: `⚙`,
       callback: () => {
         this.closeStartMenu();
         this.scene.start(`SettingsScene`);
       }
+    }, {
+      text: t(`menu.items.profiles`),
+      icon: `👥`,
+      callback: () => {
+        this.closeStartMenu();
+        this.scene.start(`ProfileScene`);
+      }
     }];
     let itemY = menuY + 15;
     const itemHeight = 50;
@@ -1642,6 +3809,7 @@ class MenuScene extends BaseScene {
         fontFamily: 'Arial',
         fontStyle: `bold`
       }).setOrigin(0, 0.5);
+      this.fitText(itemText, menuWidth - 100);
       this.startMenuContainer.add(itemText);
       const icon = this.add.text(menuX + 68, itemY + itemHeight / 2, item.icon, {
         fontSize: `18px`
@@ -1754,7 +3922,7 @@ class MenuScene extends BaseScene {
     this.playerLevelText.setPosition(width / 2, statsBoxY + 18);
     this.playerLevelText.setFontSize('20px');
     this.rankText.setPosition(width / 2, statsBoxY + 40);
-    this.rankText.setText(`[${rankInfo.title}]`);
+    this.rankText.setText(`[${t(`ranks.${rankInfo.title.toLowerCase()}`)}]`);
     this.rankText.setColor(rankInfo.color);
     const xpBarWidth = 340;
     const xpBarX = width / 2 - xpBarWidth / 2;
@@ -1786,33 +3954,9 @@ class MenuScene extends BaseScene {
   initializeData() {
     this.backgroundAnimationsCreated = false;
     this.xpBarAnimated = false;
-    const defaultAchievements = {
-      combo_master: {
-        unlocked: false,
-        name: `Combo Master`,
-        desc: `Reach 10x combo`
-      },
-      speed_demon: {
-        unlocked: false,
-        name: `Speed Demon`,
-        desc: `Reach level 10`
-      },
-      survivor: {
-        unlocked: false,
-        name: `Survivor`,
-        desc: `Score 1000 points`
-      },
-      gold_collector: {
-        unlocked: false,
-        name: `Gold Collector`,
-        desc: `Catch 50 gold items`
-      },
-      untouchable: {
-        unlocked: false,
-        name: `Untouchable`,
-        desc: `Catch 20 items without missing`
-      }
-    };
+    const defaultAchievements = Object.fromEntries(Object.keys(ACHIEVEMENT_GOALS).map(id => [id, {
+      unlocked: false
+    }]));
     const defaultUpgrades = {
       moveSpeed: 0,
       dashCooldown: 0,
@@ -1906,7 +4050,7 @@ class MenuScene extends BaseScene {
       const quality = this.performanceManager?.getQualitySettings() || {
         effects: 1.0
       };
-      if (quality.effects > 0.5) {
+      if (quality.effects > 0.5 && AccessibilitySettings.allowsGlitchEffects()) {
         const glitchColors = [0xff00ff, 0x00ffff, 0xffdd00, 0xff0066];
         const glitchColor = glitchColors[index % glitchColors.length];
         const glitchEffect = this.time.addEvent({
@@ -1950,7 +4094,7 @@ class MenuScene extends BaseScene {
     });
     buttonText.on(`pointerdown`, () => {
       this.createRippleEffect(buttonText.x, buttonText.y, index);
-      this.tweens.add({
+      this.addEffectTween({
         targets: buttonText,
         scale: 0.95,
         duration: 100,
@@ -1992,7 +4136,7 @@ class MenuScene extends BaseScene {
     this.titlePulseTween.timeScale = 3;
     const gridPulse = buttonIndex % 3;
     if (gridPulse === 0 && this.backgroundGraphics) {
-      this.tweens.add({
+      this.addEffectTween({
         targets: this.backgroundGraphics,
         alpha: 0.3,
         duration: 150,
@@ -2020,20 +4164,26 @@ class MenuScene extends BaseScene {
     modalBox.lineStyle(3, 0xff0066, 0.9);
     modalBox.strokeRect(modalX, modalY, modalWidth, modalHeight);
     modal.add(modalBox);
-    const title = this.add.text(width / 2, modalY + 40, `PLAY LIMIT REACHED`, {
+    const title = this.add.text(width / 2, modalY + 40, t(`purchase.title`), {
       fontSize: `32px`,
       color: `#ff0066`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     }).setOrigin(0.5);
+    this.fitText(title, modalWidth - 40);
     modal.add(title);
     const resetInfo = PlayLimitManager.getTimeUntilReset();
-    const infoText = this.add.text(width / 2, modalY + 100, `You've used your 2 free plays for today.\n\nReset in: ${resetInfo.hours}h ${resetInfo.minutes}m\n\nPurchase additional play with $CHMPSTR tokens:`, {
+    const infoText = this.add.text(width / 2, modalY + 100, [t(`purchase.usedFreePlays`, {
+      count: PlayLimitManager.MAX_FREE_PLAYS
+    }), t(`purchase.resetIn`, resetInfo), t(`purchase.offer`)].join(`\n\n`), {
       fontSize: `18px`,
       color: `#ffffff`,
       align: `center`,
-      lineSpacing: 8
+      lineSpacing: 8,
+      wordWrap: {
+        width: modalWidth - 60
+      }
     }).setOrigin(0.5);
     modal.add(infoText);
     const priceBox = this.add.graphics();
@@ -2042,14 +4192,16 @@ class MenuScene extends BaseScene {
     priceBox.lineStyle(2, 0xffdd00, 0.8);
     priceBox.strokeRect(width / 2 - 150, modalY + 180, 300, 60);
     modal.add(priceBox);
-    const priceText = this.add.text(width / 2, modalY + 210, `100 $CHMPSTR\n(Ethereum Network)`, {
+    const priceText = this.add.text(width / 2, modalY + 210, t(`purchase.price`, {
+      amount: PlayLimitManager.COST_PER_PLAY
+    }), {
       fontSize: `20px`,
       color: `#ffdd00`,
       fontStyle: `bold`,
       align: `center`
     }).setOrigin(0.5);
     modal.add(priceText);
-    const purchaseBtn = this.add.text(width / 2, modalY + 280, `PURCHASE PLAY`, {
+    const purchaseBtn = this.add.text(width / 2, modalY + 280, t(`purchase.button`), {
       fontSize: `24px`,
       color: `#ffffff`,
       backgroundColor: `#00ff00`,
@@ -2064,7 +4216,10 @@ class MenuScene extends BaseScene {
     const statusText = this.add.text(width / 2, modalY + 330, ``, {
       fontSize: `14px`,
       color: `#ffdd00`,
-      align: `center`
+      align: `center`,
+      wordWrap: {
+        width: modalWidth - 60
+      }
     }).setOrigin(0.5);
     modal.add(statusText);
     purchaseBtn.on(`pointerover`, () => {
@@ -2081,22 +4236,24 @@ class MenuScene extends BaseScene {
     });
     purchaseBtn.on(`pointerdown`, async () => {
       purchaseBtn.disableInteractive();
-      statusText.setText(`Processing transaction...\nPlease confirm in MetaMask`);
+      statusText.setText(t(`purchase.processing`));
       try {
         await PlayLimitManager.purchasePlay();
-        statusText.setText(`✓ Purchase successful!\nYou can now play!`);
+        statusText.setText(t(`purchase.success`));
         statusText.setColor(`#00ff00`);
         this.time.delayedCall(1500, () => {
           modal.destroy();
           this.scene.restart();
         });
       } catch (error) {
-        statusText.setText(`❌ Purchase failed: ${error.message}`);
+        statusText.setText(t(`purchase.failed`, {
+          message: error.message
+        }));
         statusText.setColor(`#ff0066`);
         purchaseBtn.setInteractive();
       }
     });
-    const closeBtn = this.add.text(width / 2, modalY + modalHeight - 30, `CLOSE`, {
+    const closeBtn = this.add.text(width / 2, modalY + modalHeight - 30, t(`common.close`), {
       fontSize: `18px`,
       color: `#888888`,
       backgroundColor: `#222222`,
@@ -2141,7 +4298,7 @@ class MenuScene extends BaseScene {
     headerBg.lineStyle(1, 0x00ffff, 0.3);
     headerBg.lineBetween(modalX, modalY + 65, modalX + modalWidth, modalY + 65);
     this.gameModeModal.add(headerBg);
-    const modalTitle = this.add.text(width / 2, modalY + 32, `SELECT GAME MODE`, {
+    const modalTitle = this.add.text(width / 2, modalY + 32, t(`menu.modes.title`), {
       fontSize: `32px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -2150,8 +4307,8 @@ class MenuScene extends BaseScene {
     }).setOrigin(0.5);
     this.gameModeModal.add(modalTitle);
     const modeData = [{
-      name: `NORMAL MODE`,
-      desc: `Classic gameplay with lives and progression\nCatch items, avoid bombs, level up!`,
+      name: t(`menu.modes.normal`),
+      desc: t(`menu.modes.normalDesc`),
       color: 0x00ffff,
       locked: false,
       callback: () => {
@@ -2159,8 +4316,10 @@ class MenuScene extends BaseScene {
         this.scene.start(`GameScene`);
       }
     }, {
-      name: `TIME ATTACK`,
-      desc: `Score as much as possible in 60 seconds\nNo lives - pure speed and skill!`,
+      name: t(`menu.modes.timeAttack`),
+      desc: t(`menu.modes.timeAttackDesc`, {
+        seconds: 60
+      }),
       color: 0xffdd00,
       locked: modesLocked,
       callback: () => {
@@ -2168,8 +4327,8 @@ class MenuScene extends BaseScene {
         this.scene.start(`TimeAttackScene`);
       }
     }, {
-      name: `SURVIVAL`,
-      desc: `Infinite lives but difficulty increases rapidly\nHow long can you last?`,
+      name: t(`menu.modes.survival`),
+      desc: t(`menu.modes.survivalDesc`),
       color: 0xff00ff,
       locked: modesLocked,
       callback: () => {
@@ -2177,8 +4336,8 @@ class MenuScene extends BaseScene {
         this.scene.start(`SurvivalScene`);
       }
     }, {
-      name: `PRECISION MODE`,
-      desc: `Smaller catch area, 2x score multiplier\nPerfect timing required!`,
+      name: t(`menu.modes.precision`),
+      desc: t(`menu.modes.precisionDesc`),
       color: 0xff0066,
       locked: modesLocked,
       callback: () => {
@@ -2233,7 +4392,9 @@ class MenuScene extends BaseScene {
         this.gameModeModal.add(lockIcon);
       }
       const descColor = isLocked ? `#555555` : `#bbbbbb`;
-      const descText = this.add.text(width / 2, cardY + 46, isLocked ? `COMING SOON - 12/1/2025` : mode.desc, {
+      const descText = this.add.text(width / 2, cardY + 46, isLocked ? t(`menu.modes.comingSoon`, {
+        date: new Date(2025, 11, 1).toLocaleDateString(I18n.locale)
+      }) : mode.desc, {
         fontSize: `14px`,
         color: descColor,
         align: `center`,
@@ -2241,7 +4402,7 @@ class MenuScene extends BaseScene {
         fontStyle: isLocked ? `italic` : `normal`
       }).setOrigin(0.5);
       this.gameModeModal.add(descText);
-      const playButton = this.add.text(width / 2, cardY + 72, isLocked ? `LOCKED` : `▶ PLAY`, {
+      const playButton = this.add.text(width / 2, cardY + 72, isLocked ? t(`menu.modes.locked`) : t(`menu.modes.play`), {
         fontSize: `15px`,
         color: isLocked ? `#444444` : `#ffffff`,
         backgroundColor: isLocked ? `#1a1a1a` : `#000000`,
@@ -2276,7 +4437,7 @@ class MenuScene extends BaseScene {
         });
         cardInteractiveArea.on(`pointerdown`, () => {
           if (this.game.sounds?.click) this.game.sounds.click();
-          this.cameras.main.flash(100, ...this.hexToRgb(mode.color));
+          this.flashCamera(100, ...this.hexToRgb(mode.color));
           PlayLimitManager.recordPlay();
           mode.callback();
         });
@@ -2288,7 +4449,7 @@ class MenuScene extends BaseScene {
     footerBg.lineStyle(1, 0x00ffff, 0.2);
     footerBg.lineBetween(modalX, modalY + modalHeight - 65, modalX + modalWidth, modalY + modalHeight - 65);
     this.gameModeModal.add(footerBg);
-    const closeButton = this.add.text(width / 2, modalY + modalHeight - 32, `← BACK`, {
+    const closeButton = this.add.text(width / 2, modalY + modalHeight - 32, t(`common.back`), {
       fontSize: `20px`,
       color: `#888888`,
       backgroundColor: `#1a1a1a`,
@@ -2353,7 +4514,7 @@ class MenuScene extends BaseScene {
     headerBg.lineStyle(1, 0x00ffff, 0.3);
     headerBg.lineBetween(modalX, modalY + 65, modalX + modalWidth, modalY + 65);
     this.gameModeModal.add(headerBg);
-    const modalTitle = this.add.text(width / 2, modalY + 32, `SELECT GAME MODE`, {
+    const modalTitle = this.add.text(width / 2, modalY + 32, t(`menu.modes.title`), {
       fontSize: `32px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -2362,8 +4523,8 @@ class MenuScene extends BaseScene {
     }).setOrigin(0.5);
     this.gameModeModal.add(modalTitle);
     const modeData = [{
-      name: `NORMAL MODE`,
-      desc: `Classic gameplay with lives and progression\nCatch items, avoid bombs, level up!`,
+      name: t(`menu.modes.normal`),
+      desc: t(`menu.modes.normalDesc`),
       color: 0x00ffff,
       locked: false,
       callback: () => {
@@ -2371,8 +4532,10 @@ class MenuScene extends BaseScene {
         this.scene.start(`GameScene`);
       }
     }, {
-      name: `TIME ATTACK`,
-      desc: `Score as much as possible in 60 seconds\nNo lives - pure speed and skill!`,
+      name: t(`menu.modes.timeAttack`),
+      desc: t(`menu.modes.timeAttackDesc`, {
+        seconds: 60
+      }),
       color: 0xffdd00,
       locked: modesLocked,
       callback: () => {
@@ -2380,8 +4543,8 @@ class MenuScene extends BaseScene {
         this.scene.start(`TimeAttackScene`);
       }
     }, {
-      name: `SURVIVAL`,
-      desc: `Infinite lives but difficulty increases rapidly\nHow long can you last?`,
+      name: t(`menu.modes.survival`),
+      desc: t(`menu.modes.survivalDesc`),
       color: 0xff00ff,
       locked: modesLocked,
       callback: () => {
@@ -2389,8 +4552,8 @@ class MenuScene extends BaseScene {
         this.scene.start(`SurvivalScene`);
       }
     }, {
-      name: `PRECISION MODE`,
-      desc: `Smaller catch area, 2x score multiplier\nPerfect timing required!`,
+      name: t(`menu.modes.precision`),
+      desc: t(`menu.modes.precisionDesc`),
       color: 0xff0066,
       locked: modesLocked,
       callback: () => {
@@ -2444,7 +4607,9 @@ class MenuScene extends BaseScene {
         this.gameModeModal.add(lockIcon);
       }
       const descColor = isLocked ? `#555555` : `#bbbbbb`;
-      const descText = this.add.text(width / 2, cardY + 46, isLocked ? `COMING SOON - 12/1/2025` : mode.desc, {
+      const descText = this.add.text(width / 2, cardY + 46, isLocked ? t(`menu.modes.comingSoon`, {
+        date: new Date(2025, 11, 1).toLocaleDateString(I18n.locale)
+      }) : mode.desc, {
         fontSize: `14px`,
         color: descColor,
         align: `center`,
@@ -2452,7 +4617,7 @@ class MenuScene extends BaseScene {
         fontStyle: isLocked ? `italic` : `normal`
       }).setOrigin(0.5);
       this.gameModeModal.add(descText);
-      const playButton = this.add.text(width / 2, cardY + 72, isLocked ? `LOCKED` : `▶ PLAY`, {
+      const playButton = this.add.text(width / 2, cardY + 72, isLocked ? t(`menu.modes.locked`) : t(`menu.modes.play`), {
         fontSize: `15px`,
         color: isLocked ? `#444444` : `#ffffff`,
         backgroundColor: isLocked ? `#1a1a1a` : `#000000`,
@@ -2487,7 +4652,7 @@ class MenuScene extends BaseScene {
         });
         cardInteractiveArea.on(`pointerdown`, () => {
           if (this.game.sounds?.click) this.game.sounds.click();
-          this.cameras.main.flash(100, ...this.hexToRgb(mode.color));
+          this.flashCamera(100, ...this.hexToRgb(mode.color));
           PlayLimitManager.recordPlay();
           mode.callback();
         });
@@ -2500,7 +4665,7 @@ class MenuScene extends BaseScene {
     footerBg.lineBetween(modalX, modalY + modalHeight - (modesLocked ? 165 : 65), modalX + modalWidth, modalY + modalHeight - (modesLocked ? 165 : 65));
     this.gameModeModal.add(footerBg);
     if (modesLocked) {
-      const passwordLabel = this.add.text(width / 2, modalY + modalHeight - 135, `Early Access Password:`, {
+      const passwordLabel = this.add.text(width / 2, modalY + modalHeight - 135, t(`menu.modes.passwordLabel`), {
         fontSize: `16px`,
         color: `#ffdd00`,
         fontStyle: `bold`
@@ -2513,7 +4678,7 @@ class MenuScene extends BaseScene {
       passwordInputBg.strokeRect(width / 2 - 150, modalY + modalHeight - 115, 300, 35);
       this.gameModeModal.add(passwordInputBg);
       let passwordValue = '';
-      const passwordDisplay = this.add.text(width / 2, modalY + modalHeight - 97, `Enter password...`, {
+      const passwordDisplay = this.add.text(width / 2, modalY + modalHeight - 97, t(`menu.modes.passwordPlaceholder`), {
         fontSize: `16px`,
         color: `#888888`,
         fontStyle: `italic`
@@ -2528,16 +4693,16 @@ class MenuScene extends BaseScene {
         if (event.key === 'Enter') {
           if (passwordValue === 'CHMPSTRDRP') {
             this.input.keyboard.off('keydown', passwordHandler);
-            this.cameras.main.flash(200, 0, 255, 0);
-            errorText.setText(`✓ ACCESS GRANTED!`);
+            this.flashCamera(200, 0, 255, 0);
+            errorText.setText(t(`menu.modes.accessGranted`));
             errorText.setColor(`#00ff00`);
             this.time.delayedCall(800, () => {
               this.closeGameModeModal();
               this.showUnlockedGameModeModal();
             });
           } else {
-            errorText.setText(`❌ INCORRECT PASSWORD`);
-            this.tweens.add({
+            errorText.setText(t(`menu.modes.wrongPassword`));
+            this.addEffectTween({
               targets: [passwordInputBg, passwordDisplay],
               x: `+=${10}`,
               duration: 50,
@@ -2547,7 +4712,7 @@ class MenuScene extends BaseScene {
           }
         } else if (event.key === 'Backspace') {
           passwordValue = passwordValue.slice(0, -1);
-          passwordDisplay.setText(passwordValue || 'Enter password...');
+          passwordDisplay.setText(passwordValue || t(`menu.modes.passwordPlaceholder`));
           passwordDisplay.setColor(passwordValue ? `#ffffff` : `#888888`);
           passwordDisplay.setStyle({
             fontStyle: passwordValue ? `normal` : `italic`
@@ -2568,7 +4733,7 @@ class MenuScene extends BaseScene {
         this.input.keyboard.off('keydown', passwordHandler);
       });
     }
-    const closeButton = this.add.text(width / 2, modalY + modalHeight - 32, `← BACK`, {
+    const closeButton = this.add.text(width / 2, modalY + modalHeight - 32, t(`common.back`), {
       fontSize: `20px`,
       color: `#888888`,
       backgroundColor: `#1a1a1a`,
@@ -2634,7 +4799,7 @@ class MenuScene extends BaseScene {
         duration: 400,
         ease: 'Back.easeOut',
         onComplete: () => {
-          this.avatarIdleTween = this.tweens.add({
+          this.avatarIdleTween = this.addEffectTween({
             targets: this.playerAvatar,
             y: {
               from: -5,
@@ -2684,7 +4849,7 @@ class MenuScene extends BaseScene {
       const ripple = this.add.circle(x, y, 10, rippleColor, 0.5 - i * 0.15);
       ripple.setBlendMode(Phaser.BlendModes.ADD);
       ripple.setDepth(5);
-      this.tweens.add({
+      this.addEffectTween({
         targets: ripple,
         scale: 15 + i * 3,
         alpha: 0,
@@ -2699,7 +4864,7 @@ class MenuScene extends BaseScene {
       effects: 1.0
     };
     if (quality.effects > 0.5) {
-      const burstEmitter = this.add.particles(x, y, 'particle', {
+      const burstEmitter = this.addParticles(x, y, 'particle', {
         speed: {
           min: 100,
           max: 300
@@ -2720,9 +4885,9 @@ class MenuScene extends BaseScene {
       burstEmitter.explode(Math.floor(20 * quality.particles));
       this.time.delayedCall(800, () => burstEmitter.destroy());
     }
-    this.cameras.main.shake(100, 0.003);
+    this.shakeCamera(100, 0.003);
     if (this.backgroundGraphics) {
-      this.tweens.add({
+      this.addEffectTween({
         targets: this.backgroundGraphics,
         alpha: 0.25,
         duration: 150,
@@ -2748,7 +4913,7 @@ class MenuScene extends BaseScene {
     const quality = this.performanceManager?.getQualitySettings() || {
       effects: 1.0
     };
-    if (quality.effects < 0.5) return;
+    if (quality.effects < 0.5 || !AccessibilitySettings.allowsGlitchEffects()) return;
     const originalX = this.title.x;
     const originalY = this.title.y;
     this.tweens.add({
@@ -2783,7 +4948,7 @@ class MenuScene extends BaseScene {
     };
     if (quality.effects < 0.5) return;
     const reactions = [() => {
-      this.tweens.add({
+      this.addEffectTween({
         targets: [this.title, this.titleGlow],
         scaleX: 1.05,
         duration: 150,
@@ -2791,7 +4956,7 @@ class MenuScene extends BaseScene {
       });
     }, () => {
       const originalY = this.title.y;
-      this.tweens.add({
+      this.addEffectTween({
         targets: [this.title, this.titleGlow],
         y: originalY - 5,
         duration: 200,
@@ -2799,7 +4964,7 @@ class MenuScene extends BaseScene {
         yoyo: true
       });
     }, () => {
-      this.tweens.add({
+      this.addEffectTween({
         targets: [this.title, this.titleGlow],
         rotation: 0.05,
         duration: 150,
@@ -2811,7 +4976,7 @@ class MenuScene extends BaseScene {
       this.title.setColor(colors[buttonIndex % colors.length]);
       this.time.delayedCall(200, () => this.title.setColor('#00ffff'));
     }, () => {
-      this.tweens.add({
+      this.addEffectTween({
         targets: this.title,
         scaleY: 1.08,
         duration: 100,
@@ -2819,7 +4984,7 @@ class MenuScene extends BaseScene {
         repeat: 1
       });
     }, () => {
-      this.tweens.add({
+      this.addEffectTween({
         targets: [this.title, this.titleGlow],
         alpha: 0.7,
         duration: 100,
@@ -2873,19 +5038,19 @@ class AchievementsScene extends BaseScene {
     this.input.keyboard.on('keydown-LEFT', () => {
       if (this.currentPreset > 0) {
         this.currentPreset--;
-        StorageManager.set(`dropkeeper_current_preset`, this.currentPreset);
+        StorageManager.set(STORAGE_KEYS.CURRENT_PRESET, this.currentPreset);
         this.scene.restart();
       }
     });
     this.input.keyboard.on('keydown-RIGHT', () => {
       if (this.currentPreset < 2) {
         this.currentPreset++;
-        StorageManager.set(`dropkeeper_current_preset`, this.currentPreset);
+        StorageManager.set(STORAGE_KEYS.CURRENT_PRESET, this.currentPreset);
         this.scene.restart();
       }
     });
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 60, `[ACHIEVEMENTS]`, {
+    const title = this.add.text(width / 2, 60, t(`achievementsScreen.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -2901,7 +5066,10 @@ class AchievementsScene extends BaseScene {
     achievementsBox.strokeRect(width / 2 - 300, 120, 600, 450);
     const unlockedCount = Object.values(achievements).filter(a => a.unlocked).length;
     const totalCount = Object.keys(achievements).length;
-    const progressText = this.add.text(width / 2, 150, `${unlockedCount}/${totalCount} UNLOCKED`, {
+    const progressText = this.add.text(width / 2, 150, t(`achievementsScreen.unlocked`, {
+      unlocked: unlockedCount,
+      total: totalCount
+    }), {
       fontSize: `18px`,
       color: `#00ffff`,
       stroke: `#000000`,
@@ -2917,13 +5085,15 @@ class AchievementsScene extends BaseScene {
       itemBox.fillRect(width / 2 - 270, yPos - 10, 540, 60);
       itemBox.lineStyle(1, achievement.unlocked ? 0x00ff00 : 0x333333, 0.8);
       itemBox.strokeRect(width / 2 - 270, yPos - 10, 540, 60);
-      const text = this.add.text(width / 2 - 250, yPos, `${prefix} ${achievement.name}`, {
+      const text = this.add.text(width / 2 - 250, yPos, `${prefix} ${t(`achievements.${key}.name`)}`, {
         fontSize: `18px`,
         color: color,
         fontStyle: `bold`
       });
       text.setOrigin(0, 0);
-      const desc = this.add.text(width / 2 - 250, yPos + 25, achievement.desc, {
+      const desc = this.add.text(width / 2 - 250, yPos + 25, t(`achievements.${key}.desc`, {
+        count: ACHIEVEMENT_GOALS[key]
+      }), {
         fontSize: `14px`,
         color: achievement.unlocked ? `#888888` : `#555555`
       });
@@ -2931,14 +5101,16 @@ class AchievementsScene extends BaseScene {
       yPos += 75;
     });
     const currentSkin = StorageManager.get(STORAGE_KEYS.SKIN, `default`);
-    const skinText = this.add.text(width / 2, height - 120, `CURRENT SKIN: ${currentSkin.toUpperCase()}`, {
+    const skinText = this.add.text(width / 2, height - 120, t(`achievementsScreen.currentSkin`, {
+      skin: I18n.optional(`skins.${currentSkin}`, currentSkin.toUpperCase())
+    }), {
       fontSize: `16px`,
       color: `#ffdd00`,
       stroke: `#000000`,
       strokeThickness: 2
     });
     skinText.setOrigin(0.5);
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
+    this.createButton(width / 2, height - 70, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
@@ -2949,8 +5121,15 @@ class LeaderboardScene extends BaseScene {
       key: "LeaderboardScene"
     });
     this.globalScores = [];
+    this.playerEntry = null;
     this.loading = true;
   }
+  init(data) {
+    this.mode = GlobalLeaderboard.getMode(data?.mode || this.mode?.id);
+    this.window = GlobalLeaderboard.getWindow(data?.window || this.window?.id);
+    this.verifiedOnly = data?.verifiedOnly ?? this.verifiedOnly ?? false;
+    this.difficulty = GlobalLeaderboard.getDifficulty(this.mode, data?.difficulty || this.difficulty || StorageManager.get(STORAGE_KEYS.DIFFICULTY, `normal`));
+  }
   async create() {
     super.create();
     const {
@@ -2958,7 +5137,7 @@ class LeaderboardScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 40, `[GLOBAL LEADERBOARD]`, {
+    const title = this.add.text(width / 2, 40, t(`leaderboard.title`), {
       fontSize: `42px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -2966,18 +5145,21 @@ class LeaderboardScene extends BaseScene {
       strokeThickness: 2
     });
     title.setOrigin(0.5);
-    const subtitle = this.add.text(width / 2, 85, `>> WORLDWIDE HIGH SCORES <<`, {
+    this.fitText(title, width - 80);
+    this.createModeTabs(width);
+    const subtitle = this.add.text(width / 2 - 90, 205, t(`leaderboard.rankedBy.${this.mode.metric}`), {
       fontSize: `16px`,
       color: `#ff00ff`,
       fontStyle: `bold`
     });
     subtitle.setOrigin(0.5);
+    const boxTop = this.getListTop() - 30;
     const leaderboardBox = this.add.graphics();
     leaderboardBox.fillStyle(0x000000, 0.5);
-    leaderboardBox.fillRect(width / 2 - 300, 120, 600, 450);
+    leaderboardBox.fillRect(width / 2 - 300, boxTop, 600, 450);
     leaderboardBox.lineStyle(2, 0x00ffff, 0.6);
-    leaderboardBox.strokeRect(width / 2 - 300, 120, 600, 450);
-    const loadingText = this.add.text(width / 2, height / 2, `LOADING GLOBAL SCORES...`, {
+    leaderboardBox.strokeRect(width / 2 - 300, boxTop, 600, 450);
+    const loadingText = this.add.text(width / 2, boxTop + 225, t(`leaderboard.loading`), {
       fontSize: `20px`,
       color: `#00ffff`,
       fontStyle: `bold`
@@ -2993,28 +5175,168 @@ class LeaderboardScene extends BaseScene {
       yoyo: true,
       repeat: -1
     });
+    this.createButton(width / 2, height - 70, t(`leaderboard.back`), () => {
+      this.scene.start(`MenuScene`);
+    });
+    this.createOutboxStatus(width, this.getListTop() + 510);
+    this.game.scoreOutbox?.flush();
+    const request = this.loadRequest = {};
     try {
-      this.globalScores = await GlobalLeaderboard.getTopScores(50);
+      const {
+        scores,
+        player
+      } = await GlobalLeaderboard.getTopScores({
+        mode: this.mode.id,
+        difficulty: this.difficulty,
+        window: this.window.id,
+        verifiedOnly: this.verifiedOnly && this.mode.verifiable
+      });
+      // Switching tabs restarts the scene before slower fetches resolve
+      if (this.loadRequest !== request) return;
+      this.globalScores = scores;
+      this.playerEntry = player;
       this.loading = false;
       loadingText.destroy();
       this.displayLeaderboard(width, height);
     } catch (e) {
-      loadingText.setText(`FAILED TO LOAD SCORES`);
+      if (this.loadRequest !== request) return;
+      loadingText.setText(t(`leaderboard.failed`));
       loadingText.setColor(`#ff0066`);
       this.time.delayedCall(2000, () => {
         loadingText.destroy();
         this.displayLeaderboard(width, height);
       });
     }
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
-      this.scene.start(`MenuScene`);
+  }
+  getListTop() {
+    return 270;
+  }
+  createModeTabs(width) {
+    const current = {
+      mode: this.mode.id,
+      difficulty: this.difficulty,
+      window: this.window.id,
+      verifiedOnly: this.verifiedOnly
+    };
+    if (this.mode.verifiable) {
+      this.createTabRow([{
+        label: t(`leaderboard.verifiedOnly`),
+        x: width / 2 + 210,
+        selected: this.verifiedOnly,
+        toggle: true,
+        data: {
+          ...current,
+          verifiedOnly: !this.verifiedOnly
+        }
+      }], 205, 170);
+    } else {
+      this.add.text(width / 2 + 210, 205, t(`leaderboard.verifyUnavailable`), {
+        fontSize: `12px`,
+        color: `#666666`,
+        align: `center`,
+        wordWrap: {
+          width: 170
+        }
+      }).setOrigin(0.5);
+    }
+    const modeTabs = GlobalLeaderboard.MODES.map((mode, index, modes) => ({
+      label: t(`leaderboard.modes.${mode.id}`),
+      x: width / 2 + (index - (modes.length - 1) / 2) * 190,
+      selected: mode.id === this.mode.id,
+      data: {
+        ...current,
+        mode: mode.id
+      }
+    }));
+    this.createTabRow(modeTabs, 105, 180);
+    const windowCenter = this.mode.difficulties ? width / 2 - 190 : width / 2;
+    const windowTabs = GlobalLeaderboard.WINDOWS.map((window, index, windows) => ({
+      label: t(`leaderboard.windows.${window.id}`),
+      x: windowCenter + (index - (windows.length - 1) / 2) * 120,
+      selected: window.id === this.window.id,
+      data: {
+        ...current,
+        window: window.id
+      }
+    }));
+    this.createTabRow(windowTabs, 155, 112);
+    if (!this.mode.difficulties) return;
+    const difficultyTabs = GlobalLeaderboard.DIFFICULTIES.map((difficulty, index, difficulties) => ({
+      label: t(`leaderboard.difficulties.${difficulty}`),
+      x: width / 2 + 190 + (index - (difficulties.length - 1) / 2) * 120,
+      selected: difficulty === this.difficulty,
+      data: {
+        ...current,
+        difficulty
+      }
+    }));
+    this.createTabRow(difficultyTabs, 155, 112);
+  }
+  createOutboxStatus(width, y) {
+    const outbox = this.game.scoreOutbox;
+    if (!outbox) return;
+    const statusText = this.add.text(width / 2, y, ``, {
+      fontSize: `14px`,
+      fontStyle: `bold`
+    }).setOrigin(0.5);
+    const retryButton = this.createButton(width / 2, y + 50, t(`leaderboard.outbox.retry`), () => outbox.retry(), `20px`);
+    const refresh = () => {
+      const {
+        pending,
+        failed
+      } = outbox.getCounts();
+      const lines = [];
+      if (pending > 0) lines.push(t(`leaderboard.outbox.pending`, {
+        count: pending
+      }));
+      if (failed > 0) lines.push(t(`leaderboard.outbox.failed`, {
+        count: failed
+      }));
+      statusText.setText(lines.join(`   `)).setColor(failed > 0 ? `#ff0066` : `#ffdd00`);
+      retryButton.bg.setVisible(failed > 0);
+      retryButton.text.setVisible(failed > 0);
+    };
+    outbox.on(`change`, refresh);
+    this.events.once(`shutdown`, () => outbox.off(`change`, refresh));
+    refresh();
+  }
+  createTabRow(tabs, tabY, tabWidth) {
+    tabs.forEach(tab => {
+      const tabBg = this.add.graphics();
+      tabBg.fillStyle(tab.selected ? 0x00ffff : 0x000000, tab.selected ? 0.2 : 0.5);
+      tabBg.fillRect(tab.x - tabWidth / 2, tabY - 17, tabWidth, 35);
+      tabBg.lineStyle(2, tab.selected ? 0x00ffff : 0x666666, 0.8);
+      tabBg.strokeRect(tab.x - tabWidth / 2, tabY - 17, tabWidth, 35);
+      const tabText = this.add.text(tab.x, tabY, tab.label, {
+        fontSize: `18px`,
+        color: tab.selected ? `#00ffff` : `#888888`,
+        fontStyle: tab.selected ? `bold` : `normal`
+      }).setOrigin(0.5).setInteractive({
+        useHandCursor: true
+      });
+      this.fitText(tabText, tabWidth - 10);
+      tabText.on(`pointerdown`, () => {
+        if (tab.selected && !tab.toggle) return;
+        this.game.sounds?.click?.();
+        this.scene.restart(tab.data);
+      });
     });
   }
+  formatValue(entry) {
+    if (this.mode.metric === `gameTime`) {
+      return `${Math.floor(entry.value / 60)}:${String(entry.value % 60).padStart(2, `0`)}`;
+    }
+    if (this.mode.metric === `perfectCatches`) {
+      return t(`leaderboard.perfectCatches`, {
+        count: entry.value
+      });
+    }
+    return `${entry.score}`;
+  }
   displayLeaderboard(width, height) {
-    const localHighScore = StorageManager.getInt(STORAGE_KEYS.HIGH_SCORE);
-    let yPos = 150;
+    let yPos = this.getListTop();
     if (this.globalScores.length === 0) {
-      const emptyText = this.add.text(width / 2, height / 2, `No global scores yet!\nBe the first to set a record!`, {
+      const emptyText = this.add.text(width / 2, yPos + 195, t(`leaderboard.empty`), {
         fontSize: `18px`,
         color: `#888888`,
         align: `center`
@@ -3024,7 +5346,7 @@ class LeaderboardScene extends BaseScene {
     }
     this.globalScores.slice(0, 10).forEach((entry, index) => {
       const medal = index === 0 ? `🥇` : index === 1 ? `🥈` : index === 2 ? `🥉` : `${index + 1}.`;
-      const isPersonalBest = entry.score === localHighScore;
+      const isPersonalBest = entry.isPlayer;
       const entryBox = this.add.graphics();
       const boxColor = isPersonalBest ? 0x003333 : index < 3 ? 0x332200 : 0x111111;
       entryBox.fillStyle(boxColor, 0.6);
@@ -3038,26 +5360,269 @@ class LeaderboardScene extends BaseScene {
       });
       nameText.setOrigin(0, 0);
       if (isPersonalBest) {
-        this.add.text(width / 2 - 260, yPos + 22, `YOU`, {
+        this.add.text(width / 2 - 260, yPos + 22, t(`leaderboard.you`), {
           fontSize: `10px`,
           color: `#00ffff`,
           fontStyle: `bold`
         }).setOrigin(0, 0);
       }
-      const scoreText = this.add.text(width / 2 + 260, yPos + 5, `${entry.score}`, {
-        fontSize: `16px`,
-        color: isPersonalBest ? `#00ffff` : index < 3 ? `#ffdd00` : `#00ffff`,
-        fontStyle: `bold`
-      });
-      scoreText.setOrigin(1, 0);
-      if (entry.combo) {
-        this.add.text(width / 2 + 260, yPos + 22, `${entry.combo}x`, {
-          fontSize: `11px`,
-          color: `#ff00ff`
-        }).setOrigin(1, 0);
+      if (this.mode.verifiable) {
+        this.add.text(width / 2 - (isPersonalBest ? 225 : 260), yPos + 22, t(entry.verified ? `leaderboard.verified` : `leaderboard.unverified`), {
+          fontSize: `10px`,
+          color: entry.verified ? `#00ff00` : `#666666`,
+          fontStyle: `bold`
+        }).setOrigin(0, 0);
+      }
+      const scoreText = this.add.text(width / 2 + 260, yPos + 5, this.formatValue(entry), {
+        fontSize: `16px`,
+        color: isPersonalBest ? `#00ffff` : index < 3 ? `#ffdd00` : `#00ffff`,
+        fontStyle: `bold`
+      });
+      scoreText.setOrigin(1, 0);
+      if (this.mode.metric !== `score`) {
+        this.add.text(width / 2 + 260, yPos + 22, t(`leaderboard.points`, {
+          score: entry.score
+        }), {
+          fontSize: `11px`,
+          color: `#ff00ff`
+        }).setOrigin(1, 0);
+      } else if (entry.combo) {
+        this.add.text(width / 2 + 260, yPos + 22, `${entry.combo}x`, {
+          fontSize: `11px`,
+          color: `#ff00ff`
+        }).setOrigin(1, 0);
+      }
+      yPos += 42;
+    });
+    this.displayPlayerRank(width, this.getListTop() + 440);
+  }
+  displayPlayerRank(width, y) {
+    if (this.playerEntry?.rank <= 10) return;
+    const rankBox = this.add.graphics();
+    rankBox.fillStyle(0x003333, 0.6);
+    rankBox.fillRect(width / 2 - 280, y - 5, 560, 38);
+    rankBox.lineStyle(2, 0x00ffff, 0.6);
+    rankBox.strokeRect(width / 2 - 280, y - 5, 560, 38);
+    if (!this.playerEntry) {
+      this.add.text(width / 2, y + 14, t(`leaderboard.notRanked`, {
+        count: GlobalLeaderboard.PAGE_SIZE * GlobalLeaderboard.MAX_PAGES
+      }), {
+        fontSize: `14px`,
+        color: `#888888`
+      }).setOrigin(0.5);
+      return;
+    }
+    this.add.text(width / 2 - 260, y + 5, `${this.playerEntry.rank}. ${this.playerEntry.name}`, {
+      fontSize: `16px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    });
+    this.add.text(width / 2 - 260, y + 22, t(`leaderboard.yourRank`), {
+      fontSize: `10px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    });
+    this.add.text(width / 2 + 260, y + 5, this.formatValue(this.playerEntry), {
+      fontSize: `16px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    }).setOrigin(1, 0);
+  }
+}
+class ProfileScene extends BaseScene {
+  constructor() {
+    super({
+      key: "ProfileScene"
+    });
+  }
+  create() {
+    super.create();
+    const {
+      width,
+      height
+    } = this.cameras.main;
+    this.createCyberpunkBackground();
+    this.nameEntry = null;
+    const title = this.add.text(width / 2, 40, t(`profiles.title`), {
+      fontSize: `42px`,
+      color: `#00ffff`,
+      fontStyle: `bold`,
+      stroke: `#ff00ff`,
+      strokeThickness: 2
+    });
+    title.setOrigin(0.5);
+    const boxWidth = 640;
+    const rowHeight = 60;
+    const listTop = 120;
+    const profiles = ProfileManager.list();
+    const active = ProfileManager.getActive();
+    const listBox = this.add.graphics();
+    listBox.fillStyle(0x000000, 0.5);
+    listBox.fillRect(width / 2 - boxWidth / 2, listTop, boxWidth, ProfileManager.MAX_PROFILES * rowHeight + 20);
+    listBox.lineStyle(2, 0x00ffff, 0.6);
+    listBox.strokeRect(width / 2 - boxWidth / 2, listTop, boxWidth, ProfileManager.MAX_PROFILES * rowHeight + 20);
+    profiles.forEach((profile, index) => {
+      const rowY = listTop + 20 + index * rowHeight;
+      const isActive = profile.id === active.id;
+      this.add.text(width / 2 - boxWidth / 2 + 30, rowY, `${isActive ? `▶ ` : ``}${profile.name}`, {
+        fontSize: `22px`,
+        color: isActive ? `#ffdd00` : `#ffffff`,
+        fontStyle: `bold`
+      });
+      const level = isActive ? t(`profiles.level`, {
+        level: StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1)
+      }) : ``;
+      this.add.text(width / 2 - boxWidth / 2 + 30, rowY + 28, level, {
+        fontSize: `13px`,
+        color: `#888888`
+      });
+      const actions = [{
+        label: t(isActive ? `profiles.active` : `profiles.switch`),
+        enabled: !isActive,
+        callback: () => {
+          ProfileManager.switchTo(profile.id);
+          ProfileManager.onProfileChanged(this.game);
+          this.scene.start(`MenuScene`);
+        }
+      }, {
+        label: t(`profiles.rename`),
+        enabled: true,
+        callback: () => this.openNameEntry(t(`profiles.renamePrompt`, {
+          name: profile.name
+        }), profile.name, name => {
+          ProfileManager.rename(profile.id, name);
+          this.scene.restart();
+        })
+      }, {
+        label: t(`profiles.delete`),
+        enabled: profiles.length > 1,
+        callback: () => this.confirmDelete(profile)
+      }];
+      let actionX = width / 2 + boxWidth / 2 - 30;
+      [...actions].reverse().forEach(action => {
+        const actionText = this.add.text(actionX, rowY + 8, action.label, {
+          fontSize: `16px`,
+          color: action.enabled ? `#00ffff` : `#555555`,
+          fontStyle: `bold`
+        }).setOrigin(1, 0);
+        actionX -= actionText.width + 20;
+        if (!action.enabled) return;
+        actionText.setInteractive({
+          useHandCursor: true
+        });
+        actionText.on(`pointerover`, () => actionText.setColor(`#ff00ff`));
+        actionText.on(`pointerout`, () => actionText.setColor(`#00ffff`));
+        actionText.on(`pointerdown`, () => {
+          if (this.nameEntry) return;
+          this.game.sounds?.click?.();
+          action.callback();
+        });
+      });
+    });
+    const buttonY = listTop + ProfileManager.MAX_PROFILES * rowHeight + 70;
+    if (profiles.length < ProfileManager.MAX_PROFILES) {
+      this.createButton(width / 2, buttonY, t(`profiles.new`), () => {
+        if (this.nameEntry) return;
+        this.openNameEntry(t(`profiles.newPrompt`), ``, name => {
+          const profile = ProfileManager.create(name);
+          if (profile) ProfileManager.switchTo(profile.id);
+          ProfileManager.onProfileChanged(this.game);
+          this.scene.start(`MenuScene`);
+        });
+      });
+    }
+    this.createButton(width / 2, height - 60, t(`common.backToMenu`), () => {
+      if (this.nameEntry) return;
+      this.scene.start(`MenuScene`);
+    });
+  }
+  openNameEntry(label, initialName, onSubmit) {
+    const {
+      width,
+      height
+    } = this.cameras.main;
+    const modal = this.add.container(0, 0).setDepth(1000);
+    const overlay = this.add.rectangle(0, 0, width, height, 0x000000, 0.8).setOrigin(0).setInteractive();
+    const inputBg = this.add.graphics();
+    inputBg.fillStyle(0x000000, 0.9);
+    inputBg.fillRect(width / 2 - 250, height / 2 - 60, 500, 120);
+    inputBg.lineStyle(2, 0x00ffff, 0.8);
+    inputBg.strokeRect(width / 2 - 250, height / 2 - 60, 500, 120);
+    const promptText = this.add.text(width / 2, height / 2 - 35, label, {
+      fontSize: `14px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    }).setOrigin(0.5);
+    let name = initialName;
+    const inputBox = this.add.text(width / 2, height / 2, name || `_`, {
+      fontSize: `22px`,
+      color: `#ffdd00`,
+      backgroundColor: `#1a1a1a`,
+      padding: {
+        x: 20,
+        y: 8
+      }
+    }).setOrigin(0.5);
+    const hintText = this.add.text(width / 2, height / 2 + 40, t(`profiles.entryHint`), {
+      fontSize: `12px`,
+      color: `#888888`,
+      fontStyle: `italic`
+    }).setOrigin(0.5);
+    modal.add([overlay, inputBg, promptText, inputBox, hintText]);
+    const close = () => {
+      this.input.keyboard.off(`keydown`, keyHandler);
+      modal.destroy();
+      this.nameEntry = null;
+    };
+    const keyHandler = event => {
+      if (event.key === `Enter`) {
+        if (!ProfileManager.sanitizeName(name)) return;
+        close();
+        onSubmit(name);
+      } else if (event.key === `Escape`) {
+        close();
+      } else if (event.key === `Backspace`) {
+        name = name.slice(0, -1);
+        inputBox.setText(name || `_`);
+      } else if (event.key.length === 1 && name.length < ProfileManager.MAX_NAME_LENGTH) {
+        name += event.key.toUpperCase();
+        inputBox.setText(name);
       }
-      yPos += 42;
-    });
+    };
+    this.input.keyboard.on(`keydown`, keyHandler);
+    this.nameEntry = modal;
+  }
+  confirmDelete(profile) {
+    const {
+      width,
+      height
+    } = this.cameras.main;
+    const modal = this.add.container(0, 0).setDepth(1000);
+    const overlay = this.add.rectangle(0, 0, width, height, 0x000000, 0.8).setOrigin(0).setInteractive();
+    const panel = this.add.graphics();
+    panel.fillStyle(0x000000, 0.95);
+    panel.fillRect(width / 2 - 280, height / 2 - 110, 560, 220);
+    panel.lineStyle(2, 0xff0066, 0.8);
+    panel.strokeRect(width / 2 - 280, height / 2 - 110, 560, 220);
+    const message = this.add.text(width / 2, height / 2 - 50, t(`profiles.deleteConfirm`, {
+      name: profile.name
+    }), {
+      fontSize: `18px`,
+      color: `#ffffff`,
+      align: `center`
+    }).setOrigin(0.5);
+    modal.add([overlay, panel, message]);
+    this.nameEntry = modal;
+    const deleteButton = this.createButton(width / 2 - 130, height / 2 + 50, t(`profiles.deleteButton`), () => {
+      ProfileManager.remove(profile.id);
+      ProfileManager.onProfileChanged(this.game);
+      this.scene.restart();
+    }, `20px`);
+    const cancelButton = this.createButton(width / 2 + 130, height / 2 + 50, t(`common.cancel`), () => {
+      modal.destroy();
+      this.nameEntry = null;
+    }, `20px`);
+    modal.add([deleteButton.bg, deleteButton.text, cancelButton.bg, cancelButton.text]);
   }
 }
 class SettingsScene extends BaseScene {
@@ -3088,7 +5653,7 @@ class SettingsScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 40, `[SETTINGS]`, {
+    const title = this.add.text(width / 2, 40, t(`settings.title`), {
       fontSize: `42px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -3102,22 +5667,26 @@ class SettingsScene extends BaseScene {
       this.createBasicSettings(width, height);
     } else if (this.currentTab === 'visuals') {
       this.createVisualsSettings(width, height);
-    }
-    this.createButton(width / 2, height - 60, `BACK TO MENU`, () => {
+    } else if (this.currentTab === 'controls') {
+      this.createControlsSettings(width, height);
+    } else if (this.currentTab === 'accessibility') {
+      this.createAccessibilitySettings(width, height);
+    } else if (this.currentTab === 'audio') {
+      this.createAudioSettings(width, height);
+    } else if (this.currentTab === 'graphics') {
+      this.createGraphicsSettings(width, height);
+    }
+    this.createButton(width / 2, height - 60, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
   createTabs(width) {
     const tabY = 90;
-    const tabs = [{
-      id: 'basic',
-      label: 'BASIC',
-      x: width / 2 - 120
-    }, {
-      id: 'visuals',
-      label: 'VISUALS',
-      x: width / 2 + 120
-    }];
+    const tabs = [`basic`, `visuals`, `graphics`, `controls`, `audio`, `accessibility`].map((id, index, ids) => ({
+      id,
+      label: t(`settings.tabs.${id}`),
+      x: width / 2 + (index - (ids.length - 1) / 2) * 164
+    }));
     tabs.forEach(tab => {
       const isSelected = this.currentTab === tab.id;
       const tabBg = this.add.graphics();
@@ -3126,9 +5695,9 @@ class SettingsScene extends BaseScene {
       } else {
         tabBg.fillStyle(0x000000, 0.5);
       }
-      tabBg.fillRect(tab.x - 80, tabY - 15, 160, 35);
+      tabBg.fillRect(tab.x - 78, tabY - 15, 156, 35);
       tabBg.lineStyle(2, isSelected ? 0x00ffff : 0x666666, 0.8);
-      tabBg.strokeRect(tab.x - 80, tabY - 15, 160, 35);
+      tabBg.strokeRect(tab.x - 78, tabY - 15, 156, 35);
       const tabText = this.add.text(tab.x, tabY, tab.label, {
         fontSize: `18px`,
         color: isSelected ? `#00ffff` : `#888888`,
@@ -3136,6 +5705,7 @@ class SettingsScene extends BaseScene {
       }).setOrigin(0.5).setInteractive({
         useHandCursor: true
       });
+      this.fitText(tabText, 146);
       tabText.on('pointerdown', () => {
         this.currentTab = tab.id;
         this.scene.restart();
@@ -3145,18 +5715,18 @@ class SettingsScene extends BaseScene {
   createBasicSettings(width, height) {
     const settingsBox = this.add.graphics();
     settingsBox.fillStyle(0x000000, 0.5);
-    settingsBox.fillRect(width / 2 - 300, 140, 600, 440);
+    settingsBox.fillRect(width / 2 - 300, 140, 600, 600);
     settingsBox.lineStyle(2, 0x00ffff, 0.6);
-    settingsBox.strokeRect(width / 2 - 300, 140, 600, 440);
+    settingsBox.strokeRect(width / 2 - 300, 140, 600, 600);
     const unlockedSkins = this.getUnlockedSkins();
     const currentSkin = StorageManager.get(STORAGE_KEYS.SKIN, `default`);
-    const skinLabel = this.add.text(width / 2, 165, `PLAYER SKIN`, {
+    const skinLabel = this.add.text(width / 2, 165, t(`settings.basic.skin`), {
       fontSize: `16px`,
       color: `#00ffff`,
       fontStyle: `bold`
     });
     skinLabel.setOrigin(0.5);
-    const skinText = this.add.text(width / 2, 190, `${currentSkin.toUpperCase()}`, {
+    const skinText = this.add.text(width / 2, 190, I18n.optional(`skins.${currentSkin}`, currentSkin.toUpperCase()), {
       fontSize: `20px`,
       color: `#ffdd00`,
       stroke: `#000000`,
@@ -3164,21 +5734,21 @@ class SettingsScene extends BaseScene {
     });
     skinText.setOrigin(0.5);
     let skinIndex = unlockedSkins.indexOf(currentSkin);
-    this.createButton(width / 2, 230, `CHANGE SKIN`, () => {
+    this.createButton(width / 2, 230, t(`settings.basic.changeSkin`), () => {
       skinIndex = (skinIndex + 1) % unlockedSkins.length;
       const newSkin = unlockedSkins[skinIndex];
       StorageManager.set(STORAGE_KEYS.SKIN, newSkin);
-      skinText.setText(`${newSkin.toUpperCase()}`);
+      skinText.setText(I18n.optional(`skins.${newSkin}`, newSkin.toUpperCase()));
     });
     const unlockedAuras = this.getUnlockedAuras();
     const currentAura = StorageManager.get(STORAGE_KEYS.AURA, `none`);
-    const auraLabel = this.add.text(width / 2, 280, `PLAYER AURA`, {
+    const auraLabel = this.add.text(width / 2, 280, t(`settings.basic.aura`), {
       fontSize: `16px`,
       color: `#00ffff`,
       fontStyle: `bold`
     });
     auraLabel.setOrigin(0.5);
-    const auraText = this.add.text(width / 2, 305, `${currentAura.toUpperCase()}`, {
+    const auraText = this.add.text(width / 2, 305, I18n.optional(`auras.${currentAura}`, currentAura.toUpperCase()), {
       fontSize: `20px`,
       color: `#ffdd00`,
       stroke: `#000000`,
@@ -3186,20 +5756,20 @@ class SettingsScene extends BaseScene {
     });
     auraText.setOrigin(0.5);
     let auraIndex = unlockedAuras.indexOf(currentAura);
-    this.createButton(width / 2, 345, `CHANGE AURA`, () => {
+    this.createButton(width / 2, 345, t(`settings.basic.changeAura`), () => {
       auraIndex = (auraIndex + 1) % unlockedAuras.length;
       const newAura = unlockedAuras[auraIndex];
       StorageManager.set(STORAGE_KEYS.AURA, newAura);
-      auraText.setText(`${newAura.toUpperCase()}`);
+      auraText.setText(I18n.optional(`auras.${newAura}`, newAura.toUpperCase()));
     });
     const difficulty = StorageManager.get(STORAGE_KEYS.DIFFICULTY, `normal`);
-    const diffLabel = this.add.text(width / 2, 395, `DIFFICULTY`, {
+    const diffLabel = this.add.text(width / 2, 395, t(`settings.basic.difficulty`), {
       fontSize: `16px`,
       color: `#00ffff`,
       fontStyle: `bold`
     });
     diffLabel.setOrigin(0.5);
-    const difficultyText = this.add.text(width / 2, 420, `${difficulty.toUpperCase()}`, {
+    const difficultyText = this.add.text(width / 2, 420, t(`leaderboard.difficulties.${difficulty}`), {
       fontSize: `20px`,
       color: difficulty === `easy` ? `#00ff00` : difficulty === `hard` ? `#ff0066` : `#ffdd00`,
       stroke: `#000000`,
@@ -3208,26 +5778,446 @@ class SettingsScene extends BaseScene {
     difficultyText.setOrigin(0.5);
     const difficulties = [`easy`, `normal`, `hard`];
     let currentIndex = difficulties.indexOf(difficulty);
-    this.createButton(width / 2, 460, `CHANGE DIFFICULTY`, () => {
+    this.createButton(width / 2, 460, t(`settings.basic.changeDifficulty`), () => {
       currentIndex = (currentIndex + 1) % difficulties.length;
       const newDifficulty = difficulties[currentIndex];
       StorageManager.set(STORAGE_KEYS.DIFFICULTY, newDifficulty);
       const diffColor = newDifficulty === `easy` ? `#00ff00` : newDifficulty === `hard` ? `#ff0066` : `#ffdd00`;
-      difficultyText.setText(`${newDifficulty.toUpperCase()}`);
+      difficultyText.setText(t(`leaderboard.difficulties.${newDifficulty}`));
       difficultyText.setColor(diffColor);
     });
-    this.createButton(width / 2, 510, `RESET ALL DATA`, () => {
-      const keys = Object.values(STORAGE_KEYS);
-      keys.forEach(key => {
-        try {
-          localStorage.removeItem(key);
-        } catch (e) {
-          console.error(`Failed to remove ${key}:`, e);
+    this.createButton(width / 2, 510, t(`settings.basic.resetAll`), () => {
+      StorageManager.reset();
+      ProfileManager.onProfileChanged(this.game);
+      this.scene.restart();
+    });
+    this.createButton(width / 2 - 125, 575, t(`saveTransfer.export`), () => {
+      const exported = SaveTransfer.download();
+      this.showTransferMessage(t(exported ? `saveTransfer.exported` : `saveTransfer.exportFailed`), exported ? `#00ff00` : `#ff0066`);
+    }, `20px`);
+    this.createButton(width / 2 + 125, 575, t(`saveTransfer.import`), () => {
+      SaveTransfer.pickFile(result => {
+        if (!this.scene.isActive()) return;
+        if (result.error) {
+          this.showTransferMessage(result.error, `#ff0066`);
+          return;
+        }
+        this.showImportPreview(result);
+      });
+    }, `20px`);
+    const locales = I18n.getLocales();
+    const localeIndex = locales.findIndex(locale => locale.id === I18n.locale);
+    this.createOptionRow(width, 675, t(`settings.language`), locales[localeIndex].name, step => {
+      LanguageSettings.set(locales[(localeIndex + step + locales.length) % locales.length].id);
+    });
+    this.add.text(width / 2 - 260, 700, t(`settings.languageHint`), {
+      fontSize: `13px`,
+      color: `#888888`
+    }).setOrigin(0, 0.5);
+  }
+  showTransferMessage(message, color) {
+    const {
+      width
+    } = this.cameras.main;
+    this.transferMessage?.destroy();
+    this.transferMessage = this.add.text(width / 2, 620, message, {
+      fontSize: `14px`,
+      color,
+      fontStyle: `bold`
+    }).setOrigin(0.5);
+    this.tweens.add({
+      targets: this.transferMessage,
+      alpha: 0,
+      duration: 600,
+      delay: 2500
+    });
+  }
+  showImportPreview(result) {
+    const {
+      width,
+      height
+    } = this.cameras.main;
+    const changes = SaveTransfer.diff(result.data);
+    const rows = changes.slice(0, 14);
+    const panelHeight = 200 + Math.max(rows.length, 1) * 26;
+    const panelY = height / 2 - panelHeight / 2;
+    const modal = this.add.container(0, 0).setDepth(1000);
+    const overlay = this.add.rectangle(0, 0, width, height, 0x000000, 0.8).setOrigin(0).setInteractive();
+    const panel = this.add.graphics();
+    panel.fillStyle(0x000000, 0.95);
+    panel.fillRect(width / 2 - 320, panelY, 640, panelHeight);
+    panel.lineStyle(2, 0x00ffff, 0.8);
+    panel.strokeRect(width / 2 - 320, panelY, 640, panelHeight);
+    const title = this.add.text(width / 2, panelY + 30, t(`saveTransfer.confirmTitle`), {
+      fontSize: `26px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    }).setOrigin(0.5);
+    const subtitle = this.add.text(width / 2, panelY + 60, result.exportedAt ? t(`saveTransfer.exportedAt`, {
+      date: new Date(result.exportedAt).toLocaleString(I18n.locale)
+    }) : ``, {
+      fontSize: `13px`,
+      color: `#888888`
+    }).setOrigin(0.5);
+    modal.add([overlay, panel, title, subtitle]);
+    if (rows.length === 0) {
+      modal.add(this.add.text(width / 2, panelY + 100, t(`saveTransfer.noChanges`), {
+        fontSize: `16px`,
+        color: `#aaaaaa`
+      }).setOrigin(0.5));
+    }
+    rows.forEach((change, index) => {
+      const rowY = panelY + 95 + index * 26;
+      modal.add(this.add.text(width / 2 - 290, rowY, change.label, {
+        fontSize: `15px`,
+        color: `#ffffff`
+      }));
+      modal.add(this.add.text(width / 2 + 290, rowY, `${change.current}  →  ${change.incoming}`, {
+        fontSize: `15px`,
+        color: `#ffdd00`
+      }).setOrigin(1, 0));
+    });
+    if (changes.length > rows.length || result.rejected.length > 0) {
+      const notes = [];
+      if (changes.length > rows.length) notes.push(t(`saveTransfer.moreChanges`, {
+        count: changes.length - rows.length
+      }));
+      if (result.rejected.length > 0) notes.push(t(`saveTransfer.rejected`, {
+        count: result.rejected.length
+      }));
+      modal.add(this.add.text(width / 2, panelY + panelHeight - 95, notes.join(`  |  `), {
+        fontSize: `13px`,
+        color: `#ff8800`
+      }).setOrigin(0.5));
+    }
+    const confirmButton = this.createButton(width / 2 - 130, panelY + panelHeight - 45, t(`saveTransfer.overwrite`), () => {
+      SaveTransfer.apply(result.data);
+      ProfileManager.onProfileChanged(this.game);
+      this.scene.restart();
+    }, `20px`);
+    const cancelButton = this.createButton(width / 2 + 130, panelY + panelHeight - 45, t(`common.cancel`), () => {
+      modal.destroy();
+    }, `20px`);
+    modal.add([confirmButton.bg, confirmButton.text, cancelButton.bg, cancelButton.text]);
+  }
+  createControlsSettings(width, height) {
+    const rowHeight = 44;
+    const boxTop = 140;
+    const boxHeight = InputBindings.ACTIONS.length * rowHeight + 40;
+    const settingsBox = this.add.graphics();
+    settingsBox.fillStyle(0x000000, 0.5);
+    settingsBox.fillRect(width / 2 - 300, boxTop, 600, boxHeight);
+    settingsBox.lineStyle(2, 0x00ffff, 0.6);
+    settingsBox.strokeRect(width / 2 - 300, boxTop, 600, boxHeight);
+    const bindings = InputBindings.getAll();
+    const dashTop = boxTop + boxHeight + 15;
+    const dashBox = this.add.graphics();
+    dashBox.fillStyle(0x000000, 0.5);
+    dashBox.fillRect(width / 2 - 300, dashTop, 600, 100);
+    dashBox.lineStyle(2, 0x00ffff, 0.6);
+    dashBox.strokeRect(width / 2 - 300, dashTop, 600, 100);
+    const dashMode = InputBindings.getDashMode();
+    const doubleTapWindow = InputBindings.getDoubleTapWindow();
+    this.createOptionRow(width, dashTop + 30, t(`settings.controls.dashMode`), t(`settings.controls.dashModes.${dashMode}`), step => {
+      const index = (DASH_MODES.indexOf(dashMode) + step + DASH_MODES.length) % DASH_MODES.length;
+      StorageManager.set(STORAGE_KEYS.DASH_MODE, DASH_MODES[index]);
+    });
+    this.createOptionRow(width, dashTop + 70, t(`settings.controls.doubleTapWindow`), t(`settings.controls.milliseconds`, {
+      value: doubleTapWindow
+    }), step => {
+      StorageManager.set(STORAGE_KEYS.DOUBLE_TAP_WINDOW, Phaser.Math.Clamp(doubleTapWindow + step * 50, DOUBLE_TAP_WINDOW.min, DOUBLE_TAP_WINDOW.max));
+    }, dashMode === `doubletap`);
+    const statusText = this.add.text(width / 2, dashTop + 125, t(`settings.controls.hint`), {
+      fontSize: `14px`,
+      color: `#888888`
+    }).setOrigin(0.5);
+    this.rebindAction = null;
+    InputBindings.ACTIONS.forEach((action, index) => {
+      const rowY = boxTop + 40 + index * rowHeight;
+      this.add.text(width / 2 - 260, rowY, InputBindings.actionLabel(action.id), {
+        fontSize: `18px`,
+        color: `#00ffff`,
+        fontStyle: `bold`
+      }).setOrigin(0, 0.5);
+      const keyText = this.add.text(width / 2 + 200, rowY, InputBindings.keyLabel(bindings[action.id]), {
+        fontSize: `18px`,
+        color: `#ffdd00`,
+        backgroundColor: `#1a1a1a`,
+        padding: {
+          x: 16,
+          y: 6
         }
+      }).setOrigin(0.5).setInteractive({
+        useHandCursor: true
+      });
+      keyText.on(`pointerover`, () => keyText.setColor(`#ff00ff`));
+      keyText.on(`pointerout`, () => keyText.setColor(this.rebindAction === action.id ? `#ffffff` : `#ffdd00`));
+      keyText.on(`pointerdown`, () => {
+        if (this.rebindAction) return;
+        this.game.sounds?.click?.();
+        this.rebindAction = action.id;
+        keyText.setText(t(`settings.controls.pressKey`)).setColor(`#ffffff`);
+        statusText.setText(t(`settings.controls.pressKeyFor`, {
+          action: InputBindings.actionLabel(action.id)
+        })).setColor(`#ffffff`);
+        this.input.keyboard.once(`keydown`, event => {
+          const keyName = InputBindings.getKeyName(event);
+          const conflict = keyName && InputBindings.findConflict(action.id, keyName);
+          if (!keyName) {
+            statusText.setText(t(`settings.controls.unbindable`)).setColor(`#ff0066`);
+          } else if (conflict) {
+            statusText.setText(t(`settings.controls.conflict`, {
+              key: InputBindings.keyLabel(keyName),
+              action: InputBindings.actionLabel(conflict)
+            })).setColor(`#ff0066`);
+          } else {
+            InputBindings.set(action.id, keyName);
+            statusText.setText(t(`settings.controls.bound`, {
+              action: InputBindings.actionLabel(action.id),
+              key: InputBindings.keyLabel(keyName)
+            })).setColor(`#00ff00`);
+          }
+          keyText.setText(InputBindings.label(action.id)).setColor(`#ffdd00`);
+          this.rebindAction = null;
+        });
+      });
+    });
+    this.add.text(width / 2, dashTop + 150, t(`settings.controls.gamepad`), {
+      fontSize: `13px`,
+      color: `#888888`
+    }).setOrigin(0.5);
+    this.createButton(width / 2, dashTop + 205, t(`settings.controls.reset`), () => {
+      if (this.rebindAction) return;
+      InputBindings.reset();
+      this.scene.restart();
+    });
+  }
+  createOptionRow(width, y, label, value, onChange, enabled = true) {
+    this.add.text(width / 2 - 260, y, label, {
+      fontSize: `18px`,
+      color: enabled ? `#00ffff` : `#555555`,
+      fontStyle: `bold`
+    }).setOrigin(0, 0.5);
+    this.add.text(width / 2 + 170, y, value, {
+      fontSize: `18px`,
+      color: enabled ? `#ffdd00` : `#555555`
+    }).setOrigin(0.5);
+    [[-1, `◀`, width / 2 + 80], [1, `▶`, width / 2 + 260]].forEach(([step, arrow, x]) => {
+      const arrowText = this.add.text(x, y, arrow, {
+        fontSize: `20px`,
+        color: enabled ? `#00ffff` : `#555555`
+      }).setOrigin(0.5);
+      if (!enabled) return;
+      arrowText.setInteractive({
+        useHandCursor: true
+      });
+      arrowText.on(`pointerover`, () => arrowText.setColor(`#ff00ff`));
+      arrowText.on(`pointerout`, () => arrowText.setColor(`#00ffff`));
+      arrowText.on(`pointerdown`, () => {
+        if (this.rebindAction) return;
+        this.game.sounds?.click?.();
+        onChange(step);
+        this.scene.restart();
+      });
+    });
+  }
+  createAccessibilitySettings(width, height) {
+    const settings = AccessibilitySettings.getAll();
+    const boxTop = 140;
+    const settingsBox = this.add.graphics();
+    settingsBox.fillStyle(0x000000, 0.5);
+    settingsBox.fillRect(width / 2 - 300, boxTop, 600, 420);
+    settingsBox.lineStyle(2, 0x00ffff, 0.6);
+    settingsBox.strokeRect(width / 2 - 300, boxTop, 600, 420);
+    const cycle = (values, current, step) => values[(values.indexOf(current) + step + values.length) % values.length];
+    const paletteIds = Object.keys(ItemTextures.PALETTES);
+    const motionMode = AccessibilitySettings.MOTION_MODES.find(mode => mode.id === settings.motion);
+    const options = [{
+      label: t(`settings.accessibility.palette`),
+      value: I18n.optional(`settings.accessibility.palettes.${settings.palette}`, ItemTextures.PALETTES[settings.palette].label),
+      hint: t(`settings.accessibility.paletteHint`),
+      onChange: step => {
+        AccessibilitySettings.set(`palette`, cycle(paletteIds, settings.palette, step));
+        ItemTextures.generate(this);
+      }
+    }, {
+      label: t(`settings.accessibility.itemIcons`),
+      value: t(settings.itemIcons ? `settings.graphics.on` : `settings.graphics.off`),
+      hint: t(`settings.accessibility.itemIconsHint`),
+      onChange: () => {
+        AccessibilitySettings.set(`itemIcons`, !settings.itemIcons);
+        ItemTextures.generate(this);
+      }
+    }, {
+      label: t(`settings.accessibility.motion`),
+      value: I18n.optional(`settings.accessibility.motionModes.${motionMode.id}`, motionMode.label),
+      hint: t(`settings.accessibility.motionHint`),
+      onChange: step => {
+        AccessibilitySettings.set(`motion`, cycle(AccessibilitySettings.MOTION_MODES.map(mode => mode.id), settings.motion, step));
+      }
+    }, {
+      label: t(`settings.accessibility.photosensitive`),
+      value: t(settings.photosensitive ? `settings.graphics.on` : `settings.graphics.off`),
+      hint: t(`settings.accessibility.photosensitiveHint`),
+      onChange: () => {
+        AccessibilitySettings.set(`photosensitive`, !settings.photosensitive);
+      }
+    }];
+    options.forEach((option, index) => {
+      const rowY = boxTop + 35 + index * 62;
+      this.createOptionRow(width, rowY, option.label, option.value, option.onChange);
+      this.add.text(width / 2 - 260, rowY + 22, option.hint, {
+        fontSize: `13px`,
+        color: `#888888`
+      }).setOrigin(0, 0.5);
+    });
+    const previewY = boxTop + 330;
+    this.add.text(width / 2, previewY - 50, t(`settings.accessibility.preview`), {
+      fontSize: `16px`,
+      color: `#00ffff`,
+      fontStyle: `bold`
+    }).setOrigin(0.5);
+    const itemTypes = Object.keys(ItemTextures.TYPES);
+    itemTypes.forEach((type, index) => {
+      const x = width / 2 - 250 + index * 50;
+      const item = this.add.image(x, previewY, `item_${type}`);
+      if (ItemTextures.TYPES[type].size > 30) item.setScale(0.6);
+      this.add.text(x, previewY + 30, t(`settings.accessibility.itemTypes.${type}`), {
+        fontSize: `9px`,
+        color: `#888888`
+      }).setOrigin(0.5);
+    });
+    this.createButton(width / 2, boxTop + 470, t(`settings.accessibility.reset`), () => {
+      AccessibilitySettings.reset();
+      ItemTextures.generate(this);
+      this.scene.restart();
+    });
+  }
+  createGraphicsSettings(width, height) {
+    const settings = GraphicsSettings.getAll();
+    const preset = GraphicsSettings.getPreset();
+    const boxTop = 140;
+    const settingsBox = this.add.graphics();
+    settingsBox.fillStyle(0x000000, 0.5);
+    settingsBox.fillRect(width / 2 - 300, boxTop, 600, 470);
+    settingsBox.lineStyle(2, 0x00ffff, 0.6);
+    settingsBox.strokeRect(width / 2 - 300, boxTop, 600, 470);
+    const presetIds = GraphicsSettings.PRESETS.map(option => option.id);
+    this.createOptionRow(width, boxTop + 35, t(`settings.graphics.preset`), t(`settings.graphics.presets.${preset.id}`), step => {
+      GraphicsSettings.set(`preset`, presetIds[(presetIds.indexOf(preset.id) + step + presetIds.length) % presetIds.length]);
+    });
+    this.add.text(width / 2 - 260, boxTop + 57, t(`settings.graphics.presetHint`), {
+      fontSize: `13px`,
+      color: `#888888`
+    }).setOrigin(0, 0.5);
+    GraphicsSettings.TOGGLES.forEach((toggle, index) => {
+      const forcedOff = preset.level === 0 && (toggle === `shadows` || toggle === `grid`);
+      this.createOptionRow(width, boxTop + 110 + index * 50, t(`settings.graphics.toggles.${toggle}`), t(`settings.graphics.${settings[toggle] && !forcedOff ? `on` : `off`}`), () => {
+        GraphicsSettings.set(toggle, !settings[toggle]);
+      }, !forcedOff);
+    });
+    if (preset.level === 0) {
+      this.add.text(width / 2, boxTop + 365, t(`settings.graphics.lowHint`), {
+        fontSize: `13px`,
+        color: `#888888`
+      }).setOrigin(0.5);
+    }
+    this.createButton(width / 2, boxTop + 420, t(`settings.graphics.reset`), () => {
+      GraphicsSettings.reset();
+      this.scene.restart();
+    });
+  }
+  createAudioSettings(width, height) {
+    const settings = AudioMixer.getSettings();
+    const boxTop = 140;
+    const settingsBox = this.add.graphics();
+    settingsBox.fillStyle(0x000000, 0.5);
+    settingsBox.fillRect(width / 2 - 300, boxTop, 600, 380);
+    settingsBox.lineStyle(2, 0x00ffff, 0.6);
+    settingsBox.strokeRect(width / 2 - 300, boxTop, 600, 380);
+    AudioMixer.BUSES.forEach((bus, index) => {
+      const {
+        volume,
+        muted
+      } = settings[bus];
+      this.createSliderRow(width, boxTop + 50 + index * 75, t(`settings.audio.buses.${bus}`), volume, muted, (value, final) => {
+        AudioMixer.setBus(bus, {
+          volume: value
+        });
+        this.game.mixer?.apply();
+        if (final) this.game.sounds?.[bus === `ui` ? `click` : `catch`]?.();
+      }, () => {
+        AudioMixer.setBus(bus, {
+          muted: !muted
+        });
+        this.game.mixer?.apply();
+        this.scene.restart();
       });
+    });
+    this.add.text(width / 2, boxTop + 345, t(`settings.audio.hint`), {
+      fontSize: `13px`,
+      color: `#888888`
+    }).setOrigin(0.5);
+    this.createButton(width / 2, boxTop + 430, t(`settings.audio.reset`), () => {
+      AudioMixer.reset();
+      this.game.mixer?.apply();
       this.scene.restart();
     });
   }
+  createSliderRow(width, y, label, value, muted, onChange, onToggleMute) {
+    const trackLeft = width / 2 - 50;
+    const trackWidth = 210;
+    const levelAt = x => Phaser.Math.Clamp((x - trackLeft) / trackWidth, 0, 1);
+    this.fitText(this.add.text(width / 2 - 260, y, label, {
+      fontSize: `18px`,
+      color: muted ? `#555555` : `#00ffff`,
+      fontStyle: `bold`
+    }).setOrigin(0, 0.5), 190);
+    const track = this.add.graphics();
+    const valueText = this.add.text(trackLeft + trackWidth + 40, y, ``, {
+      fontSize: `16px`,
+      color: muted ? `#555555` : `#ffdd00`
+    }).setOrigin(0.5);
+    const trackZone = this.add.zone(trackLeft + trackWidth / 2, y, trackWidth + 20, 30).setInteractive({
+      useHandCursor: true
+    });
+    const handle = this.add.rectangle(trackLeft, y, 14, 26, muted ? 0x555555 : 0xff00ff).setStrokeStyle(2, 0xffffff).setInteractive({
+      draggable: true,
+      useHandCursor: true
+    });
+    const draw = level => {
+      track.clear();
+      track.fillStyle(0x333344, 1);
+      track.fillRect(trackLeft, y - 4, trackWidth, 8);
+      track.fillStyle(muted ? 0x555555 : 0x00ffff, 1);
+      track.fillRect(trackLeft, y - 4, trackWidth * level, 8);
+      handle.x = trackLeft + trackWidth * level;
+      valueText.setText(`${Math.round(level * 100)}%`);
+    };
+    draw(value);
+    trackZone.on(`pointerdown`, pointer => {
+      value = levelAt(pointer.x);
+      draw(value);
+      onChange(value, true);
+    });
+    handle.on(`drag`, (pointer, dragX) => {
+      value = levelAt(dragX);
+      draw(value);
+      onChange(value, false);
+    });
+    handle.on(`dragend`, () => onChange(value, true));
+    const muteToggle = this.add.text(width / 2 + 265, y, muted ? `🔇` : `🔊`, {
+      fontSize: `22px`
+    }).setOrigin(0.5).setInteractive({
+      useHandCursor: true
+    });
+    muteToggle.on(`pointerover`, () => muteToggle.setScale(1.15));
+    muteToggle.on(`pointerout`, () => muteToggle.setScale(1));
+    muteToggle.on(`pointerdown`, () => {
+      this.game.sounds?.click?.();
+      onToggleMute();
+    });
+  }
   createVisualsSettings(width, height) {
     const leftPanelWidth = 420;
     const rightPanelWidth = 240;
@@ -3243,7 +6233,7 @@ class SettingsScene extends BaseScene {
     previewBox.fillRect(rightPanelX, 140, rightPanelWidth, height - 230);
     previewBox.lineStyle(2, 0xff00ff, 0.6);
     previewBox.strokeRect(rightPanelX, 140, rightPanelWidth, height - 230);
-    this.add.text(rightPanelX + rightPanelWidth / 2, 155, `LIVE PREVIEW`, {
+    this.add.text(rightPanelX + rightPanelWidth / 2, 155, t(`settings.visuals.preview`), {
       fontSize: `16px`,
       color: `#ff00ff`,
       fontStyle: `bold`
@@ -3256,13 +6246,13 @@ class SettingsScene extends BaseScene {
     const mask = maskShape.createGeometryMask();
     scrollContainer.setMask(mask);
     let yPos = 175;
-    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, 'Catch Effects', 'catchEffects', STORAGE_KEYS.CATCH_EFFECT, `✨`);
+    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, t(`settings.visuals.categories.catchEffects`), 'catchEffects', STORAGE_KEYS.CATCH_EFFECT, `✨`);
     yPos += 15;
-    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, 'Player Trails', 'playerTrails', STORAGE_KEYS.PLAYER_TRAIL, `💫`);
+    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, t(`settings.visuals.categories.playerTrails`), 'playerTrails', STORAGE_KEYS.PLAYER_TRAIL, `💫`);
     yPos += 15;
-    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, 'Weapon Visuals', 'weaponVisuals', STORAGE_KEYS.WEAPON_VISUAL, `🔫`);
+    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, t(`settings.visuals.categories.weaponVisuals`), 'weaponVisuals', STORAGE_KEYS.WEAPON_VISUAL, `🔫`);
     yPos += 15;
-    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, 'UI Themes', 'uiThemes', STORAGE_KEYS.UI_THEME, `🎨`);
+    yPos = this.createEnhancedCategory(scrollContainer, leftPanelX, leftPanelWidth, yPos, t(`settings.visuals.categories.uiThemes`), 'uiThemes', STORAGE_KEYS.UI_THEME, `🎨`);
     this.scrollContainer = scrollContainer;
     let scrollY = 0;
     const maxScroll = Math.max(0, yPos - (height - 265));
@@ -3283,7 +6273,7 @@ class SettingsScene extends BaseScene {
     this.previewPlayer = this.add.sprite(centerX, centerY, `player_${currentSkin}`);
     this.previewPlayer.setScale(0.45);
     this.setupPreviewEffects(centerX, centerY);
-    this.add.text(centerX, centerY + 90, `Your Character`, {
+    this.add.text(centerX, centerY + 90, t(`settings.visuals.character`), {
       fontSize: `14px`,
       color: `#888888`,
       fontStyle: `italic`
@@ -3335,21 +6325,24 @@ class SettingsScene extends BaseScene {
     this.previewStatsContainer.removeAll(true);
     const categories = [{
       key: STORAGE_KEYS.CATCH_EFFECT,
-      label: 'Catch'
+      category: `catchEffects`
     }, {
       key: STORAGE_KEYS.PLAYER_TRAIL,
-      label: 'Trail'
+      category: `playerTrails`
     }, {
       key: STORAGE_KEYS.WEAPON_VISUAL,
-      label: 'Weapon'
+      category: `weaponVisuals`
     }, {
       key: STORAGE_KEYS.UI_THEME,
-      label: 'Theme'
+      category: `uiThemes`
     }];
     let y = startY;
     categories.forEach(cat => {
       const value = StorageManager.get(cat.key, 'default');
-      const text = this.add.text(centerX, y, `${cat.label}: ${value}`, {
+      const text = this.add.text(centerX, y, t(`settings.visuals.current`, {
+        category: t(`settings.visuals.short.${cat.category}`),
+        value: this.getOptionName(cat.category, value)
+      }), {
         fontSize: `11px`,
         color: `#00ffff`,
         align: `center`
@@ -3358,6 +6351,10 @@ class SettingsScene extends BaseScene {
       y += 18;
     });
   }
+  getOptionName(category, optionKey) {
+    const option = CUSTOMIZATION_OPTIONS[category][optionKey];
+    return option ? I18n.optional(`cosmetics.${category}.${optionKey}`, option.name) : optionKey;
+  }
   createEnhancedCategory(container, startX, panelWidth, startY, title, category, storageKey, icon) {
     const currentSelection = StorageManager.get(storageKey, 'default');
     const currency = StorageManager.getInt(STORAGE_KEYS.CURRENCY);
@@ -3393,7 +6390,7 @@ class SettingsScene extends BaseScene {
         glow.fillRect(startX + 22, yPos + 2, panelWidth - 44, 56);
         container.add(glow);
       }
-      const nameText = this.add.text(startX + 35, yPos + 12, option.name, {
+      const nameText = this.add.text(startX + 35, yPos + 12, this.getOptionName(category, optionKey), {
         fontSize: `15px`,
         color: isEquipped ? `#00ffff` : `#ffffff`,
         fontStyle: isEquipped ? `bold` : `normal`
@@ -3441,7 +6438,7 @@ class SettingsScene extends BaseScene {
           });
         }
       } else if (!isEquipped) {
-        const equipButton = this.add.text(buttonX, buttonY, `EQUIP`, {
+        const equipButton = this.add.text(buttonX, buttonY, t(`gear.equip`), {
           fontSize: `13px`,
           color: `#00ff00`,
           fontStyle: `bold`,
@@ -3536,7 +6533,7 @@ class SettingsScene extends BaseScene {
         });
       }
     }
-    this.cameras.main.flash(100, 0, 255, 255, 0.2);
+    this.flashCamera(100, 0, 255, 255, 0.2);
   }
   isOwned(category, option) {
     const ownedKey = `dropkeeper_owned_${category}`;
@@ -3567,7 +6564,7 @@ class PlayerHubScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 60, `[PLAYER HUB]`, {
+    const title = this.add.text(width / 2, 60, t(`playerHub.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -3576,39 +6573,39 @@ class PlayerHubScene extends BaseScene {
     });
     title.setOrigin(0.5);
     const progressOptions = [{
-      text: `ACHIEVEMENTS`,
-      desc: `Unlock rewards and track milestones`,
+      text: t(`playerHub.cards.achievements.title`),
+      desc: t(`playerHub.cards.achievements.desc`),
       icon: `🏆`,
       color: 0xffdd00,
       callback: () => this.scene.start(`AchievementsScene`)
     }, {
-      text: `CHALLENGES`,
-      desc: `Complete daily and weekly tasks`,
+      text: t(`playerHub.cards.challenges.title`),
+      desc: t(`playerHub.cards.challenges.desc`),
       icon: `🎯`,
       color: 0xff0066,
       callback: () => this.scene.start(`ChallengesScene`)
     }, {
-      text: `GEAR LOADOUT`,
-      desc: `Customize your equipment setup`,
+      text: t(`playerHub.cards.gear.title`),
+      desc: t(`playerHub.cards.gear.desc`),
       icon: `⚙️`,
       color: 0x00ffff,
       callback: () => this.scene.start(`GearScene`)
     }];
     const statsOptions = [{
-      text: `LEADERBOARD`,
-      desc: `Compete with top players`,
+      text: t(`playerHub.cards.leaderboard.title`),
+      desc: t(`playerHub.cards.leaderboard.desc`),
       icon: `📊`,
       color: 0xff00ff,
       callback: () => this.scene.start(`LeaderboardScene`)
     }, {
-      text: `STATISTICS`,
-      desc: `View detailed performance data`,
+      text: t(`playerHub.cards.statistics.title`),
+      desc: t(`playerHub.cards.statistics.desc`),
       icon: `📈`,
       color: 0x00ff00,
       callback: () => this.scene.start(`StatsScene`)
     }, {
-      text: `PROGRESSION`,
-      desc: `View level perks and bonuses`,
+      text: t(`playerHub.cards.progression.title`),
+      desc: t(`playerHub.cards.progression.desc`),
       icon: `⭐`,
       color: 0xffdd00,
       callback: () => this.scene.start(`ProgressionScene`)
@@ -3621,7 +6618,7 @@ class PlayerHubScene extends BaseScene {
     const progressTotalWidth = cardWidth * progressCardsPerRow + cardSpacing * (progressCardsPerRow - 1);
     const progressStartX = (width - progressTotalWidth) / 2;
     const contentStartY = 140;
-    this.add.text(width / 2, contentStartY, `>> PROGRESS <<`, {
+    this.add.text(width / 2, contentStartY, t(`playerHub.progress`), {
       fontSize: `24px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -3635,7 +6632,7 @@ class PlayerHubScene extends BaseScene {
       this.createCard(currentX, currentY, cardWidth, cardHeight, option);
     });
     currentY += cardHeight + sectionSpacing;
-    this.add.text(width / 2, currentY, `>> STATISTICS <<`, {
+    this.add.text(width / 2, currentY, t(`playerHub.statistics`), {
       fontSize: `24px`,
       color: `#ff00ff`,
       fontStyle: `bold`,
@@ -3651,7 +6648,7 @@ class PlayerHubScene extends BaseScene {
       const currentX = statsStartX + col * (cardWidth + cardSpacing);
       this.createCard(currentX, currentY, cardWidth, cardHeight, option);
     });
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
+    this.createButton(width / 2, height - 70, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
@@ -3732,7 +6729,7 @@ class PlayerHubScene extends BaseScene {
       titleText.setColor(`#ffffff`);
     });
     cardContainer.on(`pointerdown`, () => {
-      this.cameras.main.flash(100, ...this.hexToRgb(option.color));
+      this.flashCamera(100, ...this.hexToRgb(option.color));
       option.callback();
     });
   }
@@ -3774,14 +6771,16 @@ class ProgressionScene extends BaseScene {
     levelBox.strokeRect(width / 2 - 400, 80, 800, 140);
     levelBox.lineStyle(1, 0xffffff, 0.2);
     levelBox.strokeRect(width / 2 - 397, 83, 794, 134);
-    this.add.text(width / 2, 110, `LEVEL ${playerLevel}`, {
+    this.add.text(width / 2, 110, t(`menu.level`, {
+      level: playerLevel
+    }), {
       fontSize: `42px`,
       color: rankInfo.color,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 3
     }).setOrigin(0.5);
-    this.add.text(width / 2, 150, `[${rankInfo.title}]`, {
+    this.add.text(width / 2, 150, `[${t(`ranks.${rankInfo.title.toLowerCase()}`)}]`, {
       fontSize: `22px`,
       color: rankInfo.color,
       fontStyle: `bold`,
@@ -3800,7 +6799,10 @@ class ProgressionScene extends BaseScene {
     xpBar.fillRect(width / 2 - 300, 185, 600 * xpProgress, 24);
     xpBar.fillStyle(0xffffff, 0.3);
     xpBar.fillRect(width / 2 - 300, 185, 600 * xpProgress, 8);
-    this.add.text(width / 2, 197, `${playerXP} / ${xpForNext} XP`, {
+    this.add.text(width / 2, 197, t(`progression.xp`, {
+      xp: playerXP,
+      next: xpForNext
+    }), {
       fontSize: `15px`,
       color: `#ffffff`,
       fontStyle: `bold`,
@@ -3814,13 +6816,15 @@ class ProgressionScene extends BaseScene {
     bonusesBox.strokeRect(width / 2 - 400, 240, 380, 180);
     bonusesBox.fillStyle(0x00ffff, 0.1);
     bonusesBox.fillRect(width / 2 - 400, 240, 380, 35);
-    this.add.text(width / 2 - 210, 257, `ACTIVE BONUSES`, {
+    this.add.text(width / 2 - 210, 257, t(`progression.bonuses`), {
       fontSize: `20px`,
       color: `#00ffff`,
       fontStyle: `bold`
     }).setOrigin(0.5);
     let bonusY = 290;
-    const bonusTexts = [`Speed: +${((bonuses.speedMultiplier - 1) * 100).toFixed(0)}%`, `XP Gain: +${((bonuses.xpMultiplier - 1) * 100).toFixed(0)}%`, `Currency: +${((bonuses.currencyMultiplier - 1) * 100).toFixed(0)}%`, `Combo: +${((bonuses.comboMultiplier - 1) * 100).toFixed(0)}%`];
+    const bonusTexts = [[`speed`, bonuses.speedMultiplier], [`xp`, bonuses.xpMultiplier], [`currency`, bonuses.currencyMultiplier], [`combo`, bonuses.comboMultiplier]].map(([stat, multiplier]) => t(`progression.bonus.${stat}`, {
+      percent: ((multiplier - 1) * 100).toFixed(0)
+    }));
     bonusTexts.forEach(text => {
       this.add.text(width / 2 - 375, bonusY, text, {
         fontSize: `16px`,
@@ -3831,7 +6835,9 @@ class ProgressionScene extends BaseScene {
       bonusY += 28;
     });
     if (bonuses.shieldBonus > 0) {
-      this.add.text(width / 2 - 375, bonusY, `Shield: +${bonuses.shieldBonus} hits`, {
+      this.add.text(width / 2 - 375, bonusY, t(`progression.bonus.shield`, {
+        count: bonuses.shieldBonus
+      }), {
         fontSize: `16px`,
         color: `#ffdd00`,
         stroke: `#000000`,
@@ -3845,7 +6851,7 @@ class ProgressionScene extends BaseScene {
     perksBox.strokeRect(width / 2 + 20, 240, 380, 180);
     perksBox.fillStyle(0xff00ff, 0.1);
     perksBox.fillRect(width / 2 + 20, 240, 380, 35);
-    this.add.text(width / 2 + 210, 257, `UNLOCKED PERKS`, {
+    this.add.text(width / 2 + 210, 257, t(`progression.perks`), {
       fontSize: `20px`,
       color: `#ff00ff`,
       fontStyle: `bold`
@@ -3854,21 +6860,23 @@ class ProgressionScene extends BaseScene {
     const perkStartY = 290;
     perks.slice(0, 4).forEach((perk, index) => {
       const y = perkStartY + index * 28;
-      const perkText = this.add.text(width / 2 + 45, y, `✓ ${perk.name}`, {
+      const perkText = this.add.text(width / 2 + 45, y, `✓ ${I18n.optional(`perks.${perk.id}.name`, perk.name)}`, {
         fontSize: `15px`,
         color: `#00ff00`,
         stroke: `#000000`,
         strokeThickness: 1
       });
       scrollContainer.add(perkText);
-      const descText = this.add.text(width / 2 + 65, y + 15, perk.desc, {
+      const descText = this.add.text(width / 2 + 65, y + 15, I18n.optional(`perks.${perk.id}.desc`, perk.desc), {
         fontSize: `11px`,
         color: `#888888`
       });
       scrollContainer.add(descText);
     });
     if (perks.length > 4) {
-      this.add.text(width / 2 + 45, perkStartY + 115, `+${perks.length - 4} more perks...`, {
+      this.add.text(width / 2 + 45, perkStartY + 115, t(`perks.more`, {
+        count: perks.length - 4
+      }), {
         fontSize: `13px`,
         color: `#888888`,
         fontStyle: `italic`
@@ -3881,7 +6889,7 @@ class ProgressionScene extends BaseScene {
     milestonesBox.strokeRect(width / 2 - 400, 440, 800, 140);
     milestonesBox.fillStyle(0xffdd00, 0.1);
     milestonesBox.fillRect(width / 2 - 400, 440, 800, 35);
-    this.add.text(width / 2, 457, `UPCOMING MILESTONES`, {
+    this.add.text(width / 2, 457, t(`progression.milestones`), {
       fontSize: `22px`,
       color: `#ffdd00`,
       fontStyle: `bold`
@@ -3896,16 +6904,22 @@ class ProgressionScene extends BaseScene {
       milestoneItem.fillRect(width / 2 - 375, milestoneY, 750, 24);
       milestoneItem.lineStyle(1, 0xffdd00, 0.5);
       milestoneItem.strokeRect(width / 2 - 375, milestoneY, 750, 24);
-      this.add.text(width / 2 - 355, milestoneY + 5, `Level ${level}`, {
+      this.add.text(width / 2 - 355, milestoneY + 5, t(`progression.milestoneLevel`, {
+        level
+      }), {
         fontSize: `15px`,
         color: `#ffffff`,
         fontStyle: `bold`,
         stroke: `#000000`,
         strokeThickness: 1
       });
-      let rewardText = `${perkCount} perks`;
+      let rewardText = t(`progression.perkCount`, {
+        count: perkCount
+      });
       if (reward) {
-        rewardText += ` • ${reward.name}`;
+        rewardText += ` • ${t(`perks.reward`, {
+          count: reward.amount
+        })}`;
       }
       this.add.text(width / 2 + 355, milestoneY + 5, rewardText, {
         fontSize: `14px`,
@@ -3915,7 +6929,7 @@ class ProgressionScene extends BaseScene {
       }).setOrigin(1, 0);
       milestoneY += 28;
     });
-    this.createButton(width / 2, height - 60, `BACK TO HUB`, () => {
+    this.createButton(width / 2, height - 60, t(`gear.backToHub`), () => {
       this.scene.start(`PlayerHubScene`);
     });
   }
@@ -3925,17 +6939,18 @@ class GearScene extends BaseScene {
     super({
       key: "GearScene"
     });
-    this.currentPreset = StorageManager.getInt(`dropkeeper_current_preset`, 0);
     this.selectedTab = `all`;
   }
   create() {
     super.create();
+    // Read on every visit: profile switches and save imports change the stored preset
+    this.currentPreset = StorageManager.getInt(STORAGE_KEYS.CURRENT_PRESET, 0);
     const {
       width,
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 25, `[GEAR LOADOUT]`, {
+    const title = this.add.text(width / 2, 25, t(`gear.title`), {
       fontSize: `36px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -3959,179 +6974,7 @@ class GearScene extends BaseScene {
     this.currencyText.setOrigin(0.5);
     const gearData = StorageManager.get(STORAGE_KEYS.GEAR, {});
     let equippedGear = this.loadCurrentPreset();
-    const gearConfigs = [{
-      id: `wide_net`,
-      name: `Wide Net`,
-      type: `net`,
-      cost: 300,
-      rarity: `rare`,
-      desc: `50% larger catch radius for net weapon`,
-      icon: `🌐`,
-      effect: `net_range`,
-      stats: {
-        netRange: `+50%`
-      }
-    }, {
-      id: `piercing_gun`,
-      name: `Piercing Gun`,
-      type: `gun`,
-      cost: 350,
-      rarity: `epic`,
-      desc: `Bullets pierce through multiple targets`,
-      icon: `🔫`,
-      effect: `gun_pierce`,
-      stats: {
-        piercing: `Enabled`
-      }
-    }, {
-      id: `speed_boots`,
-      name: `Speed Boots`,
-      type: `utility`,
-      cost: 250,
-      rarity: `common`,
-      desc: `+30% movement speed`,
-      icon: `👟`,
-      effect: `move_speed`,
-      stats: {
-        speed: `+30%`
-      }
-    }, {
-      id: `double_dash`,
-      name: `Double Dash`,
-      type: `utility`,
-      cost: 400,
-      rarity: `rare`,
-      desc: `Dash twice before cooldown`,
-      icon: `⚡`,
-      effect: `dash_double`,
-      stats: {
-        dashes: `2`
-      }
-    }, {
-      id: `magnet_gloves`,
-      name: `Magnet Gloves`,
-      type: `utility`,
-      cost: 320,
-      rarity: `rare`,
-      desc: `Passive item attraction (weak)`,
-      icon: `🧲`,
-      effect: `passive_magnet`,
-      stats: {
-        magnetRange: `120px`
-      }
-    }, {
-      id: `rapid_fire`,
-      name: `Rapid Fire`,
-      type: `gun`,
-      cost: 280,
-      rarity: `common`,
-      desc: `25% faster fire rate`,
-      icon: `💨`,
-      effect: `fire_rate`,
-      stats: {
-        fireRate: `+25%`
-      }
-    }, {
-      id: `explosive_rounds`,
-      name: `Explosive Rounds`,
-      type: `gun`,
-      cost: 450,
-      rarity: `epic`,
-      desc: `Bullets explode on impact, damaging nearby items`,
-      icon: `💥`,
-      effect: `gun_explosive`,
-      stats: {
-        aoe: `80px`
-      }
-    }, {
-      id: `mega_net`,
-      name: `Mega Net`,
-      type: `net`,
-      cost: 500,
-      rarity: `legendary`,
-      desc: `Massive net with 2x size and duration`,
-      icon: `🕸️`,
-      effect: `net_mega`,
-      stats: {
-        netRange: `+100%`,
-        duration: `+50%`
-      }
-    }, {
-      id: `turbo_dash`,
-      name: `Turbo Dash`,
-      type: `utility`,
-      cost: 380,
-      rarity: `epic`,
-      desc: `50% faster dash speed and -30% cooldown`,
-      icon: `🚀`,
-      effect: `dash_turbo`,
-      stats: {
-        dashSpeed: `+50%`,
-        cooldown: `-30%`
-      }
-    }, {
-      id: `shield_generator`,
-      name: `Shield Generator`,
-      type: `utility`,
-      cost: 600,
-      rarity: `legendary`,
-      desc: `Start each game with a 5-hit shield`,
-      icon: `🛡️`,
-      effect: `shield_start`,
-      stats: {
-        shield: `5 hits`
-      }
-    }, {
-      id: `chain_lightning`,
-      name: `Chain Lightning`,
-      type: `gun`,
-      cost: 420,
-      rarity: `epic`,
-      desc: `Bullets chain to 2 nearby targets`,
-      icon: `⚡`,
-      effect: `gun_chain`,
-      stats: {
-        chains: `2`,
-        range: `100px`
-      }
-    }, {
-      id: `fortune_aura`,
-      name: `Fortune Aura`,
-      type: `utility`,
-      cost: 550,
-      rarity: `legendary`,
-      desc: `+50% score multiplier and double currency`,
-      icon: `💰`,
-      effect: `fortune_boost`,
-      stats: {
-        scoreBonus: `+50%`,
-        currency: `2x`
-      }
-    }, {
-      id: `time_dilation`,
-      name: `Time Dilation`,
-      type: `utility`,
-      cost: 480,
-      rarity: `epic`,
-      desc: `Slow items by 20% permanently`,
-      icon: `⏰`,
-      effect: `slow_items`,
-      stats: {
-        itemSpeed: `-20%`
-      }
-    }, {
-      id: `homing_net`,
-      name: `Homing Net`,
-      type: `net`,
-      cost: 380,
-      rarity: `rare`,
-      desc: `Net auto-aims toward nearest item cluster`,
-      icon: `🎯`,
-      effect: `net_homing`,
-      stats: {
-        autoAim: `Enabled`
-      }
-    }];
+    const gearConfigs = GEAR_CONFIGS;
     const rarityColors = {
       common: {
         border: 0x888888,
@@ -4160,7 +7003,7 @@ class GearScene extends BaseScene {
     tabHeaderBg.fillRect(width / 2 - 30, 110, 710, 45);
     tabHeaderBg.lineStyle(2, 0x00ffff, 0.6);
     tabHeaderBg.strokeRect(width / 2 - 30, 110, 710, 45);
-    this.add.text(width / 2 + 25, 122, `GEAR INVENTORY`, {
+    this.add.text(width / 2 + 25, 122, t(`gear.inventory`), {
       fontSize: `14px`,
       color: `#00ffff`,
       fontStyle: `bold`
@@ -4168,19 +7011,19 @@ class GearScene extends BaseScene {
     const tabY = 132;
     const tabTypes = [{
       type: `all`,
-      label: `ALL`,
+      label: t(`gear.tabs.all`),
       x: width / 2 + 360
     }, {
       type: `gun`,
-      label: `GUN`,
+      label: t(`gear.tabs.gun`),
       x: width / 2 + 440
     }, {
       type: `net`,
-      label: `NET`,
+      label: t(`gear.tabs.net`),
       x: width / 2 + 520
     }, {
       type: `utility`,
-      label: `UTIL`,
+      label: t(`gear.tabs.utility`),
       x: width / 2 + 600
     }];
     const tabTexts = [];
@@ -4197,6 +7040,7 @@ class GearScene extends BaseScene {
         }
       });
       tabText.setOrigin(0.5);
+      this.fitText(tabText, 76);
       tabText.setInteractive({
         useHandCursor: true
       });
@@ -4212,9 +7056,9 @@ class GearScene extends BaseScene {
       });
       tabText.on(`pointerdown`, () => {
         this.selectedTab = tab.type;
-        tabTexts.forEach(t => {
-          t.setColor(`#888888`);
-          t.setStyle({
+        tabTexts.forEach(other => {
+          other.setColor(`#888888`);
+          other.setStyle({
             backgroundColor: `transparent`,
             fontStyle: `normal`
           });
@@ -4255,14 +7099,14 @@ class GearScene extends BaseScene {
       });
       iconText.setOrigin(0, 0);
       scrollContainer.add(iconText);
-      const nameText = this.add.text(width / 2 + 50, yPos + 12, gear.name, {
+      const nameText = this.add.text(width / 2 + 50, yPos + 12, this.gearName(gear), {
         fontSize: `16px`,
         color: rarity.text,
         fontStyle: `bold`
       });
       nameText.setOrigin(0, 0);
       scrollContainer.add(nameText);
-      const rarityBadge = this.add.text(width / 2 + 50, yPos + 32, gear.rarity.toUpperCase(), {
+      const rarityBadge = this.add.text(width / 2 + 50, yPos + 32, t(`gear.rarity.${gear.rarity}`), {
         fontSize: `10px`,
         color: rarity.text,
         backgroundColor: `#000000`,
@@ -4273,7 +7117,7 @@ class GearScene extends BaseScene {
       });
       rarityBadge.setOrigin(0, 0);
       scrollContainer.add(rarityBadge);
-      const descText = this.add.text(width / 2 + 50, yPos + 52, gear.desc, {
+      const descText = this.add.text(width / 2 + 50, yPos + 52, this.gearDesc(gear), {
         fontSize: `13px`,
         color: `#aaaaaa`,
         wordWrap: {
@@ -4282,7 +7126,7 @@ class GearScene extends BaseScene {
       });
       descText.setOrigin(0, 0);
       scrollContainer.add(descText);
-      const statsText = this.add.text(width / 2 + 50, yPos + 76, Object.entries(gear.stats).map(([k, v]) => `${k}: ${v}`).join(` • `), {
+      const statsText = this.add.text(width / 2 + 50, yPos + 76, Object.entries(gear.stats).map(([key, value]) => this.formatStat(key, value)).join(` • `), {
         fontSize: `11px`,
         color: `#00ff88`,
         fontStyle: `italic`
@@ -4290,7 +7134,7 @@ class GearScene extends BaseScene {
       statsText.setOrigin(0, 0);
       scrollContainer.add(statsText);
       if (equipped) {
-        const equippedLabel = this.add.text(width / 2 + boxWidth - 30, yPos + 12, `✓ EQUIPPED`, {
+        const equippedLabel = this.add.text(width / 2 + boxWidth - 30, yPos + 12, t(`gear.equipped`), {
           fontSize: `14px`,
           color: `#00ff00`,
           fontStyle: `bold`,
@@ -4303,7 +7147,7 @@ class GearScene extends BaseScene {
         equippedLabel.setOrigin(1, 0);
         scrollContainer.add(equippedLabel);
       } else if (owned) {
-        const equipButton = this.add.text(width / 2 + boxWidth - 30, yPos + 12, `EQUIP`, {
+        const equipButton = this.add.text(width / 2 + boxWidth - 30, yPos + 12, t(`gear.equip`), {
           fontSize: `14px`,
           color: `#00ffff`,
           fontStyle: `bold`,
@@ -4341,11 +7185,11 @@ class GearScene extends BaseScene {
         equipButton.on(`pointerdown`, () => {
           equippedGear[gear.type] = gear.id;
           this.saveCurrentPreset(equippedGear);
-          if (this.game.sounds?.powerup) this.game.sounds.powerup();
-          this.cameras.main.flash(100, 0, 255, 0);
+          this.game.sounds?.equip?.();
+          this.flashCamera(100, 0, 255, 0);
           this.scene.restart();
         });
-        const unequipButton = this.add.text(width / 2 + boxWidth - 140, yPos + 12, `REMOVE`, {
+        const unequipButton = this.add.text(equipButton.x - equipButton.width - 10, yPos + 12, t(`gear.remove`), {
           fontSize: `13px`,
           color: `#ff6666`,
           backgroundColor: `#220000`,
@@ -4374,7 +7218,9 @@ class GearScene extends BaseScene {
         });
       } else {
         const canAfford = currency >= gear.cost;
-        const buyButton = this.add.text(width / 2 + boxWidth - 30, yPos + 12, `BUY ${gear.cost} 💎`, {
+        const buyButton = this.add.text(width / 2 + boxWidth - 30, yPos + 12, t(`gear.buy`, {
+          cost: gear.cost
+        }), {
           fontSize: `14px`,
           color: canAfford ? `#ffdd00` : `#555555`,
           fontStyle: `bold`,
@@ -4401,11 +7247,12 @@ class GearScene extends BaseScene {
             tooltip.fillRect(buyButton.x - 180, buyButton.y - 40, 170, 30);
             tooltip.lineStyle(1, 0xffdd00, 1);
             tooltip.strokeRect(buyButton.x - 180, buyButton.y - 40, 170, 30);
-            const tooltipText = this.add.text(buyButton.x - 95, buyButton.y - 25, `Click to purchase`, {
+            const tooltipText = this.add.text(buyButton.x - 95, buyButton.y - 25, t(`gear.clickToPurchase`), {
               fontSize: `14px`,
               color: `#ffdd00`
             });
             tooltipText.setOrigin(0.5);
+            this.fitText(tooltipText, 160);
             buyButton.once(`pointerout`, () => {
               tooltip.destroy();
               tooltipText.destroy();
@@ -4422,9 +7269,12 @@ class GearScene extends BaseScene {
             StorageManager.set(STORAGE_KEYS.CURRENCY, currency - gear.cost);
             gearData[gear.id] = true;
             StorageManager.set(STORAGE_KEYS.GEAR, gearData);
-            if (this.game.sounds?.powerup) this.game.sounds.powerup();
-            this.cameras.main.flash(150, 255, 221, 0);
-            const purchaseText = this.add.text(width / 2, height / 2, `${gear.icon} ${gear.name} ACQUIRED!`, {
+            this.game.sounds?.purchase?.();
+            this.flashCamera(150, 255, 221, 0);
+            const purchaseText = this.add.text(width / 2, height / 2, t(`gear.acquired`, {
+              icon: gear.icon,
+              name: this.gearName(gear)
+            }), {
               fontSize: `32px`,
               color: rarity.text,
               fontStyle: `bold`,
@@ -4432,7 +7282,7 @@ class GearScene extends BaseScene {
               strokeThickness: 3
             });
             purchaseText.setOrigin(0.5);
-            this.tweens.add({
+            this.addEffectTween({
               targets: purchaseText,
               y: height / 2 - 50,
               alpha: 0,
@@ -4451,11 +7301,14 @@ class GearScene extends BaseScene {
             tooltip.fillRect(buyButton.x - 200, buyButton.y - 40, 190, 30);
             tooltip.lineStyle(1, 0xff0066, 1);
             tooltip.strokeRect(buyButton.x - 200, buyButton.y - 40, 190, 30);
-            const tooltipText = this.add.text(buyButton.x - 105, buyButton.y - 25, `Need ${needed} more chips`, {
+            const tooltipText = this.add.text(buyButton.x - 105, buyButton.y - 25, t(`gear.needMore`, {
+              count: needed
+            }), {
               fontSize: `14px`,
               color: `#ff0066`
             });
             tooltipText.setOrigin(0.5);
+            this.fitText(tooltipText, 180);
             buyButton.once(`pointerout`, () => {
               tooltip.destroy();
               tooltipText.destroy();
@@ -4476,16 +7329,28 @@ class GearScene extends BaseScene {
     footerBg.fillRect(0, height - 80, width, 80);
     footerBg.lineStyle(2, 0x00ffff, 0.3);
     footerBg.lineBetween(0, height - 80, width, height - 80);
-    const statsInfo = this.add.text(width / 2, height - 60, `💡 Hover over EQUIP to compare stats`, {
+    const statsInfo = this.add.text(width / 2, height - 60, t(`gear.compareHint`), {
       fontSize: `13px`,
       color: `#888888`,
       fontStyle: `italic`
     });
     statsInfo.setOrigin(0.5);
-    this.createButton(width / 2, height - 30, `BACK TO HUB`, () => {
+    this.createButton(width / 2, height - 30, t(`gear.backToHub`), () => {
       this.scene.start(`PlayerHubScene`);
     });
   }
+  gearName(gear) {
+    return I18n.optional(`gear.items.${gear.id}.name`, gear.name);
+  }
+  gearDesc(gear) {
+    return I18n.optional(`gear.items.${gear.id}.desc`, gear.desc);
+  }
+  formatStat(key, value) {
+    return t(`gear.stat`, {
+      name: I18n.optional(`gear.stats.${key}`, key),
+      value: I18n.optional(`gear.statValues.${value}`, value)
+    });
+  }
   createLoadoutPanel(width, height, equippedGear, gearConfigs, rarityColors) {
     const panelX = 20;
     const panelY = 110;
@@ -4501,11 +7366,11 @@ class GearScene extends BaseScene {
     const headerBg = this.add.graphics();
     headerBg.fillStyle(COLORS.PRIMARY, 0.1);
     headerBg.fillRect(panelX, panelY, panelWidth, 35);
-    this.add.text(panelX + panelWidth / 2, panelY + 18, `LOADOUT MANAGEMENT`, {
+    this.fitText(this.add.text(panelX + panelWidth / 2, panelY + 18, t(`gear.loadout`), {
       fontSize: `18px`,
       color: `#00ffff`,
       fontStyle: `bold`
-    }).setOrigin(0.5);
+    }).setOrigin(0.5), panelWidth - 20);
     const avatarBg = this.add.graphics();
     avatarBg.fillStyle(0x000000, 0.5);
     avatarBg.fillCircle(panelX + panelWidth / 2, panelY + 70, 40);
@@ -4524,18 +7389,18 @@ class GearScene extends BaseScene {
       slotBg.fillRect(panelX + 10, gearY, panelWidth - 20, 35);
       slotBg.lineStyle(1, gearInfo ? rarityColors[gearInfo.rarity].border : 0x444444, 0.5);
       slotBg.strokeRect(panelX + 10, gearY, panelWidth - 20, 35);
-      this.add.text(panelX + 18, gearY + 3, type.toUpperCase(), {
+      this.add.text(panelX + 18, gearY + 3, t(`gear.slots.${type}`), {
         fontSize: `9px`,
         color: `#888888`
       });
       if (gearInfo) {
-        this.add.text(panelX + 18, gearY + 16, `${gearInfo.icon} ${gearInfo.name}`, {
+        this.fitText(this.add.text(panelX + 18, gearY + 16, `${gearInfo.icon} ${this.gearName(gearInfo)}`, {
           fontSize: `11px`,
           color: rarityColors[gearInfo.rarity].text,
           fontStyle: `bold`
-        });
+        }), panelWidth - 36, 8);
       } else {
-        this.add.text(panelX + 18, gearY + 16, `[ EMPTY ]`, {
+        this.add.text(panelX + 18, gearY + 16, t(`gear.empty`), {
           fontSize: `11px`,
           color: `#444444`,
           fontStyle: `italic`
@@ -4543,9 +7408,15 @@ class GearScene extends BaseScene {
       }
       gearY += 40;
     });
-    const setBonus = this.calculateSetBonus(equippedGear, gearConfigs);
+    const playerStats = GearEffects.getPlayerStats(StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1), equippedGear);
+    const setBonus = playerStats.setBonus;
     if (setBonus) {
-      this.add.text(panelX + panelWidth / 2, gearY + 5, `SET BONUS`, {
+      this.fitText(this.add.text(panelX + panelWidth / 2, gearY + 5, t(`gear.setBonus`, {
+        name: I18n.optional(`gear.sets.${setBonus.id}`, setBonus.name),
+        label: t(`gear.allStats`, {
+          percent: Math.round(setBonus.bonus * 100)
+        })
+      }), {
         fontSize: `10px`,
         color: `#ffdd00`,
         fontStyle: `bold`,
@@ -4554,21 +7425,33 @@ class GearScene extends BaseScene {
           x: 5,
           y: 2
         }
-      }).setOrigin(0.5, 0);
+      }).setOrigin(0.5, 0), panelWidth - 20, 8);
       gearY += 22;
     } else {
       gearY += 8;
     }
+    const formatBonus = value => `+${Math.round((value - 1) * 100)}%`;
+    this.add.text(panelX + panelWidth / 2, gearY, t(`gear.summary`, {
+      speed: formatBonus(playerStats.speedMultiplier),
+      fire: formatBonus(playerStats.fireRateMultiplier),
+      score: formatBonus(playerStats.scoreMultiplier * playerStats.comboMultiplier),
+      currency: formatBonus(playerStats.currencyMultiplier)
+    }), {
+      fontSize: `10px`,
+      color: `#00ffff`,
+      align: `center`
+    }).setOrigin(0.5, 0);
+    gearY += 34;
     const presetHeaderY = gearY;
     const presetHeaderBg = this.add.graphics();
     presetHeaderBg.fillStyle(COLORS.SECONDARY, 0.1);
     presetHeaderBg.fillRect(panelX, presetHeaderY, panelWidth, 25);
-    this.add.text(panelX + panelWidth / 2, presetHeaderY + 12, `PRESETS`, {
+    this.add.text(panelX + panelWidth / 2, presetHeaderY + 12, t(`gear.presets`), {
       fontSize: `12px`,
       color: `#ff00ff`,
       fontStyle: `bold`
     }).setOrigin(0.5);
-    const presets = StorageManager.get(`dropkeeper_loadout_presets`, [{}, {}, {}]);
+    const presets = StorageManager.get(STORAGE_KEYS.LOADOUT_PRESETS, [{}, {}, {}]);
     const slotStartY = presetHeaderY + 30;
     const slotWidth = panelWidth - 20;
     const slotHeight = 32;
@@ -4588,7 +7471,9 @@ class GearScene extends BaseScene {
         presetBox.lineStyle(1, 0xffffff, 0.3);
         presetBox.strokeRect(panelX + 12, slotY + 2, slotWidth - 4, slotHeight - 4);
       }
-      this.add.text(panelX + 18, slotY + 9, `SLOT ${i + 1}`, {
+      this.add.text(panelX + 18, slotY + 9, t(`gear.slot`, {
+        number: i + 1
+      }), {
         fontSize: `11px`,
         color: isActive ? `#ffffff` : `#888888`
       });
@@ -4610,12 +7495,12 @@ class GearScene extends BaseScene {
         saveBtn.on(`pointerdown`, () => {
           const current = StorageManager.get(STORAGE_KEYS.EQUIPPED_GEAR, {});
           this.savePreset(this.currentPreset, current);
-          this.cameras.main.flash(100, 255, 221, 0);
-          const savedText = this.add.text(saveBtn.x - 50, saveBtn.y - 30, `SAVED!`, {
+          this.flashCamera(100, 255, 221, 0);
+          const savedText = this.add.text(saveBtn.x - 50, saveBtn.y - 30, t(`gear.saved`), {
             fontSize: `12px`,
             color: `#00ff00`
           }).setOrigin(0.5);
-          this.tweens.add({
+          this.addEffectTween({
             targets: savedText,
             y: savedText.y - 20,
             alpha: 0,
@@ -4630,19 +7515,19 @@ class GearScene extends BaseScene {
       container.on(`pointerdown`, () => {
         if (!isActive) {
           this.currentPreset = i;
-          StorageManager.set(`dropkeeper_current_preset`, this.currentPreset);
+          StorageManager.set(STORAGE_KEYS.CURRENT_PRESET, this.currentPreset);
           this.scene.restart();
         }
       });
     }
-    this.add.text(panelX + panelWidth / 2, slotStartY + 3 * (slotHeight + slotSpacing) + 5, `← → switch`, {
+    this.add.text(panelX + panelWidth / 2, slotStartY + 3 * (slotHeight + slotSpacing) + 5, t(`gear.switchHint`), {
       fontSize: `9px`,
       color: `#888888`,
       fontStyle: `italic`
     }).setOrigin(0.5);
   }
   loadCurrentPreset() {
-    const presets = StorageManager.get(`dropkeeper_loadout_presets`, [{}, {}, {}]);
+    const presets = StorageManager.get(STORAGE_KEYS.LOADOUT_PRESETS, [{}, {}, {}]);
     const preset = presets[this.currentPreset] || {};
     if (Object.keys(preset).length > 0) {
       StorageManager.set(STORAGE_KEYS.EQUIPPED_GEAR, preset);
@@ -4655,11 +7540,11 @@ class GearScene extends BaseScene {
     this.savePreset(this.currentPreset, gear);
   }
   savePreset(index, gear) {
-    const presets = StorageManager.get(`dropkeeper_loadout_presets`, [{}, {}, {}]);
+    const presets = StorageManager.get(STORAGE_KEYS.LOADOUT_PRESETS, [{}, {}, {}]);
     presets[index] = {
       ...gear
     };
-    StorageManager.set(`dropkeeper_loadout_presets`, presets);
+    StorageManager.set(STORAGE_KEYS.LOADOUT_PRESETS, presets);
   }
   createGearVisualEffects(x, y, equippedGear, gearConfigs) {
     Object.values(equippedGear).forEach((gearId, index) => {
@@ -4680,21 +7565,6 @@ class GearScene extends BaseScene {
       } else if (gear.type === `utility`) {}
     });
   }
-  calculateSetBonus(equippedGear, gearConfigs) {
-    const equippedItems = Object.values(equippedGear).map(id => gearConfigs.find(g => g.id === id)).filter(g => g);
-    const rarities = equippedItems.map(g => g.rarity);
-    const legendaryCount = rarities.filter(r => r === `legendary`).length;
-    if (legendaryCount >= 2) return `LEGENDARY SET: +25% All Stats`;
-    const epicCount = rarities.filter(r => r === `epic`).length;
-    if (epicCount >= 2) return `EPIC SET: +15% All Stats`;
-    const rareCount = rarities.filter(r => r === `rare`).length;
-    if (rareCount >= 3) return `RARE SET: +10% All Stats`;
-    const types = equippedItems.map(g => g.type);
-    if (types.includes(`gun`) && types.includes(`net`) && types.includes(`utility`)) {
-      return `BALANCED SET: +5% All Stats`;
-    }
-    return null;
-  }
   showComparisonTooltip(x, y, currentGear, newGear, rarityColors) {
     this.hideComparisonTooltip();
     this.tooltipContainer = this.add.container(x, y);
@@ -4704,24 +7574,28 @@ class GearScene extends BaseScene {
     bg.lineStyle(2, 0x00ffff, 0.8);
     bg.strokeRect(0, 0, 350, 160);
     this.tooltipContainer.add(bg);
-    this.tooltipContainer.add(this.add.text(175, 10, `COMPARISON`, {
+    this.tooltipContainer.add(this.add.text(175, 10, t(`gear.comparison`), {
       fontSize: `14px`,
       color: `#00ffff`,
       fontStyle: `bold`
     }).setOrigin(0.5, 0));
-    const currentHeader = this.add.text(20, 35, `CURRENT: ${currentGear.name}`, {
+    const currentHeader = this.add.text(20, 35, t(`gear.current`, {
+      name: this.gearName(currentGear)
+    }), {
       fontSize: `12px`,
       color: rarityColors[currentGear.rarity].text
     });
     this.tooltipContainer.add(currentHeader);
-    const newHeader = this.add.text(20, 95, `NEW: ${newGear.name}`, {
+    const newHeader = this.add.text(20, 95, t(`gear.new`, {
+      name: this.gearName(newGear)
+    }), {
       fontSize: `12px`,
       color: rarityColors[newGear.rarity].text
     });
     this.tooltipContainer.add(newHeader);
     let currentY = 50;
     Object.entries(currentGear.stats).forEach(([key, value]) => {
-      this.tooltipContainer.add(this.add.text(25, currentY, `${key}: ${value}`, {
+      this.tooltipContainer.add(this.add.text(25, currentY, this.formatStat(key, value), {
         fontSize: `11px`,
         color: `#cccccc`
       }));
@@ -4730,7 +7604,7 @@ class GearScene extends BaseScene {
     let newY = 110;
     Object.entries(newGear.stats).forEach(([key, value]) => {
       const isBetter = this.compareStats(currentGear.stats[key], value);
-      this.tooltipContainer.add(this.add.text(25, newY, `${key}: ${value}`, {
+      this.tooltipContainer.add(this.add.text(25, newY, this.formatStat(key, value), {
         fontSize: `11px`,
         color: isBetter ? `#00ff00` : `#cccccc`
       }));
@@ -4796,21 +7670,21 @@ class MarketScene extends BaseScene {
       strokeThickness: 2
     }).setOrigin(0.5);
     const options = [{
-      text: `COSMETIC SHOP`,
-      desc: `Purchase unique player skins, auras, and visual effects`,
+      text: t(`market.cosmetics.title`),
+      desc: t(`market.cosmetics.desc`),
       icon: `🎨`,
       color: 0xff00ff,
       callback: () => {
-        this.cameras.main.flash(100, 255, 0, 255, 0.2);
+        this.flashCamera(100, 255, 0, 255, 0.2);
         this.scene.start(`ShopScene`);
       }
     }, {
-      text: `UPGRADES`,
-      desc: `Enhance abilities, boost stats, and unlock new powers`,
+      text: t(`market.upgrades.title`),
+      desc: t(`market.upgrades.desc`),
       icon: `⚡`,
       color: 0xffdd00,
       callback: () => {
-        this.cameras.main.flash(100, 255, 221, 0, 0.2);
+        this.flashCamera(100, 255, 221, 0, 0.2);
         this.scene.start(`UpgradesScene`);
       }
     }];
@@ -4827,7 +7701,7 @@ class MarketScene extends BaseScene {
     footerBg.fillRect(modalX, modalY + modalHeight - 70, modalWidth, 70);
     footerBg.lineStyle(1, 0x00ffff, 0.2);
     footerBg.lineBetween(modalX, modalY + modalHeight - 70, modalX + modalWidth, modalY + modalHeight - 70);
-    this.createButton(width / 2, modalY + modalHeight - 35, `BACK TO MENU`, () => {
+    this.createButton(width / 2, modalY + modalHeight - 35, t(`common.backToMenu`), () => {
       if (this.game.sounds?.click) this.game.sounds.click();
       this.scene.start(`MenuScene`);
     });
@@ -4872,7 +7746,7 @@ class MarketScene extends BaseScene {
       color: `#ffffff`,
       fontStyle: `bold`
     }).setOrigin(0, 0.5);
-    const enterButton = this.add.text(cardWidth - 20, 60, `VISIT →`, {
+    const enterButton = this.add.text(cardWidth - 20, 60, t(`market.visit`), {
       fontSize: `16px`,
       color: colorHex,
       fontStyle: `bold`,
@@ -4913,7 +7787,7 @@ class MarketScene extends BaseScene {
       });
     });
     cardContainer.on(`pointerdown`, () => {
-      this.cameras.main.flash(80, ...this.hexToRgb(option.color));
+      this.flashCamera(80, ...this.hexToRgb(option.color));
       option.callback();
     });
   }
@@ -4975,7 +7849,7 @@ class GameModesScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 60, `[GAME MODES]`, {
+    const title = this.add.text(width / 2, 60, t(`gameModes.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -4983,7 +7857,7 @@ class GameModesScene extends BaseScene {
       strokeThickness: 2
     });
     title.setOrigin(0.5);
-    const subtitle = this.add.text(width / 2, 110, `>> TESTING PHASE <<`, {
+    const subtitle = this.add.text(width / 2, 110, t(`gameModes.testing`), {
       fontSize: `18px`,
       color: `#ff0066`,
       fontStyle: `bold`
@@ -4996,16 +7870,18 @@ class GameModesScene extends BaseScene {
     modesBox.strokeRect(width / 2 - 350, 150, 700, 400);
     let yPos = 180;
     const modeData = [{
-      name: `TIME ATTACK`,
-      desc: `Score as much as possible in 60 seconds\nNo lives - pure speed and skill!`,
+      name: t(`menu.modes.timeAttack`),
+      desc: t(`menu.modes.timeAttackDesc`, {
+        seconds: 60
+      }),
       callback: () => this.scene.start(`TimeAttackScene`)
     }, {
-      name: `SURVIVAL`,
-      desc: `Infinite lives but difficulty increases rapidly\nHow long can you last?`,
+      name: t(`menu.modes.survival`),
+      desc: t(`menu.modes.survivalDesc`),
       callback: () => this.scene.start(`SurvivalScene`)
     }, {
-      name: `PRECISION MODE`,
-      desc: `Smaller catch area, 2x score multiplier\nPerfect timing required!`,
+      name: t(`menu.modes.precision`),
+      desc: t(`menu.modes.precisionDesc`),
       callback: () => this.scene.start(`PrecisionScene`)
     }];
     modeData.forEach(mode => {
@@ -5028,7 +7904,7 @@ class GameModesScene extends BaseScene {
         align: `center`
       });
       descText.setOrigin(0.5);
-      const playButton = this.add.text(width / 2, yPos + 80, `PLAY`, {
+      const playButton = this.add.text(width / 2, yPos + 80, t(`menu.items.play`), {
         fontSize: `18px`,
         color: `#00ffff`,
         backgroundColor: `#000000`,
@@ -5052,7 +7928,7 @@ class GameModesScene extends BaseScene {
       playButton.on(`pointerdown`, mode.callback);
       yPos += 125;
     });
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
+    this.createButton(width / 2, height - 70, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
@@ -5063,8 +7939,10 @@ class TimeAttackScene extends BaseScene {
       key: "TimeAttackScene"
     });
   }
-  create() {
+  create(data) {
     super.create();
+    this.game.music?.play(`game`);
+    this.initRunRandom(data?.seed);
     this.score = 0;
     this.timeRemaining = 60;
     this.gameMode = `timeattack`;
@@ -5081,11 +7959,11 @@ class TimeAttackScene extends BaseScene {
     this.player = this.add.sprite(width / 2, height - 50, `player_${currentSkin}`);
     this.player.setScale(0.25);
     this.player.speed = 500;
-    this.cursors = this.input.keyboard.createCursorKeys();
+    this.keys = InputBindings.addKeys(this);
     const quality = this.performanceManager?.getQualitySettings() || {
       particles: 1.0
     };
-    this.catchEmitter = this.add.particles(0, 0, `particle`, {
+    this.catchEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 150,
         max: 250
@@ -5099,7 +7977,7 @@ class TimeAttackScene extends BaseScene {
       emitting: false,
       tint: [0xffdd00, 0xff00ff]
     });
-    this.trailEmitter = this.add.particles(0, 0, `particle`, {
+    this.trailEmitter = this.addParticles(0, 0, `particle`, {
       follow: this.player,
       scale: {
         start: 0.3 * quality.particles,
@@ -5117,14 +7995,26 @@ class TimeAttackScene extends BaseScene {
       callbackScope: this,
       loop: true
     });
-    this.input.keyboard.on(`keydown-ESC`, () => {
+    this.keys.PAUSE.on(`down`, () => {
       this.scene.start(`MenuScene`);
     });
+    this.input.gamepad?.on(`down`, (pad, button) => {
+      if (button.index === GamepadInput.BUTTONS.START) this.scene.start(`MenuScene`);
+    });
+    if (TouchControls.isSupported(this)) {
+      this.touchControls = new TouchControls(this, {
+        fire: false,
+        weapon: false
+      });
+      this.touchControls.on(`pause`, () => this.scene.start(`MenuScene`));
+    }
     this.countdownTimer = this.time.addEvent({
       delay: 1000,
       callback: () => {
         this.timeRemaining--;
-        this.timerText.setText(`TIME: ${this.timeRemaining}s`);
+        this.timerText.setText(t(`hud.time`, {
+          seconds: this.timeRemaining
+        }));
         if (this.timeRemaining <= 10) {
           this.timerText.setColor(`#ff0066`);
         }
@@ -5136,7 +8026,7 @@ class TimeAttackScene extends BaseScene {
     });
   }
   setupObjectPools() {
-    const qualityLevel = this.performanceManager?.qualityLevel || 1;
+    const qualityLevel = this.performanceManager?.qualityLevel ?? 1;
     const maxItems = qualityLevel === 0 ? 8 : 15;
     const itemPoolSize = Math.max(maxItems + 5, qualityLevel === 0 ? 15 : qualityLevel === 1 ? 25 : 30);
     this.createOptimizedPool('items', () => {
@@ -5155,8 +8045,8 @@ class TimeAttackScene extends BaseScene {
     const width = this.cameras.main.width;
     const itemPool = this.getPool('items');
     if (itemPool.active.length >= 20) return;
-    const x = Phaser.Math.Between(50, width - 50);
-    const rand = Math.random();
+    const x = this.rng.between(50, width - 50);
+    const rand = this.rng.next();
     let itemType, itemValue, speed;
     if (rand < 0.35) {
       itemType = `gold`;
@@ -5180,14 +8070,19 @@ class TimeAttackScene extends BaseScene {
   }
   update(time, delta) {
     super.update(time, delta);
+    this.game.music?.setState({
+      combo: this.combo,
+      lowLives: this.timeRemaining <= 10
+    });
     if (!this.cameras || !this.cameras.main) {
       return;
     }
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    if (this.cursors.left.isDown) {
+    const padX = GamepadInput.getAxisX(this) || this.touchControls?.axisX || 0;
+    if (this.keys.LEFT.isDown || padX < 0) {
       this.player.x -= this.player.speed * delta / 1000;
-    } else if (this.cursors.right.isDown) {
+    } else if (this.keys.RIGHT.isDown || padX > 0) {
       this.player.x += this.player.speed * delta / 1000;
     }
     this.player.x = Phaser.Math.Clamp(this.player.x, 30, width - 30);
@@ -5204,10 +8099,14 @@ class TimeAttackScene extends BaseScene {
           const comboMultiplier = Math.min(Math.floor(this.combo / 5) + 1, 5);
           const points = item.value * comboMultiplier;
           this.score += points;
-          this.scoreText.setText(`SCORE: ${this.score}`);
+          this.scoreText.setText(t(`hud.score`, {
+            score: this.score
+          }));
           if (this.combo >= 5) {
             const comboColor = this.combo >= 15 ? `#ff0066` : this.combo >= 10 ? `#ff00ff` : `#ffdd00`;
-            this.comboText.setText(`${this.combo}x COMBO!`);
+            this.comboText.setText(t(`hud.combo`, {
+              combo: this.combo
+            }));
             this.comboText.setColor(comboColor);
           } else {
             this.comboText.setText(``);
@@ -5217,7 +8116,9 @@ class TimeAttackScene extends BaseScene {
             tint: item.itemType === `gold` ? [0xffdd00, 0xff8800] : [0x00ffff, 0xff00ff]
           });
           this.catchEmitter.explode(item.itemType === `gold` ? 30 : 20);
-          if (this.game.sounds?.catch) this.game.sounds.catch();
+          this.game.sounds?.[item.itemType === `gold` ? `gold` : `catch`]?.({
+            pitch: Math.pow(2, Math.min(this.combo, 24) / 24)
+          });
           itemPool.release(item);
         }
         if (item.y > height) {
@@ -5234,7 +8135,9 @@ class TimeAttackScene extends BaseScene {
     hudBg.lineStyle(2, primaryColor, 0.6);
     hudBg.strokeRect(10, 10, 250, 100);
     hudBg.strokeRect(width - 260, 10, 250, 100);
-    this.scoreText = this.add.text(20, 20, `[SCORE: 0]`, {
+    this.scoreText = this.add.text(20, 20, `[${t(`hud.score`, {
+      score: 0
+    })}]`, {
       fontSize: `22px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -5243,7 +8146,9 @@ class TimeAttackScene extends BaseScene {
     });
     this.timerBg = this.add.graphics();
     this.updateTimerDisplay();
-    this.timerText = this.add.text(width - 20, 20, `TIME: 60s`, {
+    this.timerText = this.add.text(width - 20, 20, t(`hud.time`, {
+      seconds: 60
+    }), {
       fontSize: `28px`,
       color: `#ffdd00`,
       fontStyle: `bold`,
@@ -5257,12 +8162,14 @@ class TimeAttackScene extends BaseScene {
       stroke: `#00ffff`,
       strokeThickness: 3
     }).setOrigin(0.5, 0);
-    this.add.text(width / 2, 70, `⏱️ SCORE AS MUCH AS POSSIBLE!`, {
+    this.add.text(width / 2, 70, t(`hud.goals.timeAttack`), {
       fontSize: `16px`,
       color: `#ff00ff`,
       fontStyle: `bold`
     }).setOrigin(0.5, 0);
-    this.add.text(20, 55, `ITEMS: 0`, {
+    this.add.text(20, 55, t(`hud.items`, {
+      count: 0
+    }), {
       fontSize: `16px`,
       color: `#ffffff`
     });
@@ -5289,7 +8196,8 @@ class TimeAttackScene extends BaseScene {
       gameTime: 60,
       gameMode: `timeattack`,
       missedItems: 0,
-      earnedXP: Math.floor(this.score / 5)
+      earnedXP: Math.floor(this.score / 5),
+      seed: this.seed
     });
   }
 }
@@ -5299,8 +8207,10 @@ class SurvivalScene extends BaseScene {
       key: "SurvivalScene"
     });
   }
-  create() {
+  create(data) {
     super.create();
+    this.game.music?.play(`game`);
+    this.initRunRandom(data?.seed);
     this.score = 0;
     this.survivalTime = 0;
     this.itemSpeed = 150;
@@ -5320,11 +8230,11 @@ class SurvivalScene extends BaseScene {
     this.player = this.add.sprite(width / 2, height - 50, `player_${currentSkin}`);
     this.player.setScale(0.25);
     this.player.speed = 400;
-    this.cursors = this.input.keyboard.createCursorKeys();
+    this.keys = InputBindings.addKeys(this);
     const quality = this.performanceManager?.getQualitySettings() || {
       particles: 1.0
     };
-    this.catchEmitter = this.add.particles(0, 0, `particle`, {
+    this.catchEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 150,
         max: 250
@@ -5338,7 +8248,7 @@ class SurvivalScene extends BaseScene {
       emitting: false,
       tint: [0xff0066, 0xff00ff]
     });
-    this.trailEmitter = this.add.particles(0, 0, `particle`, {
+    this.trailEmitter = this.addParticles(0, 0, `particle`, {
       follow: this.player,
       scale: {
         start: 0.3 * quality.particles,
@@ -5360,7 +8270,9 @@ class SurvivalScene extends BaseScene {
       delay: 1000,
       callback: () => {
         this.survivalTime++;
-        this.timeText.setText(`TIME: ${this.survivalTime}s`);
+        this.timeText.setText(t(`hud.time`, {
+          seconds: this.survivalTime
+        }));
         this.updateTimerDisplay();
         if (this.survivalTime % 10 === 0) {
           this.difficultyLevel++;
@@ -5372,12 +8284,22 @@ class SurvivalScene extends BaseScene {
       },
       loop: true
     });
-    this.input.keyboard.on(`keydown-ESC`, () => {
+    this.keys.PAUSE.on(`down`, () => {
       this.scene.start(`MenuScene`);
     });
+    this.input.gamepad?.on(`down`, (pad, button) => {
+      if (button.index === GamepadInput.BUTTONS.START) this.scene.start(`MenuScene`);
+    });
+    if (TouchControls.isSupported(this)) {
+      this.touchControls = new TouchControls(this, {
+        fire: false,
+        weapon: false
+      });
+      this.touchControls.on(`pause`, () => this.scene.start(`MenuScene`));
+    }
   }
   setupObjectPools() {
-    const qualityLevel = this.performanceManager?.qualityLevel || 1;
+    const qualityLevel = this.performanceManager?.qualityLevel ?? 1;
     const itemPoolSize = qualityLevel === 0 ? 15 : qualityLevel === 1 ? 25 : 30;
     this.createOptimizedPool('items', () => {
       const item = this.add.sprite(0, 0, 'item_regular');
@@ -5394,15 +8316,17 @@ class SurvivalScene extends BaseScene {
   showDifficultyIncrease() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    this.cameras.main.flash(200, 255, 0, 102);
-    const diffText = this.add.text(width / 2, height / 2, `DIFFICULTY ${this.difficultyLevel}`, {
+    this.flashCamera(200, 255, 0, 102);
+    const diffText = this.add.text(width / 2, height / 2, t(`hud.difficulty`, {
+      level: this.difficultyLevel
+    }), {
       fontSize: `42px`,
       color: `#ff0066`,
       fontStyle: `bold`,
       stroke: `#00ffff`,
       strokeThickness: 3
     }).setOrigin(0.5);
-    this.tweens.add({
+    this.addEffectTween({
       targets: diffText,
       alpha: {
         from: 1,
@@ -5422,8 +8346,8 @@ class SurvivalScene extends BaseScene {
     if (itemPool.active.length >= 25) return;
     const spawnCount = this.difficultyLevel >= 5 ? 2 : 1;
     for (let i = 0; i < spawnCount; i++) {
-      const x = Phaser.Math.Between(50, width - 50);
-      const rand = Math.random();
+      const x = this.rng.between(50, width - 50);
+      const rand = this.rng.next();
       let itemType, itemValue;
       const bombChance = Math.min(0.25, 0.1 + this.difficultyLevel * 0.02);
       if (rand < bombChance) {
@@ -5449,11 +8373,16 @@ class SurvivalScene extends BaseScene {
   }
   update(time, delta) {
     super.update(time, delta);
+    this.game.music?.setState({
+      level: this.difficultyLevel,
+      combo: this.combo
+    });
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    if (this.cursors.left.isDown) {
+    const padX = GamepadInput.getAxisX(this) || this.touchControls?.axisX || 0;
+    if (this.keys.LEFT.isDown || padX < 0) {
       this.player.x -= this.player.speed * delta / 1000;
-    } else if (this.cursors.right.isDown) {
+    } else if (this.keys.RIGHT.isDown || padX > 0) {
       this.player.x += this.player.speed * delta / 1000;
     }
     this.player.x = Phaser.Math.Clamp(this.player.x, 30, width - 30);
@@ -5473,11 +8402,17 @@ class SurvivalScene extends BaseScene {
         const comboMultiplier = Math.min(Math.floor(this.combo / 5) + 1, 5);
         const points = item.value * comboMultiplier;
         this.score += points;
-        this.scoreText.setText(`[SCORE: ${this.score}]`);
-        this.itemsText.setText(`ITEMS: ${this.itemsCaught}`);
+        this.scoreText.setText(`[${t(`hud.score`, {
+          score: this.score
+        })}]`);
+        this.itemsText.setText(t(`hud.items`, {
+          count: this.itemsCaught
+        }));
         if (this.combo >= 5) {
           const comboColor = this.combo >= 15 ? `#ff0066` : this.combo >= 10 ? `#ff00ff` : `#ffdd00`;
-          this.comboText.setText(`${this.combo}x COMBO!`);
+          this.comboText.setText(t(`hud.combo`, {
+            combo: this.combo
+          }));
           this.comboText.setColor(comboColor);
         } else {
           this.comboText.setText(``);
@@ -5487,7 +8422,9 @@ class SurvivalScene extends BaseScene {
           tint: item.itemType === `gold` ? [0xffdd00, 0xff8800] : [0x00ffff, 0xff00ff]
         });
         this.catchEmitter.explode(item.itemType === `gold` ? 30 : 20);
-        if (this.game.sounds?.catch) this.game.sounds.catch();
+        this.game.sounds?.[item.itemType === `gold` ? `gold` : `catch`]?.({
+          pitch: Math.pow(2, Math.min(this.combo, 24) / 24)
+        });
         itemPool.release(item);
       }
       if (item.y > height) {
@@ -5504,27 +8441,35 @@ class SurvivalScene extends BaseScene {
     hudBg.lineStyle(2, 0xff0066, 0.6);
     hudBg.strokeRect(10, 10, 250, 80);
     hudBg.strokeRect(width - 260, 10, 250, 80);
-    this.scoreText = this.add.text(20, 20, `[SCORE: 0]`, {
+    this.scoreText = this.add.text(20, 20, `[${t(`hud.score`, {
+      score: 0
+    })}]`, {
       fontSize: `22px`,
       color: `#ff0066`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     });
-    this.itemsText = this.add.text(20, 50, `ITEMS: 0`, {
+    this.itemsText = this.add.text(20, 50, t(`hud.items`, {
+      count: 0
+    }), {
       fontSize: `16px`,
       color: `#ffffff`
     });
     this.timerBg = this.add.graphics();
     this.updateTimerDisplay();
-    this.timeText = this.add.text(width - 20, 20, `TIME: 0s`, {
+    this.timeText = this.add.text(width - 20, 20, t(`hud.time`, {
+      seconds: 0
+    }), {
       fontSize: `28px`,
       color: `#00ff00`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     }).setOrigin(1, 0);
-    this.difficultyText = this.add.text(width - 20, 55, `LEVEL 1`, {
+    this.difficultyText = this.add.text(width - 20, 55, t(`menu.level`, {
+      level: 1
+    }), {
       fontSize: `16px`,
       color: `#ffdd00`,
       fontStyle: `bold`
@@ -5536,7 +8481,7 @@ class SurvivalScene extends BaseScene {
       stroke: `#ff0066`,
       strokeThickness: 3
     }).setOrigin(0.5, 0);
-    this.add.text(width / 2, 70, `💀 DODGE BOMBS - SURVIVE AS LONG AS POSSIBLE!`, {
+    this.add.text(width / 2, 70, t(`hud.goals.survival`), {
       fontSize: `16px`,
       color: `#ff0066`,
       fontStyle: `bold`
@@ -5551,7 +8496,9 @@ class SurvivalScene extends BaseScene {
     this.timerBg.fillRect(width - 250, 50, 230 * progress, 20);
     this.timerBg.lineStyle(2, color, 0.8);
     this.timerBg.strokeRect(width - 250, 50, 230, 20);
-    this.difficultyText.setText(`LEVEL ${this.difficultyLevel}`);
+    this.difficultyText.setText(t(`menu.level`, {
+      level: this.difficultyLevel
+    }));
   }
   gameOver() {
     this.objectPools.forEach(pool => pool.clear());
@@ -5565,7 +8512,8 @@ class SurvivalScene extends BaseScene {
       gameTime: this.survivalTime,
       gameMode: `survival`,
       missedItems: 0,
-      earnedXP: Math.floor(this.score / 5 + this.survivalTime * 3)
+      earnedXP: Math.floor(this.score / 5 + this.survivalTime * 3),
+      seed: this.seed
     });
   }
 }
@@ -5575,8 +8523,10 @@ class PrecisionScene extends BaseScene {
       key: "PrecisionScene"
     });
   }
-  create() {
+  create(data) {
     super.create();
+    this.game.music?.play(`game`);
+    this.initRunRandom(data?.seed);
     this.score = 0;
     this.lives = 3;
     this.catchRadius = 20;
@@ -5594,11 +8544,11 @@ class PrecisionScene extends BaseScene {
     const currentSkin = StorageManager.get(STORAGE_KEYS.SKIN, `default`);
     this.player = this.add.sprite(width / 2, height - 50, `player_${currentSkin}`);
     this.player.speed = 350;
-    this.cursors = this.input.keyboard.createCursorKeys();
+    this.keys = InputBindings.addKeys(this);
     const quality = this.performanceManager?.getQualitySettings() || {
       particles: 1.0
     };
-    this.catchEmitter = this.add.particles(0, 0, `particle`, {
+    this.catchEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 200,
         max: 300
@@ -5612,7 +8562,7 @@ class PrecisionScene extends BaseScene {
       emitting: false,
       tint: [0xffdd00, 0xff00ff]
     });
-    this.trailEmitter = this.add.particles(0, 0, `particle`, {
+    this.trailEmitter = this.addParticles(0, 0, `particle`, {
       follow: this.player,
       scale: {
         start: 0.3 * quality.particles,
@@ -5644,12 +8594,22 @@ class PrecisionScene extends BaseScene {
       callbackScope: this,
       loop: true
     });
-    this.input.keyboard.on(`keydown-ESC`, () => {
+    this.keys.PAUSE.on(`down`, () => {
       this.scene.start(`MenuScene`);
     });
+    this.input.gamepad?.on(`down`, (pad, button) => {
+      if (button.index === GamepadInput.BUTTONS.START) this.scene.start(`MenuScene`);
+    });
+    if (TouchControls.isSupported(this)) {
+      this.touchControls = new TouchControls(this, {
+        fire: false,
+        weapon: false
+      });
+      this.touchControls.on(`pause`, () => this.scene.start(`MenuScene`));
+    }
   }
   setupObjectPools() {
-    const qualityLevel = this.performanceManager?.qualityLevel || 1;
+    const qualityLevel = this.performanceManager?.qualityLevel ?? 1;
     const itemPoolSize = qualityLevel === 0 ? 10 : qualityLevel === 1 ? 15 : 20;
     this.createOptimizedPool('items', () => {
       const item = this.add.sprite(0, 0, 'item_regular');
@@ -5667,8 +8627,8 @@ class PrecisionScene extends BaseScene {
     const width = this.cameras.main.width;
     const itemPool = this.getPool('items');
     if (itemPool.active.length >= 12) return;
-    const x = Phaser.Math.Between(80, width - 80);
-    const rand = Math.random();
+    const x = this.rng.between(80, width - 80);
+    const rand = this.rng.next();
     let itemType, itemValue;
     if (rand < 0.3) {
       itemType = `gold`;
@@ -5689,11 +8649,16 @@ class PrecisionScene extends BaseScene {
   }
   update(time, delta) {
     super.update(time, delta);
+    this.game.music?.setState({
+      combo: this.combo,
+      lowLives: this.lives <= 1
+    });
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    if (this.cursors.left.isDown) {
+    const padX = GamepadInput.getAxisX(this) || this.touchControls?.axisX || 0;
+    if (this.keys.LEFT.isDown || padX < 0) {
       this.player.x -= this.player.speed * delta / 1000;
-    } else if (this.cursors.right.isDown) {
+    } else if (this.keys.RIGHT.isDown || padX > 0) {
       this.player.x += this.player.speed * delta / 1000;
     }
     this.player.x = Phaser.Math.Clamp(this.player.x, 30, width - 30);
@@ -5714,30 +8679,40 @@ class PrecisionScene extends BaseScene {
         const precisionBonus = isPerfect ? 3 : 2;
         const points = item.value * comboMultiplier * precisionBonus;
         this.score += points;
-        this.scoreText.setText(`[SCORE: ${this.score}]`);
-        this.perfectText.setText(`PERFECT: ${this.perfectCatches}`);
+        this.scoreText.setText(`[${t(`hud.score`, {
+          score: this.score
+        })}]`);
+        this.perfectText.setText(t(`hud.perfectCount`, {
+          count: this.perfectCatches
+        }));
         if (this.combo >= 3) {
           const comboColor = this.combo >= 15 ? `#ff0066` : this.combo >= 10 ? `#ff00ff` : `#ffdd00`;
-          this.comboText.setText(`${this.combo}x ${isPerfect ? 'PERFECT!' : 'COMBO!'}`);
+          this.comboText.setText(t(isPerfect ? `hud.perfectCombo` : `hud.combo`, {
+            combo: this.combo
+          }));
           this.comboText.setColor(comboColor);
         } else {
-          this.comboText.setText(isPerfect ? `PERFECT!` : ``);
+          this.comboText.setText(isPerfect ? t(`hud.perfect`) : ``);
         }
         this.catchEmitter.setPosition(item.x, item.y);
         this.catchEmitter.setConfig({
           tint: isPerfect ? [0xffffff, 0xffdd00] : item.itemType === `gold` ? [0xffdd00, 0xff8800] : [0xff00ff, 0x00ffff]
         });
         this.catchEmitter.explode(isPerfect ? 50 : 30);
-        if (this.game.sounds?.catch) this.game.sounds.catch();
-        this.cameras.main.flash(80, 255, isPerfect ? 255 : 221, 0, isPerfect ? 0.4 : 0.2);
+        this.game.sounds?.[isPerfect ? `gold` : `catch`]?.({
+          pitch: Math.pow(2, Math.min(this.combo, 24) / 24)
+        });
+        this.flashCamera(80, 255, isPerfect ? 255 : 221, 0, isPerfect ? 0.4 : 0.2);
         itemPool.release(item);
       }
       if (item.y > height) {
         this.lives--;
         this.combo = 0;
         this.comboText.setText(``);
-        this.livesText.setText(`LIVES: ${`❤️`.repeat(Math.max(0, this.lives))}`);
-        this.cameras.main.shake(200, 0.005);
+        this.livesText.setText(t(`hud.lives`, {
+          hearts: `❤️`.repeat(Math.max(0, this.lives))
+        }));
+        this.shakeCamera(200, 0.005);
         itemPool.release(item);
         if (this.lives <= 0) {
           this.gameOver();
@@ -5750,26 +8725,34 @@ class PrecisionScene extends BaseScene {
     hudBg.lineStyle(2, 0xff00ff, 0.6);
     hudBg.strokeRect(10, 10, 280, 80);
     hudBg.strokeRect(width - 260, 10, 250, 80);
-    this.scoreText = this.add.text(20, 20, `[SCORE: 0]`, {
+    this.scoreText = this.add.text(20, 20, `[${t(`hud.score`, {
+      score: 0
+    })}]`, {
       fontSize: `22px`,
       color: `#ff00ff`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     });
-    this.perfectText = this.add.text(20, 50, `PERFECT: 0`, {
+    this.perfectText = this.add.text(20, 50, t(`hud.perfectCount`, {
+      count: 0
+    }), {
       fontSize: `16px`,
       color: `#ffdd00`,
       fontStyle: `bold`
     });
-    this.livesText = this.add.text(width - 20, 20, `LIVES: ❤️❤️❤️`, {
+    this.livesText = this.add.text(width - 20, 20, t(`hud.lives`, {
+      hearts: `❤️❤️❤️`
+    }), {
       fontSize: `24px`,
       color: `#ff0066`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     }).setOrigin(1, 0);
-    this.add.text(width - 20, 55, `CATCH RADIUS: ${this.catchRadius}px`, {
+    this.add.text(width - 20, 55, t(`hud.catchRadius`, {
+      radius: this.catchRadius
+    }), {
       fontSize: `14px`,
       color: `#888888`
     }).setOrigin(1, 0);
@@ -5780,7 +8763,7 @@ class PrecisionScene extends BaseScene {
       stroke: `#ff00ff`,
       strokeThickness: 3
     }).setOrigin(0.5, 0);
-    this.add.text(width / 2, 70, `🎯 PRECISION REQUIRED - UP TO 10X MULTIPLIER!`, {
+    this.add.text(width / 2, 70, t(`hud.goals.precision`), {
       fontSize: `16px`,
       color: `#ff00ff`,
       fontStyle: `bold`
@@ -5797,40 +8780,43 @@ class PrecisionScene extends BaseScene {
       itemsCaught: this.itemsCaught,
       gameTime: 0,
       gameMode: `precision`,
+      perfectCatches: this.perfectCatches,
       missedItems: 3 - this.lives,
-      earnedXP: Math.floor(this.score / 4 + this.perfectCatches * 5)
+      earnedXP: Math.floor(this.score / 4 + this.perfectCatches * 5),
+      seed: this.seed
     });
   }
 }
 class GameScene extends BaseScene {
-  constructor() {
-    super({
-      key: "GameScene"
-    });
+  static MAX_FRAME_TIME = 250;
+  constructor(config = {
+    key: "GameScene"
+  }) {
+    super(config);
     this.resetGameState();
   }
-  create() {
+  create(data) {
     super.create();
     this.resetGameState();
-    this.currentAura = StorageManager.get(STORAGE_KEYS.AURA, `none`);
-    const upgrades = StorageManager.get(STORAGE_KEYS.UPGRADES, {});
-    const equippedGear = StorageManager.get(STORAGE_KEYS.EQUIPPED_GEAR, {});
-    this.equippedGear = equippedGear;
-    const playerLevel = StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1);
-    const bonuses = LevelingSystem.getStatBonuses(playerLevel);
-    this.lives = upgrades.extraLife ? 4 : 3;
-    if (upgrades.startShield) {
-      this.activePowerups.add(`shield`);
-      this.shieldUses = 3 + bonuses.shieldBonus;
-    }
-    this.setDifficultyParams();
+    this.initRunRandom(data?.seed);
+    this.loadout = data?.loadout || this.captureLoadout();
+    this.currentAura = this.loadout.aura;
     const {
       width,
       height
     } = this.cameras.main;
+    this.core = new GameCore({
+      seed: this.seed,
+      loadout: this.loadout,
+      width,
+      height
+    });
+    this.clock = this.core.clock;
+    this.game.music?.play(`game`);
     this.createCyberpunkBackground();
     this.createDynamicBackground();
     this.createHUD(width, height);
+    this.updatePowerupDisplay();
     this.setupObjectPools();
     this.chaosModeText = this.add.text(width / 2, height - 40, ``, {
       fontSize: `36px`,
@@ -5840,60 +8826,15 @@ class GameScene extends BaseScene {
       strokeThickness: 2
     });
     this.chaosModeText.setOrigin(0.5);
-    const currentSkin = StorageManager.get(STORAGE_KEYS.SKIN, `default`);
-    this.player = this.add.sprite(width / 2, height - 50, `player_${currentSkin}`);
+    this.player = this.add.sprite(this.core.player.x, this.core.player.y, `player_${this.getSkin()}`);
     this.player.setScale(0.15);
-    const baseSpeed = 400;
-    const speedUpgrade = upgrades.moveSpeed || 0;
-    let speedBonus = 0;
-    if (equippedGear.utility === `speed_boots`) {
-      speedBonus = baseSpeed * 0.3;
-    }
-    const levelSpeedBonus = baseSpeed * (bonuses.speedMultiplier - 1);
-    const fireRateUpgrade = upgrades.fireRate || 0;
-    let fireRateBonus = 0;
-    const dashUpgrade = upgrades.dashCooldown || 0;
-    let dashCooldownBonus = 0;
-    if (equippedGear.gun === `rapid_fire`) {
-      fireRateBonus = 75;
-    } else if (equippedGear.gun === `chain_lightning`) {
-      fireRateBonus = 30;
-    }
-    if (equippedGear.utility === `turbo_dash`) {
-      dashCooldownBonus = 300;
-    }
-    this.player.speed = baseSpeed + speedUpgrade * 50 + speedBonus + levelSpeedBonus;
-    this.baseFireRate = Math.max(100, 300 - fireRateUpgrade * 50 - fireRateBonus);
-    this.dashCooldownTime = Math.max(200, 1000 - dashUpgrade * 150 - dashCooldownBonus);
-    let baseDashCharges = 1;
-    if (equippedGear.utility === `double_dash`) {
-      baseDashCharges = 2;
-    }
-    this.dashCharges = baseDashCharges;
-    this.dashChargesRemaining = this.dashCharges;
-    this.dashSpeedMultiplier = equippedGear.utility === `turbo_dash` ? 1.5 : 1;
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.cursors.left.on(`down`, () => this.handleDoubleTap(`left`));
-    this.cursors.right.on(`down`, () => this.handleDoubleTap(`right`));
-    this.cursors.left.on(`up`, () => this.endDash(`left`));
-    this.cursors.right.on(`up`, () => this.endDash(`right`));
-    this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-    this.spaceKey.on(`down`, () => this.onSpaceDown());
-    this.spaceKey.on(`up`, () => this.onSpaceUp());
-    this.input.keyboard.on(`keydown-ONE`, () => this.switchWeapon(`gun`));
-    this.input.keyboard.on(`keydown-TWO`, () => this.switchWeapon(`net`));
-    const itemPool = this.getPool('items');
-    const projectilePool = this.getPool('projectiles');
-    const powerupPool = this.getPool('powerups');
-    this.items = itemPool ? itemPool.active : [];
-    this.projectiles = projectilePool ? projectilePool.active : [];
-    this.powerups = powerupPool ? powerupPool.active : [];
+    this.setupInput();
     const quality = this.performanceManager?.getQualitySettings() || {
       particles: 1.0,
       effects: 1.0
     };
     const particleScale = Math.max(0.3, quality.particles);
-    this.catchEmitter = this.add.particles(0, 0, `particle`, {
+    this.catchEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 150,
         max: 250
@@ -5910,7 +8851,7 @@ class GameScene extends BaseScene {
         end: 0
       }
     });
-    this.missEmitter = this.add.particles(0, 0, `particle`, {
+    this.missEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 50,
         max: 150
@@ -5924,7 +8865,7 @@ class GameScene extends BaseScene {
       emitting: false,
       tint: 0xff0000
     });
-    this.trailEmitter = this.add.particles(0, 0, `particle`, {
+    this.trailEmitter = this.addParticles(0, 0, `particle`, {
       follow: this.player,
       scale: {
         start: 0.3 * quality.particles,
@@ -5938,7 +8879,7 @@ class GameScene extends BaseScene {
     });
     this.setupAuraEffect();
     this.setupDebrisSystem();
-    this.dashEmitter = this.add.particles(0, 0, `particle`, {
+    this.dashEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 100,
         max: 200
@@ -5953,7 +8894,7 @@ class GameScene extends BaseScene {
       emitting: false,
       maxParticles: quality.particles > 0.5 ? 50 : 25
     });
-    this.nearMissEmitter = this.add.particles(0, 0, `particle`, {
+    this.nearMissEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 20,
         max: 50
@@ -5966,40 +8907,92 @@ class GameScene extends BaseScene {
       emitting: false,
       tint: 0xffff00
     });
-    this.spawnTimer = this.time.addEvent({
-      delay: this.spawnRate,
-      callback: this.spawnItem,
-      callbackScope: this,
-      loop: true
-    });
-    this.powerupTimer = this.time.addEvent({
-      delay: 8000,
-      callback: this.spawnPowerup,
-      callbackScope: this,
-      loop: true
-    });
-    this.hazardTimer = this.time.addEvent({
-      delay: 12000,
-      callback: this.spawnEnvironmentalHazard,
-      callbackScope: this,
-      loop: true
-    });
-    this.input.keyboard.on(`keydown-ESC`, () => {
-      this.scene.pause();
-      this.scene.launch(`PauseScene`);
-    });
+    this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[InputBindings.get(`PAUSE`)]).on(`down`, () => this.openPauseMenu());
     this.netSprite = this.add.sprite(this.player.x, this.player.y - 40, `net`);
     this.netSprite.setVisible(false);
     this.netSprite.setAlpha(0.6);
     this.netSprite.setScale(1);
     this.netSprite.setDepth(100);
+    this.bindCoreEvents();
+    this.replayRecorder = new ReplayRecorder({
+      seed: this.seed,
+      mode: `classic`,
+      loadout: this.loadout
+    });
+  }
+  captureLoadout() {
+    return {
+      upgrades: StorageManager.get(STORAGE_KEYS.UPGRADES, {}),
+      equippedGear: StorageManager.get(STORAGE_KEYS.EQUIPPED_GEAR, {}),
+      playerLevel: StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1),
+      difficulty: StorageManager.get(STORAGE_KEYS.DIFFICULTY, `normal`),
+      skin: StorageManager.get(STORAGE_KEYS.SKIN, `default`),
+      aura: StorageManager.get(STORAGE_KEYS.AURA, `none`),
+      maxItems: this.performanceManager?.qualityLevel === 0 ? 8 : 15,
+      dashMode: InputBindings.getDashMode(),
+      doubleTapWindow: InputBindings.getDoubleTapWindow()
+    };
+  }
+  setupInput() {
+    this.keys = InputBindings.addKeys(this);
+    this.inputKeys = [`LEFT`, `RIGHT`, `DASH`, `FIRE`, `GUN`, `NET`, `OVERCHARGE`].map(action => [INPUT_BITS[action], this.keys[action]]);
+    this.padButtons = [[INPUT_BITS.FIRE, GamepadInput.BUTTONS.A], [INPUT_BITS.OVERCHARGE, GamepadInput.BUTTONS.B], [INPUT_BITS.GUN, GamepadInput.BUTTONS.X], [INPUT_BITS.NET, GamepadInput.BUTTONS.Y], [INPUT_BITS.DASH, GamepadInput.BUTTONS.LB], [INPUT_BITS.DASH, GamepadInput.BUTTONS.RB]];
+    this.pressedInput = 0;
+    this.menuFocus.enabled = false;
+    this.inputKeys.forEach(([bit, key]) => {
+      key.on(`down`, () => {
+        this.pressedInput |= bit;
+      });
+    });
+    this.input.gamepad?.on(`down`, (pad, button) => {
+      if (button.index === GamepadInput.BUTTONS.START) {
+        this.openPauseMenu();
+        return;
+      }
+      this.padButtons.forEach(([bit, index]) => {
+        if (button.index === index) this.pressedInput |= bit;
+      });
+    });
+    if (TouchControls.isSupported(this)) {
+      this.touchControls = new TouchControls(this);
+      this.touchControls.on(`fire-down`, () => {
+        this.pressedInput |= INPUT_BITS.FIRE;
+      });
+      this.touchControls.on(`weapon-toggle`, () => {
+        this.pressedInput |= this.core.currentWeapon === `gun` ? INPUT_BITS.NET : INPUT_BITS.GUN;
+      });
+      this.touchControls.on(`dash`, direction => {
+        this.pressedInput |= INPUT_BITS.DASH | (direction === `left` ? INPUT_BITS.LEFT : INPUT_BITS.RIGHT);
+      });
+      this.touchControls.on(`pause`, () => this.openPauseMenu());
+    }
+  }
+  sampleInput() {
+    let mask = this.pressedInput;
+    this.inputKeys.forEach(([bit, key]) => {
+      if (key.isDown) mask |= bit;
+    });
+    this.padButtons.forEach(([bit, index]) => {
+      if (GamepadInput.isHeld(this, index)) mask |= bit;
+    });
+    const padX = GamepadInput.getAxisX(this) || this.touchControls?.axisX || 0;
+    if (padX < 0) mask |= INPUT_BITS.LEFT;
+    if (padX > 0) mask |= INPUT_BITS.RIGHT;
+    if (this.touchControls?.fireHeld) mask |= INPUT_BITS.FIRE;
+    if (this.touchControls?.dashHeld) mask |= INPUT_BITS.DASH;
+    this.pressedInput = 0;
+    return mask;
+  }
+  openPauseMenu() {
+    this.scene.pause();
+    this.scene.launch(`PauseScene`);
   }
   setupObjectPools() {
-    const qualityLevel = this.performanceManager?.qualityLevel || 1;
+    const qualityLevel = this.performanceManager?.qualityLevel ?? 1;
     const poolSizes = {
-      items: [15, 25, 30],
-      projectiles: [8, 12, 15],
-      powerups: [3, 5, 8]
+      items: [15, 25, 30, 40],
+      projectiles: [8, 12, 15, 20],
+      powerups: [3, 5, 8, 10]
     };
     const createPool = (key, texture, resetFunc, sizes) => {
       this.createOptimizedPool(key, () => this.add.sprite(0, 0, texture).setVisible(false), resetFunc, sizes[qualityLevel] || sizes[1]);
@@ -6032,431 +9025,753 @@ class GameScene extends BaseScene {
       });
     }, poolSizes.powerups);
   }
-  onSpaceDown() {
-    if (this.currentWeapon === `gun`) {
-      this.fireGun();
-    } else if (this.currentWeapon === `net`) {
-      const currentTime = this.time.now;
-      if (currentTime - this.projectileCooldown < 5000) {
-        return;
-      }
-      this.netCharging = true;
-      this.netCharge = 0;
-      this.netSprite.setVisible(true);
-      this.netSprite.setPosition(this.player.x, this.player.y - 40);
-      this.netSprite.setScale(0.5);
-      this.netSprite.setAlpha(0.8);
+  setupAuraEffect() {
+    if (this.auraEmitter && this.auraEmitter.active) {
+      this.auraEmitter.destroy();
+      this.auraEmitter = null;
     }
-  }
-  onSpaceUp() {
-    if (this.currentWeapon === `net` && this.netCharging) {
-      this.launchNet();
+    const quality = this.performanceManager && typeof this.performanceManager.getQualitySettings === 'function' ? this.performanceManager.getQualitySettings() : {
+      particles: 1.0
+    };
+    const auraConfigs = {
+      none: null,
+      flame: {
+        tint: [0xff0066, 0xff6600],
+        scale: {
+          start: 0.4 * quality.particles,
+          end: 0
+        },
+        frequency: Math.floor(30 / quality.particles),
+        lifespan: 400
+      },
+      frost: {
+        tint: [0x00ddff, 0x66ffff],
+        scale: {
+          start: 0.3 * quality.particles,
+          end: 0
+        },
+        frequency: Math.floor(40 / quality.particles),
+        lifespan: 500
+      },
+      electric: {
+        tint: [0xffff00, 0x00ffff],
+        scale: {
+          start: 0.5 * quality.particles,
+          end: 0
+        },
+        frequency: Math.floor(20 / quality.particles),
+        lifespan: 300
+      }
+    };
+    if (this.currentAura !== `none` && auraConfigs[this.currentAura]) {
+      const config = auraConfigs[this.currentAura];
+      this.auraEmitter = this.addParticles(0, 0, `particle`, {
+        follow: this.player,
+        scale: config.scale,
+        speed: {
+          min: 20,
+          max: 60
+        },
+        lifespan: config.lifespan,
+        blendMode: Phaser.BlendModes.ADD,
+        tint: config.tint,
+        frequency: config.frequency,
+        alpha: {
+          start: 0.8 * quality.particles,
+          end: 0
+        }
+      });
     }
   }
-  fireGun() {
-    const currentTime = this.time.now;
-    if (currentTime - this.projectileCooldown < this.baseFireRate) {
-      return;
-    }
-    if (this.game.sounds?.shoot) this.game.sounds.shoot();
-    this.projectileCooldown = currentTime;
-    const weaponVisual = StorageManager.get(STORAGE_KEYS.WEAPON_VISUAL, 'default');
-    const weaponConfig = CUSTOMIZATION_OPTIONS.weaponVisuals[weaponVisual];
-    const bullet = this.getPool('projectiles').get();
-    bullet.setPosition(this.player.x, this.player.y - 20);
-    bullet.setTexture('bullet');
-    bullet.setTint(weaponConfig.bulletColor);
-    bullet.speed = 600;
-    bullet.piercing = this.equippedGear.gun === `piercing_gun`;
-    bullet.explosive = this.equippedGear.gun === `explosive_rounds`;
-    bullet.chain = this.equippedGear.gun === `chain_lightning`;
-    bullet.chainCount = 0;
-    bullet.isChaining = false;
-    bullet.vx = 0;
-    bullet.vy = 0;
+  resetGameState() {
+    Object.assign(this, {
+      core: null,
+      currentAura: 'none',
+      comboWarningTween: null,
+      blackHoleSprite: null,
+      pressedInput: 0,
+      stepAccumulator: 0,
+      isGameOver: false,
+      debrisObjects: [],
+      entitySprites: new Map(),
+      hazardVisuals: new Map()
+    });
+  }
+  bindCoreEvents() {
+    const handlers = {
+      'item-spawned': this.onItemSpawned,
+      'item-removed': item => this.releaseEntitySprite(item, `items`),
+      'projectile-spawned': this.onProjectileSpawned,
+      'projectile-removed': projectile => this.releaseEntitySprite(projectile, `projectiles`),
+      'powerup-spawned': this.onPowerupSpawned,
+      'powerup-removed': powerup => this.releaseEntitySprite(powerup, `powerups`),
+      'gun-fired': this.onGunFired,
+      'net-charge-start': this.onNetChargeStart,
+      'net-launched': this.onNetLaunched,
+      'net-finished': this.onNetFinished,
+      'weapon-switched': this.onWeaponSwitched,
+      'dash-start': this.onDashStart,
+      'dash-end': this.onDashEnd,
+      'dash-trail': this.onDashTrail,
+      'combo-fading': this.onComboFading,
+      'combo-fading-end': this.onComboFadingEnd,
+      'near-miss': this.onNearMiss,
+      'item-caught': this.onItemCaught,
+      'item-missed': this.onItemMissed,
+      'item-destroyed': this.onItemDestroyed,
+      'bomb-caught': this.onBombCaught,
+      'bomb-blocked': this.onBombBlocked,
+      'bomb-destroyed': this.onBombDestroyed,
+      'shield-broken': this.onShieldBroken,
+      'health-caught': this.onHealthCaught,
+      'mystery-opened': this.onMysteryOpened,
+      'spike-hit': this.onSpikeHit,
+      'powerup-collected': this.onPowerupCollected,
+      'powerup-expired': this.onPowerupExpired,
+      'powerups-changed': this.updatePowerupDisplay,
+      'freeze-start': this.onFreezeStart,
+      'multiplier-start': this.onMultiplierStart,
+      'glitch-start': this.onGlitchStart,
+      'glitch-end': this.onGlitchEnd,
+      'virus-start': this.onVirusStart,
+      'virus-end': this.onVirusEnd,
+      'overcharge-start': this.onOverchargeStart,
+      'overcharge-end': this.onOverchargeEnd,
+      'hazard-spawned': this.onHazardSpawned,
+      'hazard-arming': this.onHazardArming,
+      'hazard-activated': this.onHazardActivated,
+      'hazard-expiring': this.onHazardExpiring,
+      'level-up': this.onLevelUp,
+      'chaos-start': this.onChaosStart,
+      'chaos-end': this.onChaosEnd,
+      'game-over': this.gameOver
+    };
+    Object.entries(handlers).forEach(([event, handler]) => this.core.on(event, handler, this));
+  }
+  getWeaponVisual() {
+    return StorageManager.get(STORAGE_KEYS.WEAPON_VISUAL, 'default');
+  }
+  getWeaponConfig() {
+    return CUSTOMIZATION_OPTIONS.weaponVisuals[this.getWeaponVisual()];
+  }
+  getComboPitch() {
+    return Math.pow(2, Math.min(this.core.combo, 24) / 24);
+  }
+  updateLivesDisplay() {
+    this.livesText.setText(t(`hud.lives`, {
+      hearts: `❤️`.repeat(Math.max(0, this.core.lives))
+    }));
+  }
+  onItemSpawned(item) {
+    const sprite = this.getPool('items').get();
+    sprite.setPosition(item.x, item.y);
+    sprite.setTexture(`item_${item.itemType}`);
+    this.entitySprites.set(item, sprite);
+  }
+  onProjectileSpawned(projectile) {
+    const sprite = this.getPool('projectiles').get();
+    sprite.setPosition(projectile.x, projectile.y);
+    sprite.setTexture('bullet');
+    sprite.setTint(this.getWeaponConfig().bulletColor);
+    this.entitySprites.set(projectile, sprite);
+  }
+  onPowerupSpawned(powerup) {
+    const textures = [`powerup`, `powerup`, `powerup`, `powerup_timewarp`, `powerup_converter`, `powerup_hyperdash`, `powerup_blackhole`];
+    const sprite = this.getPool('powerups').get();
+    sprite.setPosition(powerup.x, powerup.y);
+    sprite.setTexture(textures[powerup.type]);
+    this.entitySprites.set(powerup, sprite);
+  }
+  releaseEntitySprite(entity, poolKey) {
+    const sprite = this.entitySprites.get(entity);
+    if (!sprite) return;
+    this.entitySprites.delete(entity);
+    this.getPool(poolKey).release(sprite);
+  }
+  onGunFired() {
+    this.game.sounds?.shoot?.({
+      variant: this.getWeaponVisual()
+    });
+    const weaponConfig = this.getWeaponConfig();
     const r = weaponConfig.bulletColor >> 16 & 0xFF;
     const g = weaponConfig.bulletColor >> 8 & 0xFF;
     const b = weaponConfig.bulletColor & 0xFF;
-    this.cameras.main.flash(50, r, g, b, 0.1);
+    this.flashCamera(50, r, g, b, 0.1);
     this.catchEmitter.setPosition(this.player.x, this.player.y - 20);
     this.catchEmitter.setConfig({
       tint: weaponConfig.bulletColor
     });
     this.catchEmitter.explode(5);
   }
-  launchNet() {
-    this.netCharging = false;
-    this.projectileCooldown = this.time.now;
-    const weaponVisual = StorageManager.get(STORAGE_KEYS.WEAPON_VISUAL, 'default');
-    const weaponConfig = CUSTOMIZATION_OPTIONS.weaponVisuals[weaponVisual];
-    let finalScale = 0.5 + this.netCharge / this.netMaxCharge * 2.5;
-    if (this.equippedGear.net === `wide_net`) {
-      finalScale *= 1.5;
-    } else if (this.equippedGear.net === `mega_net`) {
-      finalScale *= 2;
-    }
-    this.netSprite.setScale(finalScale);
+  onNetChargeStart() {
+    this.game.sounds?.netCharge?.({
+      variant: this.getWeaponVisual()
+    });
+    this.netSprite.setVisible(true);
+    this.netSprite.setPosition(this.player.x, this.player.y - 40);
+    this.netSprite.setScale(0.5);
+    this.netSprite.setAlpha(0.8);
+  }
+  onNetLaunched(net) {
+    this.game.sounds?.netLaunch?.({
+      variant: this.getWeaponVisual()
+    });
+    const weaponConfig = this.getWeaponConfig();
+    this.netSprite.setScale(net.scale);
     this.netSprite.setTint(weaponConfig.netColor);
-    this.launchedNet = {
-      sprite: this.netSprite,
-      speed: 400,
-      scale: finalScale,
-      radius: finalScale * 40
-    };
     const r = weaponConfig.netColor >> 16 & 0xFF;
     const g = weaponConfig.netColor >> 8 & 0xFF;
     const b = weaponConfig.netColor & 0xFF;
-    this.cameras.main.flash(100, r, g, b, 0.2);
+    this.flashCamera(100, r, g, b, 0.2);
     this.catchEmitter.setPosition(this.netSprite.x, this.netSprite.y);
     this.catchEmitter.setConfig({
       tint: weaponConfig.netColor
     });
     this.catchEmitter.explode(20);
   }
-  switchWeapon(weaponType) {
-    this.currentWeapon = weaponType;
-    this.weaponText.setText(`[${weaponType.toUpperCase()}]`);
+  onNetFinished() {
+    this.netSprite.setVisible(false);
+    this.netSprite.setScale(1);
+    this.netSprite.setAlpha(0.6);
+  }
+  onWeaponSwitched(weaponType) {
+    this.game.sounds?.weaponSwitch?.();
+    this.weaponText.setText(`[${t(`hud.weapons.${weaponType}`)}]`);
     this.weaponText.setColor(weaponType === `gun` ? `#00ffff` : `#ffdd00`);
-    this.cameras.main.flash(80, weaponType === `gun` ? 0 : 255, weaponType === `gun` ? 255 : 221, weaponType === `gun` ? 255 : 0, 0.2);
+    this.flashCamera(80, weaponType === `gun` ? 0 : 255, weaponType === `gun` ? 255 : 221, weaponType === `gun` ? 255 : 0, 0.2);
   }
-  spawnItem() {
-    const width = this.cameras.main.width;
-    const spawnCount = this.isChaosMode ? Phaser.Math.Between(1, 2) : 1;
-    const maxItems = this.performanceManager?.qualityLevel === 0 ? 8 : 15;
-    if (this.items.length >= maxItems) return;
-    for (let i = 0; i < spawnCount; i++) {
-      const x = Phaser.Math.Between(50, width - 50);
-      let itemType = `regular`;
-      let itemValue = 10;
-      let speed = this.itemSpeed;
-      const rand = Math.random();
-      if (rand < 0.13) {
-        itemType = `bomb`;
-        itemValue = -50;
-      } else if (rand < 0.22) {
-        itemType = `gold`;
-        itemValue = 50;
-      } else if (rand < 0.35) {
-        itemType = `silver`;
-        itemValue = 20;
-      } else if (rand < 0.40) {
-        itemType = `giant`;
-        itemValue = 100;
-        speed = this.itemSpeed * 0.6;
-      } else if (rand < 0.43) {
-        itemType = `glitch`;
-        itemValue = 30;
-      } else if (rand < 0.46) {
-        itemType = `multiplier`;
-        itemValue = 20;
-      } else if (rand < 0.48) {
-        itemType = `virus`;
-        itemValue = -30;
-      } else if (rand < 0.50) {
-        itemType = `freeze`;
-        itemValue = 25;
-      } else if (rand < 0.52) {
-        itemType = `health`;
-        itemValue = 0;
-      } else if (rand < 0.54) {
-        itemType = `mystery`;
-        itemValue = 0;
-      }
-      const item = this.getPool('items').get();
-      item.setPosition(x, -30);
-      item.setTexture(`item_${itemType}`);
-      item.speed = speed;
-      item.itemType = itemType;
-      item.value = itemValue;
-      item.affectedByGravity = true;
-      if (itemType === `giant`) {
-        item.setScale(1);
-      }
-      if (this.isChaosMode) {
-        this.time.delayedCall(i * 150, () => {});
+  onDashStart() {
+    this.game.sounds?.dash?.();
+    this.flashCamera(80, 0, 255, 255, 0.2);
+    this.trailEmitter.setFrequency(15);
+    this.trailEmitter.setConfig({
+      scale: {
+        start: 0.5,
+        end: 0
+      },
+      tint: [0x00ffff, 0xff00ff]
+    });
+  }
+  onDashEnd() {
+    this.trailEmitter.setFrequency(50);
+    this.trailEmitter.setConfig({
+      scale: {
+        start: 0.3,
+        end: 0
+      },
+      tint: 0x00ff88
+    });
+  }
+  onDashTrail(x, y) {
+    this.dashEmitter.setPosition(x, y);
+    this.dashEmitter.explode(3);
+  }
+  onComboFading() {
+    this.game.sounds?.comboFade?.();
+    this.comboWarningText.setText(t(`hud.comboFading`));
+    this.comboWarningTween = this.addEffectTween({
+      targets: this.comboWarningText,
+      alpha: {
+        from: 1,
+        to: 0.3
+      },
+      duration: 300,
+      yoyo: true,
+      repeat: -1
+    });
+  }
+  onComboFadingEnd() {
+    if (this.comboWarningTween) {
+      this.tweens.remove(this.comboWarningTween);
+      this.comboWarningTween = null;
+    }
+    this.comboWarningText.setText(``);
+  }
+  onNearMiss(item) {
+    this.game.sounds?.nearMiss?.();
+    this.nearMissEmitter.setPosition(item.x, item.y);
+    this.nearMissEmitter.explode(10);
+  }
+  onItemCaught(item, {
+    points,
+    comboMultiplier
+  }) {
+    const catchSound = item.itemType === `gold` || item.itemType === `giant` ? item.itemType : `catch`;
+    this.game.sounds?.[catchSound]?.({
+      pitch: this.getComboPitch()
+    });
+    const combo = this.core.combo;
+    this.updateOverchargeDisplay();
+    this.scoreText.setText(t(`hud.score`, {
+      score: this.core.score
+    }));
+    if (combo >= 5) {
+      const comboColor = combo >= 20 ? `#ff0066` : combo >= 10 ? `#ff00ff` : `#ffdd00`;
+      this.comboText.setText(t(`hud.combo`, {
+        combo
+      }));
+      this.comboText.setColor(comboColor);
+      this.comboText.setScale(1 + Math.min(combo * 0.02, 0.5));
+      this.comboMultiplierText.setText(t(`hud.comboScore`, {
+        multiplier: comboMultiplier
+      }));
+      this.comboMultiplierText.setColor(comboColor);
+      const intensity = Math.min(combo * 0.001, 0.01);
+      this.shakeCamera(100, intensity);
+      if (combo % 5 === 0) {
+        this.game.sounds?.comboMilestone?.({
+          pitch: this.getComboPitch()
+        });
+        const width = this.cameras.main.width;
+        const quality = this.performanceManager?.getQualitySettings() || {
+          particles: 1.0
+        };
+        const burstEmitter = this.addParticles(width / 2, 80, `particle`, {
+          speed: {
+            min: 100,
+            max: 200
+          },
+          scale: {
+            start: 0.8 * quality.particles,
+            end: 0
+          },
+          blendMode: Phaser.BlendModes.ADD,
+          lifespan: 800,
+          tint: combo >= 20 ? 0xff0066 : combo >= 10 ? 0xff00ff : 0xffdd00,
+          emitting: false
+        });
+        burstEmitter.explode(Math.floor(30 * quality.particles));
+        this.time.delayedCall(1000, () => burstEmitter.destroy());
       }
+    } else {
+      this.comboText.setText(``);
+      this.comboMultiplierText.setText(``);
+    }
+    const quality = this.performanceManager?.getQualitySettings() || {
+      particles: 1.0
+    };
+    const particleCount = Math.floor((item.itemType === `giant` ? 50 : item.itemType === `gold` ? 30 : 20) * quality.particles);
+    this.catchEmitter.setPosition(item.x, item.y);
+    this.catchEmitter.setConfig({
+      tint: item.itemType === `gold` ? 0xffdd00 : item.itemType === `silver` ? 0xcccccc : 0x00ffff
+    });
+    this.catchEmitter.explode(particleCount, item.x, item.y);
+    if (item.itemType === `gold`) {
+      this.flashCamera(100, 255, 221, 0, 0.3);
     }
+    this.checkAchievements();
   }
-  spawnPowerup() {
-    const width = this.cameras.main.width;
-    const x = Phaser.Math.Between(50, width - 50);
-    const adjustedSpawnRate = Math.max(5000, 8000 - this.performanceScore * 100);
-    this.powerupTimer.delay = adjustedSpawnRate;
-    const powerupTypes = [{
-      type: 0,
-      texture: `powerup`
-    }, {
-      type: 1,
-      texture: `powerup`
-    }, {
-      type: 2,
-      texture: `powerup`
-    }, {
-      type: 3,
-      texture: `powerup_timewarp`
-    }, {
-      type: 4,
-      texture: `powerup_converter`
-    }, {
-      type: 5,
-      texture: `powerup_hyperdash`
-    }, {
-      type: 6,
-      texture: `powerup_blackhole`
-    }];
-    const selected = powerupTypes[Phaser.Math.Between(0, powerupTypes.length - 1)];
-    const powerup = this.getPool('powerups').get();
-    powerup.setPosition(x, -40);
-    powerup.setTexture(selected.texture);
-    powerup.speed = 150;
-    powerup.type = selected.type;
+  onItemMissed(item, damage) {
+    if (damage <= 0) {
+      this.game.sounds?.shieldHit?.();
+      return;
+    }
+    this.game.sounds?.miss?.();
+    this.comboText.setText(``);
+    this.updateLivesDisplay();
+    this.missEmitter.setPosition(item.x, item.y);
+    this.missEmitter.explode(15, item.x, item.y);
+    this.shakeCamera(200, 0.005);
+  }
+  onItemDestroyed(item) {
+    this.game.sounds?.shatter?.();
+    this.catchEmitter.setPosition(item.x, item.y);
+    this.catchEmitter.setConfig({
+      tint: 0xff0066
+    });
+    this.catchEmitter.explode(20);
+  }
+  onBombCaught(item) {
+    this.game.sounds?.explosion?.();
+    this.comboText.setText(``);
+    this.updateLivesDisplay();
+    this.shakeCamera(400, 0.01);
+    this.flashCamera(200, 255, 0, 0);
+    this.missEmitter.setPosition(item.x, item.y);
+    this.missEmitter.explode(30, item.x, item.y);
+  }
+  onBombBlocked() {
+    this.game.sounds?.block?.();
+  }
+  onShieldBroken() {
+    this.game.sounds?.shieldBreak?.();
+    this.flashCamera(150, 0, 255, 255, 0.3);
+  }
+  onBombDestroyed(bomb) {
+    this.game.sounds?.bombDestroy?.();
+    this.scoreText.setText(t(`hud.score`, {
+      score: this.core.score
+    }));
+    this.updateChallenges();
+    this.catchEmitter.setPosition(bomb.x, bomb.y);
+    this.catchEmitter.setConfig({
+      tint: 0xff0066
+    });
+    this.catchEmitter.explode(40);
+    this.shakeCamera(150, 0.005);
+    this.flashCamera(100, 255, 0, 102, 0.3);
   }
-  handleDoubleTap(direction) {
-    const currentTime = this.time.now;
-    const doubleTapWindow = 300;
-    if (currentTime - this.dashCooldown < this.dashCooldownTime) {
-      return;
-    }
-    if (direction === `left`) {
-      if (currentTime - this.lastLeftTap < doubleTapWindow && !this.isDashing) {
-        this.startDash(`left`);
-        this.lastLeftTap = 0;
-      } else {
-        this.lastLeftTap = currentTime;
-      }
-    } else if (direction === `right`) {
-      if (currentTime - this.lastRightTap < doubleTapWindow && !this.isDashing) {
-        this.startDash(`right`);
-        this.lastRightTap = 0;
-      } else {
-        this.lastRightTap = currentTime;
-      }
-    }
+  onHealthCaught(item) {
+    this.updateLivesDisplay();
+    this.game.sounds?.heal?.();
+    this.catchEmitter.setPosition(item.x, item.y);
+    this.catchEmitter.setConfig({
+      tint: 0xff0066
+    });
+    this.catchEmitter.explode(30);
   }
-  startDash(direction) {
-    if (this.dashChargesRemaining <= 0) return;
-    this.isDashing = true;
-    this.dashDirection = direction;
-    this.dashChargesRemaining--;
-    this.cameras.main.flash(80, 0, 255, 255, 0.2);
-    this.trailEmitter.setFrequency(15);
-    this.trailEmitter.setConfig({
-      scale: {
-        start: 0.5,
-        end: 0
-      },
-      tint: [0x00ffff, 0xff00ff]
+  onMysteryOpened(item) {
+    this.updateLivesDisplay();
+    this.catchEmitter.setPosition(item.x, item.y);
+    this.catchEmitter.setConfig({
+      tint: 0xff00ff
     });
+    this.catchEmitter.explode(40);
+    this.game.sounds?.mystery?.();
   }
-  endDash(direction) {
-    if (this.isDashing && this.dashDirection === direction) {
-      this.isDashing = false;
-      this.dashDirection = null;
-      this.dashCooldown = this.time.now;
-      this.trailEmitter.setFrequency(50);
-      this.trailEmitter.setConfig({
-        scale: {
-          start: 0.3,
-          end: 0
-        },
-        tint: 0x00ff88
+  onSpikeHit() {
+    this.game.sounds?.spike?.();
+    this.updateLivesDisplay();
+    this.shakeCamera(300, 0.008);
+  }
+  onPowerupCollected(type, powerup) {
+    this.game.sounds?.[type === `shield` ? `shieldUp` : type]?.();
+    this.showPowerupActivation(type, powerup.x, powerup.y);
+    if (type === `blackhole`) {
+      this.flashCamera(300, 0, 0, 0);
+      this.blackHoleSprite?.destroy();
+      this.blackHoleSprite = this.add.sprite(this.core.blackHoleX, this.core.blackHoleY, `powerup_blackhole`);
+      this.blackHoleSprite.setScale(3);
+      this.blackHoleSprite.setAlpha(0.8);
+      this.tweens.add({
+        targets: this.blackHoleSprite,
+        rotation: Math.PI * 4,
+        duration: 5000
       });
     }
+    this.catchEmitter.setPosition(powerup.x, powerup.y);
+    this.catchEmitter.explode(30, powerup.x, powerup.y);
   }
-  updateDashCharges() {
-    if (!this.isDashing) {
-      const currentTime = this.time.now;
-      if (this.dashChargesRemaining < this.dashCharges && currentTime - this.dashCooldown > this.dashCooldownTime) {
-        this.dashChargesRemaining = this.dashCharges;
-      }
+  onPowerupExpired(type) {
+    this.game.sounds?.powerupExpire?.();
+    if (type === `blackhole` && this.blackHoleSprite) {
+      this.blackHoleSprite.destroy();
+      this.blackHoleSprite = null;
     }
   }
-  setupAuraEffect() {
-    if (this.auraEmitter && this.auraEmitter.active) {
-      this.auraEmitter.destroy();
-      this.auraEmitter = null;
-    }
-    const quality = this.performanceManager && typeof this.performanceManager.getQualitySettings === 'function' ? this.performanceManager.getQualitySettings() : {
-      particles: 1.0
+  onFreezeStart() {
+    this.game.sounds?.freeze?.();
+    this.flashCamera(300, 0, 221, 255, 0.5);
+  }
+  onMultiplierStart() {
+    this.game.sounds?.multiplier?.();
+    this.flashCamera(200, 0, 255, 0, 0.4);
+  }
+  onGlitchStart() {
+    this.game.sounds?.glitch?.();
+    this.flashCamera(200, 255, 0, 255, 0.5);
+    const quality = this.performanceManager?.getQualitySettings() || {
+      effects: 1.0
     };
-    const auraConfigs = {
-      none: null,
-      flame: {
-        tint: [0xff0066, 0xff6600],
-        scale: {
-          start: 0.4 * quality.particles,
-          end: 0
-        },
-        frequency: Math.floor(30 / quality.particles),
-        lifespan: 400
+    if (quality.effects <= 0.5 || !AccessibilitySettings.allowsGlitchEffects()) return;
+    const glitchOverlay = this.add.graphics();
+    glitchOverlay.setDepth(1000);
+    const glitchInterval = this.time.addEvent({
+      delay: 200,
+      callback: () => {
+        glitchOverlay.clear();
+        if (Math.random() > 0.7) {
+          glitchOverlay.fillStyle(0xff00ff, 0.2);
+          glitchOverlay.fillRect(Phaser.Math.Between(0, this.cameras.main.width), Phaser.Math.Between(0, this.cameras.main.height), Phaser.Math.Between(50, 200), Phaser.Math.Between(10, 50));
+        }
       },
-      frost: {
-        tint: [0x00ddff, 0x66ffff],
-        scale: {
-          start: 0.3 * quality.particles,
-          end: 0
-        },
-        frequency: Math.floor(40 / quality.particles),
-        lifespan: 500
+      loop: true
+    });
+    this.glitchOverlay = {
+      graphics: glitchOverlay,
+      interval: glitchInterval
+    };
+  }
+  onGlitchEnd() {
+    if (!this.glitchOverlay) return;
+    this.glitchOverlay.interval.destroy();
+    this.glitchOverlay.graphics.destroy();
+    this.glitchOverlay = null;
+  }
+  onVirusStart() {
+    this.game.sounds?.virus?.();
+    this.flashCamera(300, 102, 0, 102, 0.5);
+    const quality = this.performanceManager?.getQualitySettings() || {
+      effects: 1.0
+    };
+    if (quality.effects <= 0.5 || !AccessibilitySettings.allowsGlitchEffects()) return;
+    const virusOverlay = this.add.graphics();
+    virusOverlay.setDepth(999);
+    const blurInterval = this.time.addEvent({
+      delay: 300,
+      callback: () => {
+        virusOverlay.clear();
+        const blurAmount = Phaser.Math.Between(5, 15);
+        virusOverlay.fillStyle(0x660066, 0.15);
+        for (let i = 0; i < 2; i++) {
+          virusOverlay.fillRect(Phaser.Math.Between(-blurAmount, blurAmount), Phaser.Math.Between(0, this.cameras.main.height), this.cameras.main.width, Phaser.Math.Between(2, 8));
+        }
       },
-      electric: {
-        tint: [0xffff00, 0x00ffff],
-        scale: {
-          start: 0.5 * quality.particles,
-          end: 0
-        },
-        frequency: Math.floor(20 / quality.particles),
-        lifespan: 300
-      }
+      loop: true
+    });
+    this.virusOverlay = {
+      graphics: virusOverlay,
+      interval: blurInterval
     };
-    if (this.currentAura !== `none` && auraConfigs[this.currentAura]) {
-      const config = auraConfigs[this.currentAura];
-      this.auraEmitter = this.add.particles(0, 0, `particle`, {
-        follow: this.player,
-        scale: config.scale,
-        speed: {
-          min: 20,
-          max: 60
-        },
-        lifespan: config.lifespan,
-        blendMode: Phaser.BlendModes.ADD,
-        tint: config.tint,
-        frequency: config.frequency,
-        alpha: {
+  }
+  onVirusEnd() {
+    if (!this.virusOverlay) return;
+    this.virusOverlay.interval.destroy();
+    this.virusOverlay.graphics.destroy();
+    this.virusOverlay = null;
+  }
+  onOverchargeStart() {
+    this.game.sounds?.overcharge?.();
+    this.updateOverchargeDisplay();
+    this.flashCamera(400, 255, 221, 0);
+    const width = this.cameras.main.width;
+    const overchargeText = this.add.text(width / 2, 150, t(`hud.overchargeActive`), {
+      fontSize: `48px`,
+      color: `#ffdd00`,
+      fontStyle: `bold`,
+      stroke: `#ff0066`,
+      strokeThickness: 3
+    });
+    overchargeText.setOrigin(0.5);
+    overchargeText.setDepth(1000);
+    this.addEffectTween({
+      targets: overchargeText,
+      alpha: {
+        from: 1,
+        to: 0
+      },
+      scale: {
+        from: 1,
+        to: 1.5
+      },
+      duration: 1500,
+      onComplete: () => overchargeText.destroy()
+    });
+    const quality = this.performanceManager?.getQualitySettings() || {
+      particles: 1.0
+    };
+    if (this.auraEmitter) {
+      this.auraEmitter.setConfig({
+        frequency: Math.floor(10 / quality.particles),
+        scale: {
           start: 0.8 * quality.particles,
           end: 0
-        }
+        },
+        tint: [0xffdd00, 0xff6600]
       });
     }
   }
-  resetGameState() {
-    Object.assign(this, {
-      score: 0,
-      level: 1,
-      lives: 3,
-      combo: 0,
-      maxCombo: 0,
-      goldCaught: 0,
-      bombsDestroyed: 0,
-      perfectStreak: 0,
-      itemsCaught: 0,
-      earnedCurrency: 0,
-      scoreMultiplier: 1,
-      overcharge: 0,
-      missedItems: 0,
-      itemSpeed: 200,
-      spawnRate: 1500,
-      performanceScore: 0,
-      missStreak: 0,
-      isChaosMode: false,
-      lastLeftTap: 0,
-      lastRightTap: 0,
-      dashCooldown: 0,
-      currentWeapon: 'gun',
-      projectileCooldown: 0,
-      netCharge: 0,
-      netMaxCharge: 2000,
-      currentAura: 'none',
-      blackHoleX: 0,
-      blackHoleY: 0,
-      isDashing: false,
-      dashDirection: null,
-      netActive: false,
-      netCharging: false,
-      glitchActive: false,
-      virusActive: false,
-      overchargeActive: false,
-      blackHoleActive: false,
-      controlsReversed: false,
-      launchedNet: null,
-      activePowerups: new Set(),
-      powerupsCollected: {},
-      recentCatches: [],
-      environmentalHazards: [],
-      debrisObjects: [],
-      gameStartTime: Date.now()
-    });
+  onOverchargeEnd() {
+    this.game.sounds?.overchargeEnd?.();
+    this.setupAuraEffect();
   }
-  setDifficultyParams() {
-    const difficulty = StorageManager.get(STORAGE_KEYS.DIFFICULTY, `normal`);
-    const params = {
-      easy: {
-        speed: 150,
-        spawn: 2000
-      },
-      normal: {
-        speed: 200,
-        spawn: 1500
-      },
-      hard: {
-        speed: 250,
-        spawn: 1000
-      }
-    };
-    const {
-      speed,
-      spawn
-    } = params[difficulty] || params.normal;
-    this.itemSpeed = speed;
-    this.spawnRate = spawn;
+  onHazardSpawned(hazard) {
+    if (hazard.hazardType === `spike`) {
+      this.createSpikeVisual(hazard);
+    } else {
+      this.createGravityWellVisual(hazard);
+    }
   }
-  getDifficulty() {
-    return StorageManager.get(STORAGE_KEYS.DIFFICULTY, `normal`);
+  createSpikeVisual(hazard) {
+    const height = this.cameras.main.height;
+    const warningZone = this.add.graphics();
+    warningZone.lineStyle(2, 0xff0066, 0.6);
+    warningZone.strokeRect(hazard.x - 20, height - 70, 40, 40);
+    warningZone.setDepth(-1);
+    this.tweens.add({
+      targets: warningZone,
+      alpha: {
+        from: 0,
+        to: 1
+      },
+      duration: 500,
+      yoyo: true,
+      repeat: 2
+    });
+    this.time.delayedCall(1500, () => {
+      warningZone.destroy();
+    });
+    const spike = this.add.sprite(hazard.x, height - 30, `spike`);
+    spike.setAlpha(0);
+    this.tweens.add({
+      targets: spike,
+      alpha: 0.8,
+      y: hazard.y,
+      duration: 500
+    });
+    this.hazardVisuals.set(hazard, spike);
   }
-  getSkin() {
-    return StorageManager.get(STORAGE_KEYS.SKIN, `default`);
+  createGravityWellVisual(hazard) {
+    const {
+      x,
+      y,
+      radius
+    } = hazard;
+    const warningZone = this.add.graphics();
+    warningZone.lineStyle(2, 0x9900ff, 0.6);
+    warningZone.strokeCircle(x, y, radius);
+    warningZone.lineStyle(1, 0x9900ff, 0.4);
+    warningZone.strokeCircle(x, y, radius / 2);
+    warningZone.setDepth(-1);
+    this.tweens.add({
+      targets: warningZone,
+      alpha: {
+        from: 0,
+        to: 1
+      },
+      duration: 500,
+      yoyo: true,
+      repeat: 2
+    });
+    const warningText = this.add.text(x, y, t(`hud.gravityWell`), {
+      fontSize: `16px`,
+      color: `#cc66ff`,
+      fontStyle: `bold`,
+      stroke: `#000000`,
+      strokeThickness: 2
+    });
+    warningText.setOrigin(0.5);
+    warningText.setDepth(-1);
+    this.time.delayedCall(1500, () => {
+      warningZone.destroy();
+      warningText.destroy();
+    });
+    const well = this.add.graphics();
+    well.setPosition(x, y);
+    well.setDepth(-1);
+    well.fillStyle(0x9900ff, 0.15);
+    well.fillCircle(0, 0, radius);
+    well.lineStyle(2, 0xcc66ff, 0.7);
+    well.strokeCircle(0, 0, radius);
+    well.lineStyle(1, 0xcc66ff, 0.5);
+    well.strokeCircle(0, 0, radius * 0.66);
+    well.strokeCircle(0, 0, radius * 0.33);
+    well.fillStyle(0x220044, 0.9);
+    well.fillCircle(0, 0, 18);
+    for (let i = 0; i < 4; i++) {
+      const angle = i * Math.PI / 2;
+      well.lineBetween(Math.cos(angle) * 24, Math.sin(angle) * 24, Math.cos(angle) * radius, Math.sin(angle) * radius);
+    }
+    well.setAlpha(0);
+    well.setScale(0.2);
+    this.hazardVisuals.set(hazard, well);
+  }
+  onHazardArming(hazard) {
+    const well = this.hazardVisuals.get(hazard);
+    if (!well) return;
+    this.tweens.add({
+      targets: well,
+      alpha: 1,
+      scale: 1,
+      duration: 400
+    });
+  }
+  onHazardActivated(hazard) {
+    this.game.sounds?.hazard?.();
+    if (hazard.hazardType !== `gravity`) return;
+    const well = this.hazardVisuals.get(hazard);
+    if (!well) return;
+    this.shakeCamera(200, 0.003);
+    well.spinTween = this.tweens.add({
+      targets: well,
+      rotation: -Math.PI * 2,
+      duration: 2000,
+      repeat: -1
+    });
   }
-  spawnEnvironmentalHazard() {
+  onHazardExpiring(hazard) {
+    const visual = this.hazardVisuals.get(hazard);
+    if (!visual) return;
+    this.hazardVisuals.delete(hazard);
+    visual.spinTween?.stop();
+    this.tweens.add({
+      targets: visual,
+      alpha: 0,
+      ...(hazard.hazardType === `spike` ? {
+        y: this.cameras.main.height - 30,
+        duration: 300
+      } : {
+        scale: 0.2,
+        duration: 400
+      }),
+      onComplete: () => visual.destroy()
+    });
+  }
+  onLevelUp(level) {
+    this.game.sounds?.levelUp?.();
+    this.levelText.setText(`[${t(`hud.level`, {
+      level
+    })}]`);
+    this.showDifficultyChange();
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    const hazardType = Math.random() > 0.5 ? `spike` : `gravity`;
-    if (hazardType === `spike`) {
-      const x = Phaser.Math.Between(100, width - 100);
-      const warningZone = this.add.graphics();
-      warningZone.lineStyle(2, 0xff0066, 0.6);
-      warningZone.strokeRect(x - 20, height - 70, 40, 40);
-      warningZone.setDepth(-1);
-      this.tweens.add({
-        targets: warningZone,
-        alpha: {
-          from: 0,
-          to: 1
-        },
-        duration: 500,
-        yoyo: true,
-        repeat: 2
-      });
-      this.time.delayedCall(1500, () => {
-        warningZone.destroy();
-      });
-      const spike = this.add.sprite(x, height - 30, `spike`);
-      spike.setAlpha(0);
-      spike.hazardType = `spike`;
-      spike.active = false;
-      this.tweens.add({
-        targets: spike,
-        alpha: 0.8,
-        y: height - 50,
-        duration: 500,
-        onComplete: () => {
-          spike.active = true;
-          this.time.delayedCall(2000, () => {
-            this.tweens.add({
-              targets: spike,
-              alpha: 0,
-              y: height - 30,
-              duration: 300,
-              onComplete: () => {
-                const index = this.environmentalHazards.indexOf(spike);
-                if (index > -1) this.environmentalHazards.splice(index, 1);
-                spike.destroy();
-              }
-            });
-          });
-        }
+    this.flashCamera(300, 0, 255, 255);
+    for (let i = 0; i < 3; i++) {
+      this.time.delayedCall(i * 50, () => {
+        this.shakeCamera(100, 0.003);
       });
-      this.environmentalHazards.push(spike);
     }
+    const glitchText = this.add.text(width / 2, height / 2, t(`hud.levelUp`, {
+      level
+    }), {
+      fontSize: `72px`,
+      color: `#ff00ff`,
+      fontStyle: `bold`,
+      stroke: `#00ffff`,
+      strokeThickness: 4
+    });
+    glitchText.setOrigin(0.5);
+    glitchText.setAlpha(0);
+    this.addEffectTween({
+      targets: glitchText,
+      alpha: 1,
+      scale: {
+        from: 0.3,
+        to: 1.3
+      },
+      duration: 400,
+      yoyo: true,
+      onComplete: () => glitchText.destroy()
+    });
+    this.checkAchievements();
+  }
+  onChaosStart() {
+    this.game.sounds?.chaos?.();
+    this.chaosModeText.setText(t(`hud.chaos`));
+    this.flashCamera(500, 255, 0, 102);
+    this.addEffectTween({
+      targets: this.chaosModeText,
+      alpha: {
+        from: 1,
+        to: 0.5
+      },
+      scale: {
+        from: 1,
+        to: 1.1
+      },
+      duration: 500,
+      yoyo: true,
+      repeat: 19
+    });
+  }
+  onChaosEnd() {
+    this.chaosModeText.setText(``);
+  }
+  getDifficulty() {
+    return this.loadout?.difficulty || StorageManager.get(STORAGE_KEYS.DIFFICULTY, `normal`);
+  }
+  getSkin() {
+    return this.loadout?.skin || StorageManager.get(STORAGE_KEYS.SKIN, `default`);
   }
   createDynamicBackground() {
     if (!this.cameras || !this.cameras.main) {
@@ -6473,6 +9788,7 @@ class GameScene extends BaseScene {
       building.fillRect(bX, height - bHeight, bWidth, bHeight);
       building.setDepth(-2);
     }
+    if (this.performanceManager?.getQualitySettings().debris === false) return;
     this.vehicleSpawnTimer = this.time.addEvent({
       delay: 20000,
       callback: () => this.spawnFlyingVehicle(),
@@ -6497,6 +9813,7 @@ class GameScene extends BaseScene {
     });
   }
   setupDebrisSystem() {
+    if (this.performanceManager?.getQualitySettings().debris === false) return;
     this.debrisSpawnTimer = this.time.addEvent({
       delay: Phaser.Math.Between(8000, 15000),
       callback: () => this.spawnDebris(),
@@ -6521,7 +9838,7 @@ class GameScene extends BaseScene {
     const duration = Phaser.Math.Between(15000, 25000);
     const verticalDrift = Phaser.Math.Between(-50, 50);
     this.debrisObjects.push(debris);
-    this.tweens.add({
+    this.addEffectTween({
       targets: debris,
       x: endX,
       y: y + verticalDrift,
@@ -6544,429 +9861,84 @@ class GameScene extends BaseScene {
   }
   update(time, delta) {
     super.update(time, delta);
+    if (this.isGameOver) return;
+    this.stepAccumulator += Math.min(delta, GameScene.MAX_FRAME_TIME);
+    while (this.stepAccumulator >= FIXED_STEP && !this.isGameOver) {
+      this.stepAccumulator -= FIXED_STEP;
+      const mask = this.sampleInput();
+      this.replayRecorder.record(FIXED_STEP, mask);
+      this.stepSimulation(FIXED_STEP, mask);
+    }
+    if (this.isGameOver) return;
+    this.renderSimulation(this.stepAccumulator / FIXED_STEP);
+    this.updateMusic();
+  }
+  updateMusic() {
+    const core = this.core;
+    this.game.music?.setState({
+      level: core.level,
+      combo: core.combo,
+      chaos: core.isChaosMode,
+      overcharge: core.overchargeActive,
+      lowLives: core.lives <= 1
+    });
+  }
+  stepSimulation(delta, mask) {
+    this.core.step(delta, mask);
+  }
+  renderSimulation(alpha) {
+    const core = this.core;
+    const place = (sprite, entity) => {
+      sprite.setPosition(entity.prevX + (entity.x - entity.prevX) * alpha, entity.prevY + (entity.y - entity.prevY) * alpha);
+    };
+    place(this.player, core.player);
+    this.entitySprites.forEach((sprite, entity) => {
+      place(sprite, entity);
+      if (entity.rotation !== undefined) sprite.rotation = entity.rotation;
+    });
+    if (core.netCharging) {
+      place(this.netSprite, core.netPosition);
+      this.netSprite.setScale(core.getNetScale());
+      this.netSprite.setAlpha(0.4 + core.netCharge / core.netMaxCharge * 0.4);
+    } else if (core.launchedNet) {
+      place(this.netSprite, core.launchedNet);
+    }
+    this.updateCooldownBar();
+  }
+  updateCooldownBar() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    if (this.combo >= 5 && !this.comboWarningTween) {
-      const timeSinceLastCatch = Date.now() - (this.lastCatchTime || Date.now());
-      if (timeSinceLastCatch > 3000) {
-        this.comboWarningText.setText(`COMBO FADING!`);
-        this.comboWarningTween = this.tweens.add({
-          targets: this.comboWarningText,
-          alpha: {
-            from: 1,
-            to: 0.3
-          },
-          duration: 300,
-          yoyo: true,
-          repeat: -1
-        });
-      }
-    }
-    this.environmentalHazards = this.environmentalHazards.filter(h => h.active === true || h.hazardType === `gravity`);
-    if (this.currentWeapon === `net`) {
-      const timeSinceLastShot = time - this.projectileCooldown;
-      const cooldownTime = 5000;
-      if (timeSinceLastShot < cooldownTime) {
-        this.cooldownBarBg.setVisible(true);
-        this.cooldownBar.setVisible(true);
-        const progress = timeSinceLastShot / cooldownTime;
-        const barWidth = 200 * progress;
-        this.cooldownBar.clear();
-        const colorProgress = progress;
-        const red = Math.floor(255 * (1 - colorProgress));
-        const green = Math.floor(221 * colorProgress);
-        const color = red << 16 | green << 8 | 0;
-        this.cooldownBar.fillStyle(color, 0.8);
-        this.cooldownBar.fillRect(width / 2 - 100, height - 65, barWidth, 8);
-        this.cooldownBar.lineStyle(2, 0xffdd00, progress);
-        this.cooldownBar.strokeRect(width / 2 - 100, height - 65, barWidth, 8);
-      } else {
-        this.cooldownBarBg.setVisible(false);
-        this.cooldownBar.setVisible(false);
-      }
-    } else {
+    const timeSinceLastShot = this.core.clock.now - this.core.projectileCooldown;
+    const cooldownTime = 5000;
+    if (this.core.currentWeapon !== `net` || timeSinceLastShot >= cooldownTime) {
       this.cooldownBarBg.setVisible(false);
       this.cooldownBar.setVisible(false);
-    }
-    if (this.netCharging) {
-      this.netCharge = Math.min(this.netCharge + delta, this.netMaxCharge);
-      const scale = 0.5 + this.netCharge / this.netMaxCharge * 2.5;
-      this.netSprite.setScale(scale);
-      this.netSprite.setPosition(this.player.x, this.player.y - 40);
-      const alpha = 0.4 + this.netCharge / this.netMaxCharge * 0.4;
-      this.netSprite.setAlpha(alpha);
-    }
-    if (this.launchedNet) {
-      this.launchedNet.sprite.y -= this.launchedNet.speed * delta / 1000;
-      this.items.forEach(item => {
-        if (item.itemType !== `bomb`) {
-          const distance = Phaser.Math.Distance.Between(this.launchedNet.sprite.x, this.launchedNet.sprite.y, item.x, item.y);
-          if (distance < this.launchedNet.radius) {
-            this.catchItem(item);
-          }
-        }
-      });
-      if (this.launchedNet.sprite.y < -100) {
-        this.launchedNet.sprite.setVisible(false);
-        this.launchedNet.sprite.setScale(1);
-        this.launchedNet.sprite.setAlpha(0.6);
-        this.launchedNet = null;
-        this.netSprite.setVisible(false);
-      }
-    }
-    const moveSpeed = this.activePowerups.has(`hyperdash`) ? this.player.speed * 2 : this.player.speed;
-    if (this.isDashing) {
-      const dashSpeed = moveSpeed * 2.5 * this.dashSpeedMultiplier;
-      const direction = this.dashDirection === `left` ? -1 : 1;
-      this.player.x += direction * dashSpeed * delta / 1000;
-      this.player.x = Phaser.Math.Clamp(this.player.x, 30, width - 30);
-      if (time % 100 < 50) {
-        this.dashEmitter.setPosition(this.player.x, this.player.y);
-        this.dashEmitter.explode(3);
-      }
-    } else {
-      const leftPressed = this.controlsReversed ? this.cursors.right.isDown : this.cursors.left.isDown;
-      const rightPressed = this.controlsReversed ? this.cursors.left.isDown : this.cursors.right.isDown;
-      if (leftPressed) {
-        this.player.x -= moveSpeed * delta / 1000;
-      } else if (rightPressed) {
-        this.player.x += moveSpeed * delta / 1000;
-      }
-      this.player.x = Phaser.Math.Clamp(this.player.x, 30, width - 30);
-    }
-    let hasPassiveMagnet = this.equippedGear.utility === `magnet_gloves`;
-    const projectilePool = this.getPool('projectiles');
-    projectilePool.active.forEach(projectile => {
-      if (!projectile.active) return;
-      projectile.y -= projectile.speed * delta / 1000;
-      let hitSomething = false;
-      this.items.forEach(item => {
-        if (!item.active) return;
-        if (item.itemType === `bomb` && Math.abs(projectile.x - item.x) < 20 && Math.abs(projectile.y - item.y) < 20) {
-          this.destroyBomb(item, projectile);
-          if (projectile.explosive) {
-            this.items.forEach(nearbyItem => {
-              const distance = Phaser.Math.Distance.Between(item.x, item.y, nearbyItem.x, nearbyItem.y);
-              if (distance < 80 && nearbyItem.itemType === `bomb` && nearbyItem !== item) {
-                this.destroyBomb(nearbyItem, projectile);
-              }
-            });
-          }
-          if (projectile.chain && projectile.chainCount < 2) {
-            let nearestBomb = null;
-            let nearestDist = 100;
-            this.items.forEach(nearbyItem => {
-              if (nearbyItem.itemType === `bomb` && nearbyItem !== item) {
-                const distance = Phaser.Math.Distance.Between(item.x, item.y, nearbyItem.x, nearbyItem.y);
-                if (distance < nearestDist) {
-                  nearestDist = distance;
-                  nearestBomb = nearbyItem;
-                }
-              }
-            });
-            if (nearestBomb) {
-              const chainBullet = projectilePool.get();
-              chainBullet.setPosition(item.x, item.y);
-              chainBullet.setTexture('bullet');
-              const weaponVisual = StorageManager.get(STORAGE_KEYS.WEAPON_VISUAL, 'default');
-              const weaponConfig = CUSTOMIZATION_OPTIONS.weaponVisuals[weaponVisual];
-              chainBullet.setTint(weaponConfig.bulletColor);
-              chainBullet.speed = 800;
-              chainBullet.chain = true;
-              chainBullet.chainCount = projectile.chainCount + 1;
-              chainBullet.piercing = false;
-              chainBullet.explosive = false;
-              const angle = Phaser.Math.Angle.Between(item.x, item.y, nearestBomb.x, nearestBomb.y);
-              chainBullet.targetX = nearestBomb.x;
-              chainBullet.targetY = nearestBomb.y;
-              chainBullet.vx = Math.cos(angle) * chainBullet.speed;
-              chainBullet.vy = Math.sin(angle) * chainBullet.speed;
-              chainBullet.isChaining = true;
-            }
-          }
-          if (!projectile.piercing) {
-            hitSomething = true;
-          }
-        }
-      });
-      if (projectile.isChaining) {
-        projectile.x += projectile.vx * delta / 1000;
-        projectile.y += projectile.vy * delta / 1000;
-      }
-      if (projectile.y < -20 || hitSomething && !projectile.piercing) {
-        projectilePool.release(projectile);
-      }
-    });
-    this.updateDashCharges();
-    let baseSpeedMultiplier = 1;
-    if (this.activePowerups.has(`slowmo`)) baseSpeedMultiplier *= 0.3;
-    if (this.activePowerups.has(`timewarp`)) baseSpeedMultiplier *= 0.15;
-    if (this.equippedGear.utility === `time_dilation`) baseSpeedMultiplier *= 0.8;
-    const chaosMultiplier = this.isChaosMode ? 1.3 : 1;
-    const speedMultiplier = baseSpeedMultiplier * chaosMultiplier;
-    const itemPool = this.getPool('items');
-    itemPool.active.forEach(item => {
-      if (!item.active) return;
-      let itemSpeedMult = speedMultiplier;
-      if (this.blackHoleActive) {
-        const distance = Phaser.Math.Distance.Between(item.x, item.y, this.blackHoleX, this.blackHoleY);
-        if (distance < 300) {
-          const angle = Phaser.Math.Angle.Between(item.x, item.y, this.blackHoleX, this.blackHoleY);
-          const pull = (1 - distance / 300) * 400;
-          item.x += Math.cos(angle) * pull * delta / 1000;
-          item.y += Math.sin(angle) * pull * delta / 1000;
-          if (distance < 30) {
-            this.catchItem(item);
-            return;
-          }
-        }
-      }
-      item.y += item.speed * itemSpeedMult * delta / 1000;
-      const hasMagnetPowerup = this.activePowerups.has(`magnet`);
-      if ((hasMagnetPowerup || hasPassiveMagnet) && item.itemType !== `bomb`) {
-        const magnetRange = hasMagnetPowerup ? 200 : 120;
-        const magnetStrength = hasMagnetPowerup ? 300 : 150;
-        const distance = Phaser.Math.Distance.Between(item.x, item.y, this.player.x, this.player.y);
-        if (distance < magnetRange) {
-          const angle = Phaser.Math.Angle.Between(item.x, item.y, this.player.x, this.player.y);
-          item.x += Math.cos(angle) * magnetStrength * delta / 1000;
-          item.y += Math.sin(angle) * magnetStrength * delta / 1000;
-        }
-      }
-      const catchRadius = item.itemType === `giant` ? 60 : 40;
-      const catchHeight = item.itemType === `giant` ? 50 : 30;
-      if (this.netActive && item.itemType !== `bomb`) {
-        const netDistance = Phaser.Math.Distance.Between(item.x, item.y, this.netSprite.x, this.netSprite.y);
-        if (netDistance < 100) {
-          this.catchItem(item);
-          return;
-        }
-      }
-      if (Math.abs(item.x - this.player.x) < catchRadius && Math.abs(item.y - this.player.y) < catchHeight) {
-        this.catchItem(item);
-      } else if (item.y > height - 40 && item.y < height && Math.abs(item.x - this.player.x) > 60) {
-        this.nearMiss(item);
-      }
-      if (item.y > height) {
-        this.missItem(item);
-      }
-      this.environmentalHazards.forEach(hazard => {
-        if (hazard.hazardType === `spike` && hazard.active) {
-          if (Math.abs(item.x - hazard.x) < 20 && item.y > height - 80 && item.y < height - 40) {
-            this.catchEmitter.setPosition(item.x, item.y);
-            this.catchEmitter.setConfig({
-              tint: 0xff0066
-            });
-            this.catchEmitter.explode(20);
-            itemPool.release(item);
-          }
-        }
-      });
-    });
-    this.environmentalHazards.forEach(hazard => {
-      if (hazard.hazardType === `spike` && hazard.active) {
-        if (Math.abs(this.player.x - hazard.x) < 30 && !this.isDashing) {
-          if (!this.activePowerups.has(`shield`)) {
-            this.lives--;
-            this.livesText.setText(`LIVES: ${`❤️`.repeat(Math.max(0, this.lives))}`);
-            this.cameras.main.shake(300, 0.008);
-            hazard.active = false;
-            if (this.lives <= 0) {
-              this.gameOver();
-            }
-          } else {
-            this.shieldUses--;
-            if (this.shieldUses <= 0) {
-              this.activePowerups.delete(`shield`);
-              this.updatePowerupDisplay();
-            }
-            hazard.active = false;
-          }
-        }
-      }
-    });
-    const powerupPool = this.getPool('powerups');
-    if (powerupPool && powerupPool.active) {
-      powerupPool.active.forEach(powerup => {
-        if (!powerup.active) return;
-        powerup.y += powerup.speed * delta / 1000;
-        powerup.rotation += delta / 1000;
-        if (Math.abs(powerup.x - this.player.x) < 50 && Math.abs(powerup.y - this.player.y) < 35) {
-          this.collectPowerup(powerup);
-        }
-        if (powerup.y > height) {
-          powerupPool.release(powerup);
-        }
-      });
-    }
-  }
-  destroyBomb(bomb, projectile) {
-    this.score += 25;
-    this.bombsDestroyed++;
-    this.earnedCurrency += 2;
-    this.scoreText.setText(`SCORE: ${this.score}`);
-    this.updateChallenges();
-    this.catchEmitter.setPosition(bomb.x, bomb.y);
-    this.catchEmitter.setConfig({
-      tint: 0xff0066
-    });
-    this.catchEmitter.explode(40);
-    this.cameras.main.shake(150, 0.005);
-    this.cameras.main.flash(100, 255, 0, 102, 0.3);
-    this.getPool('items').release(bomb);
-    this.getPool('projectiles').release(projectile);
-  }
-  catchItem(item) {
-    if (this.comboWarningTween) {
-      this.tweens.remove(this.comboWarningTween);
-      this.comboWarningTween = null;
-      this.comboWarningText.setText(``);
-    }
-    if (item.itemType === `freeze`) {
-      this.activateFreeze();
-      this.getPool('items').release(item);
-      return;
-    } else if (item.itemType === `health`) {
-      this.lives = Math.min(this.lives + 1, 5);
-      this.livesText.setText(`LIVES: ${`❤️`.repeat(Math.max(0, this.lives))}`);
-      if (this.game.sounds?.powerup) this.game.sounds.powerup();
-      this.catchEmitter.setPosition(item.x, item.y);
-      this.catchEmitter.setConfig({
-        tint: 0xff0066
-      });
-      this.catchEmitter.explode(30);
-      this.getPool('items').release(item);
-      return;
-    } else if (item.itemType === `mystery`) {
-      this.activateMystery(item);
-      return;
-    }
-    if (item.itemType === `bomb`) {
-      if (this.activePowerups.has(`converter`)) {
-        item.itemType = `gold`;
-        item.value = 50;
-        item.setTexture(`item_gold`);
-      } else {
-        if (this.game.sounds?.miss) this.game.sounds.miss();
-        this.lives--;
-        this.combo = 0;
-        this.comboText.setText(``);
-        this.missStreak = 0;
-        this.perfectStreak = 0;
-        this.livesText.setText(`LIVES: ${`❤️`.repeat(Math.max(0, this.lives))}`);
-        this.cameras.main.shake(400, 0.01);
-        this.cameras.main.flash(200, 255, 0, 0);
-        this.missEmitter.setPosition(item.x, item.y);
-        this.missEmitter.explode(30, item.x, item.y);
-        this.getPool('items').release(item);
-        if (this.lives <= 0) {
-          this.gameOver();
-        }
-        return;
-      }
-    }
-    if (item.itemType === `glitch`) {
-      this.activateGlitchEffect();
-    } else if (item.itemType === `multiplier`) {
-      this.activateMultiplier();
-    } else if (item.itemType === `virus`) {
-      this.activateVirusEffect();
-      this.getPool('items').release(item);
       return;
     }
-    if (this.game.sounds?.catch) this.game.sounds.catch();
-    this.itemsCaught++;
-    this.combo++;
-    this.recentCatches.push({
-      time: Date.now(),
-      value: item.value
-    });
-    this.recentCatches = this.recentCatches.filter(c => Date.now() - c.time < 10000);
-    this.updatePerformanceScore();
-    this.perfectStreak++;
-    this.maxCombo = Math.max(this.maxCombo, this.combo);
-    this.missStreak = 0;
-    if (item.itemType === `gold`) {
-      this.goldCaught++;
-    }
-    const overchargeGain = item.itemType === `gold` ? 15 : item.itemType === `giant` ? 25 : 5;
-    this.overcharge = Math.min(100, this.overcharge + overchargeGain);
-    this.updateOverchargeDisplay();
-    const playerLevel = StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1);
-    const bonuses = LevelingSystem.getStatBonuses(playerLevel);
-    const comboMultiplier = Math.min(Math.floor(this.combo / 5) + 1, 5);
-    const overchargeBonus = this.overchargeActive ? 2 : 1;
-    const fortuneBonus = this.equippedGear.utility === `fortune_aura` ? 1.5 : 1;
-    const points = Math.floor(item.value * this.level * comboMultiplier * this.scoreMultiplier * overchargeBonus * fortuneBonus * bonuses.comboMultiplier);
-    this.score += points;
-    const currencyMultiplier = (this.equippedGear.utility === `fortune_aura` ? 2 : 1) * bonuses.currencyMultiplier;
-    this.earnedCurrency += Math.floor(points / 20 * currencyMultiplier);
-    this.scoreText.setText(`SCORE: ${this.score}`);
-    if (this.combo >= 5) {
-      const comboColor = this.combo >= 20 ? `#ff0066` : this.combo >= 10 ? `#ff00ff` : `#ffdd00`;
-      this.comboText.setText(`${this.combo}x COMBO!`);
-      this.comboText.setColor(comboColor);
-      this.comboText.setScale(1 + Math.min(this.combo * 0.02, 0.5));
-      this.comboMultiplierText.setText(`${comboMultiplier}x SCORE`);
-      this.comboMultiplierText.setColor(comboColor);
-      const intensity = Math.min(this.combo * 0.001, 0.01);
-      this.cameras.main.shake(100, intensity);
-      if (this.combo % 5 === 0) {
-        const width = this.cameras.main.width;
-        const quality = this.performanceManager?.getQualitySettings() || {
-          particles: 1.0
-        };
-        const burstEmitter = this.add.particles(width / 2, 80, `particle`, {
-          speed: {
-            min: 100,
-            max: 200
-          },
-          scale: {
-            start: 0.8 * quality.particles,
-            end: 0
-          },
-          blendMode: Phaser.BlendModes.ADD,
-          lifespan: 800,
-          tint: this.combo >= 20 ? 0xff0066 : this.combo >= 10 ? 0xff00ff : 0xffdd00,
-          emitting: false
-        });
-        burstEmitter.explode(Math.floor(30 * quality.particles));
-        this.time.delayedCall(1000, () => burstEmitter.destroy());
-      }
-    } else {
-      this.comboText.setText(``);
-      this.comboMultiplierText.setText(``);
-    }
-    this.lastCatchTime = Date.now();
-    const quality = this.performanceManager?.getQualitySettings() || {
-      particles: 1.0
-    };
-    const particleCount = Math.floor((item.itemType === `giant` ? 50 : item.itemType === `gold` ? 30 : 20) * quality.particles);
-    this.catchEmitter.setPosition(item.x, item.y);
-    this.catchEmitter.setConfig({
-      tint: item.itemType === `gold` ? 0xffdd00 : item.itemType === `silver` ? 0xcccccc : 0x00ffff
-    });
-    this.catchEmitter.explode(particleCount, item.x, item.y);
-    if (item.itemType === `gold`) {
-      this.cameras.main.flash(100, 255, 221, 0, 0.3);
-    }
-    this.getPool('items').release(item);
-    if (this.score % 100 === 0 && this.score > 0) {
-      this.levelUp();
-    }
-    this.checkAchievements();
+    this.cooldownBarBg.setVisible(true);
+    this.cooldownBar.setVisible(true);
+    const progress = timeSinceLastShot / cooldownTime;
+    const barWidth = 200 * progress;
+    this.cooldownBar.clear();
+    const red = Math.floor(255 * (1 - progress));
+    const green = Math.floor(221 * progress);
+    const color = red << 16 | green << 8 | 0;
+    this.cooldownBar.fillStyle(color, 0.8);
+    this.cooldownBar.fillRect(width / 2 - 100, height - 65, barWidth, 8);
+    this.cooldownBar.lineStyle(2, 0xffdd00, progress);
+    this.cooldownBar.strokeRect(width / 2 - 100, height - 65, barWidth, 8);
   }
   showDifficultyChange(oldSpeed, newSpeed) {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    const diffText = this.add.text(width / 2, height / 2 + 50, `⚠️ DIFFICULTY INCREASED`, {
+    const diffText = this.add.text(width / 2, height / 2 + 50, t(`hud.difficultyIncreased`), {
       fontSize: `24px`,
       color: `#ff0066`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
     }).setOrigin(0.5).setDepth(999);
-    this.tweens.add({
+    this.addEffectTween({
       targets: diffText,
       y: height / 2 + 20,
       alpha: {
@@ -6975,352 +9947,73 @@ class GameScene extends BaseScene {
       },
       duration: 2000,
       ease: 'Power2',
-      onComplete: () => diffText.destroy()
-    });
-  }
-  nearMiss(item) {
-    if (!item.nearMissTriggered) {
-      item.nearMissTriggered = true;
-      this.nearMissEmitter.setPosition(item.x, item.y);
-      this.nearMissEmitter.explode(10);
-    }
-  }
-  missItem(item) {
-    if (item.itemType === `bomb`) {
-      this.getPool('items').release(item);
-      return;
-    }
-    if (this.game.sounds?.miss) this.game.sounds.miss();
-    if (this.activePowerups.has(`shield`)) {
-      this.shieldUses--;
-      if (this.shieldUses <= 0) {
-        this.activePowerups.delete(`shield`);
-        this.updatePowerupDisplay();
-      }
-      this.getPool('items').release(item);
-      return;
-    }
-    this.combo = 0;
-    this.comboText.setText(``);
-    this.perfectStreak = 0;
-    this.missStreak++;
-    this.lives--;
-    this.missedItems++;
-    this.updatePerformanceScore();
-    this.livesText.setText(`LIVES: ${`❤️`.repeat(Math.max(0, this.lives))}`);
-    this.missEmitter.setPosition(item.x, item.y);
-    this.missEmitter.explode(15, item.x, item.y);
-    this.cameras.main.shake(200, 0.005);
-    this.getPool('items').release(item);
-    if (this.lives <= 0) {
-      this.gameOver();
-    }
-  }
-  collectPowerup(powerup) {
-    if (this.game.sounds?.powerup) this.game.sounds.powerup();
-    const types = [`shield`, `magnet`, `slowmo`, `timewarp`, `converter`, `hyperdash`, `blackhole`];
-    const type = types[powerup.type];
-    this.activePowerups.add(type);
-    this.powerupsCollected[type] = (this.powerupsCollected[type] || 0) + 1;
-    this.showPowerupActivation(type, powerup.x, powerup.y);
-    const playerLevel = StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL, 1);
-    const bonuses = LevelingSystem.getStatBonuses(playerLevel);
-    if (type === `shield`) {
-      this.shieldUses = 3 + bonuses.shieldBonus;
-    } else if (type === `magnet`) {
-      this.time.delayedCall(5000, () => {
-        this.activePowerups.delete(`magnet`);
-        this.updatePowerupDisplay();
-      });
-    } else if (type === `slowmo`) {
-      this.time.delayedCall(4000, () => {
-        this.activePowerups.delete(`slowmo`);
-        this.updatePowerupDisplay();
-      });
-    } else if (type === `timewarp`) {
-      this.time.delayedCall(6000, () => {
-        this.activePowerups.delete(`timewarp`);
-        this.updatePowerupDisplay();
-      });
-    } else if (type === `converter`) {
-      this.time.delayedCall(8000, () => {
-        this.activePowerups.delete(`converter`);
-        this.updatePowerupDisplay();
-      });
-    } else if (type === `hyperdash`) {
-      this.dashCooldown = 0;
-      this.time.delayedCall(10000, () => {
-        this.activePowerups.delete(`hyperdash`);
-        this.updatePowerupDisplay();
-      });
-    } else if (type === `blackhole`) {
-      this.blackHoleActive = true;
-      this.blackHoleX = this.player.x;
-      this.blackHoleY = this.player.y - 200;
-      this.cameras.main.flash(300, 0, 0, 0);
-      const blackHoleSprite = this.add.sprite(this.blackHoleX, this.blackHoleY, `powerup_blackhole`);
-      blackHoleSprite.setScale(3);
-      blackHoleSprite.setAlpha(0.8);
-      this.tweens.add({
-        targets: blackHoleSprite,
-        rotation: Math.PI * 4,
-        duration: 5000
-      });
-      this.time.delayedCall(5000, () => {
-        this.blackHoleActive = false;
-        blackHoleSprite.destroy();
-        this.activePowerups.delete(`blackhole`);
-        this.updatePowerupDisplay();
-      });
-    }
-    this.updatePowerupDisplay();
-    this.catchEmitter.setPosition(powerup.x, powerup.y);
-    this.catchEmitter.explode(30, powerup.x, powerup.y);
-    this.getPool('powerups').release(powerup);
-  }
-  showPowerupActivation(type, x, y) {
-    const width = this.cameras.main.width;
-    const height = this.cameras.main.height;
-    const powerupNames = {
-      shield: `🛡️ SHIELD ACTIVE`,
-      magnet: `🧲 MAGNET PULL`,
-      slowmo: `⏱️ SLOW MOTION`,
-      timewarp: `⏰ TIME WARP`,
-      converter: `🔄 CONVERTER`,
-      hyperdash: `⚡ HYPER DASH`,
-      blackhole: `⚫ BLACK HOLE`
-    };
-    const activationText = this.add.text(width / 2, height / 2 - 100, powerupNames[type], {
-      fontSize: `32px`,
-      color: `#ffdd00`,
-      fontStyle: `bold`,
-      stroke: `#000000`,
-      strokeThickness: 3
-    }).setOrigin(0.5).setDepth(1000);
-    this.tweens.add({
-      targets: activationText,
-      y: height / 2 - 150,
-      alpha: {
-        from: 1,
-        to: 0
-      },
-      scale: {
-        from: 1,
-        to: 1.3
-      },
-      duration: 1500,
-      ease: 'Power2',
-      onComplete: () => activationText.destroy()
-    });
-    const powerupColors = {
-      shield: 0x00ff00,
-      magnet: 0xff00ff,
-      slowmo: 0x00ffff,
-      timewarp: 0x9900ff,
-      converter: 0xffdd00,
-      hyperdash: 0xff0066,
-      blackhole: 0x000000
-    };
-    const color = powerupColors[type] || 0xffffff;
-    const r = color >> 16 & 0xFF;
-    const g = color >> 8 & 0xFF;
-    const b = color & 0xFF;
-    this.cameras.main.flash(200, r, g, b, 0.4);
-  }
-  updatePowerupDisplay() {
-    const powerupLabels = {
-      shield: `🛡️ SHIELD`,
-      magnet: `🧲 MAGNET`,
-      slowmo: `⏱️ SLOW-MO`,
-      timewarp: `⏰ TIME-WARP`,
-      converter: `🔄 CONVERTER`,
-      hyperdash: `⚡ HYPER-DASH`,
-      blackhole: `⚫ BLACK-HOLE`
-    };
-    const active = Array.from(this.activePowerups).map(p => powerupLabels[p]).join(` `);
-    this.powerupText.setText(active);
-  }
-  activateGlitchEffect() {
-    if (this.glitchActive) return;
-    this.glitchActive = true;
-    this.controlsReversed = true;
-    this.cameras.main.flash(200, 255, 0, 255, 0.5);
-    const quality = this.performanceManager?.getQualitySettings() || {
-      effects: 1.0
-    };
-    if (quality.effects > 0.5) {
-      const glitchOverlay = this.add.graphics();
-      glitchOverlay.setDepth(1000);
-      const glitchInterval = this.time.addEvent({
-        delay: 200,
-        callback: () => {
-          glitchOverlay.clear();
-          if (Math.random() > 0.7) {
-            glitchOverlay.fillStyle(0xff00ff, 0.2);
-            glitchOverlay.fillRect(Phaser.Math.Between(0, this.cameras.main.width), Phaser.Math.Between(0, this.cameras.main.height), Phaser.Math.Between(50, 200), Phaser.Math.Between(10, 50));
-          }
-        },
-        loop: true
-      });
-      this.time.delayedCall(4000, () => {
-        this.glitchActive = false;
-        this.controlsReversed = false;
-        glitchInterval.destroy();
-        glitchOverlay.destroy();
-      });
-    } else {
-      this.time.delayedCall(4000, () => {
-        this.glitchActive = false;
-        this.controlsReversed = false;
-      });
-    }
-  }
-  activateFreeze() {
-    const originalSpeed = this.itemSpeed;
-    this.itemSpeed = this.itemSpeed * 0.2;
-    this.cameras.main.flash(300, 0, 221, 255, 0.5);
-    this.time.delayedCall(4000, () => {
-      this.itemSpeed = originalSpeed;
-    });
-  }
-  activateMystery(item) {
-    const outcomes = [() => {
-      this.score += 100;
-    }, () => {
-      this.lives = Math.min(this.lives + 1, 5);
-      this.livesText.setText(`LIVES: ${`❤️`.repeat(Math.max(0, this.lives))}`);
-    }, () => {
-      this.scoreMultiplier = 3;
-      this.time.delayedCall(3000, () => {
-        this.scoreMultiplier = 1;
-      });
-    }, () => {
-      this.earnedCurrency += 50;
-    }];
-    const outcome = outcomes[Phaser.Math.Between(0, outcomes.length - 1)];
-    outcome();
-    this.catchEmitter.setPosition(item.x, item.y);
-    this.catchEmitter.setConfig({
-      tint: 0xff00ff
-    });
-    this.catchEmitter.explode(40);
-    if (this.game.sounds?.powerup) this.game.sounds.powerup();
-    this.getPool('items').release(item);
-  }
-  activateMultiplier() {
-    this.scoreMultiplier = 2;
-    this.cameras.main.flash(200, 0, 255, 0, 0.4);
-    this.time.delayedCall(5000, () => {
-      this.scoreMultiplier = 1;
-    });
-  }
-  updatePerformanceScore() {
-    const recentValue = this.recentCatches.reduce((sum, c) => sum + c.value, 0);
-    const catchRate = this.recentCatches.length / 10;
-    this.performanceScore = Math.min(10, (catchRate + this.combo * 0.1 + recentValue * 0.01) / 3);
-    const speedAdjustment = 1 + this.performanceScore * 0.05;
-    const baseSpeed = this.getDifficulty() === `easy` ? 150 : this.getDifficulty() === `hard` ? 250 : 200;
-    this.itemSpeed = baseSpeed * speedAdjustment;
-    const spawnAdjustment = Math.max(0.7, 1 - this.performanceScore * 0.03);
-    const baseSpawn = this.getDifficulty() === `easy` ? 2000 : this.getDifficulty() === `hard` ? 1000 : 1500;
-    this.spawnRate = Math.max(500, baseSpawn * spawnAdjustment);
-    this.spawnTimer.delay = this.spawnRate;
-  }
-  activateVirusEffect() {
-    if (this.virusActive) return;
-    this.virusActive = true;
-    const quality = this.performanceManager?.getQualitySettings() || {
-      effects: 1.0
-    };
-    if (quality.effects > 0.5) {
-      const virusOverlay = this.add.graphics();
-      virusOverlay.setDepth(999);
-      const blurInterval = this.time.addEvent({
-        delay: 300,
-        callback: () => {
-          virusOverlay.clear();
-          const blurAmount = Phaser.Math.Between(5, 15);
-          virusOverlay.fillStyle(0x660066, 0.15);
-          for (let i = 0; i < 2; i++) {
-            virusOverlay.fillRect(Phaser.Math.Between(-blurAmount, blurAmount), Phaser.Math.Between(0, this.cameras.main.height), this.cameras.main.width, Phaser.Math.Between(2, 8));
-          }
-        },
-        loop: true
-      });
-      this.cameras.main.flash(300, 102, 0, 102, 0.5);
-      this.time.delayedCall(5000, () => {
-        this.virusActive = false;
-        blurInterval.destroy();
-        virusOverlay.destroy();
-      });
-    } else {
-      this.cameras.main.flash(300, 102, 0, 102, 0.5);
-      this.time.delayedCall(5000, () => {
-        this.virusActive = false;
-      });
-    }
+      onComplete: () => diffText.destroy()
+    });
   }
-  activateOvercharge() {
-    if (this.overcharge < 100 || this.overchargeActive) return;
-    this.overcharge = 0;
-    this.overchargeActive = true;
-    this.updateOverchargeDisplay();
-    this.cameras.main.flash(400, 255, 221, 0);
+  showPowerupActivation(type, x, y) {
     const width = this.cameras.main.width;
-    const overchargeText = this.add.text(width / 2, 150, `<<< OVERCHARGE >>>`, {
-      fontSize: `48px`,
+    const height = this.cameras.main.height;
+    const activationText = this.add.text(width / 2, height / 2 - 100, t(`hud.powerups.activated.${type}`), {
+      fontSize: `32px`,
       color: `#ffdd00`,
       fontStyle: `bold`,
-      stroke: `#ff0066`,
+      stroke: `#000000`,
       strokeThickness: 3
-    });
-    overchargeText.setOrigin(0.5);
-    overchargeText.setDepth(1000);
-    this.tweens.add({
-      targets: overchargeText,
+    }).setOrigin(0.5).setDepth(1000);
+    this.addEffectTween({
+      targets: activationText,
+      y: height / 2 - 150,
       alpha: {
         from: 1,
         to: 0
       },
       scale: {
         from: 1,
-        to: 1.5
+        to: 1.3
       },
       duration: 1500,
-      onComplete: () => overchargeText.destroy()
+      ease: 'Power2',
+      onComplete: () => activationText.destroy()
     });
-    const quality = this.performanceManager?.getQualitySettings() || {
-      particles: 1.0
+    const powerupColors = {
+      shield: 0x00ff00,
+      magnet: 0xff00ff,
+      slowmo: 0x00ffff,
+      timewarp: 0x9900ff,
+      converter: 0xffdd00,
+      hyperdash: 0xff0066,
+      blackhole: 0x000000
     };
-    if (this.auraEmitter) {
-      this.auraEmitter.setConfig({
-        frequency: Math.floor(10 / quality.particles),
-        scale: {
-          start: 0.8 * quality.particles,
-          end: 0
-        },
-        tint: [0xffdd00, 0xff6600]
-      });
-    }
-    this.time.delayedCall(8000, () => {
-      this.overchargeActive = false;
-      this.setupAuraEffect();
-    });
+    const color = powerupColors[type] || 0xffffff;
+    const r = color >> 16 & 0xFF;
+    const g = color >> 8 & 0xFF;
+    const b = color & 0xFF;
+    this.flashCamera(200, r, g, b, 0.4);
+  }
+  updatePowerupDisplay() {
+    const active = Array.from(this.core?.activePowerups || []).map(p => t(`hud.powerups.active.${p}`)).join(` `);
+    this.powerupText.setText(active);
   }
   updateOverchargeDisplay() {
     if (!this.overchargeBar) return;
     this.overchargeBar.clear();
-    const barWidth = 150 * (this.overcharge / 100);
-    const color = this.overcharge >= 100 ? 0xffdd00 : 0x00ffff;
+    const {
+      overcharge,
+      overchargeActive
+    } = this.core;
+    const barWidth = 150 * (overcharge / 100);
+    const color = overcharge >= 100 ? 0xffdd00 : 0x00ffff;
     this.overchargeBar.fillStyle(color, 0.6);
     this.overchargeBar.fillRect(20, 90, barWidth, 8);
-    this.overchargeBar.lineStyle(2, color, this.overcharge >= 100 ? 1 : 0.6);
+    this.overchargeBar.lineStyle(2, color, overcharge >= 100 ? 1 : 0.6);
     this.overchargeBar.strokeRect(20, 90, 150, 8);
     this.overchargeGlow.clear();
-    if (this.overcharge >= 100 && !this.overchargeActive) {
+    if (overcharge >= 100 && !overchargeActive) {
       this.overchargeGlow.lineStyle(3, 0xffdd00, 0.4);
       this.overchargeGlow.strokeRect(18, 88, 154, 12);
-      this.overchargeText.setText(`[PRESS O TO OVERCHARGE]`);
+      this.overchargeText.setText(t(`hud.overchargeReady`, {
+        key: InputBindings.label(`OVERCHARGE`)
+      }));
       this.overchargeText.setColor(`#ffdd00`);
       this.tweens.add({
         targets: this.overchargeText,
@@ -7333,7 +10026,9 @@ class GameScene extends BaseScene {
         repeat: -1
       });
     } else {
-      this.overchargeText.setText(`OVERCHARGE: ${Math.floor(this.overcharge)}%`);
+      this.overchargeText.setText(t(`hud.overcharge`, {
+        percent: Math.floor(overcharge)
+      }));
       this.overchargeText.setColor(`#00ffff`);
       this.tweens.killTweensOf(this.overchargeText);
       this.overchargeText.setAlpha(1);
@@ -7375,20 +10070,26 @@ class GameScene extends BaseScene {
     hudGraphics.lineStyle(2, primaryColor, 0.6);
     hudGraphics.strokeRect(10, 10, 250, 100);
     hudGraphics.strokeRect(width - 260, 10, 250, 100);
-    this.scoreText = this.add.text(20, 20, `[SCORE: 0]`, {
+    this.scoreText = this.add.text(20, 20, `[${t(`hud.score`, {
+      score: 0
+    })}]`, {
       fontSize: `20px`,
       color: themeConfig.primary,
       stroke: `#000000`,
       strokeThickness: 2
     });
-    this.levelText = this.add.text(width - 20, 20, `[LVL: 1]`, {
+    this.levelText = this.add.text(width - 20, 20, `[${t(`hud.level`, {
+      level: 1
+    })}]`, {
       fontSize: `20px`,
       color: themeConfig.secondary,
       stroke: `#000000`,
       strokeThickness: 2
     });
     this.levelText.setOrigin(1, 0);
-    this.livesText = this.add.text(20, 60, `[LIVES: ❤️❤️❤️]`, {
+    this.livesText = this.add.text(20, 60, `[${t(`hud.lives`, {
+      hearts: `❤️❤️❤️`
+    })}]`, {
       fontSize: `20px`,
       color: `#ff0066`,
       stroke: `#000000`,
@@ -7428,7 +10129,9 @@ class GameScene extends BaseScene {
     this.overchargeBar.fillRect(20, 90, 150, 8);
     this.overchargeBar.lineStyle(1, primaryColor, 0.6);
     this.overchargeBar.strokeRect(20, 90, 150, 8);
-    this.overchargeText = this.add.text(95, 85, `OVERCHARGE: 0%`, {
+    this.overchargeText = this.add.text(95, 85, t(`hud.overcharge`, {
+      percent: 0
+    }), {
       fontSize: `12px`,
       color: themeConfig.primary,
       stroke: `#000000`,
@@ -7437,17 +10140,14 @@ class GameScene extends BaseScene {
     this.overchargeText.setOrigin(0.5, 1);
     this.overchargeGlow = this.add.graphics();
     this.overchargeGlow.setDepth(5);
-    this.input.keyboard.on(`keydown-O`, () => {
-      this.activateOvercharge();
-    });
-    this.weaponText = this.add.text(width / 2, height - 40, `[GUN]`, {
+    this.weaponText = this.add.text(width / 2, height - 40, `[${t(`hud.weapons.gun`)}]`, {
       fontSize: `24px`,
       color: themeConfig.primary,
       stroke: `#000000`,
       strokeThickness: 2
     });
     this.weaponText.setOrigin(0.5);
-    const weaponHint = this.add.text(width / 2, height - 15, `1: GUN | 2: NET | SPACE: FIRE | O: OVERCHARGE`, {
+    const weaponHint = this.add.text(width / 2, height - 15, InputBindings.getHint(), {
       fontSize: `14px`,
       color: `#888888`
     });
@@ -7460,94 +10160,40 @@ class GameScene extends BaseScene {
     this.cooldownBarBg.setVisible(false);
     this.cooldownBar = this.add.graphics();
     this.cooldownBar.setVisible(false);
-  }
-  levelUp() {
-    this.level++;
-    this.levelText.setText(`[LVL: ${this.level}]`);
-    const oldSpeed = this.itemSpeed;
-    this.itemSpeed += 20;
-    this.spawnRate = Math.max(500, this.spawnRate - 100);
-    this.spawnTimer.delay = this.spawnRate;
-    this.showDifficultyChange(oldSpeed, this.itemSpeed);
-    if (this.level % 5 === 0) {
-      this.activateChaosMode();
+    if (this.performanceManager?.getQualitySettings().shadows) {
+      [this.scoreText, this.levelText, this.livesText, this.powerupText, this.comboText, this.comboMultiplierText, this.weaponText].forEach(text => text.setShadow(2, 2, `#000000`, 4, true, true));
     }
-    const width = this.cameras.main.width;
-    const height = this.cameras.main.height;
-    this.cameras.main.flash(300, 0, 255, 255);
-    for (let i = 0; i < 3; i++) {
-      this.time.delayedCall(i * 50, () => {
-        this.cameras.main.shake(100, 0.003);
-      });
-    }
-    const glitchText = this.add.text(width / 2, height / 2, `>>LEVEL_${this.level}<<`, {
-      fontSize: `72px`,
-      color: `#ff00ff`,
-      fontStyle: `bold`,
-      stroke: `#00ffff`,
-      strokeThickness: 4
-    });
-    glitchText.setOrigin(0.5);
-    glitchText.setAlpha(0);
-    this.tweens.add({
-      targets: glitchText,
-      alpha: 1,
-      scale: {
-        from: 0.3,
-        to: 1.3
-      },
-      duration: 400,
-      yoyo: true,
-      onComplete: () => glitchText.destroy()
-    });
-    this.checkAchievements();
-  }
-  activateChaosMode() {
-    this.isChaosMode = true;
-    this.chaosModeText.setText(`<<<CHAOS_MODE>>>`);
-    this.cameras.main.flash(500, 255, 0, 102);
-    this.tweens.add({
-      targets: this.chaosModeText,
-      alpha: {
-        from: 1,
-        to: 0.5
-      },
-      scale: {
-        from: 1,
-        to: 1.1
-      },
-      duration: 500,
-      yoyo: true,
-      repeat: 19
-    });
-    this.time.delayedCall(10000, () => {
-      this.isChaosMode = false;
-      this.chaosModeText.setText(``);
-    });
   }
   checkAchievements() {
+    const {
+      combo,
+      level,
+      score,
+      goldCaught,
+      perfectStreak
+    } = this.core;
     const achievements = StorageManager.get(STORAGE_KEYS.ACHIEVEMENTS, {});
     let updated = false;
-    if (this.combo >= 10 && !achievements.combo_master?.unlocked) {
+    if (combo >= ACHIEVEMENT_GOALS.combo_master && !achievements.combo_master?.unlocked) {
       achievements.combo_master.unlocked = true;
       this.unlockSkin(`fire`);
       updated = true;
     }
-    if (this.level >= 10 && !achievements.speed_demon?.unlocked) {
+    if (level >= ACHIEVEMENT_GOALS.speed_demon && !achievements.speed_demon?.unlocked) {
       achievements.speed_demon.unlocked = true;
       this.unlockSkin(`ice`);
       updated = true;
     }
-    if (this.score >= 1000 && !achievements.survivor?.unlocked) {
+    if (score >= ACHIEVEMENT_GOALS.survivor && !achievements.survivor?.unlocked) {
       achievements.survivor.unlocked = true;
       this.unlockSkin(`gold`);
       updated = true;
     }
-    if (this.goldCaught >= 50 && !achievements.gold_collector?.unlocked) {
+    if (goldCaught >= ACHIEVEMENT_GOALS.gold_collector && !achievements.gold_collector?.unlocked) {
       achievements.gold_collector.unlocked = true;
       updated = true;
     }
-    if (this.perfectStreak >= 20 && !achievements.untouchable?.unlocked) {
+    if (perfectStreak >= ACHIEVEMENT_GOALS.untouchable && !achievements.untouchable?.unlocked) {
       achievements.untouchable.unlocked = true;
       this.unlockSkin(`purple`);
       updated = true;
@@ -7559,7 +10205,9 @@ class GameScene extends BaseScene {
   unlockSkin(skinName) {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    const unlockText = this.add.text(width / 2, height / 2 + 100, `🎨 NEW SKIN UNLOCKED: ${skinName.toUpperCase()}!`, {
+    const unlockText = this.add.text(width / 2, height / 2 + 100, t(`hud.skinUnlocked`, {
+      skin: I18n.optional(`skins.${skinName}`, skinName.toUpperCase())
+    }), {
       fontSize: `32px`,
       color: `#ffdd00`,
       fontStyle: `bold`,
@@ -7576,58 +10224,52 @@ class GameScene extends BaseScene {
     const challenges = StorageManager.get(STORAGE_KEYS.CHALLENGES, {});
     if (challenges.daily) {
       if (challenges.daily.type === `gold_collector`) {
-        challenges.daily.progress = this.goldCaught;
+        challenges.daily.progress = this.core.goldCaught;
       } else if (challenges.daily.type === `bomb_destroyer`) {
-        challenges.daily.progress = this.bombsDestroyed;
+        challenges.daily.progress = this.core.bombsDestroyed;
       }
     }
     if (challenges.weekly) {
       if (challenges.weekly.type === `level_master`) {
-        challenges.weekly.progress = Math.max(challenges.weekly.progress, this.level);
+        challenges.weekly.progress = Math.max(challenges.weekly.progress, this.core.level);
       } else if (challenges.weekly.type === `perfect_run`) {
-        challenges.weekly.progress = Math.max(challenges.weekly.progress, this.perfectStreak);
+        challenges.weekly.progress = Math.max(challenges.weekly.progress, this.core.perfectStreak);
       }
     }
     StorageManager.set(STORAGE_KEYS.CHALLENGES, challenges);
   }
-  gameOver() {
-    [this.debrisSpawnTimer, this.vehicleSpawnTimer, this.spawnTimer, this.powerupTimer, this.hazardTimer].forEach(timer => {
+  gameOver(result) {
+    this.isGameOver = true;
+    this.game.sounds?.gameOver?.();
+    [this.debrisSpawnTimer, this.vehicleSpawnTimer].forEach(timer => {
       if (timer && !timer.hasDispatched) timer.destroy();
     });
     this.debrisObjects.forEach(debris => debris?.destroy?.());
     this.debrisObjects = [];
-    this.score = typeof this.score === 'number' ? this.score : 0;
+    const {
+      score,
+      gameTime
+    } = result;
     const highScore = StorageManager.getInt(STORAGE_KEYS.HIGH_SCORE);
-    if (this.score > highScore) {
-      StorageManager.set(STORAGE_KEYS.HIGH_SCORE, this.score);
+    if (score > highScore) {
+      StorageManager.set(STORAGE_KEYS.HIGH_SCORE, score);
     }
-    const gameTime = Math.floor((Date.now() - this.gameStartTime) / 1000);
     const stats = StorageManager.get(STORAGE_KEYS.STATS, {});
-    stats.totalScore = (stats.totalScore || 0) + this.score;
+    stats.totalScore = (stats.totalScore || 0) + score;
     stats.gamesPlayed = (stats.gamesPlayed || 0) + 1;
-    stats.maxCombo = Math.max(stats.maxCombo || 0, this.maxCombo);
-    stats.goldCaught = (stats.goldCaught || 0) + this.goldCaught;
-    stats.totalItemsCaught = (stats.totalItemsCaught || 0) + this.itemsCaught;
+    stats.maxCombo = Math.max(stats.maxCombo || 0, result.maxCombo);
+    stats.goldCaught = (stats.goldCaught || 0) + result.goldCaught;
+    stats.totalItemsCaught = (stats.totalItemsCaught || 0) + result.itemsCaught;
     stats.totalTimePlayed = (stats.totalTimePlayed || 0) + gameTime;
-    stats.bombsDestroyed = (stats.bombsDestroyed || 0) + this.bombsDestroyed;
+    stats.bombsDestroyed = (stats.bombsDestroyed || 0) + result.bombsDestroyed;
     stats.longestSession = Math.max(stats.longestSession || 0, gameTime);
-    Object.entries(this.powerupsCollected).forEach(([type, count]) => {
+    Object.entries(this.core.powerupsCollected).forEach(([type, count]) => {
       if (!stats.powerupsCollected) stats.powerupsCollected = {};
       stats.powerupsCollected[type] = (stats.powerupsCollected[type] || 0) + count;
     });
     StorageManager.set(STORAGE_KEYS.STATS, stats);
     const currency = StorageManager.getInt(STORAGE_KEYS.CURRENCY);
-    StorageManager.set(STORAGE_KEYS.CURRENCY, currency + this.earnedCurrency);
-    const earnedXP = LevelingSystem.calculateXP({
-      score: this.score,
-      maxCombo: this.maxCombo,
-      level: this.level,
-      goldCaught: this.goldCaught,
-      gameTime: gameTime,
-      itemsCaught: this.itemsCaught,
-      missedItems: this.missedItems,
-      bombsDestroyed: this.bombsDestroyed
-    });
+    StorageManager.set(STORAGE_KEYS.CURRENCY, currency + result.earnedCurrency);
     this.updateChallenges();
     if (this.objectPools && this.objectPools instanceof Map) {
       this.objectPools.forEach(pool => {
@@ -7641,16 +10283,267 @@ class GameScene extends BaseScene {
       });
     }
     this.scene.start(`GameOverScene`, {
-      score: this.score,
-      level: this.level,
-      maxCombo: this.maxCombo,
-      goldCaught: this.goldCaught,
-      earnedCurrency: this.earnedCurrency,
-      itemsCaught: this.itemsCaught,
-      gameTime: gameTime,
-      earnedXP: earnedXP,
-      missedItems: this.missedItems,
-      bombsDestroyed: this.bombsDestroyed
+      ...result,
+      gameMode: `classic`,
+      difficulty: this.getDifficulty(),
+      proof: this.replayRecorder.toProof(),
+      replayId: this.saveReplay(result)
+    });
+  }
+  saveReplay(result) {
+    try {
+      return ReplayStorage.save(this.replayRecorder.finish({
+        score: result.score,
+        level: result.level,
+        maxCombo: result.maxCombo
+      }));
+    } catch (error) {
+      console.error('Failed to save replay:', error);
+      return null;
+    }
+  }
+}
+class ReplayScene extends GameScene {
+  static SPEEDS = [0.5, 1, 2, 4];
+  constructor() {
+    super({
+      key: "ReplayScene"
+    });
+  }
+  create(data) {
+    this.replayId = data?.replayId;
+    this.returnScene = data?.returnScene || `StatsScene`;
+    this.replay = ReplayStorage.get(this.replayId);
+    if (!this.replay) {
+      this.scene.start(this.returnScene);
+      return;
+    }
+    this.replayFrames = ReplayRecorder.expandFrames(this.replay);
+    this.replayDuration = this.replayFrames.reduce((sum, [delta]) => sum + delta, 0);
+    this.replayFrame = 0;
+    this.replaySpeed = data?.speed || 1;
+    this.replayPaused = !!data?.paused;
+    super.create({
+      seed: this.replay.seed,
+      loadout: this.replay.loadout
+    });
+    this.createReplayControls();
+    this.setReplaySpeed(this.replaySpeed);
+    if (data?.seekFrame) this.fastForward(data.seekFrame);
+    this.updateReplayControls();
+  }
+  setupInput() {
+    this.inputKeys = [];
+    this.pressedInput = 0;
+    this.input.keyboard.on(`keydown-SPACE`, () => this.toggleReplayPause());
+    this.input.keyboard.on(`keydown-UP`, () => this.stepReplaySpeed(1));
+    this.input.keyboard.on(`keydown-DOWN`, () => this.stepReplaySpeed(-1));
+    this.input.keyboard.on(`keydown-LEFT`, () => this.seekReplay(this.clock.now - 5000));
+    this.input.keyboard.on(`keydown-RIGHT`, () => this.seekReplay(this.clock.now + 5000));
+    this.menuFocus.enabled = false;
+    const padActions = {
+      [GamepadInput.BUTTONS.A]: () => this.toggleReplayPause(),
+      [GamepadInput.BUTTONS.UP]: () => this.stepReplaySpeed(1),
+      [GamepadInput.BUTTONS.DOWN]: () => this.stepReplaySpeed(-1),
+      [GamepadInput.BUTTONS.LEFT]: () => this.seekReplay(this.clock.now - 5000),
+      [GamepadInput.BUTTONS.RIGHT]: () => this.seekReplay(this.clock.now + 5000),
+      [GamepadInput.BUTTONS.B]: () => this.openPauseMenu(),
+      [GamepadInput.BUTTONS.START]: () => this.openPauseMenu()
+    };
+    this.input.gamepad?.on(`down`, (pad, button) => {
+      if (!this.isGameOver) padActions[button.index]?.();
+    });
+  }
+  openPauseMenu() {
+    this.tweens.timeScale = 1;
+    this.time.timeScale = 1;
+    this.scene.start(this.returnScene);
+  }
+  createReplayControls() {
+    const {
+      width,
+      height
+    } = this.cameras.main;
+    const barY = height - 16;
+    this.replayBanner = this.add.text(width / 2, 110, t(`replay.banner`, {
+      date: new Date(this.replay.createdAt).toLocaleString(I18n.locale)
+    }), {
+      fontSize: `16px`,
+      color: `#ff00ff`,
+      backgroundColor: `#000000aa`,
+      padding: {
+        x: 10,
+        y: 4
+      }
+    }).setOrigin(0.5).setDepth(1100);
+    this.replayStatus = this.add.text(20, barY - 28, ``, {
+      fontSize: `14px`,
+      color: `#00ffff`
+    }).setDepth(1100);
+    this.replayHint = this.add.text(width - 20, barY - 28, t(`replay.hint`, {
+      key: InputBindings.label(`PAUSE`)
+    }), {
+      fontSize: `12px`,
+      color: `#888888`
+    }).setOrigin(1, 0).setDepth(1100);
+    this.replayBar = this.add.graphics().setDepth(1100);
+    this.replayBarBounds = {
+      x: 20,
+      y: barY - 6,
+      w: width - 40,
+      h: 12
+    };
+    const hitZone = this.add.zone(width / 2, barY, width - 40, 24).setInteractive({
+      useHandCursor: true
+    }).setDepth(1100);
+    hitZone.on(`pointerdown`, pointer => {
+      const ratio = Phaser.Math.Clamp((pointer.x - this.replayBarBounds.x) / this.replayBarBounds.w, 0, 1);
+      this.seekReplay(ratio * this.replayDuration);
+    });
+  }
+  updateReplayControls() {
+    if (!this.replayBar) return;
+    const {
+      x,
+      y,
+      w,
+      h
+    } = this.replayBarBounds;
+    const progress = this.replayDuration > 0 ? Math.min(1, this.clock.now / this.replayDuration) : 1;
+    this.replayBar.clear();
+    this.replayBar.fillStyle(0x000000, 0.7);
+    this.replayBar.fillRect(x, y, w, h);
+    this.replayBar.fillStyle(0xff00ff, 0.8);
+    this.replayBar.fillRect(x, y, w * progress, h);
+    this.replayBar.lineStyle(1, 0x00ffff, 0.8);
+    this.replayBar.strokeRect(x, y, w, h);
+    const format = ms => {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, `0`)}`;
+    };
+    this.replayStatus.setText(`${t(this.replayPaused ? `replay.paused` : `replay.playing`)}  ${this.replaySpeed}x  ${format(this.clock.now)} / ${format(this.replayDuration)}`);
+  }
+  toggleReplayPause() {
+    if (this.isGameOver) return;
+    this.replayPaused = !this.replayPaused;
+    this.tweens.timeScale = this.replayPaused ? 0 : this.replaySpeed;
+    this.updateReplayControls();
+  }
+  stepReplaySpeed(direction) {
+    const speeds = ReplayScene.SPEEDS;
+    const index = Phaser.Math.Clamp(speeds.indexOf(this.replaySpeed) + direction, 0, speeds.length - 1);
+    this.setReplaySpeed(speeds[index]);
+  }
+  setReplaySpeed(speed) {
+    this.replaySpeed = speed;
+    this.tweens.timeScale = this.replayPaused ? 0 : speed;
+    this.time.timeScale = speed;
+    this.updateReplayControls();
+  }
+  frameAtTime(ms) {
+    let elapsed = 0;
+    for (let i = 0; i < this.replayFrames.length; i++) {
+      if (elapsed >= ms) return i;
+      elapsed += this.replayFrames[i][0];
+    }
+    return this.replayFrames.length;
+  }
+  seekReplay(ms) {
+    const target = this.frameAtTime(Phaser.Math.Clamp(ms, 0, this.replayDuration));
+    if (target > this.replayFrame && !this.isGameOver) {
+      this.fastForward(target);
+      this.updateReplayControls();
+      return;
+    }
+    this.scene.restart({
+      replayId: this.replayId,
+      returnScene: this.returnScene,
+      speed: this.replaySpeed,
+      paused: this.replayPaused,
+      seekFrame: target
+    });
+  }
+  fastForward(target) {
+    while (this.replayFrame < target && !this.isGameOver) {
+      this.stepReplayFrame();
+    }
+    this.stepAccumulator = 0;
+    if (!this.isGameOver) this.renderSimulation(1);
+  }
+  stepReplayFrame() {
+    const frame = this.replayFrames[this.replayFrame];
+    if (!frame) {
+      this.gameOver();
+      return;
+    }
+    this.replayFrame++;
+    this.stepSimulation(frame[0], frame[1]);
+  }
+  update(time, delta) {
+    BaseScene.prototype.update.call(this, time, delta);
+    if (this.isGameOver || this.replayPaused) return;
+    this.stepAccumulator += Math.min(delta, GameScene.MAX_FRAME_TIME) * this.replaySpeed;
+    let frame = this.replayFrames[this.replayFrame];
+    while (frame && this.stepAccumulator >= frame[0] && !this.isGameOver) {
+      this.stepAccumulator -= frame[0];
+      this.stepReplayFrame();
+      frame = this.replayFrames[this.replayFrame];
+    }
+    if (!frame && !this.isGameOver) this.gameOver();
+    if (this.isGameOver) return;
+    this.renderSimulation(this.stepAccumulator / frame[0]);
+    this.updateReplayControls();
+  }
+  checkAchievements() {}
+  unlockSkin() {}
+  updateChallenges() {}
+  gameOver(result = this.core.getResult()) {
+    if (this.isGameOver) return;
+    this.isGameOver = true;
+    this.clock.removeAllEvents();
+    this.tweens.timeScale = 1;
+    this.time.timeScale = 1;
+    this.menuFocus.enabled = true;
+    this.updateReplayControls();
+    const {
+      width,
+      height
+    } = this.cameras.main;
+    const overlay = this.add.graphics().setDepth(1200);
+    overlay.fillStyle(0x000000, 0.85);
+    overlay.fillRect(width / 2 - 250, height / 2 - 150, 500, 300);
+    overlay.lineStyle(3, 0xff00ff, 0.9);
+    overlay.strokeRect(width / 2 - 250, height / 2 - 150, 500, 300);
+    this.add.text(width / 2, height / 2 - 100, t(`replay.complete`), {
+      fontSize: `36px`,
+      color: `#ff00ff`,
+      fontStyle: `bold`
+    }).setOrigin(0.5).setDepth(1201);
+    const recorded = this.replay.result?.score;
+    const matches = recorded === undefined || recorded === result.score;
+    this.add.text(width / 2, height / 2 - 40, matches ? t(`hud.score`, {
+      score: result.score
+    }) : t(`replay.scoreMismatch`, {
+      score: result.score,
+      recorded
+    }), {
+      fontSize: `22px`,
+      color: matches ? `#00ffff` : `#ffaa00`
+    }).setOrigin(0.5).setDepth(1201);
+    [this.createButton(width / 2, height / 2 + 30, t(`replay.watchAgain`), () => {
+      this.scene.restart({
+        replayId: this.replayId,
+        returnScene: this.returnScene,
+        speed: this.replaySpeed
+      });
+    }), this.createButton(width / 2, height / 2 + 95, t(`replay.back`), () => {
+      this.scene.start(this.returnScene);
+    })].forEach(({
+      bg,
+      text
+    }) => {
+      bg.setDepth(1201);
+      text.setDepth(1202);
     });
   }
 }
@@ -7670,14 +10563,14 @@ class PauseScene extends Phaser.Scene {
     pauseBox.fillRect(width / 2 - 250, height / 2 - 180, 500, 340);
     pauseBox.lineStyle(3, 0x00ffff, 0.8);
     pauseBox.strokeRect(width / 2 - 250, height / 2 - 180, 500, 340);
-    const pauseGlow = this.add.text(width / 2, height / 2 - 100, `[PAUSED]`, {
+    const pauseGlow = this.add.text(width / 2, height / 2 - 100, t(`pause.title`), {
       fontSize: `72px`,
       color: `#00ffff`,
       fontStyle: `bold`
     });
     pauseGlow.setOrigin(0.5);
     pauseGlow.setAlpha(0.3);
-    const pauseText = this.add.text(width / 2, height / 2 - 100, `[PAUSED]`, {
+    const pauseText = this.add.text(width / 2, height / 2 - 100, t(`pause.title`), {
       fontSize: `64px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -7695,16 +10588,31 @@ class PauseScene extends Phaser.Scene {
       yoyo: true,
       repeat: -1
     });
-    const hint = this.add.text(width / 2, height / 2 - 20, `Press ESC to resume`, {
+    const hint = this.add.text(width / 2, height / 2 - 20, t(`pause.hint`, {
+      key: InputBindings.label(`PAUSE`)
+    }), {
       fontSize: `16px`,
       color: `#888888`
     });
     hint.setOrigin(0.5);
-    this.createButton(width / 2, height / 2 + 40, `RESUME`, () => {
+    this.menuFocus = new MenuFocus(this);
+    this.game.mixer?.duck(true);
+    this.events.once(`shutdown`, () => this.game.mixer?.duck(false));
+    const openedAt = this.time.now;
+    const resume = () => {
+      if (this.time.now - openedAt < 250) return;
+      this.scene.stop();
+      this.scene.resume(`GameScene`);
+    };
+    this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[InputBindings.get(`PAUSE`)]).on(`down`, resume);
+    this.input.gamepad?.on(`down`, (pad, button) => {
+      if (button.index === GamepadInput.BUTTONS.START) resume();
+    });
+    this.createButton(width / 2, height / 2 + 40, t(`pause.resume`), () => {
       this.scene.stop();
       this.scene.resume(`GameScene`);
     });
-    this.createButton(width / 2, height / 2 + 110, `MAIN MENU`, () => {
+    this.createButton(width / 2, height / 2 + 110, t(`pause.mainMenu`), () => {
       this.scene.stop(`GameScene`);
       this.scene.stop();
       this.scene.start(`MenuScene`);
@@ -7746,7 +10654,7 @@ class ChallengesScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 60, `[CHALLENGES]`, {
+    const title = this.add.text(width / 2, 60, t(`challenges.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -7776,19 +10684,17 @@ class ChallengesScene extends BaseScene {
     challengesContainer.lineStyle(2, 0x00ffff, 0.5);
     challengesContainer.strokeRect(width / 2 - 320, 170, 640, 400);
     let yPos = 200;
-    const challengeTypes = {
-      gold_collector: `Catch {target} gold items`,
-      bomb_destroyer: `Destroy {target} bombs`,
-      level_master: `Reach level {target}`,
-      perfect_run: `Catch {target} items without missing`
-    };
+    const describe = challenge => t(`challenges.types.${challenge.type}`, {
+      target: challenge.target,
+      count: challenge.target
+    });
     if (challenges.daily) {
       const dailyBox = this.add.graphics();
       dailyBox.fillStyle(0x221100, 0.5);
       dailyBox.fillRect(width / 2 - 290, yPos - 10, 580, 140);
       dailyBox.lineStyle(2, 0xffdd00, 0.6);
       dailyBox.strokeRect(width / 2 - 290, yPos - 10, 580, 140);
-      const dailyText = this.add.text(width / 2, yPos + 10, `DAILY CHALLENGE`, {
+      const dailyText = this.add.text(width / 2, yPos + 10, t(`challenges.daily`), {
         fontSize: `20px`,
         color: `#ffdd00`,
         fontStyle: `bold`,
@@ -7797,12 +10703,12 @@ class ChallengesScene extends BaseScene {
       });
       dailyText.setOrigin(0.5);
       yPos += 45;
-      const desc = challengeTypes[challenges.daily.type].replace(`{target}`, challenges.daily.target);
-      const descText = this.add.text(width / 2, yPos, desc, {
+      const descText = this.add.text(width / 2, yPos, describe(challenges.daily), {
         fontSize: `18px`,
         color: `#ffffff`
       });
       descText.setOrigin(0.5);
+      this.fitText(descText, 560);
       yPos += 30;
       const progress = Math.min(challenges.daily.progress, challenges.daily.target);
       const progressPercent = (progress / challenges.daily.target * 100).toFixed(0);
@@ -7828,13 +10734,13 @@ class ChallengesScene extends BaseScene {
       rewardText.setOrigin(0.5);
       yPos += 30;
       if (progress >= challenges.daily.target && !challenges.daily.claimed) {
-        this.createButton(width / 2, yPos - 35, `CLAIM REWARD`, () => {
+        this.createButton(width / 2, yPos - 35, t(`challenges.claim`), () => {
           try {
             const newCurrency = currency + challenges.daily.reward;
-            localStorage.setItem(`dropkeeper_currency`, newCurrency.toString());
+            StorageManager.set(STORAGE_KEYS.CURRENCY, newCurrency);
             challenges.daily.claimed = true;
             challenges.daily.progress = 0;
-            localStorage.setItem(`dropkeeper_challenges`, JSON.stringify(challenges));
+            StorageManager.set(STORAGE_KEYS.CHALLENGES, challenges);
             this.scene.restart();
           } catch (e) {
             console.error(`Failed to claim reward:`, e);
@@ -7849,7 +10755,7 @@ class ChallengesScene extends BaseScene {
       weeklyBox.fillRect(width / 2 - 290, yPos - 10, 580, 140);
       weeklyBox.lineStyle(2, 0xff00ff, 0.6);
       weeklyBox.strokeRect(width / 2 - 290, yPos - 10, 580, 140);
-      const weeklyText = this.add.text(width / 2, yPos + 10, `WEEKLY CHALLENGE`, {
+      const weeklyText = this.add.text(width / 2, yPos + 10, t(`challenges.weekly`), {
         fontSize: `20px`,
         color: `#ff00ff`,
         fontStyle: `bold`,
@@ -7858,12 +10764,12 @@ class ChallengesScene extends BaseScene {
       });
       weeklyText.setOrigin(0.5);
       yPos += 45;
-      const desc = challengeTypes[challenges.weekly.type].replace(`{target}`, challenges.weekly.target);
-      const descText = this.add.text(width / 2, yPos, desc, {
+      const descText = this.add.text(width / 2, yPos, describe(challenges.weekly), {
         fontSize: `18px`,
         color: `#ffffff`
       });
       descText.setOrigin(0.5);
+      this.fitText(descText, 560);
       yPos += 30;
       const progress = Math.min(challenges.weekly.progress, challenges.weekly.target);
       const progressPercent = (progress / challenges.weekly.target * 100).toFixed(0);
@@ -7889,13 +10795,13 @@ class ChallengesScene extends BaseScene {
       rewardText.setOrigin(0.5);
       yPos += 30;
       if (progress >= challenges.weekly.target && !challenges.weekly.claimed) {
-        this.createButton(width / 2, yPos - 35, `CLAIM REWARD`, () => {
+        this.createButton(width / 2, yPos - 35, t(`challenges.claim`), () => {
           try {
             const newCurrency = currency + challenges.weekly.reward;
-            localStorage.setItem(`dropkeeper_currency`, newCurrency.toString());
+            StorageManager.set(STORAGE_KEYS.CURRENCY, newCurrency);
             challenges.weekly.claimed = true;
             challenges.weekly.progress = 0;
-            localStorage.setItem(`dropkeeper_challenges`, JSON.stringify(challenges));
+            StorageManager.set(STORAGE_KEYS.CHALLENGES, challenges);
             this.scene.restart();
           } catch (e) {
             console.error(`Failed to claim reward:`, e);
@@ -7903,7 +10809,7 @@ class ChallengesScene extends BaseScene {
         });
       }
     }
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
+    this.createButton(width / 2, height - 70, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
@@ -7933,7 +10839,7 @@ class ChallengesScene extends BaseScene {
         claimed: false
       };
     }
-    localStorage.setItem(`dropkeeper_challenges`, JSON.stringify(challenges));
+    StorageManager.set(STORAGE_KEYS.CHALLENGES, challenges);
   }
 }
 class UpgradesScene extends BaseScene {
@@ -7949,7 +10855,7 @@ class UpgradesScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 60, `[UPGRADE SHOP]`, {
+    const title = this.add.text(width / 2, 60, t(`upgrades.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -7980,45 +10886,38 @@ class UpgradesScene extends BaseScene {
     let yPos = 190;
     const upgradeConfigs = [{
       key: `moveSpeed`,
-      name: `Movement Speed`,
-      maxLevel: 5,
-      cost: level => 50 + level * 50,
-      desc: `+50 speed per level`
+      maxLevel: UPGRADE_LIMITS.moveSpeed,
+      cost: level => 50 + level * 50
     }, {
       key: `dashCooldown`,
-      name: `Dash Cooldown`,
-      maxLevel: 5,
-      cost: level => 75 + level * 75,
-      desc: `-150ms per level`
+      maxLevel: UPGRADE_LIMITS.dashCooldown,
+      cost: level => 75 + level * 75
     }, {
       key: `fireRate`,
-      name: `Fire Rate`,
-      maxLevel: 5,
-      cost: level => 60 + level * 60,
-      desc: `-50ms per level`
+      maxLevel: UPGRADE_LIMITS.fireRate,
+      cost: level => 60 + level * 60
     }, {
       key: `extraLife`,
-      name: `Extra Life`,
-      maxLevel: 1,
-      cost: () => 300,
-      desc: `Start with 4 lives`
+      maxLevel: UPGRADE_LIMITS.extraLife,
+      cost: () => 300
     }, {
       key: `startShield`,
-      name: `Shield Start`,
-      maxLevel: 1,
-      cost: () => 250,
-      desc: `Begin with shield`
+      maxLevel: UPGRADE_LIMITS.startShield,
+      cost: () => 250
     }];
     upgradeConfigs.forEach(config => {
       const currentLevel = upgrades[config.key] || 0;
       const maxed = typeof config.maxLevel === `number` && currentLevel >= config.maxLevel || typeof upgrades[config.key] === `boolean` && upgrades[config.key];
-      const levelText = typeof upgrades[config.key] === `boolean` ? upgrades[config.key] ? `OWNED` : `NOT OWNED` : `LVL ${currentLevel}/${config.maxLevel}`;
+      const levelText = typeof upgrades[config.key] === `boolean` ? t(upgrades[config.key] ? `upgrades.owned` : `upgrades.notOwned`) : t(`upgrades.level`, {
+        level: currentLevel,
+        max: config.maxLevel
+      });
       const upgradeBox = this.add.graphics();
       upgradeBox.fillStyle(maxed ? 0x002200 : 0x111111, 0.6);
       upgradeBox.fillRect(width / 2 - 320, yPos - 5, 640, 75);
       upgradeBox.lineStyle(1, maxed ? 0x00ff00 : 0x00ffff, 0.6);
       upgradeBox.strokeRect(width / 2 - 320, yPos - 5, 640, 75);
-      const nameText = this.add.text(width / 2 - 300, yPos + 5, `${config.name}`, {
+      const nameText = this.add.text(width / 2 - 300, yPos + 5, t(`upgrades.items.${config.key}.name`), {
         fontSize: `18px`,
         color: `#ffffff`,
         fontStyle: `bold`
@@ -8030,7 +10929,7 @@ class UpgradesScene extends BaseScene {
         fontStyle: `bold`
       });
       levelDisplay.setOrigin(1, 0);
-      const descText = this.add.text(width / 2 - 300, yPos + 28, config.desc, {
+      const descText = this.add.text(width / 2 - 300, yPos + 28, t(`upgrades.items.${config.key}.desc`), {
         fontSize: `14px`,
         color: `#888888`
       });
@@ -8038,7 +10937,9 @@ class UpgradesScene extends BaseScene {
       if (!maxed) {
         const cost = config.cost(currentLevel);
         const canAfford = currency >= cost;
-        const buyButton = this.add.text(width / 2 + 300, yPos + 50, `BUY (💎 ${cost})`, {
+        const buyButton = this.add.text(width / 2 + 300, yPos + 50, t(`upgrades.buy`, {
+          cost
+        }), {
           fontSize: `16px`,
           color: canAfford ? `#00ffff` : `#555555`,
           fontStyle: `bold`
@@ -8070,7 +10971,7 @@ class UpgradesScene extends BaseScene {
       }
       yPos += 85;
     });
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
+    this.createButton(width / 2, height - 70, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
@@ -8114,23 +11015,81 @@ class TutorialScene extends BaseScene {
     this.player.speed = 400;
   }
   setupControls() {
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-    this.cursors.left.on(`down`, () => this.handleDoubleTap(`left`));
-    this.cursors.right.on(`down`, () => this.handleDoubleTap(`right`));
-    this.cursors.left.on(`up`, () => this.endDash(`left`));
-    this.cursors.right.on(`up`, () => this.endDash(`right`));
-    this.input.keyboard.on(`keydown-ONE`, () => {
+    this.keys = InputBindings.addKeys(this);
+    this.dashMode = InputBindings.getDashMode();
+    this.doubleTapWindow = InputBindings.getDoubleTapWindow();
+    this.keys.LEFT.on(`down`, () => this.handleDoubleTap(`left`));
+    this.keys.RIGHT.on(`down`, () => this.handleDoubleTap(`right`));
+    this.keys.LEFT.on(`up`, () => this.releaseDirection(`left`));
+    this.keys.RIGHT.on(`up`, () => this.releaseDirection(`right`));
+    this.keys.DASH.on(`down`, () => this.pressDash(this.keys.LEFT.isDown ? `left` : this.keys.RIGHT.isDown ? `right` : null));
+    this.keys.DASH.on(`up`, () => this.releaseDash());
+    this.keys.GUN.on(`down`, () => {
       if (this.tutorialStep === 4) {
         this.switchWeapon(`gun`);
       }
     });
-    this.input.keyboard.on(`keydown-TWO`, () => {
+    this.keys.NET.on(`down`, () => {
       if (this.tutorialStep === 4) {
         this.switchWeapon(`net`);
         this.weaponComplete = true;
       }
     });
+    this.menuFocus.enabled = false;
+    this.input.gamepad?.on(`down`, this.onGamepadDown, this);
+    this.input.gamepad?.on(`up`, this.onGamepadUp, this);
+    if (TouchControls.isSupported(this)) {
+      this.touchControls = new TouchControls(this, {
+        pause: false
+      });
+      this.touchControls.on(`fire-down`, () => {
+        if (this.tutorialStep === -1) this.clearOverviewAndStart();
+      });
+      this.touchControls.on(`weapon-toggle`, () => {
+        if (this.tutorialStep !== 4) return;
+        this.switchWeapon(this.currentWeapon === `gun` ? `net` : `gun`);
+        if (this.currentWeapon === `net`) this.weaponComplete = true;
+      });
+      this.touchControls.on(`dash`, direction => this.pressDash(direction));
+      this.touchControls.on(`dash-end`, () => this.releaseDash());
+    }
+  }
+  onGamepadDown(pad, button) {
+    const {
+      A,
+      X,
+      Y,
+      LB,
+      RB,
+      LEFT,
+      RIGHT,
+      BACK
+    } = GamepadInput.BUTTONS;
+    if (button.index === LEFT) this.handleDoubleTap(`left`);
+    if (button.index === RIGHT) this.handleDoubleTap(`right`);
+    if (button.index === A && this.tutorialStep === -1) this.clearOverviewAndStart();
+    if (button.index === BACK) this.scene.start(`MenuScene`);
+    if (button.index === LB || button.index === RB) {
+      const padX = GamepadInput.getAxisX(this);
+      this.pressDash(padX < 0 ? `left` : padX > 0 ? `right` : null);
+    }
+    if (this.tutorialStep !== 4) return;
+    if (button.index === X) this.switchWeapon(`gun`);
+    if (button.index === Y) {
+      this.switchWeapon(`net`);
+      this.weaponComplete = true;
+    }
+  }
+  onGamepadUp(pad, button) {
+    const {
+      LB,
+      RB,
+      LEFT,
+      RIGHT
+    } = GamepadInput.BUTTONS;
+    if (button.index === LEFT) this.releaseDirection(`left`);
+    if (button.index === RIGHT) this.releaseDirection(`right`);
+    if (button.index === LB || button.index === RB) this.releaseDash();
   }
   setupParticles() {
     const quality = this.performanceManager?.getQualitySettings() || {
@@ -8141,7 +11100,7 @@ class TutorialScene extends BaseScene {
     const effectDuration = Math.max(400, 800 * quality.effects);
     const catchEffect = StorageManager.get(STORAGE_KEYS.CATCH_EFFECT, 'default');
     const catchConfig = CUSTOMIZATION_OPTIONS.catchEffects[catchEffect];
-    this.catchEmitter = this.add.particles(0, 0, `particle`, {
+    this.catchEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 150,
         max: 250
@@ -8162,7 +11121,7 @@ class TutorialScene extends BaseScene {
     const trailEffect = StorageManager.get(STORAGE_KEYS.PLAYER_TRAIL, 'default');
     const trailConfig = CUSTOMIZATION_OPTIONS.playerTrails[trailEffect];
     this.setupTrailEffect(trailConfig, quality);
-    this.dashEmitter = this.add.particles(0, 0, `particle`, {
+    this.dashEmitter = this.addParticles(0, 0, `particle`, {
       speed: {
         min: 100,
         max: 200
@@ -8195,7 +11154,7 @@ class TutorialScene extends BaseScene {
       };
     }
     if (config.type === 'solid') {
-      this.trailEmitter = this.add.particles(0, 0, `particle`, {
+      this.trailEmitter = this.addParticles(0, 0, `particle`, {
         follow: this.player,
         scale: {
           start: 0.6 * particleScale,
@@ -8212,7 +11171,7 @@ class TutorialScene extends BaseScene {
         }
       });
     } else if (config.type === 'glitch') {
-      this.trailEmitter = this.add.particles(0, 0, `particle`, {
+      this.trailEmitter = this.addParticles(0, 0, `particle`, {
         follow: this.player,
         scale: {
           start: 0.5 * particleScale,
@@ -8236,7 +11195,7 @@ class TutorialScene extends BaseScene {
         }
       });
     } else if (config.type === 'echo') {
-      this.trailEmitter = this.add.particles(0, 0, `particle`, {
+      this.trailEmitter = this.addParticles(0, 0, `particle`, {
         follow: this.player,
         scale: {
           start: 0.7 * particleScale,
@@ -8253,7 +11212,7 @@ class TutorialScene extends BaseScene {
         }
       });
     } else if (config.type === 'neon') {
-      this.trailEmitter = this.add.particles(0, 0, `particle`, {
+      this.trailEmitter = this.addParticles(0, 0, `particle`, {
         follow: this.player,
         scale: {
           start: 0.4 * particleScale,
@@ -8270,7 +11229,7 @@ class TutorialScene extends BaseScene {
         }
       });
     } else if (config.type === 'stars') {
-      this.trailEmitter = this.add.particles(0, 0, `particle`, {
+      this.trailEmitter = this.addParticles(0, 0, `particle`, {
         follow: this.player,
         scale: {
           start: 0.2 * particleScale,
@@ -8290,7 +11249,7 @@ class TutorialScene extends BaseScene {
         }
       });
     } else {
-      this.trailEmitter = this.add.particles(0, 0, `particle`, {
+      this.trailEmitter = this.addParticles(0, 0, `particle`, {
         follow: this.player,
         scale: {
           start: 0.3 * particleScale,
@@ -8307,7 +11266,7 @@ class TutorialScene extends BaseScene {
   createTutorialUI() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    this.title = this.add.text(width / 2, 40, `[INTERACTIVE TUTORIAL]`, {
+    this.title = this.add.text(width / 2, 40, t(`tutorial.title`), {
       fontSize: `38px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -8326,7 +11285,7 @@ class TutorialScene extends BaseScene {
     }).setOrigin(0.5);
     this.items = this.add.group();
     this.projectiles = this.add.group();
-    this.weaponText = this.add.text(width / 2, height - 40, `[GUN]`, {
+    this.weaponText = this.add.text(width / 2, height - 40, `[${t(`hud.weapons.gun`)}]`, {
       fontSize: `24px`,
       color: `#00ffff`,
       stroke: `#000000`,
@@ -8336,7 +11295,7 @@ class TutorialScene extends BaseScene {
       fontSize: `16px`,
       color: `#ffdd00`
     }).setOrigin(0.5);
-    this.skipButton = this.add.text(width - 20, height - 20, `SKIP TUTORIAL`, {
+    this.skipButton = this.add.text(width - 20, height - 20, t(`tutorial.skip`), {
       fontSize: `18px`,
       color: `#888888`,
       backgroundColor: `#222222`,
@@ -8360,82 +11319,118 @@ class TutorialScene extends BaseScene {
   }
   switchWeapon(weaponType) {
     this.currentWeapon = weaponType;
-    this.weaponText.setText(`[${weaponType.toUpperCase()}]`);
+    this.weaponText.setText(`[${t(`hud.weapons.${weaponType}`)}]`);
     this.weaponText.setColor(weaponType === `gun` ? `#00ffff` : `#ffdd00`);
   }
   showOverview() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    this.title.setText(`[HOW TO PLAY]`);
+    this.title.setText(t(`tutorial.howToPlay`));
     this.instructionBox.clear();
     this.instructionBox.fillStyle(0x000000, 0.6);
     this.instructionBox.fillRect(width / 2 - 350, 70, 700, height - 180);
     this.instructionBox.lineStyle(2, 0x00ffff, 0.8);
     this.instructionBox.strokeRect(width / 2 - 350, 70, 700, height - 180);
     this.overviewElements = [];
-    const controlsTitle = this.add.text(width / 2, 95, `>> CONTROLS <<`, {
+    const controlsTitle = this.add.text(width / 2, 95, t(`tutorial.controls`), {
       fontSize: `24px`,
       color: `#ff00ff`,
       fontStyle: `bold`
     }).setOrigin(0.5);
     this.overviewElements.push(controlsTitle);
-    const instructions = [`← → ARROW KEYS - Move left/right`, `DOUBLE-TAP + HOLD - Dash`, `SPACE - Fire weapon`, `1 / 2 - Switch weapons`, `O - Activate Overcharge`, ``, `>> OBJECTIVE <<`, `Catch falling items before they hit the ground!`, `Avoid bombs or shoot them with your weapon!`, ``, `>> POWER-UPS <<`, `🛡️ Shield - Forgive 3 missed items`, `🧲 Magnet - Auto-attract positive items`, `⏱️ Slow-Mo - Slow down time`, ``, `Miss 3 items = GAME OVER!`];
+    const label = action => InputBindings.label(action);
+    const moveLine = t(`tutorial.move`, {
+      left: label(`LEFT`),
+      right: label(`RIGHT`)
+    });
+    const dashLine = t(`tutorial.dash`, {
+      mode: t(`tutorial.dashModes.${InputBindings.getDashMode()}`, {
+        dash: label(`DASH`)
+      })
+    });
+    const instructions = [moveLine, dashLine, t(`tutorial.fire`, {
+      fire: label(`FIRE`)
+    }), t(`tutorial.switch`, {
+      gun: label(`GUN`),
+      net: label(`NET`)
+    }), t(`tutorial.overcharge`, {
+      overcharge: label(`OVERCHARGE`)
+    }), t(`tutorial.gamepad`), ``, t(`tutorial.objective`), t(`tutorial.catchItems`), t(`tutorial.avoidBombs`), ``, t(`tutorial.powerUps`), t(`tutorial.shield`), t(`tutorial.magnet`), t(`tutorial.slowMo`), ``, t(`tutorial.missLimit`)];
     let yPos = 130;
     instructions.forEach(line => {
       const isHeader = line.includes(`>>`);
-      const isHighlight = line.includes(`🛡️`) || line.includes(`←`);
+      const isHighlight = line.includes(`🛡️`) || line === moveLine;
       const text = this.add.text(width / 2, yPos, line, {
         fontSize: isHeader ? `20px` : `16px`,
         color: isHeader ? `#00ffff` : isHighlight ? `#ffdd00` : `#ffffff`,
         align: `center`,
         fontStyle: isHeader ? `bold` : `normal`
       }).setOrigin(0.5);
+      this.fitText(text, 680);
       this.overviewElements.push(text);
       yPos += line === `` ? 15 : 24;
     });
-    this.instructionText.setText(`Ready to try it yourself?`).setY(height - 90);
-    this.progressText.setText(`Press SPACE to start interactive tutorial`).setY(height - 65);
-    this.spaceKey.once(`down`, () => this.clearOverviewAndStart());
+    this.instructionText.setText(t(`tutorial.ready`)).setY(height - 90);
+    this.progressText.setText(t(`tutorial.pressToStart`, {
+      fire: InputBindings.label(`FIRE`)
+    })).setY(height - 65);
+    this.keys.FIRE.once(`down`, () => this.clearOverviewAndStart());
   }
   clearOverviewAndStart() {
+    if (this.overviewElements.length === 0) return;
     this.overviewElements.forEach(element => element.destroy());
     this.overviewElements = [];
     const width = this.cameras.main.width;
     this.drawInstructionBox(width);
     this.instructionText.setY(130);
-    this.title.setText(`[INTERACTIVE TUTORIAL]`);
+    this.title.setText(t(`tutorial.title`));
     this.startTutorialStep(1);
   }
   startTutorialStep(step) {
     this.tutorialStep = step;
     const width = this.cameras.main.width;
     this.controlHighlights.removeAll(true);
+    const label = action => InputBindings.label(action);
     const stepConfigs = {
       1: {
-        instruction: `Use ← → ARROW KEYS to move left and right\nTry moving in both directions!`,
-        progress: `Step 1/5: Learn Movement`,
+        instruction: t(`tutorial.steps.move`, {
+          left: label(`LEFT`),
+          right: label(`RIGHT`)
+        }),
+        progress: t(`tutorial.steps.moveProgress`),
         highlight: () => this.highlightArrowKeys()
       },
       2: {
-        instruction: `DOUBLE-TAP and HOLD an arrow key to DASH\nTry dashing left or right!`,
-        progress: `Step 2/5: Learn Dashing`,
+        instruction: t(`tutorial.steps.dash`, {
+          hint: InputBindings.getDashHint()
+        }),
+        progress: t(`tutorial.steps.dashProgress`),
         highlight: () => this.highlightArrowKeys()
       },
       3: {
-        instruction: `Catch the falling items by moving under them!\nCatch 3 items to continue`,
-        progress: `Step 3/5: Catch Items (0/3)`,
+        instruction: t(`tutorial.steps.catch`, {
+          count: 3
+        }),
+        progress: t(`tutorial.steps.catchProgress`, {
+          progress: `(0/3)`
+        }),
         setup: () => this.setupItemSpawner(width),
         highlight: () => this.highlightArrowKeys()
       },
       4: {
-        instruction: `Press 1 for GUN, 2 for NET\nTry switching to NET weapon!`,
-        progress: `Step 4/5: Switch Weapons`,
+        instruction: t(`tutorial.steps.switch`, {
+          gun: label(`GUN`),
+          net: label(`NET`)
+        }),
+        progress: t(`tutorial.steps.switchProgress`),
         setup: () => this.cleanupStep3(),
         highlight: () => this.highlightNumberKeys()
       },
       5: {
-        instruction: `Press SPACE to fire your weapon!\nDestroy the bomb to complete the tutorial`,
-        progress: `Step 5/5: Use Weapons`,
+        instruction: t(`tutorial.steps.fire`, {
+          fire: label(`FIRE`)
+        }),
+        progress: t(`tutorial.steps.fireProgress`),
         setup: () => this.setupBombTarget(width),
         highlight: () => this.highlightSpaceKey()
       }
@@ -8451,7 +11446,7 @@ class TutorialScene extends BaseScene {
   highlightArrowKeys() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    const leftKey = this.add.text(width / 2 - 80, height - 120, `←`, {
+    const leftKey = this.add.text(width / 2 - 80, height - 120, InputBindings.label(`LEFT`), {
       fontSize: `48px`,
       color: `#00ffff`,
       backgroundColor: `#000000`,
@@ -8460,7 +11455,7 @@ class TutorialScene extends BaseScene {
         y: 10
       }
     });
-    const rightKey = this.add.text(width / 2 + 80, height - 120, `→`, {
+    const rightKey = this.add.text(width / 2 + 80, height - 120, InputBindings.label(`RIGHT`), {
       fontSize: `48px`,
       color: `#00ffff`,
       backgroundColor: `#000000`,
@@ -8484,7 +11479,7 @@ class TutorialScene extends BaseScene {
   highlightNumberKeys() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    const key1 = this.add.text(width / 2 - 60, height - 120, `1`, {
+    const key1 = this.add.text(width / 2 - 60, height - 120, InputBindings.label(`GUN`), {
       fontSize: `48px`,
       color: `#00ffff`,
       backgroundColor: `#000000`,
@@ -8493,7 +11488,7 @@ class TutorialScene extends BaseScene {
         y: 10
       }
     });
-    const key2 = this.add.text(width / 2 + 60, height - 120, `2`, {
+    const key2 = this.add.text(width / 2 + 60, height - 120, InputBindings.label(`NET`), {
       fontSize: `48px`,
       color: `#ffdd00`,
       backgroundColor: `#000000`,
@@ -8517,7 +11512,7 @@ class TutorialScene extends BaseScene {
   highlightSpaceKey() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    const spaceKey = this.add.text(width / 2, height - 120, `SPACE`, {
+    const spaceKey = this.add.text(width / 2, height - 120, InputBindings.label(`FIRE`), {
       fontSize: `36px`,
       color: `#ff00ff`,
       backgroundColor: `#000000`,
@@ -8526,7 +11521,7 @@ class TutorialScene extends BaseScene {
         y: 15
       }
     }).setOrigin(0.5);
-    this.tweens.add({
+    this.addEffectTween({
       targets: spaceKey,
       alpha: {
         from: 1,
@@ -8582,10 +11577,25 @@ class TutorialScene extends BaseScene {
     this.items.add(bomb);
     this.projectileCooldown = 0;
   }
-  handleDoubleTap(direction) {
+  pressDash(direction) {
     if (this.tutorialStep !== 2) return;
+    if (this.dashMode === `toggle` && this.isDashing) {
+      this.endDash(this.dashDirection);
+      return;
+    }
+    if (!direction || this.isDashing || this.time.now - this.dashCooldown < 1000) return;
+    this.activateDash(direction);
+  }
+  releaseDash() {
+    if (this.dashMode !== `toggle` && this.isDashing) this.endDash(this.dashDirection);
+  }
+  releaseDirection(direction) {
+    if (this.dashMode !== `toggle`) this.endDash(direction);
+  }
+  handleDoubleTap(direction) {
+    if (this.tutorialStep !== 2 || this.dashMode !== `doubletap`) return;
     const currentTime = this.time.now;
-    const doubleTapWindow = 300;
+    const doubleTapWindow = this.doubleTapWindow;
     if (currentTime - this.dashCooldown < 1000) return;
     const tapProperty = direction === `left` ? `lastLeftTap` : `lastRightTap`;
     if (currentTime - this[tapProperty] < doubleTapWindow && !this.isDashing) {
@@ -8625,10 +11635,13 @@ class TutorialScene extends BaseScene {
   }
   handlePlayerMovement(delta, width) {
     const moveSpeed = this.isDashing ? this.player.speed * 2.5 : 400;
-    if (this.cursors.left.isDown) {
+    const padX = GamepadInput.getAxisX(this) || this.touchControls?.axisX || 0;
+    if (this.isDashing && this.dashMode === `toggle`) {
+      this.player.x += (this.dashDirection === `left` ? -moveSpeed : moveSpeed) * delta / 1000;
+    } else if (this.keys.LEFT.isDown || padX < 0) {
       this.player.x -= (this.isDashing && this.dashDirection === `left` ? moveSpeed : 400) * delta / 1000;
       if (this.tutorialStep === 1) this.movementComplete = true;
-    } else if (this.cursors.right.isDown) {
+    } else if (this.keys.RIGHT.isDown || padX > 0) {
       this.player.x += (this.isDashing && this.dashDirection === `right` ? moveSpeed : 400) * delta / 1000;
       if (this.tutorialStep === 1) this.movementComplete = true;
     }
@@ -8665,7 +11678,9 @@ class TutorialScene extends BaseScene {
         this.catchComplete++;
         const progressBar = `[${'█'.repeat(this.catchComplete)}${'░'.repeat(3 - this.catchComplete)}]`;
         if (this.progressText) {
-          this.progressText.setText(`Step 3/5: Catch Items ${progressBar} ${this.catchComplete}/3`);
+          this.progressText.setText(t(`tutorial.steps.catchProgress`, {
+            progress: `${progressBar} ${this.catchComplete}/3`
+          }));
         }
         if (this.catchComplete >= 3) {
           this.time.delayedCall(500, () => this.startTutorialStep(4));
@@ -8682,7 +11697,7 @@ class TutorialScene extends BaseScene {
     }
   }
   updateStep5(time) {
-    if (this.spaceKey.isDown && time - this.projectileCooldown > 300) {
+    if ((this.keys.FIRE.isDown || GamepadInput.isHeld(this, GamepadInput.BUTTONS.A) || this.touchControls?.fireHeld) && time - this.projectileCooldown > 300) {
       this.projectileCooldown = time;
       this.fireProjectile();
     }
@@ -8722,7 +11737,7 @@ class TutorialScene extends BaseScene {
       tint: 0xff0066
     });
     this.catchEmitter.explode(40);
-    this.cameras.main.flash(100, 255, 0, 102, 0.3);
+    this.flashCamera(100, 255, 0, 102, 0.3);
     item.destroy();
     projectile.destroy();
     this.time.delayedCall(1000, () => this.completeTutorial());
@@ -8765,6 +11780,11 @@ class TutorialScene extends BaseScene {
         console.warn('Error removing keyboard listeners:', e);
       }
     }
+    this.input.gamepad?.off(`down`, this.onGamepadDown, this);
+    this.input.gamepad?.off(`up`, this.onGamepadUp, this);
+    this.touchControls?.destroy();
+    this.touchControls = null;
+    this.menuFocus.enabled = true;
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
     const completeBox = this.add.graphics();
@@ -8772,18 +11792,18 @@ class TutorialScene extends BaseScene {
     completeBox.fillRect(width / 2 - 250, height / 2 - 100, 500, 200);
     completeBox.lineStyle(3, 0x00ff00, 1);
     completeBox.strokeRect(width / 2 - 250, height / 2 - 100, 500, 200);
-    this.add.text(width / 2, height / 2 - 50, `✓ TUTORIAL COMPLETE!`, {
+    this.fitText(this.add.text(width / 2, height / 2 - 50, t(`tutorial.complete`), {
       fontSize: `36px`,
       color: `#00ff00`,
       fontStyle: `bold`,
       stroke: `#000000`,
       strokeThickness: 2
-    }).setOrigin(0.5);
-    this.add.text(width / 2, height / 2, `You're ready to play!`, {
+    }).setOrigin(0.5), 480);
+    this.add.text(width / 2, height / 2, t(`tutorial.readyToPlay`), {
       fontSize: `20px`,
       color: `#ffffff`
     }).setOrigin(0.5);
-    const continueButton = this.add.text(width / 2, height / 2 + 50, `BACK TO MENU`, {
+    const continueButton = this.add.text(width / 2, height / 2 + 50, t(`common.backToMenu`), {
       fontSize: `24px`,
       color: `#00ffff`,
       backgroundColor: `#000000`,
@@ -8812,7 +11832,7 @@ class ShopScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 60, `[COSMETIC SHOP]`, {
+    const title = this.add.text(width / 2, 60, t(`shop.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -8863,7 +11883,7 @@ class ShopScene extends BaseScene {
     if (achievements.untouchable?.unlocked) skins.find(s => s.name === `purple`).unlocked = true;
     const ownedSkins = StorageManager.get(STORAGE_KEYS.OWNED_SKINS, [`default`]);
     let yPos = 200;
-    this.add.text(width / 2, 190, `PLAYER SKINS`, {
+    this.add.text(width / 2, 190, t(`shop.skins`), {
       fontSize: `24px`,
       color: `#ffdd00`,
       fontStyle: `bold`
@@ -8876,20 +11896,24 @@ class ShopScene extends BaseScene {
       itemBox.fillRect(width / 2 - 320, yPos - 5, 640, 60);
       itemBox.lineStyle(1, owned ? 0x00ff00 : 0x00ffff, 0.6);
       itemBox.strokeRect(width / 2 - 320, yPos - 5, 640, 60);
-      this.add.text(width / 2 - 300, yPos + 10, `${skin.name.toUpperCase()} SKIN`, {
+      this.add.text(width / 2 - 300, yPos + 10, t(`shop.skinName`, {
+        skin: I18n.optional(`skins.${skin.name}`, skin.name.toUpperCase())
+      }), {
         fontSize: `16px`,
         color: `#ffffff`,
         fontStyle: `bold`
       }).setOrigin(0, 0);
       if (owned) {
-        this.add.text(width / 2 + 300, yPos + 10, `OWNED`, {
+        this.add.text(width / 2 + 300, yPos + 10, t(`shop.owned`), {
           fontSize: `16px`,
           color: `#00ff00`,
           fontStyle: `bold`
         }).setOrigin(1, 0);
       } else {
         const canAfford = currency >= skin.price;
-        const buyButton = this.add.text(width / 2 + 300, yPos + 10, `BUY (💎 ${skin.price})`, {
+        const buyButton = this.add.text(width / 2 + 300, yPos + 10, t(`shop.buy`, {
+          cost: skin.price
+        }), {
           fontSize: `16px`,
           color: canAfford ? `#00ffff` : `#555555`,
           fontStyle: `bold`
@@ -8910,14 +11934,14 @@ class ShopScene extends BaseScene {
             StorageManager.set(STORAGE_KEYS.CURRENCY, currency - skin.price);
             ownedSkins.push(skin.name);
             StorageManager.set(STORAGE_KEYS.OWNED_SKINS, ownedSkins);
-            if (this.game.sounds?.powerup) this.game.sounds.powerup();
+            this.game.sounds?.purchase?.();
             this.scene.restart();
           });
         }
       }
       yPos += 70;
     });
-    this.createButton(width / 2, height - 70, `BACK TO MENU`, () => {
+    this.createButton(width / 2, height - 70, t(`common.backToMenu`), () => {
       if (this.game.sounds?.click) this.game.sounds.click();
       this.scene.start(`MenuScene`);
     });
@@ -8936,7 +11960,7 @@ class StatsScene extends BaseScene {
       height
     } = this.cameras.main;
     this.createCyberpunkBackground();
-    const title = this.add.text(width / 2, 50, `[STATISTICS]`, {
+    const title = this.add.text(width / 2, 50, t(`statsScreen.title`), {
       fontSize: `48px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -8979,52 +12003,100 @@ class StatsScene extends BaseScene {
       }).setOrigin(0.5, 0);
       return y + 32;
     };
-    leftY = createHeader(leftColX, leftY, `>> GAMEPLAY <<`);
+    leftY = createHeader(leftColX, leftY, t(`statsScreen.sections.gameplay`));
     const gamesPlayed = stats.gamesPlayed || 0;
-    leftY = createStat(leftColX, leftY, `Games Played`, gamesPlayed);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.gamesPlayed`), gamesPlayed);
     const totalScore = stats.totalScore || 0;
-    leftY = createStat(leftColX, leftY, `Total Score`, totalScore);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.totalScore`), totalScore);
     const avgScore = gamesPlayed > 0 ? Math.floor(totalScore / gamesPlayed) : 0;
-    leftY = createStat(leftColX, leftY, `Average Score`, avgScore, `#ffdd00`);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.averageScore`), avgScore, `#ffdd00`);
     const highScore = StorageManager.getInt(STORAGE_KEYS.HIGH_SCORE);
-    leftY = createStat(leftColX, leftY, `High Score`, highScore, `#ff0066`);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.highScore`), highScore, `#ff0066`);
     leftY += sectionSpacing - spacing;
-    leftY = createHeader(leftColX, leftY, `>> COLLECTION <<`);
+    leftY = createHeader(leftColX, leftY, t(`statsScreen.sections.collection`));
     const totalItemsCaught = stats.totalItemsCaught || 0;
-    leftY = createStat(leftColX, leftY, `Items Caught`, totalItemsCaught);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.itemsCaught`), totalItemsCaught);
     const goldCaught = stats.goldCaught || 0;
-    leftY = createStat(leftColX, leftY, `Gold Items`, goldCaught, `#ffdd00`);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.goldItems`), goldCaught, `#ffdd00`);
     const bombsDestroyed = stats.bombsDestroyed || 0;
-    leftY = createStat(leftColX, leftY, `Bombs Destroyed`, bombsDestroyed, `#ff0066`);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.bombsDestroyed`), bombsDestroyed, `#ff0066`);
     const maxCombo = stats.maxCombo || 0;
-    leftY = createStat(leftColX, leftY, `Best Combo`, `${maxCombo}x`, `#ff00ff`);
-    rightY = createHeader(rightColX, rightY, `>> TIME PLAYED <<`);
+    leftY = createStat(leftColX, leftY, t(`statsScreen.bestCombo`), `${maxCombo}x`, `#ff00ff`);
+    rightY = createHeader(rightColX, rightY, t(`statsScreen.sections.timePlayed`));
     const totalTimePlayed = stats.totalTimePlayed || 0;
     const hours = Math.floor(totalTimePlayed / 3600);
     const minutes = Math.floor(totalTimePlayed % 3600 / 60);
     const seconds = totalTimePlayed % 60;
     const timeStr = hours > 0 ? `${hours}h ${minutes}m` : minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
-    rightY = createStat(rightColX, rightY, `Total Time`, timeStr);
+    rightY = createStat(rightColX, rightY, t(`statsScreen.totalTime`), timeStr);
     const longestSession = stats.longestSession || 0;
     const longMin = Math.floor(longestSession / 60);
     const longSec = longestSession % 60;
     const longStr = longMin > 0 ? `${longMin}m ${longSec}s` : `${longSec}s`;
-    rightY = createStat(rightColX, rightY, `Longest Session`, longStr, `#ffdd00`);
+    rightY = createStat(rightColX, rightY, t(`statsScreen.longestSession`), longStr, `#ffdd00`);
     rightY += sectionSpacing - spacing;
-    rightY = createHeader(rightColX, rightY, `>> POWERUPS <<`);
+    rightY = createHeader(rightColX, rightY, t(`statsScreen.sections.powerups`));
     const powerupsCollected = stats.powerupsCollected || {};
-    let mostUsedPowerup = `None`;
+    let mostUsedPowerup = t(`statsScreen.none`);
     let maxCount = 0;
     Object.entries(powerupsCollected).forEach(([type, count]) => {
       if (count > maxCount) {
         maxCount = count;
-        mostUsedPowerup = type.toUpperCase();
+        mostUsedPowerup = I18n.optional(`hud.powerups.active.${type}`, type.toUpperCase());
       }
     });
-    rightY = createStat(rightColX, rightY, `Favorite`, mostUsedPowerup, `#ff00ff`);
+    rightY = createStat(rightColX, rightY, t(`statsScreen.favorite`), mostUsedPowerup, `#ff00ff`);
     const totalPowerups = Object.values(powerupsCollected).reduce((a, b) => a + b, 0);
-    rightY = createStat(rightColX, rightY, `Total Collected`, totalPowerups);
-    this.createButton(width / 2, height - 60, `BACK TO MENU`, () => {
+    rightY = createStat(rightColX, rightY, t(`statsScreen.totalCollected`), totalPowerups);
+    let replayY = Math.max(leftY, rightY) + sectionSpacing - spacing;
+    this.add.text(width / 2, replayY, t(`statsScreen.sections.replays`), {
+      fontSize: `20px`,
+      color: `#ff00ff`,
+      fontStyle: `bold`
+    }).setOrigin(0.5, 0);
+    replayY += 32;
+    const replays = ReplayStorage.list();
+    if (replays.length === 0) {
+      this.add.text(width / 2, replayY, t(`statsScreen.noReplays`), {
+        fontSize: `16px`,
+        color: `#888888`
+      }).setOrigin(0.5, 0);
+    }
+    const maxRows = Math.max(0, Math.floor((height - 90 - replayY) / spacing));
+    replays.slice(0, maxRows).forEach(replay => {
+      const date = new Date(replay.createdAt).toLocaleString(I18n.locale);
+      const result = replay.result || {};
+      this.add.text(leftColX, replayY, `${date}`, {
+        fontSize: `16px`,
+        color: `#ffffff`
+      });
+      this.add.text(width / 2 + 60, replayY, t(`statsScreen.replayResult`, {
+        score: result.score || 0,
+        level: result.level || 1
+      }), {
+        fontSize: `16px`,
+        color: `#ffdd00`,
+        fontStyle: `bold`
+      }).setOrigin(1, 0);
+      const watch = this.add.text(width / 2 + boxWidth / 2 - 30, replayY, t(`statsScreen.watch`), {
+        fontSize: `16px`,
+        color: `#00ffff`,
+        fontStyle: `bold`
+      }).setOrigin(1, 0).setInteractive({
+        useHandCursor: true
+      });
+      watch.on(`pointerover`, () => watch.setColor(`#ff00ff`));
+      watch.on(`pointerout`, () => watch.setColor(`#00ffff`));
+      watch.on(`pointerdown`, () => {
+        this.game.sounds?.click?.();
+        this.scene.start(`ReplayScene`, {
+          replayId: replay.id,
+          returnScene: `StatsScene`
+        });
+      });
+      replayY += spacing;
+    });
+    this.createButton(width / 2, height - 60, t(`common.backToMenu`), () => {
       this.scene.start(`MenuScene`);
     });
   }
@@ -9037,6 +12109,7 @@ class GameOverScene extends BaseScene {
   }
   create(data) {
     super.create();
+    this.game.music?.play(`menu`);
     const {
       width,
       height
@@ -9073,12 +12146,12 @@ class GameOverScene extends BaseScene {
     headerBg.fillRect(width / 2 - 350, modalY, 700, 70);
     headerBg.lineStyle(1, 0xff0066, 0.4);
     headerBg.lineBetween(width / 2 - 350, modalY + 70, width / 2 + 350, modalY + 70);
-    const gameOverGlow = this.add.text(width / 2, modalY + 35, `[GAME_OVER]`, {
+    const gameOverGlow = this.add.text(width / 2, modalY + 35, t(`gameOver.title`), {
       fontSize: `56px`,
       color: `#ff0066`,
       fontStyle: `bold`
     }).setOrigin(0.5).setAlpha(0.3);
-    this.tweens.add({
+    this.addEffectTween({
       targets: gameOverGlow,
       scale: {
         from: 1,
@@ -9098,7 +12171,9 @@ class GameOverScene extends BaseScene {
     scoreBox.fillRect(width / 2 - 320, currentY, 640, 50);
     scoreBox.lineStyle(2, 0x00ffff, 0.8);
     scoreBox.strokeRect(width / 2 - 320, currentY, 640, 50);
-    this.add.text(width / 2, currentY + 25, `SCORE: ${data.score}`, {
+    this.add.text(width / 2, currentY + 25, t(`gameOver.score`, {
+      score: data.score
+    }), {
       fontSize: `32px`,
       color: `#00ffff`,
       fontStyle: `bold`,
@@ -9112,31 +12187,31 @@ class GameOverScene extends BaseScene {
     statsBox.lineStyle(1, 0x00ffff, 0.5);
     statsBox.strokeRect(width / 2 - 320, currentY, 640, 120);
     const statItems = [{
-      label: `LEVEL`,
+      label: t(`gameOver.stats.level`),
       value: data.level,
       color: `#ffffff`,
       x: -280
     }, {
-      label: `MAX COMBO`,
+      label: t(`gameOver.stats.maxCombo`),
       value: `${data.maxCombo}x`,
       color: `#ff00ff`,
       x: -90
     }, {
-      label: `GOLD`,
+      label: t(`gameOver.stats.gold`),
       value: data.goldCaught,
       color: `#ffdd00`,
       x: 90
     }, {
-      label: `EARNED`,
+      label: t(`gameOver.stats.earned`),
       value: `💎 ${data.earnedCurrency}`,
       color: `#00ffff`,
       x: 200
     }];
     statItems.forEach(stat => {
-      this.add.text(width / 2 + stat.x, currentY + 25, stat.label, {
+      this.fitText(this.add.text(width / 2 + stat.x, currentY + 25, stat.label, {
         fontSize: `12px`,
         color: `#888888`
-      }).setOrigin(0.5, 0);
+      }).setOrigin(0.5, 0), 100);
       this.add.text(width / 2 + stat.x, currentY + 45, stat.value, {
         fontSize: `18px`,
         color: stat.color,
@@ -9145,15 +12220,21 @@ class GameOverScene extends BaseScene {
     });
     const minutes = Math.floor((data.gameTime || 0) / 60);
     const seconds = (data.gameTime || 0) % 60;
-    this.add.text(width / 2 - 280, currentY + 80, `ITEMS: ${data.itemsCaught || 0}`, {
+    this.add.text(width / 2 - 280, currentY + 80, t(`gameOver.items`, {
+      count: data.itemsCaught || 0
+    }), {
       fontSize: `14px`,
       color: `#cccccc`
     });
-    this.add.text(width / 2 - 90, currentY + 80, `TIME: ${minutes}:${seconds.toString().padStart(2, '0')}`, {
+    this.add.text(width / 2 - 90, currentY + 80, t(`gameOver.time`, {
+      time: `${minutes}:${seconds.toString().padStart(2, '0')}`
+    }), {
       fontSize: `14px`,
       color: `#cccccc`
     });
-    this.add.text(width / 2 + 90, currentY + 80, `XP: +${earnedXP}`, {
+    this.add.text(width / 2 + 90, currentY + 80, t(`gameOver.xp`, {
+      xp: earnedXP
+    }), {
       fontSize: `14px`,
       color: `#ff00ff`,
       fontStyle: `bold`
@@ -9165,7 +12246,7 @@ class GameOverScene extends BaseScene {
       levelUpBox.fillRect(width / 2 - 320, currentY, 640, 95);
       levelUpBox.lineStyle(2, 0xff00ff, 1);
       levelUpBox.strokeRect(width / 2 - 320, currentY, 640, 95);
-      this.add.text(width / 2, currentY + 20, `★ LEVEL UP! ★`, {
+      this.add.text(width / 2, currentY + 20, t(`gameOver.levelUp`), {
         fontSize: `24px`,
         color: `#ff00ff`,
         fontStyle: `bold`,
@@ -9173,17 +12254,19 @@ class GameOverScene extends BaseScene {
         strokeThickness: 2
       }).setOrigin(0.5);
       const newRank = LevelingSystem.getRankTitle(newLevel);
-      const levelInfo = this.add.text(width / 2, currentY + 48, `${currentLevel} → ${newLevel} [${newRank.title}]`, {
+      const levelInfo = this.add.text(width / 2, currentY + 48, `${currentLevel} → ${newLevel} [${t(`ranks.${newRank.title.toLowerCase()}`)}]`, {
         fontSize: `20px`,
         color: newRank.color,
         fontStyle: `bold`
       }).setOrigin(0.5);
       const newPerks = LevelingSystem.getLevelPerks(newLevel);
-      this.add.text(width / 2, currentY + 73, `${newPerks.length} Active Perks`, {
+      this.add.text(width / 2, currentY + 73, t(`gameOver.activePerks`, {
+        count: newPerks.length
+      }), {
         fontSize: `14px`,
         color: `#00ff00`
       }).setOrigin(0.5);
-      this.tweens.add({
+      this.addEffectTween({
         targets: levelInfo,
         scale: {
           from: 0.95,
@@ -9202,21 +12285,21 @@ class GameOverScene extends BaseScene {
       });
       currentY += 110;
     }
-    this.saveToLeaderboard(`PLAYER`, data.score, data.level, data.maxCombo);
+    this.saveToLeaderboard(`PLAYER`, data);
     if (isNewRecord) {
       const recordBox = this.add.graphics();
       recordBox.fillStyle(0x332200, 0.9);
       recordBox.fillRect(width / 2 - 320, currentY, 640, 55);
       recordBox.lineStyle(2, 0xffdd00, 1);
       recordBox.strokeRect(width / 2 - 320, currentY, 640, 55);
-      const newHighText = this.add.text(width / 2, currentY + 28, `★ NEW PERSONAL RECORD ★`, {
+      const newHighText = this.add.text(width / 2, currentY + 28, t(`gameOver.newRecord`), {
         fontSize: `20px`,
         color: `#ffdd00`,
         fontStyle: `bold`,
         stroke: `#000000`,
         strokeThickness: 2
       }).setOrigin(0.5);
-      this.tweens.add({
+      this.addEffectTween({
         targets: newHighText,
         scale: {
           from: 1,
@@ -9226,19 +12309,29 @@ class GameOverScene extends BaseScene {
         yoyo: true,
         repeat: -1
       });
-      this.promptForName(data.score, data.level, data.maxCombo, modalY + modalHeight + 10);
+      this.promptForName(data, modalY + modalHeight + 10);
     }
     const buttonY = Math.min(height - 70, modalY + modalHeight + 70);
-    this.createButton(width / 2 - 130, buttonY, `PLAY AGAIN`, () => {
+    const buttonSpacing = data.replayId ? 240 : 130;
+    this.createButton(width / 2 - buttonSpacing, buttonY, t(`gameOver.playAgain`), () => {
       if (this.game.sounds?.click) this.game.sounds.click();
       this.scene.start(`GameScene`);
     });
-    this.createButton(width / 2 + 130, buttonY, `MAIN MENU`, () => {
+    if (data.replayId) {
+      this.createButton(width / 2, buttonY, t(`gameOver.watchReplay`), () => {
+        if (this.game.sounds?.click) this.game.sounds.click();
+        this.scene.start(`ReplayScene`, {
+          replayId: data.replayId,
+          returnScene: `MenuScene`
+        });
+      });
+    }
+    this.createButton(width / 2 + buttonSpacing, buttonY, t(`gameOver.mainMenu`), () => {
       if (this.game.sounds?.click) this.game.sounds.click();
       this.scene.start(`MenuScene`);
     });
   }
-  promptForName(score, level, combo, startY) {
+  promptForName(data, startY) {
     const width = this.cameras.main.width;
     const inputY = startY || 520;
     const inputBg = this.add.graphics();
@@ -9246,12 +12339,14 @@ class GameOverScene extends BaseScene {
     inputBg.fillRect(width / 2 - 250, inputY, 500, 100);
     inputBg.lineStyle(2, 0x00ffff, 0.8);
     inputBg.strokeRect(width / 2 - 250, inputY, 500, 100);
-    const promptText = this.add.text(width / 2, inputY + 20, `ENTER NAME FOR GLOBAL LEADERBOARD`, {
+    const promptText = this.add.text(width / 2, inputY + 20, t(`gameOver.enterName`), {
       fontSize: `14px`,
       color: `#00ffff`,
       fontStyle: `bold`
     }).setOrigin(0.5);
-    const inputBox = this.add.text(width / 2, inputY + 50, `PLAYER`, {
+    this.fitText(promptText, 480);
+    let playerName = ProfileManager.getActive().name || `PLAYER`;
+    const inputBox = this.add.text(width / 2, inputY + 50, playerName, {
       fontSize: `22px`,
       color: `#ffdd00`,
       backgroundColor: `#1a1a1a`,
@@ -9260,44 +12355,23 @@ class GameOverScene extends BaseScene {
         y: 8
       }
     }).setOrigin(0.5);
-    const hintText = this.add.text(width / 2, inputY + 78, `Press ENTER to submit`, {
+    const hintText = this.add.text(width / 2, inputY + 78, t(`gameOver.pressEnter`), {
       fontSize: `12px`,
       color: `#888888`,
       fontStyle: `italic`
     }).setOrigin(0.5);
-    let playerName = `PLAYER`;
     let submitted = false;
     const keyHandler = event => {
       if (submitted) return;
       if (event.key === `Enter`) {
         submitted = true;
-        this.updateLeaderboardEntry(playerName, score, level, combo);
+        const submissionId = this.updateLeaderboardEntry(playerName, data);
         this.input.keyboard.off(`keydown`, keyHandler);
         promptText.destroy();
         inputBox.destroy();
         hintText.destroy();
         inputBg.destroy();
-        const successText = this.add.text(width / 2, 560, `✓ Submitted to global leaderboard!`, {
-          fontSize: `16px`,
-          color: `#00ff00`,
-          fontStyle: `bold`,
-          backgroundColor: `#002200`,
-          padding: {
-            x: 15,
-            y: 8
-          }
-        }).setOrigin(0.5);
-        this.tweens.add({
-          targets: successText,
-          alpha: {
-            from: 1,
-            to: 0
-          },
-          y: 540,
-          duration: 2000,
-          delay: 1000,
-          onComplete: () => successText.destroy()
-        });
+        this.showSubmissionStatus(submissionId, width / 2, inputY + 50);
       } else if (event.key === `Backspace`) {
         playerName = playerName.slice(0, -1);
         inputBox.setText(playerName || `_`);
@@ -9308,7 +12382,10 @@ class GameOverScene extends BaseScene {
     };
     this.input.keyboard.on(`keydown`, keyHandler);
   }
-  async saveToLeaderboard(name, score, level, combo) {
+  saveToLeaderboard(name, data) {
+    const {
+      score
+    } = data;
     const leaderboard = StorageManager.get(STORAGE_KEYS.LEADERBOARD, []);
     leaderboard.push({
       name: name || `PLAYER`,
@@ -9318,24 +12395,60 @@ class GameOverScene extends BaseScene {
     leaderboard.sort((a, b) => b.score - a.score);
     StorageManager.set(STORAGE_KEYS.LEADERBOARD, leaderboard.slice(0, 50));
     PlayLimitManager.recordScoreSubmission(score);
-    try {
-      const success = await GlobalLeaderboard.submitScore(name, score, level, combo);
-      if (!success) {
-        console.warn('Failed to submit to global leaderboard');
+    return this.game.scoreOutbox?.enqueue(name, data);
+  }
+  showSubmissionStatus(submissionId, x, y) {
+    const outbox = this.game.scoreOutbox;
+    const styles = {
+      submitting: [`gameOver.submitting`, `#00ffff`, `#002222`],
+      queued: [`gameOver.submitPending`, `#ffdd00`, `#222200`],
+      sent: [`gameOver.submitted`, `#00ff00`, `#002200`],
+      failed: [`gameOver.submitFailed`, `#ff0066`, `#220011`]
+    };
+    const statusText = this.add.text(x, y, ``, {
+      fontSize: `16px`,
+      fontStyle: `bold`,
+      padding: {
+        x: 15,
+        y: 8
       }
-    } catch (error) {
-      console.error('Error submitting to leaderboard:', error);
-    }
+    }).setOrigin(0.5);
+    const refresh = () => {
+      const item = outbox?.getEntries().find(candidate => candidate.entry.id === submissionId);
+      const status = !outbox ? `failed` : !item ? `sent` : item.status === `failed` ? `failed` : item.attempts > 0 ? `queued` : `submitting`;
+      const [key, color, background] = styles[status];
+      statusText.setText(t(key)).setColor(color).setBackgroundColor(background);
+      this.fitText(statusText, 660);
+      if (status !== `sent`) return;
+      outbox.off(`change`, onChange);
+      this.addEffectTween({
+        targets: statusText,
+        alpha: {
+          from: 1,
+          to: 0
+        },
+        y: y - 20,
+        duration: 2000,
+        delay: 1000,
+        onComplete: () => statusText.destroy()
+      });
+    };
+    const onChange = id => {
+      if (id === submissionId || id === null) refresh();
+    };
+    outbox?.on(`change`, onChange);
+    refresh();
+    this.events.once(`shutdown`, () => outbox?.off(`change`, onChange));
   }
-  async updateLeaderboardEntry(name, score, level, combo) {
+  updateLeaderboardEntry(name, data) {
     const leaderboard = StorageManager.get(STORAGE_KEYS.LEADERBOARD, []);
-    const entry = leaderboard.find(e => e.score === score && e.name === `PLAYER`);
+    const entry = leaderboard.find(e => e.score === data.score && e.name === `PLAYER`);
     if (entry) {
       entry.name = name || `PLAYER`;
     }
     leaderboard.sort((a, b) => b.score - a.score);
     StorageManager.set(STORAGE_KEYS.LEADERBOARD, leaderboard.slice(0, 50));
-    await GlobalLeaderboard.submitScore(name, score, level, combo);
+    return this.game.scoreOutbox?.enqueue(name, data);
   }
   createButton(x, y, text, callback) {
     const button = this.add.text(x, y, text, {
@@ -9379,11 +12492,14 @@ const config = {
       debug: false
     }
   },
+  input: {
+    gamepad: true
+  },
   render: {
     antialias: false,
     pixelArt: true,
     roundPixels: true
   },
-  scene: [BootScene, MenuScene, PlayerHubScene, ProgressionScene, GearScene, MarketScene, GameModesScene, TimeAttackScene, SurvivalScene, PrecisionScene, ShopScene, TutorialScene, AchievementsScene, LeaderboardScene, SettingsScene, ChallengesScene, UpgradesScene, StatsScene, GameScene, PauseScene, GameOverScene]
+  scene: [BootScene, MenuScene, PlayerHubScene, ProgressionScene, GearScene, MarketScene, GameModesScene, TimeAttackScene, SurvivalScene, PrecisionScene, ShopScene, TutorialScene, AchievementsScene, LeaderboardScene, SettingsScene, ProfileScene, ChallengesScene, UpgradesScene, StatsScene, GameScene, ReplayScene, PauseScene, GameOverScene]
 };
 export const game = new Phaser.Game(config);
@@ -0,0 +1,620 @@
+// Versioned save document, profiles and save-file transfer. Everything the game persists goes
+// through StorageManager into one JSON document per profile; keys marked `detached` in SAVE_SCHEMA
+// (replays) are stored beside it so they don't bloat every write. No Phaser dependency, so the
+// migrations and file checks can run under Node.
+import { DASH_MODES, DOUBLE_TAP_WINDOW } from "./gameCore.js";
+import { I18n, LOCALES, t } from "./i18n.js";
+const STORAGE_KEYS = {
+  HIGH_SCORE: `dropkeeper_highscore`,
+  ACHIEVEMENTS: `dropkeeper_achievements`,
+  STATS: `dropkeeper_stats`,
+  LEADERBOARD: `dropkeeper_leaderboard`,
+  SKIN: `dropkeeper_skin`,
+  AURA: `dropkeeper_aura`,
+  CURRENCY: `dropkeeper_currency`,
+  UPGRADES: `dropkeeper_upgrades`,
+  CHALLENGES: `dropkeeper_challenges`,
+  DIFFICULTY: `dropkeeper_difficulty`,
+  OWNED_SKINS: `dropkeeper_owned_skins`,
+  GEAR: `dropkeeper_gear`,
+  EQUIPPED_GEAR: `dropkeeper_equipped_gear`,
+  PLAYER_LEVEL: `dropkeeper_player_level`,
+  PLAYER_XP: `dropkeeper_player_xp`,
+  CATCH_EFFECT: `dropkeeper_catch_effect`,
+  PLAYER_TRAIL: `dropkeeper_player_trail`,
+  WEAPON_VISUAL: `dropkeeper_weapon_visual`,
+  UI_THEME: `dropkeeper_ui_theme`,
+  PLAY_COUNT: `dropkeeper_play_count`,
+  PLAY_RESET_TIME: `dropkeeper_play_reset_time`,
+  PLAYER_ID: `dropkeeper_player_id`,
+  SCORE_OUTBOX: `dropkeeper_score_outbox`,
+  SCORE_SUBMISSIONS: `dropkeeper_score_submissions`,
+  REPLAYS: `dropkeeper_replays`,
+  LOADOUT_PRESETS: `dropkeeper_loadout_presets`,
+  CURRENT_PRESET: `dropkeeper_current_preset`,
+  KEY_BINDINGS: `dropkeeper_key_bindings`,
+  DASH_MODE: `dropkeeper_dash_mode`,
+  DOUBLE_TAP_WINDOW: `dropkeeper_double_tap_window`,
+  ACCESSIBILITY: `dropkeeper_accessibility`,
+  GRAPHICS: `dropkeeper_graphics`,
+  LANGUAGE: `dropkeeper_language`,
+  AUDIO: `dropkeeper_audio`
+};
+const SAVE_KEY = `dropkeeper_save`;
+const SAVE_VERSION = 2;
+const SAVE_SCHEMA = {
+  [STORAGE_KEYS.HIGH_SCORE]: {
+    type: `int`
+  },
+  [STORAGE_KEYS.ACHIEVEMENTS]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.STATS]: {
+    type: `object`,
+    sanitize: stats => Object.fromEntries(Object.entries(stats).filter(([field, value]) => field === `powerupsCollected` ? value && typeof value === `object` : Number.isFinite(value)))
+  },
+  [STORAGE_KEYS.LEADERBOARD]: {
+    type: `array`,
+    sanitize: entries => entries.filter(entry => entry && typeof entry.name === `string` && Number.isFinite(entry.score))
+  },
+  [STORAGE_KEYS.SKIN]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.AURA]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.CURRENCY]: {
+    type: `int`
+  },
+  [STORAGE_KEYS.UPGRADES]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.CHALLENGES]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.DIFFICULTY]: {
+    type: `string`,
+    values: [`easy`, `normal`, `hard`]
+  },
+  [STORAGE_KEYS.OWNED_SKINS]: {
+    type: `array`
+  },
+  [STORAGE_KEYS.GEAR]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.EQUIPPED_GEAR]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.PLAYER_LEVEL]: {
+    type: `int`,
+    min: 1
+  },
+  [STORAGE_KEYS.PLAYER_XP]: {
+    type: `int`
+  },
+  [STORAGE_KEYS.CATCH_EFFECT]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.PLAYER_TRAIL]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.WEAPON_VISUAL]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.UI_THEME]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.PLAY_COUNT]: {
+    type: `int`
+  },
+  [STORAGE_KEYS.PLAY_RESET_TIME]: {
+    type: `int`
+  },
+  [STORAGE_KEYS.PLAYER_ID]: {
+    type: `string`
+  },
+  [STORAGE_KEYS.SCORE_OUTBOX]: {
+    type: `array`
+  },
+  [STORAGE_KEYS.SCORE_SUBMISSIONS]: {
+    type: `array`
+  },
+  [STORAGE_KEYS.REPLAYS]: {
+    type: `array`,
+    detached: true
+  },
+  [STORAGE_KEYS.LOADOUT_PRESETS]: {
+    type: `array`
+  },
+  [STORAGE_KEYS.CURRENT_PRESET]: {
+    type: `int`
+  },
+  [STORAGE_KEYS.KEY_BINDINGS]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.DASH_MODE]: {
+    type: `string`,
+    values: DASH_MODES
+  },
+  [STORAGE_KEYS.DOUBLE_TAP_WINDOW]: {
+    type: `int`,
+    min: DOUBLE_TAP_WINDOW.min
+  },
+  [STORAGE_KEYS.ACCESSIBILITY]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.GRAPHICS]: {
+    type: `object`
+  },
+  [STORAGE_KEYS.LANGUAGE]: {
+    type: `string`,
+    values: Object.keys(LOCALES)
+  },
+  [STORAGE_KEYS.AUDIO]: {
+    type: `object`
+  }
+};
+// Each migration returns the upgraded save and lists the localStorage keys it made obsolete;
+// those are only removed once the upgraded document has been written.
+const SAVE_MIGRATIONS = {
+  1: (save, obsoleteKeys) => {
+    const data = {};
+    const legacyKeys = Object.keys(localStorage).filter(key => SAVE_SCHEMA[key] ? !SAVE_SCHEMA[key].detached : key.startsWith(`dropkeeper_owned_`));
+    legacyKeys.forEach(key => {
+      const schema = SAVE_SCHEMA[key];
+      const raw = localStorage.getItem(key);
+      const isJson = schema ? schema.type === `object` || schema.type === `array` : key.startsWith(`dropkeeper_owned_`);
+      if (!isJson) {
+        data[key] = raw;
+        return;
+      }
+      try {
+        data[key] = JSON.parse(raw);
+      } catch (parseError) {
+        console.error(`JSON parse error for key (${key}):`, parseError);
+        // Owned lists always include the free default; other fields start over empty
+        data[key] = key.startsWith(`dropkeeper_owned_`) ? [`default`] : schema.type === `object` ? {} : [];
+      }
+    });
+    obsoleteKeys.push(...legacyKeys);
+    return {
+      ...save,
+      data
+    };
+  }
+};
+class StorageManager {
+  static save = null;
+  static load() {
+    if (this.save) return this.save;
+    let save = null;
+    try {
+      const raw = localStorage.getItem(ProfileManager.namespace(SAVE_KEY));
+      save = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.error(`Failed to read save document:`, e);
+    }
+    if (!save || typeof save !== `object` || !save.data || typeof save.data !== `object`) {
+      save = {
+        version: ProfileManager.getActive().id === ProfileManager.DEFAULT_ID ? 1 : SAVE_VERSION,
+        data: {}
+      };
+    }
+    const obsoleteKeys = [];
+    this.save = this.migrate(save, obsoleteKeys);
+    this.validate(this.save.data);
+    if (this.persist()) obsoleteKeys.forEach(key => localStorage.removeItem(key));
+    return this.save;
+  }
+  static migrate(save, obsoleteKeys = []) {
+    let migrated = save;
+    while ((migrated.version || 1) < SAVE_VERSION) {
+      const version = migrated.version || 1;
+      const migration = SAVE_MIGRATIONS[version];
+      try {
+        migrated = migration ? migration(migrated, obsoleteKeys) : migrated;
+      } catch (e) {
+        // Stay on this version so the migration runs again on the next load
+        console.error(`Failed to migrate save from version ${version}:`, e);
+        break;
+      }
+      migrated.version = version + 1;
+    }
+    return migrated;
+  }
+  static validate(data) {
+    Object.entries(data).forEach(([key, value]) => {
+      const validated = this.validateValue(key, value);
+      if (validated === undefined) {
+        console.warn(`Discarding corrupt save field (${key})`);
+        delete data[key];
+      } else {
+        data[key] = validated;
+      }
+    });
+  }
+  static validateValue(key, value) {
+    const schema = SAVE_SCHEMA[key];
+    if (value === null || value === undefined) return undefined;
+    if (!schema) return typeof value === `object` ? value : String(value);
+    if (schema.type === `int`) {
+      const number = parseInt(value);
+      if (!Number.isFinite(number) || schema.min !== undefined && number < schema.min) return undefined;
+      return String(number);
+    }
+    if (schema.type === `string`) {
+      if (typeof value !== `string` || schema.values && !schema.values.includes(value)) return undefined;
+      return value;
+    }
+    if (schema.type === `array` && !Array.isArray(value)) return undefined;
+    if (schema.type === `object` && (typeof value !== `object` || Array.isArray(value))) return undefined;
+    return schema.sanitize ? schema.sanitize(value) : value;
+  }
+  static persist() {
+    const saveKey = ProfileManager.namespace(SAVE_KEY);
+    try {
+      localStorage.setItem(saveKey, JSON.stringify(this.save));
+      return true;
+    } catch (e) {
+      console.error(`Storage error (${saveKey}):`, e);
+      return false;
+    }
+  }
+  static unload() {
+    this.save = null;
+  }
+  static read(key) {
+    if (SAVE_SCHEMA[key]?.detached) {
+      try {
+        const raw = localStorage.getItem(ProfileManager.namespace(key));
+        return raw ? this.validateValue(key, JSON.parse(raw)) : undefined;
+      } catch (e) {
+        console.error(`Storage error (${key}):`, e);
+        return undefined;
+      }
+    }
+    return this.load().data[key];
+  }
+  static get(key, defaultValue = null) {
+    const value = this.read(key);
+    if (value === undefined || value === ``) {
+      return defaultValue;
+    }
+    return typeof value === `object` ? JSON.parse(JSON.stringify(value)) : value;
+  }
+  static getJson(key, defaultValue = {}) {
+    const value = this.get(key, defaultValue);
+    if (typeof value !== `string`) return value;
+    try {
+      return JSON.parse(value);
+    } catch (parseError) {
+      console.error(`JSON parse error for key (${key}):`, parseError);
+      return defaultValue;
+    }
+  }
+  static set(key, value) {
+    const validated = this.validateValue(key, typeof value === `object` && value !== null ? JSON.parse(JSON.stringify(value)) : value);
+    if (validated === undefined) {
+      console.error(`Rejected invalid value for key (${key}):`, value);
+      return;
+    }
+    if (SAVE_SCHEMA[key]?.detached) {
+      try {
+        localStorage.setItem(ProfileManager.namespace(key), JSON.stringify(validated));
+      } catch (e) {
+        console.error(`Storage error (${key}):`, e);
+      }
+      return;
+    }
+    this.load().data[key] = validated;
+    this.persist();
+  }
+  static getInt(key, defaultValue = 0) {
+    return parseInt(this.get(key, defaultValue));
+  }
+  static keys() {
+    const detachedKeys = Object.keys(SAVE_SCHEMA).filter(key => SAVE_SCHEMA[key].detached && this.read(key) !== undefined);
+    return [...Object.keys(this.load().data), ...detachedKeys];
+  }
+  static remove(key) {
+    if (SAVE_SCHEMA[key]?.detached) {
+      try {
+        localStorage.removeItem(ProfileManager.namespace(key));
+      } catch (e) {
+        console.error(`Storage error (${key}):`, e);
+      }
+      return;
+    }
+    delete this.load().data[key];
+    this.persist();
+  }
+  static reset() {
+    Object.keys(SAVE_SCHEMA).filter(key => SAVE_SCHEMA[key].detached).forEach(key => this.remove(key));
+    this.save = {
+      version: SAVE_VERSION,
+      data: {}
+    };
+    this.persist();
+  }
+}
+class ProfileManager {
+  static KEY = `dropkeeper_profiles`;
+  static DEFAULT_ID = `default`;
+  static MAX_PROFILES = 6;
+  static MAX_NAME_LENGTH = 12;
+  static registry = null;
+  static load() {
+    if (this.registry) return this.registry;
+    let registry = null;
+    try {
+      const raw = localStorage.getItem(this.KEY);
+      registry = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.error(`Failed to read profiles:`, e);
+    }
+    const profiles = Array.isArray(registry?.profiles) ? registry.profiles.filter(profile => profile && typeof profile.id === `string` && typeof profile.name === `string`) : [];
+    if (profiles.length === 0) {
+      profiles.push({
+        id: this.DEFAULT_ID,
+        name: `PLAYER`,
+        createdAt: Date.now()
+      });
+    }
+    this.registry = {
+      active: profiles.some(profile => profile.id === registry?.active) ? registry.active : profiles[0].id,
+      profiles
+    };
+    return this.registry;
+  }
+  static persist() {
+    try {
+      localStorage.setItem(this.KEY, JSON.stringify(this.registry));
+    } catch (e) {
+      console.error(`Storage error (${this.KEY}):`, e);
+    }
+  }
+  static list() {
+    return this.load().profiles.map(profile => ({
+      ...profile
+    }));
+  }
+  static getActive() {
+    const registry = this.load();
+    return {
+      ...registry.profiles.find(profile => profile.id === registry.active)
+    };
+  }
+  static namespace(key, id = this.load().active) {
+    return id === this.DEFAULT_ID ? key : `${key}_${id}`;
+  }
+  static sanitizeName(name) {
+    return String(name || ``).toUpperCase().trim().slice(0, this.MAX_NAME_LENGTH);
+  }
+  static create(name) {
+    const registry = this.load();
+    const cleanName = this.sanitizeName(name);
+    if (!cleanName || registry.profiles.length >= this.MAX_PROFILES) return null;
+    const profile = {
+      id: `p${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+      name: cleanName,
+      createdAt: Date.now()
+    };
+    registry.profiles.push(profile);
+    this.persist();
+    return {
+      ...profile
+    };
+  }
+  static rename(id, name) {
+    const profile = this.load().profiles.find(entry => entry.id === id);
+    const cleanName = this.sanitizeName(name);
+    if (!profile || !cleanName) return false;
+    profile.name = cleanName;
+    this.persist();
+    return true;
+  }
+  static remove(id) {
+    const registry = this.load();
+    if (registry.profiles.length <= 1 || !registry.profiles.some(profile => profile.id === id)) return false;
+    [SAVE_KEY, ...Object.keys(SAVE_SCHEMA).filter(key => SAVE_SCHEMA[key].detached)].forEach(key => {
+      try {
+        localStorage.removeItem(this.namespace(key, id));
+      } catch (e) {
+        console.error(`Failed to remove ${key}:`, e);
+      }
+    });
+    registry.profiles = registry.profiles.filter(profile => profile.id !== id);
+    if (registry.active === id) {
+      this.switchTo(registry.profiles[0].id);
+    } else {
+      this.persist();
+    }
+    return true;
+  }
+  static switchTo(id) {
+    const registry = this.load();
+    if (!registry.profiles.some(profile => profile.id === id)) return false;
+    registry.active = id;
+    this.persist();
+    StorageManager.unload();
+    return true;
+  }
+  // Call after the active save changes (switch, delete, reset, import) so live systems re-read it
+  static onProfileChanged(game) {
+    LanguageSettings.apply();
+    game.mixer?.apply();
+    game.scoreOutbox?.flush();
+  }
+}
+class SaveTransfer {
+  static FORMAT = `dropkeeper-save`;
+  static LABELS = {
+    [STORAGE_KEYS.PLAYER_LEVEL]: `level`,
+    [STORAGE_KEYS.PLAYER_XP]: `xp`,
+    [STORAGE_KEYS.CURRENCY]: `currency`,
+    [STORAGE_KEYS.HIGH_SCORE]: `highScore`,
+    [STORAGE_KEYS.GEAR]: `gear`,
+    [STORAGE_KEYS.EQUIPPED_GEAR]: `equippedGear`,
+    [STORAGE_KEYS.ACHIEVEMENTS]: `achievements`
+  };
+  // Identity and unsynced scores belong to this browser; carrying them over would clone the player and resubmit scores
+  static LOCAL_KEYS = [STORAGE_KEYS.PLAYER_ID, STORAGE_KEYS.SCORE_OUTBOX, STORAGE_KEYS.SCORE_SUBMISSIONS];
+  static exportKeys() {
+    const ownedKeys = StorageManager.keys().filter(key => key.startsWith(`dropkeeper_owned_`));
+    return [...new Set([...Object.values(STORAGE_KEYS), ...ownedKeys])].filter(key => !this.LOCAL_KEYS.includes(key));
+  }
+  static isExportKey(key) {
+    return !this.LOCAL_KEYS.includes(key) && (Object.values(STORAGE_KEYS).includes(key) || key.startsWith(`dropkeeper_owned_`));
+  }
+  static canonicalize(value) {
+    if (Array.isArray(value)) return `[${value.map(item => this.canonicalize(item)).join(`,`)}]`;
+    if (value && typeof value === `object`) {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(`,`)}}`;
+    }
+    return JSON.stringify(value);
+  }
+  static checksum(data) {
+    const text = this.canonicalize(data);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, `0`);
+  }
+  static build() {
+    const data = {};
+    this.exportKeys().forEach(key => {
+      const value = StorageManager.get(key);
+      if (value !== null) data[key] = value;
+    });
+    return {
+      format: this.FORMAT,
+      version: SAVE_VERSION,
+      exportedAt: Date.now(),
+      checksum: this.checksum(data),
+      data
+    };
+  }
+  static download() {
+    try {
+      const blob = new Blob([JSON.stringify(this.build(), null, 2)], {
+        type: `application/json`
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement(`a`);
+      link.href = url;
+      link.download = `dropkeeper-save-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      return true;
+    } catch (error) {
+      console.error(`Failed to export save:`, error);
+      return false;
+    }
+  }
+  static pickFile(callback) {
+    const input = document.createElement(`input`);
+    input.type = `file`;
+    input.accept = `.json,application/json`;
+    input.addEventListener(`change`, async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        callback(this.parse(await file.text()));
+      } catch (error) {
+        console.error(`Failed to read save file:`, error);
+        callback({
+          error: t(`saveTransfer.errors.unreadable`)
+        });
+      }
+    });
+    input.click();
+  }
+  static parse(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      return {
+        error: t(`saveTransfer.errors.invalidJson`)
+      };
+    }
+    if (!file || file.format !== this.FORMAT || !file.data || typeof file.data !== `object`) {
+      return {
+        error: t(`saveTransfer.errors.notASave`)
+      };
+    }
+    if (!Number.isInteger(file.version) || file.version > SAVE_VERSION) {
+      return {
+        error: t(`saveTransfer.errors.newerVersion`)
+      };
+    }
+    if (file.checksum !== this.checksum(file.data)) {
+      return {
+        error: t(`saveTransfer.errors.checksum`)
+      };
+    }
+    const data = {};
+    const rejected = [];
+    Object.entries(file.data).forEach(([key, value]) => {
+      // Older exports still carry this browser's local keys; drop them quietly
+      if (this.LOCAL_KEYS.includes(key)) return;
+      const validated = this.isExportKey(key) ? StorageManager.validateValue(key, value) : undefined;
+      if (validated === undefined) {
+        rejected.push(key);
+      } else {
+        data[key] = validated;
+      }
+    });
+    return {
+      data,
+      rejected,
+      exportedAt: file.exportedAt
+    };
+  }
+  static describe(value) {
+    if (value === null || value === undefined) return `-`;
+    if (Array.isArray(value)) return t(`saveTransfer.entries`, {
+      count: value.length
+    });
+    if (typeof value === `object`) return t(`saveTransfer.entries`, {
+      count: Object.keys(value).length
+    });
+    return String(value);
+  }
+  static diff(data) {
+    const keys = [...new Set([...this.exportKeys(), ...Object.keys(data)])];
+    return keys.filter(key => this.canonicalize(StorageManager.get(key)) !== this.canonicalize(data[key] ?? null)).map(key => ({
+      key,
+      label: this.LABELS[key] ? t(`saveTransfer.fields.${this.LABELS[key]}`) : key.replace(/^dropkeeper_/, ``).replace(/_/g, ` `).toUpperCase(),
+      current: this.describe(StorageManager.get(key)),
+      incoming: this.describe(data[key])
+    }));
+  }
+  static apply(data) {
+    const keys = [...new Set([...this.exportKeys(), ...Object.keys(data)])];
+    keys.forEach(key => {
+      if (data[key] === undefined) {
+        StorageManager.remove(key);
+      } else {
+        StorageManager.set(key, data[key]);
+      }
+    });
+  }
+}
+class LanguageSettings {
+  static get() {
+    return StorageManager.get(STORAGE_KEYS.LANGUAGE, null);
+  }
+  static set(locale) {
+    StorageManager.set(STORAGE_KEYS.LANGUAGE, locale);
+    this.apply();
+  }
+  static apply() {
+    const locale = I18n.setLocale(this.get() || I18n.detectLocale(navigator.languages || [navigator.language]));
+    document.documentElement.lang = locale;
+    return locale;
+  }
+}
+export { STORAGE_KEYS, SAVE_KEY, SAVE_VERSION, SAVE_SCHEMA, SAVE_MIGRATIONS, StorageManager, ProfileManager, SaveTransfer, LanguageSettings };
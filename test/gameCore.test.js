@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameCore, FIXED_STEP, INPUT_BITS, ReplayRecorder, RunVerifier, runHeadless, verifyRun } from "../gameCore.js";
+const script = [{
+  time: 0,
+  keys: [`LEFT`]
+}, {
+  time: 1500,
+  keys: [`RIGHT`, `FIRE`]
+}, {
+  time: 4000,
+  keys: [`DASH`]
+}];
+// Plays one recorded run to the end with a fixed input pattern and returns its proof and result
+const recordRun = (seed = 77) => {
+  const loadout = {
+    ...GameCore.defaultLoadout(),
+    difficulty: `hard`
+  };
+  const core = new GameCore({
+    seed,
+    loadout
+  });
+  const recorder = new ReplayRecorder({
+    seed,
+    mode: `classic`,
+    loadout
+  });
+  for (let frame = 0; !core.isGameOver; frame++) {
+    const mask = (frame * 7919 >> 6) % 3 === 0 ? INPUT_BITS.LEFT : (frame >> 5) % 2 ? INPUT_BITS.RIGHT | INPUT_BITS.FIRE : 0;
+    recorder.record(FIXED_STEP, mask);
+    core.step(FIXED_STEP, mask);
+  }
+  return {
+    proof: JSON.parse(JSON.stringify(recorder.toProof())),
+    claimed: {
+      score: core.score,
+      level: core.level,
+      maxCombo: core.maxCombo
+    }
+  };
+};
+test(`the same seed and input produce the same run`, () => {
+  const first = runHeadless({
+    seed: 1234,
+    input: script
+  });
+  const second = runHeadless({
+    seed: 1234,
+    input: script
+  });
+  assert.equal(first.completed, true);
+  assert.deepEqual(second, first);
+});
+test(`an active gravity well pulls the player toward it`, () => {
+  const core = new GameCore({
+    seed: 1
+  });
+  core.spawnGravityWell();
+  const well = core.hazards[core.hazards.length - 1];
+  well.x = core.player.x + 100;
+  while (!well.active) core.step(FIXED_STEP, 0);
+  const startX = core.player.x;
+  for (let i = 0; i < 30; i++) core.step(FIXED_STEP, 0);
+  assert.ok(well.y < core.player.y - well.radius);
+  assert.ok(core.player.x > startX, `${core.player.x} > ${startX}`);
+});
+test(`ReplayRecorder packs repeated frames and round-trips its proof input`, () => {
+  const recorder = new ReplayRecorder({
+    seed: 1
+  });
+  [0, 0, 0, INPUT_BITS.LEFT, INPUT_BITS.LEFT | INPUT_BITS.DASH, 0].forEach(mask => recorder.record(FIXED_STEP, mask));
+  assert.deepEqual(recorder.frames, [[FIXED_STEP, 0, 3], [FIXED_STEP, 1, 1], [FIXED_STEP, 65, 1], [FIXED_STEP, 0, 1]]);
+  const input = ReplayRecorder.encodeInput(recorder.frames);
+  assert.equal(input, `0.3,1.1,1t.1,0.1`);
+  assert.deepEqual(ReplayRecorder.decodeInput(input), recorder.frames);
+  assert.deepEqual(ReplayRecorder.decodeInput(``), []);
+});
+test(`verifyRun accepts a proof that reproduces the claimed result`, () => {
+  const {
+    proof,
+    claimed
+  } = recordRun();
+  const {
+    verified,
+    result
+  } = verifyRun(proof, claimed);
+  assert.equal(verified, true);
+  assert.equal(result.score, claimed.score);
+});
+test(`verifyRun rejects edited claims and proofs`, () => {
+  const {
+    proof,
+    claimed
+  } = recordRun();
+  assert.equal(verifyRun(proof, {
+    ...claimed,
+    score: claimed.score + 10
+  }).verified, false);
+  assert.equal(verifyRun(proof, {
+    ...claimed,
+    level: claimed.level + 1
+  }).verified, false);
+  assert.equal(verifyRun({
+    ...proof,
+    seed: 78
+  }, claimed).verified, false);
+  assert.equal(verifyRun(null, claimed).verified, false);
+  assert.equal(verifyRun({
+    ...proof,
+    input: `zz.q,x`
+  }, claimed).verified, false);
+});
+test(`verifyRun rejects loadouts a live game could not have captured`, () => {
+  const {
+    proof,
+    claimed
+  } = recordRun();
+  const forged = patch => verifyRun({
+    ...proof,
+    loadout: {
+      ...proof.loadout,
+      ...patch
+    }
+  }, claimed);
+  [{
+    maxItems: 200
+  }, {
+    playerLevel: 500
+  }, {
+    equippedGear: {
+      gun: `fortune_aura`
+    }
+  }, {
+    upgrades: {
+      moveSpeed: 9
+    }
+  }, {
+    dashMode: `teleport`
+  }, {
+    doubleTapWindow: 5
+  }, {
+    difficulty: `nightmare`
+  }].forEach(patch => {
+    const {
+      verified,
+      result
+    } = forged(patch);
+    assert.equal(verified, false, JSON.stringify(patch));
+    assert.equal(result, null);
+  });
+});
+test(`RunVerifier reaches the same verdict when advanced in slices`, () => {
+  const {
+    proof,
+    claimed
+  } = recordRun();
+  const verifier = new RunVerifier(proof, claimed);
+  let slices = 0;
+  while (!verifier.advance(50)) slices++;
+  assert.ok(slices > 1);
+  assert.deepEqual(verifier.result, verifyRun(proof, claimed));
+});
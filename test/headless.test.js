@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { GameCore, SeededRandom, FIXED_STEP } from "../gameCore.js";
+const headless = fileURLToPath(new URL(`../headless.js`, import.meta.url));
+const runCli = (...args) => JSON.parse(execFileSync(process.execPath, [headless, ...args], {
+  encoding: `utf8`
+}));
+test(`--seed replays the same run as the in-game seed of that number`, () => {
+  // GameScene seeds its core the same way through initRunRandom
+  const core = new GameCore({
+    seed: SeededRandom.normalizeSeed(1234)
+  });
+  while (!core.isGameOver && core.clock.now < 5000) core.step(FIXED_STEP, 0);
+  const {
+    payload
+  } = runCli(`--seed`, `1234`, `--max-time`, `5000`);
+  assert.equal(payload.seed, 1234);
+  assert.deepEqual(payload, core.getResult());
+});
+test(`non-numeric --seed values are still accepted as text seeds`, () => {
+  const {
+    payload
+  } = runCli(`--seed`, `daily-run`, `--max-time`, `1000`);
+  assert.equal(payload.seed, `daily-run`);
+});
@@ -0,0 +1,59 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { I18n, LOCALES, FALLBACK_LOCALE, t } from "../i18n.js";
+afterEach(() => {
+  I18n.setLocale(FALLBACK_LOCALE);
+  mock.restoreAll();
+});
+test(`plural entries are picked by count for the active locale`, () => {
+  assert.equal(t(`leaderboard.outbox.pending`, {
+    count: 1
+  }), `⏳ 1 score waiting to sync`);
+  assert.equal(t(`leaderboard.outbox.pending`, {
+    count: 3
+  }), `⏳ 3 scores waiting to sync`);
+  I18n.setLocale(`es`);
+  assert.equal(t(`leaderboard.perfectCatches`, {
+    count: 1
+  }), `1 PERFECTA`);
+  assert.equal(t(`leaderboard.perfectCatches`, {
+    count: 0
+  }), `0 PERFECTAS`);
+});
+test(`placeholders are filled and unknown ones are left in place`, () => {
+  assert.equal(t(`leaderboard.points`, {
+    score: 420
+  }), `420 PTS`);
+  assert.equal(I18n.format(`{a} and {b}`, {
+    a: 1
+  }), `1 and {b}`);
+});
+test(`keys missing from a locale fall back to English and warn once`, () => {
+  const warn = mock.method(console, `warn`, () => {});
+  LOCALES.en.testOnly = {
+    greeting: `Hello {name}`
+  };
+  try {
+    I18n.setLocale(`es`);
+    assert.equal(t(`testOnly.greeting`, {
+      name: `Ana`
+    }), `Hello Ana`);
+    t(`testOnly.greeting`);
+    assert.equal(warn.mock.callCount(), 1);
+  } finally {
+    delete LOCALES.en.testOnly;
+  }
+});
+test(`unknown keys and unsupported locales degrade gracefully`, () => {
+  mock.method(console, `warn`, () => {});
+  assert.equal(t(`no.such.key`), `no.such.key`);
+  assert.equal(I18n.optional(`no.such.key`, `Fallback`), `Fallback`);
+  assert.equal(I18n.setLocale(`xx`), FALLBACK_LOCALE);
+  assert.equal(I18n.detectLocale([`fr-FR`, `es-MX`]), `es`);
+  assert.equal(I18n.detectLocale([`fr-FR`]), FALLBACK_LOCALE);
+});
+test(`every locale defines the same keys as English`, () => {
+  const keysOf = (node, prefix = ``) => Object.entries(node).flatMap(([key, value]) => value && typeof value === `object` && !Array.isArray(value) ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]);
+  const english = keysOf(LOCALES.en).sort();
+  Object.entries(LOCALES).forEach(([locale, table]) => assert.deepEqual(keysOf(table).sort(), english, locale));
+});
@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryBackend, StateClientBackend, createLeaderboardBackend, matchesQuery, compareEntries, getPeriodStart } from "../leaderboardBackends.js";
+const DAY = 24 * 60 * 60 * 1000;
+const query = {
+  mode: `classic`,
+  difficulty: `normal`,
+  since: 1000,
+  metric: `score`,
+  limit: 50,
+  offset: 0
+};
+test(`matchesQuery treats entries without a mode or difficulty as classic normal runs`, () => {
+  assert.equal(matchesQuery({
+    timestamp: 2000
+  }, query), true);
+  assert.equal(matchesQuery({
+    mode: `survival`,
+    timestamp: 2000
+  }, query), false);
+  assert.equal(matchesQuery({
+    difficulty: `hard`,
+    timestamp: 2000
+  }, query), false);
+  assert.equal(matchesQuery({
+    timestamp: 999
+  }, query), false);
+  assert.equal(matchesQuery({}, {
+    ...query,
+    since: 0
+  }), true);
+});
+test(`compareEntries sorts by the metric and breaks ties on score`, () => {
+  const entries = [{
+    id: `a`,
+    score: 10,
+    gameTime: 5
+  }, {
+    id: `b`,
+    score: 30,
+    gameTime: 5
+  }, {
+    id: `c`,
+    score: 20
+  }, {
+    id: `d`,
+    score: 5,
+    gameTime: 9
+  }];
+  assert.deepEqual(entries.slice().sort(compareEntries(`gameTime`)).map(entry => entry.id), [`d`, `b`, `a`, `c`]);
+  assert.deepEqual(entries.slice().sort(compareEntries(`score`)).map(entry => entry.id), [`b`, `c`, `a`, `d`]);
+});
+test(`MemoryBackend pages through matching entries in rank order`, async () => {
+  const backend = new MemoryBackend();
+  for (let i = 0; i < 7; i++) {
+    await backend.submit({
+      id: `e${i}`,
+      mode: `classic`,
+      difficulty: `normal`,
+      score: i * 10,
+      timestamp: 5000
+    });
+  }
+  await backend.submit({
+    id: `other`,
+    mode: `precision`,
+    score: 999,
+    timestamp: 5000
+  });
+  const page = offset => backend.query({
+    ...query,
+    limit: 3,
+    offset
+  }).then(entries => entries.map(entry => entry.id));
+  assert.deepEqual(await page(0), [`e6`, `e5`, `e4`]);
+  assert.deepEqual(await page(3), [`e3`, `e2`, `e1`]);
+  assert.deepEqual(await page(6), [`e0`]);
+  assert.deepEqual(await page(9), []);
+});
+// Stands in for the hosted service: an equality or `gte` clause never matches a missing field
+const createStateClient = entries => ({
+  async getEntities(collection, {
+    where,
+    orderBy,
+    limit,
+    offset
+  }) {
+    const [metric] = Object.keys(orderBy);
+    return entries.filter(entry => Object.entries(where).every(([field, clause]) => field in entry && (typeof clause === `object` ? entry[field] >= clause.gte : entry[field] === clause))).sort((a, b) => (b[metric] || 0) - (a[metric] || 0)).slice(offset, offset + limit);
+  }
+});
+// Pages through a backend the way GlobalLeaderboard.getTopScores does
+const collect = async (backend, query) => {
+  const ids = [];
+  for (let offset = 0;; offset += query.limit) {
+    const page = await backend.query({
+      ...query,
+      offset
+    });
+    ids.push(...page.filter(entry => matchesQuery(entry, query)).sort(compareEntries(query.metric)).map(entry => entry.id));
+    if (page.length !== query.limit) return ids;
+  }
+};
+test(`the state and memory backends rank mode-less legacy entries the same way`, async () => {
+  const entries = [{
+    id: `legacy`,
+    score: 80
+  }, {
+    id: `classic`,
+    mode: `classic`,
+    difficulty: `normal`,
+    score: 50,
+    timestamp: 5000
+  }, {
+    id: `hard`,
+    mode: `classic`,
+    difficulty: `hard`,
+    score: 90,
+    timestamp: 5000
+  }, {
+    id: `survival`,
+    mode: `survival`,
+    difficulty: `normal`,
+    score: 70,
+    gameTime: 40,
+    timestamp: 5000
+  }];
+  const state = new StateClientBackend({});
+  state.client = createStateClient(entries);
+  const memory = new MemoryBackend({
+    entries
+  });
+  for (const pageQuery of [{
+    ...query,
+    since: 0,
+    limit: 2
+  }, {
+    ...query,
+    mode: `survival`,
+    metric: `gameTime`,
+    since: 0,
+    limit: 2
+  }, {
+    ...query,
+    difficulty: `hard`,
+    limit: 2
+  }]) {
+    assert.deepEqual(await collect(state, pageQuery), await collect(memory, pageQuery));
+  }
+  assert.deepEqual(await collect(state, {
+    ...query,
+    since: 0,
+    limit: 2
+  }), [`legacy`, `classic`]);
+});
+test(`createLeaderboardBackend tags the backend with its id and falls back for unknown ids`, t => {
+  t.mock.method(console, `warn`, () => {});
+  assert.equal(createLeaderboardBackend(`memory`).id, `memory`);
+  const backend = createLeaderboardBackend(`nope`, {
+    fallback: `memory`
+  });
+  assert.ok(backend instanceof MemoryBackend);
+  assert.equal(backend.id, `memory`);
+});
+test(`getPeriodStart aligns daily windows to UTC midnight and weekly windows to Monday`, () => {
+  const monday = Date.UTC(2026, 9, 19);
+  assert.equal(getPeriodStart(monday, 1), monday);
+  assert.equal(getPeriodStart(monday - 1, 1), monday - DAY);
+  assert.equal(getPeriodStart(monday + DAY - 1, 1), monday);
+  assert.equal(getPeriodStart(monday, 7), monday);
+  assert.equal(getPeriodStart(monday - 1, 7), monday - 7 * DAY);
+  assert.equal(getPeriodStart(Date.UTC(2026, 9, 25, 23, 59, 59, 999), 7), monday);
+  assert.equal(new Date(getPeriodStart(Date.UTC(2026, 0, 1), 7)).getUTCDay(), 1);
+});
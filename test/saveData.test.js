@@ -0,0 +1,212 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { STORAGE_KEYS, SAVE_KEY, SAVE_VERSION, SAVE_MIGRATIONS, StorageManager, ProfileManager, SaveTransfer } from "../saveData.js";
+import { t } from "../i18n.js";
+// Minimal stand-in for window.localStorage: stored items are the object's own enumerable keys
+const createStorage = (items = {}, failingKeys = []) => Object.defineProperties({
+  ...items
+}, {
+  getItem: {
+    value(key) {
+      return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null;
+    }
+  },
+  setItem: {
+    value(key, value) {
+      if (failingKeys.includes(key)) throw new Error(`QuotaExceededError`);
+      this[key] = String(value);
+    }
+  },
+  removeItem: {
+    value(key) {
+      delete this[key];
+    }
+  }
+});
+const legacyItems = {
+  [STORAGE_KEYS.HIGH_SCORE]: `1200`,
+  [STORAGE_KEYS.ACHIEVEMENTS]: `{"firstCatch":true}`,
+  [STORAGE_KEYS.OWNED_SKINS]: `{not json`,
+  dropkeeper_owned_auras: `["default","flame"]`,
+  [STORAGE_KEYS.REPLAYS]: `[]`,
+  unrelated_key: `keep`
+};
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+  StorageManager.unload();
+  ProfileManager.registry = null;
+  // Corrupt fields and failed writes are logged; keep the test output readable
+  mock.method(console, `error`, () => {});
+  mock.method(console, `warn`, () => {});
+});
+afterEach(() => mock.restoreAll());
+test(`SAVE_MIGRATIONS[1] folds legacy keys into the document and only lists them as obsolete`, () => {
+  globalThis.localStorage = createStorage(legacyItems);
+  const obsoleteKeys = [];
+  const save = SAVE_MIGRATIONS[1]({
+    version: 1,
+    data: {}
+  }, obsoleteKeys);
+  assert.deepEqual(save.data, {
+    [STORAGE_KEYS.HIGH_SCORE]: `1200`,
+    [STORAGE_KEYS.ACHIEVEMENTS]: {
+      firstCatch: true
+    },
+    [STORAGE_KEYS.OWNED_SKINS]: [`default`],
+    dropkeeper_owned_auras: [`default`, `flame`]
+  });
+  assert.deepEqual(obsoleteKeys.sort(), [STORAGE_KEYS.HIGH_SCORE, STORAGE_KEYS.ACHIEVEMENTS, STORAGE_KEYS.OWNED_SKINS, `dropkeeper_owned_auras`].sort());
+  assert.equal(localStorage.getItem(STORAGE_KEYS.HIGH_SCORE), `1200`);
+});
+test(`StorageManager.load removes legacy keys once the migrated save is written`, () => {
+  globalThis.localStorage = createStorage(legacyItems);
+  const save = StorageManager.load();
+  assert.equal(save.version, SAVE_VERSION);
+  assert.equal(StorageManager.getInt(STORAGE_KEYS.HIGH_SCORE), 1200);
+  assert.equal(JSON.parse(localStorage.getItem(SAVE_KEY)).version, SAVE_VERSION);
+  assert.equal(localStorage.getItem(STORAGE_KEYS.HIGH_SCORE), null);
+  assert.equal(localStorage.getItem(STORAGE_KEYS.REPLAYS), `[]`);
+  assert.equal(localStorage.getItem(`unrelated_key`), `keep`);
+});
+test(`StorageManager.load keeps legacy keys when the migrated save cannot be written`, () => {
+  globalThis.localStorage = createStorage(legacyItems, [SAVE_KEY]);
+  StorageManager.load();
+  assert.ok(console.error.mock.calls.some(call => call.arguments[0] === `Storage error (${SAVE_KEY}):`));
+  assert.equal(localStorage.getItem(SAVE_KEY), null);
+  assert.equal(localStorage.getItem(STORAGE_KEYS.HIGH_SCORE), `1200`);
+  assert.equal(localStorage.getItem(STORAGE_KEYS.ACHIEVEMENTS), `{"firstCatch":true}`);
+});
+test(`SaveTransfer.checksum ignores key order and changes with any value`, () => {
+  const data = {
+    a: 1,
+    b: {
+      x: [1, 2],
+      y: `z`
+    }
+  };
+  const reordered = {
+    b: {
+      y: `z`,
+      x: [1, 2]
+    },
+    a: 1
+  };
+  assert.equal(SaveTransfer.checksum(reordered), SaveTransfer.checksum(data));
+  assert.match(SaveTransfer.checksum(data), /^[0-9a-f]{8}$/);
+  assert.notEqual(SaveTransfer.checksum({
+    ...data,
+    a: 2
+  }), SaveTransfer.checksum(data));
+  assert.notEqual(SaveTransfer.checksum({
+    ...data,
+    b: {
+      x: [2, 1],
+      y: `z`
+    }
+  }), SaveTransfer.checksum(data));
+});
+test(`SaveTransfer.parse accepts an exported file and rejects edited ones`, () => {
+  StorageManager.set(STORAGE_KEYS.PLAYER_LEVEL, 7);
+  StorageManager.set(STORAGE_KEYS.CURRENCY, 250);
+  const file = SaveTransfer.build();
+  const parsed = SaveTransfer.parse(JSON.stringify(file));
+  assert.deepEqual(parsed.rejected, []);
+  assert.equal(parsed.data[STORAGE_KEYS.PLAYER_LEVEL], `7`);
+  const tampered = {
+    ...file,
+    data: {
+      ...file.data,
+      [STORAGE_KEYS.CURRENCY]: `99999`
+    }
+  };
+  assert.equal(SaveTransfer.parse(JSON.stringify(tampered)).error, t(`saveTransfer.errors.checksum`));
+  assert.equal(SaveTransfer.parse(`{`).error, t(`saveTransfer.errors.invalidJson`));
+  assert.equal(SaveTransfer.parse(JSON.stringify({
+    ...file,
+    version: SAVE_VERSION + 1
+  })).error, t(`saveTransfer.errors.newerVersion`));
+});
+test(`SaveTransfer.diff lists only the fields an import would change`, () => {
+  StorageManager.set(STORAGE_KEYS.PLAYER_LEVEL, 7);
+  StorageManager.set(STORAGE_KEYS.CURRENCY, 250);
+  StorageManager.set(STORAGE_KEYS.ACHIEVEMENTS, {
+    firstCatch: true
+  });
+  const {
+    data
+  } = SaveTransfer.build();
+  const changes = SaveTransfer.diff({
+    ...data,
+    [STORAGE_KEYS.PLAYER_LEVEL]: `9`,
+    [STORAGE_KEYS.ACHIEVEMENTS]: {
+      firstCatch: true,
+      combo10: true
+    },
+    [STORAGE_KEYS.CURRENCY]: undefined
+  });
+  assert.deepEqual(changes, [{
+    key: STORAGE_KEYS.ACHIEVEMENTS,
+    label: t(`saveTransfer.fields.achievements`),
+    current: t(`saveTransfer.entries`, {
+      count: 1
+    }),
+    incoming: t(`saveTransfer.entries`, {
+      count: 2
+    })
+  }, {
+    key: STORAGE_KEYS.CURRENCY,
+    label: t(`saveTransfer.fields.currency`),
+    current: `250`,
+    incoming: `-`
+  }, {
+    key: STORAGE_KEYS.PLAYER_LEVEL,
+    label: t(`saveTransfer.fields.level`),
+    current: `7`,
+    incoming: `9`
+  }]);
+});
+test(`a save round trip leaves the player id and unsynced scores on each browser`, () => {
+  StorageManager.set(STORAGE_KEYS.PLAYER_LEVEL, 7);
+  StorageManager.set(STORAGE_KEYS.PLAYER_ID, `pl_source`);
+  StorageManager.set(STORAGE_KEYS.SCORE_OUTBOX, [{
+    score: 500
+  }]);
+  StorageManager.set(STORAGE_KEYS.SCORE_SUBMISSIONS, [{
+    score: 500,
+    timestamp: 1
+  }]);
+  const file = SaveTransfer.build();
+  assert.equal(file.data[STORAGE_KEYS.PLAYER_ID], undefined);
+  assert.equal(file.data[STORAGE_KEYS.SCORE_OUTBOX], undefined);
+  // A file exported before these keys were excluded
+  const legacyData = {
+    ...file.data,
+    [STORAGE_KEYS.PLAYER_ID]: `pl_source`,
+    [STORAGE_KEYS.SCORE_OUTBOX]: [{
+      score: 500
+    }]
+  };
+  const legacyFile = {
+    ...file,
+    data: legacyData,
+    checksum: SaveTransfer.checksum(legacyData)
+  };
+  globalThis.localStorage = createStorage();
+  StorageManager.unload();
+  ProfileManager.registry = null;
+  StorageManager.set(STORAGE_KEYS.PLAYER_ID, `pl_destination`);
+  [file, legacyFile].forEach(exported => {
+    StorageManager.set(STORAGE_KEYS.PLAYER_LEVEL, 1);
+    const {
+      data,
+      rejected
+    } = SaveTransfer.parse(JSON.stringify(exported));
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(SaveTransfer.diff(data).map(change => change.key), [STORAGE_KEYS.PLAYER_LEVEL]);
+    SaveTransfer.apply(data);
+    assert.equal(StorageManager.getInt(STORAGE_KEYS.PLAYER_LEVEL), 7);
+    assert.equal(StorageManager.get(STORAGE_KEYS.PLAYER_ID), `pl_destination`);
+    assert.deepEqual(StorageManager.get(STORAGE_KEYS.SCORE_OUTBOX, []), []);
+    assert.deepEqual(StorageManager.get(STORAGE_KEYS.SCORE_SUBMISSIONS, []), []);
+  });
+});